@@ -0,0 +1,284 @@
+// admin_api.js - HTTP service for pool status, manual finalization and claim-data lookup
+require('dotenv').config({ path: '../.env' });
+const http = require('http');
+const crypto = require('crypto');
+const { Logger, loggerFromEnv } = require('./logger');
+const { CONTENT_TYPE, SettlementMetrics } = require('./metrics');
+const { ClaimTransactionBuilder } = require('./claim_builder');
+const { ClaimRelay, relayOptionsFromEnv } = require('./claim_relay');
+const { KeyedLock } = require('./keyed_lock');
+const { JournalConflictError } = require('./settlement_journal');
+
+const POOL_ROUTE = /^\/pools\/([\w-]+)\/(\d+)\/(\d+)\/(preview|recompute|audit|finalize)$/;
+const CLAIM_ROUTE = /^\/claims\/([\w-]+)\/(\d+)\/(\d+)\/(0x[0-9a-fA-F]+)$/;
+const CLAIM_CALL_ROUTE = /^\/claims\/([\w-]+)\/([\w-]+)\/call$/;
+const CLAIM_RELAY_ROUTE = /^\/claims\/([\w-]+)\/([\w-]+)\/relay$/;
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Constant-time check of `Authorization: Bearer <token>`.
+ */
+function isAuthorized(req, adminToken) {
+    if (!adminToken) return false;
+    const header = req.headers.authorization || '';
+    const expected = Buffer.from(`Bearer ${adminToken}`);
+    const given = Buffer.from(header);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Creates the admin HTTP server (not yet listening).
+ *
+ * Routes:
+ *   GET  /health
+ *   GET  /metrics                               - Prometheus metrics
+ *   GET  /pools/unprocessed[?product=alarm|alarm-eth|focus-lock]
+ *   GET  /pools/:product/:day/:period/preview   - computed rewards, nothing sent or stored
+ *   GET  /pools/:product/:day/:period/recompute - a finalized pool recomputed under its journaled reward policy
+ *   POST /pools/:product/:day/:period/finalize  - runs the pool (Bearer token required)
+ *   GET  /claims/:product/:day/:period/:wallet  - stored signature, reward and merkle proof
+ *   GET  /claims/:product/:positionId/call      - the position's simulated claim call (?simulate=false to skip)
+ *   GET  /claims/:product/:positionId/relay     - SNIP-9 typed data the owner signs for a gasless claim
+ *   POST /claims/:product/:positionId/relay     - {outside_execution, signature}: relays the claim, sponsored
+ *
+ * The relay routes need the product's backend to have the paymaster; otherwise they answer 503.
+ *
+ * @param {Object} options
+ * @param {Object<string, SettlementBackend>} options.backends - Backends by product slug ('alarm', 'alarm-eth', 'focus-lock')
+ * @param {string} [options.adminToken] - Token for finalize requests; without one finalization is refused
+ * @param {Logger} [options.logger] - Structured logger
+ * @param {SettlementMetrics} [options.metrics] - Metrics to expose (defaults to the first backend's)
+ * @param {Object} [options.relayOptions] - ClaimRelay limits shared by every sponsored product
+ * @returns {http.Server}
+ */
+function createAdminServer({ backends, adminToken, logger = new Logger(), metrics = Object.values(backends)[0].metrics, relayOptions = {} }) {
+    const relays = {};
+    // One finalization per pool at a time; the journal's submission claim covers other processes
+    const finalizing = new KeyedLock();
+    for (const [product, backend] of Object.entries(backends)) {
+        if (backend.paymasterRpc) {
+            relays[product] = new ClaimRelay(backend, relayOptions);
+        }
+    }
+
+    function backendFor(product) {
+        const backend = backends[product];
+        if (!backend) {
+            throw new HttpError(404, `Unknown product '${product}' (expected ${Object.keys(backends).join(', ')})`);
+        }
+        return backend;
+    }
+
+    function relayFor(product) {
+        backendFor(product);
+        if (!relays[product]) {
+            throw new HttpError(503, `Gasless claims are not available for ${product} (no paymaster configured)`);
+        }
+        return relays[product];
+    }
+
+    function parsePool(backend, day, period) {
+        const pool = { day: Number(day), period: Number(period) };
+        if (!backend.strategy.isValidPeriod(pool.period)) {
+            throw new HttpError(400, `Invalid period ${period} for ${backend.strategy.name} pools`);
+        }
+        return pool;
+    }
+
+    async function route(req, url) {
+        if (req.method === 'GET' && url.pathname === '/health') {
+            return { status: 200, body: { ok: true } };
+        }
+
+        if (req.method === 'GET' && url.pathname === '/pools/unprocessed') {
+            const products = url.searchParams.get('product')
+                ? [url.searchParams.get('product')]
+                : Object.keys(backends);
+            const pools = {};
+            for (const product of products) {
+                pools[product] = await backendFor(product).findAllUnprocessedPools();
+            }
+            return { status: 200, body: { pools } };
+        }
+
+        const poolMatch = url.pathname.match(POOL_ROUTE);
+        if (poolMatch) {
+            const [, product, dayParam, periodParam, action] = poolMatch;
+            const backend = backendFor(product);
+            const { day, period } = parsePool(backend, dayParam, periodParam);
+
+            if (action === 'preview' && req.method === 'GET') {
+                return { status: 200, body: await backend.previewPool(day, period) };
+            }
+            if (action === 'recompute' && req.method === 'GET') {
+                const result = await backend.recomputePool(day, period);
+                if (!result) {
+                    throw new HttpError(404, `Day ${day}, Period ${period} has not been settled`);
+                }
+                return { status: 200, body: result };
+            }
+            if (action === 'audit' && req.method === 'GET') {
+                return { status: 200, body: await backend.auditPool(day, period) };
+            }
+            if (action === 'finalize' && req.method === 'POST') {
+                if (!isAuthorized(req, adminToken)) {
+                    throw new HttpError(401, 'Missing or invalid admin token');
+                }
+                const allowDiscrepancies = url.searchParams.get('allow_discrepancies') === 'true';
+                logger.info('Admin finalization requested', { product, day, period, allow_discrepancies: allowDiscrepancies });
+                const poolKey = `${product}/${day}/${period}`;
+                if (finalizing.isLocked(poolKey)) {
+                    throw new HttpError(409, `Day ${day}, Period ${period} is already being finalized`);
+                }
+                const result = await finalizing.run(poolKey, () => backend.processPool(day, period, { allowDiscrepancies }))
+                    .catch(error => {
+                        if (error instanceof JournalConflictError) throw new HttpError(409, error.message);
+                        throw error;
+                    });
+                return { status: result.success ? 200 : 409, body: result };
+            }
+            throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+        }
+
+        const claimMatch = url.pathname.match(CLAIM_ROUTE);
+        if (claimMatch && req.method === 'GET') {
+            const [, product, dayParam, periodParam, wallet] = claimMatch;
+            const backend = backendFor(product);
+            const { day, period } = parsePool(backend, dayParam, periodParam);
+            const claims = await backend.findUserClaimData(wallet, day, period);
+            if (claims.length === 0) {
+                throw new HttpError(404, `No claim data for ${wallet} in Day ${day}, Period ${period}`);
+            }
+            return { status: 200, body: { wallet, day, period, claims } };
+        }
+
+        const callMatch = url.pathname.match(CLAIM_CALL_ROUTE);
+        if (callMatch && req.method === 'GET') {
+            const [, product, positionId] = callMatch;
+            const builder = new ClaimTransactionBuilder(backendFor(product));
+            const claim = url.searchParams.get('simulate') === 'false'
+                ? await builder.build(positionId)
+                : await builder.prepare(positionId);
+            return { status: 200, body: claim };
+        }
+
+        const relayMatch = url.pathname.match(CLAIM_RELAY_ROUTE);
+        if (relayMatch) {
+            const [, product, positionId] = relayMatch;
+            const relay = relayFor(product);
+            if (req.method === 'GET') {
+                return { status: 200, body: await relay.prepare(positionId) };
+            }
+            if (req.method === 'POST') {
+                logger.info('Gasless claim submitted', { product, position_id: positionId });
+                return { status: 200, body: await relay.submit(positionId, await readJson(req)) };
+            }
+            throw new HttpError(405, `${req.method} not allowed on ${url.pathname}`);
+        }
+
+        throw new HttpError(404, 'Not found');
+    }
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'GET' && url.pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            res.end(metrics.registry.render());
+            return;
+        }
+        try {
+            const { status, body } = await route(req, url);
+            sendJson(res, status, body);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                logger.error('Admin API request failed', { method: req.method, path: url.pathname, error: error.message });
+            }
+            sendJson(res, status, { error: error.message, ...(error.simulation ? { simulation: error.simulation } : {}) });
+        }
+    });
+}
+
+/**
+ * Builds every configured backend, keyed by product slug: `alarm` is the STRK
+ * deployment, other tokens get `alarm-<token>` (e.g. alarm-eth), plus `focus-lock`.
+ * @param {Object} env - Environment map
+ * @param {Object} [overrides] - Constructor options shared by every backend (e.g. logger, metrics)
+ * @returns {Object<string, SettlementBackend>}
+ */
+function backendsFromEnv(env, overrides = {}) {
+    const { AlarmContractBackend } = require('./alarm_backend');
+    const { FocusLockContractBackend } = require('./focus_lock_backend');
+
+    const backends = {};
+    for (const backend of AlarmContractBackend.allFromEnv(env, overrides)) {
+        backends[backend.token === 'STRK' ? 'alarm' : `alarm-${backend.token.toLowerCase()}`] = backend;
+    }
+    backends['focus-lock'] = FocusLockContractBackend.fromEnv(env, overrides);
+    return backends;
+}
+
+async function main() {
+    const logger = loggerFromEnv(process.env, process.argv.includes('--pretty') ? { format: 'pretty' } : {});
+    try {
+        if (!process.env.ADMIN_API_TOKEN) {
+            logger.warn('ADMIN_API_TOKEN not set, finalize requests will be refused');
+        }
+
+        const metrics = new SettlementMetrics();
+        const backends = backendsFromEnv(process.env, { logger, metrics });
+
+        const server = createAdminServer({
+            backends,
+            adminToken: process.env.ADMIN_API_TOKEN,
+            logger,
+            metrics,
+            relayOptions: relayOptionsFromEnv(process.env)
+        });
+
+        const port = Number(process.env.ADMIN_API_PORT) || 8080;
+        server.listen(port, () => logger.info('Admin API listening', { url: `http://localhost:${port}` }));
+    } catch (error) {
+        logger.error('Admin API failed to start', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = { createAdminServer, backendsFromEnv };
+
+if (require.main === module) {
+    main();
+}
@@ -1,160 +1,163 @@
 // alarm_backend.js - Integrated Database & Blockchain Backend
-require('dotenv').config({ path: '../doc_2025-09-09_20-45-53.env' });
-const { createClient } = require('@supabase/supabase-js');
-const { Account, RpcProvider, hash, ec, Felt, getSelectorByName } = require('starknet');
+require('dotenv').config({ path: '../.env' });
+const { hash, shortString } = require('starknet');
+const { PoolStrategy, SettlementBackend, U64_LIMIT, toBigInt, toHexString, parseRunFlagsOrExit, writeDryRunReport } = require('./settlement_core');
+const { loggerFromEnv } = require('./logger');
+const { getRewardPolicy } = require('./reward_policy');
 
-// Try to import PaymasterRpc - might not be available in all versions
-let PaymasterRpc;
-try {
-    PaymasterRpc = require('starknet').PaymasterRpc;
-} catch (e) {
-    console.log('⚠️  PaymasterRpc not available in this starknet version - transactions will not be sponsored');
+const STAKE_SOURCES = ['database', 'chain'];
+
+/**
+ * Pool strategy for the Alarm Clock contract: 12-hour AM/PM pools settled under
+ * the alarm reward policy (snooze-based slashing, stake-weighted rewards for users who never snoozed).
+ */
+class AlarmPoolStrategy extends PoolStrategy {
+    constructor() {
+        super();
+        this.name = 'alarm';
+        this.slotSeconds = 43200;
+        this.merkleRootEntrypoint = 'set_merkle_root_for_pool';
+        this.claimEntrypoint = 'claim_winnings';
+        this.verifyRootOnChain = true;
+        this.positionsTable = 'alarms';
+        this.claimsTable = 'user_claim_data';
+        this.positionIdField = 'alarm_id';
+        this.claimEventsTable = 'chain_winnings_claimed';
+        this.claimStatusEntrypoint = 'get_has_claimed_winnings';
+        this.auditFields = ['stake_amount', 'wake_up_time'];
+        this.rewardPolicy = getRewardPolicy('alarm-v2');
+    }
+
+    /**
+     * Message Hash: [caller, wakeup_time, snooze_count]
+     */
+    signaturePayload(user) {
+        return [toBigInt(user.address), toBigInt(user.wake_up_time), toBigInt(user.snooze_count)];
+    }
+
+    validateUser(user) {
+        const wakeUpTime = toBigInt(user.wake_up_time);
+        if (wakeUpTime < 0n || wakeUpTime >= U64_LIMIT) {
+            throw new Error(`wake_up_time out of u64: ${user.wake_up_time}`);
+        }
+        const snoozeCount = Number(user.snooze_count);
+        if (snoozeCount < 0 || snoozeCount > 255) {
+            throw new Error(`snooze_count out of u8: ${user.snooze_count}`);
+        }
+    }
+
+    /**
+     * claim_winnings(wakeup_time: u64, snooze_count: u8, signature, reward_amount, merkle_proof);
+     * the contract derives the pool from wakeup_time.
+     */
+    claimPositionArgs(position) {
+        return [toHexString(position.wake_up_time), toHexString(position.snooze_count)];
+    }
+
+    /**
+     * get_has_claimed_winnings(user, day, period)
+     */
+    async readClaimStatus(position, backend) {
+        const res = await backend.provider.callContract({
+            contractAddress: backend.getContractAddress(),
+            entrypoint: this.claimStatusEntrypoint,
+            calldata: [position.address, String(position.day), String(position.period)]
+        });
+        const arr = res.result || res;
+        return toBigInt(arr[0]) === BigInt(1);
+    }
+
+    /**
+     * get_user_alarm(user, day, period) → (stake_amount, wakeup_time, status); 'Inactive' means no alarm.
+     */
+    async readOnChainPosition(user, backend) {
+        const { day, period } = this.getPoolInfo(Number(user.wake_up_time));
+        const res = await backend.provider.callContract({
+            contractAddress: backend.getContractAddress(),
+            entrypoint: 'get_user_alarm',
+            calldata: [user.address, String(day), String(period)]
+        });
+        const arr = res.result || res;
+        // arr: [stake_low, stake_high, wakeup_time, status]
+        if (shortString.decodeShortString(toHexString(arr[3])) === 'Inactive') {
+            return false;
+        }
+        return {
+            stake_amount: (toBigInt(arr[0]) + (toBigInt(arr[1]) << BigInt(128))).toString(),
+            wake_up_time: toBigInt(arr[2]).toString()
+        };
+    }
 }
 
 /**
  * Backend logic for the Alarm Clock smart contract.
- * This class handles calculating stake returns, user rewards,
- * generating cryptographic proofs, and executing blockchain transactions.
+ * Supplies the alarm database queries on top of the shared settlement pipeline,
+ * which handles rewards, proofs, signatures and the on-chain merkle root.
  * Integrated with Supabase database and AVNU paymaster for gasless transactions.
+ *
+ * The alarm contract is deployed once per staking token (STRK, ETH). A backend
+ * settles one token: it only reads alarms with that `token` and finalizes its
+ * (token, day, period) pools against that token's contract, each with its own root.
  */
-class AlarmContractBackend {
-    constructor() {
-        this.PERCENT_BASE = BigInt(100);
-        this.SLASH_20_PERCENT = BigInt(80);
-        this.SLASH_50_PERCENT = BigInt(50);
-        this.SLASH_100_PERCENT = BigInt(0);
-        
-        // Initialize clients
-        this.supabase = null;
-        this.provider = null;
-        this.paymasterRpc = null;
-        this.account = null;
-        
-        console.log('🏗️ AlarmContractBackend initialized');
+class AlarmContractBackend extends SettlementBackend {
+    /**
+     * @param {Object} [options] - Clients and settings, see SettlementBackend; `token` selects the deployment.
+     *   Use AlarmContractBackend.fromEnv() / allFromEnv() to build them from environment variables.
+     * @param {string} [options.stakeSource='database'] - 'chain' settles with the stakes and wakeup
+     *   times of the indexed AlarmSet events (see event_indexer.js) instead of the app-written rows
+     */
+    constructor(options = {}) {
+        super(new AlarmPoolStrategy(), options);
+        this.stakeSource = options.stakeSource || 'database';
+        if (!STAKE_SOURCES.includes(this.stakeSource)) {
+            throw new Error(`Unknown stake source ${this.stakeSource} (expected ${STAKE_SOURCES.join(' or ')})`);
+        }
     }
 
     /**
-     * Initialize all services (Supabase, Starknet, AVNU Paymaster)
+     * Reads ALARM_STAKE_SOURCE on top of the shared environment options.
      */
-    async initialize() {
-        try {
-            console.log('🔧 ========== INITIALIZING BACKEND SERVICES ==========');
-            
-            // Initialize Supabase
-            console.log('📊 Initializing Supabase client...');
-            const supabaseUrl = process.env.SUPABASE_URL;
-            const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
-            
-            if (!supabaseUrl || !supabaseServiceKey) {
-                throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
-            }
-            
-            this.supabase = createClient(supabaseUrl, supabaseServiceKey);
-            console.log('✅ Supabase client initialized');
-            
-            // Initialize Starknet Provider
-            console.log('⚡ Initializing Starknet provider...');
-            const rpcUrl = process.env.STARKNET_RPC_URL;
-            if (!rpcUrl) {
-                throw new Error('Missing STARKNET_RPC_URL environment variable');
-            }
-            
-            this.provider = new RpcProvider({ 
-                nodeUrl: rpcUrl
-                // Simplified config for v8 RPC compatibility - removed blockIdentifier and default
-            });
-            console.log('✅ Starknet provider initialized');
-            
-            // Initialize AVNU Paymaster (if available)
-            console.log('💰 Initializing AVNU Paymaster...');
-            const paymasterRpc = process.env.AVNU_PAYMASTER_RPC || 'https://sepolia.paymaster.avnu.fi';
-            const paymasterApiKey = process.env.AVNU_PAYMASTER_API_KEY;
-            
-            if (PaymasterRpc && paymasterApiKey) {
-                try {
-                    this.paymasterRpc = new PaymasterRpc({
-                        nodeUrl: paymasterRpc,
-                        headers: { 'api-key': paymasterApiKey }
-                    });
-                    console.log('✅ AVNU Paymaster initialized (sponsored transactions enabled)');
-                } catch (error) {
-                    console.log('⚠️  AVNU Paymaster failed to initialize:', error.message);
-                    console.log('⚠️  Will use regular transactions instead');
-                    this.paymasterRpc = null;
-                }
-            } else {
-                console.log('⚠️  AVNU Paymaster not available - using regular transactions');
-                this.paymasterRpc = null;
-            }
-            
-            // Initialize Account
-            console.log('🔑 Initializing deployer account...');
-            const deployerAddress = process.env.DEPLOYER_ADDRESS;
-            const deployerPrivateKey = process.env.DEPLOYER_PRIVATE_KEY;
-            
-            if (!deployerAddress || !deployerPrivateKey) {
-                throw new Error('Missing DEPLOYER_ADDRESS or DEPLOYER_PRIVATE_KEY environment variables');
-            }
-            
-            if (this.paymasterRpc) {
-                this.account = new Account(
-                    this.provider,
-                    deployerAddress,
-                    deployerPrivateKey,
-                    undefined,
-                    this.paymasterRpc
-                );
-                console.log('✅ Deployer account initialized with paymaster support');
-            } else {
-                this.account = new Account(
-                    this.provider,
-                    deployerAddress,
-                    deployerPrivateKey
-                );
-                console.log('✅ Deployer account initialized (regular transactions)');
-            }
-            
-            console.log('🎉 ========== ALL SERVICES INITIALIZED SUCCESSFULLY ==========');
-        } catch (error) {
-            console.error('❌ Backend initialization failed:', error);
-            throw error;
-        }
+    static fromEnv(env = process.env, overrides = {}) {
+        return super.fromEnv(env, { stakeSource: env.ALARM_STAKE_SOURCE, ...overrides });
+    }
+
+    /**
+     * ALARM_CONTRACT_ADDRESS_STRK, ALARM_CONTRACT_ADDRESS_ETH
+     */
+    static contractAddressEnvFor(token) {
+        return `ALARM_CONTRACT_ADDRESS_${token.toUpperCase()}`;
     }
 
     /**
-     * Calculate day and period from wakeup_time
-     * @param {number} wakeupTime - Unix timestamp
-     * @returns {Object} {day, period} where period is 0=AM, 1=PM
+     * PostgREST `or` filter restricting alarms to this backend's token. Rows written before the
+     * token column existed (token null) are STRK alarms, so the STRK backend takes them too.
      */
-    getPoolInfo(wakeupTime) {
-        const day = Math.floor(wakeupTime / 86400); // Unix day
-        const period = Math.floor((wakeupTime % 86400) / 43200); // 0=AM, 1=PM
-        console.log(`📊 Pool Info - Wakeup Time: ${wakeupTime} → Day: ${day}, Period: ${period}`);
-        return { day, period };
+    tokenFilter() {
+        return this.token === 'STRK' ? 'token.eq.STRK,token.is.null' : `token.eq.${this.token}`;
     }
 
     /**
-     * Find all pools that need processing (have claim_ready = false)
+     * Find all pools of this backend's token that need processing (have claim_ready = false)
      * @returns {Promise<Array>} Array of {day, period} objects
      */
     async findAllUnprocessedPools() {
         try {
-            console.log(`🔍 ========== FINDING ALL UNPROCESSED POOLS ==========`);
-            
             // Get all alarms that haven't been processed yet
             const { data: alarms, error } = await this.supabase
                 .from('alarms')
                 .select('wakeup_time')
+                .or(this.tokenFilter())
                 .eq('claim_ready', false)
                 .order('wakeup_time', { ascending: true });
             
             if (error) {
+                this.recordError('supabase', 'find_unprocessed_pools');
                 throw new Error(`Database query failed: ${error.message}`);
             }
             
             if (!alarms || alarms.length === 0) {
-                console.log(`✅ No unprocessed alarms found`);
-                return [];
+                this.logger.info('No unprocessed alarms found');
+                return this.trackUnprocessedPools([]);
             }
             
             // Group by unique pool (day, period)
@@ -171,16 +174,15 @@ class AlarmContractBackend {
                 }
             }
             
-            console.log(`📊 Found ${pools.length} unprocessed pools from ${alarms.length} unprocessed alarms`);
-            pools.forEach(p => {
-                const date = new Date((p.day * 86400 + p.period * 43200) * 1000);
-                console.log(`   📅 Day ${p.day}, Period ${p.period} (${date.toLocaleString()})`);
+            this.logger.info('Found unprocessed pools', {
+                pools: pools.map(p => `${p.day}/${p.period}`),
+                alarms: alarms.length
             });
             
-            return pools;
+            return this.trackUnprocessedPools(pools);
             
         } catch (error) {
-            console.error(`❌ Failed to find unprocessed pools:`, error);
+            this.logger.error('Failed to find unprocessed pools', { error: error.message });
             return [];
         }
     }
@@ -191,73 +193,51 @@ class AlarmContractBackend {
      */
     async findLatestPoolWithAlarms() {
         try {
-            console.log(`🔍 ========== FINDING LATEST POOL WITH ALARMS ==========`);
-            
-            // Debug: First check if any alarms exist at all
-            console.log(`🔧 DEBUG: Testing basic alarms table access...`);
-            const { data: testAlarms, error: testError } = await this.supabase
-                .from('alarms')
-                .select('id, wakeup_time')
-                .limit(5);
-            
-            console.log(`🔧 DEBUG: Basic query result: ${testAlarms?.length || 0} alarms, error: ${testError?.message || 'none'}`);
-            if (testAlarms && testAlarms.length > 0) {
-                testAlarms.forEach(alarm => {
-                    console.log(`   🔧 Alarm: ${alarm.id?.substring(0, 8)} - ${alarm.wakeup_time}`);
-                });
-            }
-            
             // Get the most recent alarm (use same query pattern as fetchAlarmsFromDatabase)
-            console.log(`🔧 DEBUG: Querying for latest alarm with profiles join...`);
             const { data: alarms, error } = await this.supabase
                 .from('alarms')
                 .select(`
                     wakeup_time,
                     profiles!inner(wallet_address)
                 `)
+                .or(this.tokenFilter())
                 .order('wakeup_time', { ascending: false })
                 .limit(1);
             
-            console.log(`🔧 DEBUG: Profiles join query result: ${alarms?.length || 0} alarms, error: ${error?.message || 'none'}`);
-            
             if (error) {
-                console.log(`🔧 DEBUG: Query error details:`, error);
+                this.recordError('supabase', 'find_latest_pool');
                 throw new Error(`Database query failed: ${error.message}`);
             }
             
             if (!alarms || alarms.length === 0) {
-                console.log(`⚠️ No alarms found in database (with profile join)`);
-                
                 // Try without profiles join as fallback
-                console.log(`🔧 DEBUG: Trying without profiles join...`);
-                const { data: fallbackAlarms, error: fallbackError } = await this.supabase
+                const { data: fallbackAlarms } = await this.supabase
                     .from('alarms')
                     .select('wakeup_time')
+                    .or(this.tokenFilter())
                     .order('wakeup_time', { ascending: false })
                     .limit(1);
                 
-                console.log(`🔧 DEBUG: Fallback query result: ${fallbackAlarms?.length || 0} alarms`);
-                
                 if (fallbackAlarms && fallbackAlarms.length > 0) {
-                    console.log(`⚠️ Found alarms without profile join - profile relationship issue detected`);
+                    this.logger.warn('Latest alarm has no matching profile, profile relationship issue detected');
                     const latestWakeupTime = fallbackAlarms[0].wakeup_time;
                     const poolInfo = this.getPoolInfo(latestWakeupTime);
                     return poolInfo;
                 }
                 
+                this.logger.warn('No alarms found in database');
                 return null;
             }
             
             const latestWakeupTime = alarms[0].wakeup_time;
             const poolInfo = this.getPoolInfo(latestWakeupTime);
             
-            console.log(`✅ Latest alarm pool found: Day ${poolInfo.day}, Period ${poolInfo.period}`);
-            console.log(`📅 Latest alarm time: ${new Date(latestWakeupTime * 1000)}`);
+            this.logger.info('Latest alarm pool found', { ...poolInfo, wakeup_time: latestWakeupTime });
             
             return poolInfo;
             
         } catch (error) {
-            console.error(`❌ Failed to find latest pool:`, error);
+            this.logger.error('Failed to find latest pool', { error: error.message });
             return null;
         }
     }
@@ -270,16 +250,8 @@ class AlarmContractBackend {
      */
     async fetchAlarmsFromDatabase(day, period) {
         try {
-            console.log(`🔍 ========== FETCHING ALARMS FROM DATABASE ==========`);
-            console.log(`📊 Querying for Day: ${day}, Period: ${period}`);
-            
             // Calculate time range for this day/period
-            const dayStart = day * 86400;
-            const periodStart = dayStart + (period * 43200); // 0 or 43200 seconds
-            const periodEnd = periodStart + 43200; // Next 12 hours
-            
-            console.log(`⏰ Time Range: ${periodStart} - ${periodEnd}`);
-            console.log(`📅 Date Range: ${new Date(periodStart * 1000)} - ${new Date(periodEnd * 1000)}`);
+            const { periodStart, periodEnd } = this.strategy.getPeriodBounds(day, period);
             
             // Query alarms with profile data (exclude soft-deleted alarms)
             const { data: alarms, error } = await this.supabase
@@ -288,21 +260,21 @@ class AlarmContractBackend {
                     *,
                     profiles!inner(wallet_address)
                 `)
+                .or(this.tokenFilter())
                 .gte('wakeup_time', periodStart)
                 .lt('wakeup_time', periodEnd)
                 .order('wakeup_time');
             
             if (error) {
+                this.recordError('supabase', 'fetch_pool_users');
                 throw new Error(`Database query failed: ${error.message}`);
             }
             
             if (!alarms || alarms.length === 0) {
-                console.log(`⚠️ No alarms found for Day ${day}, Period ${period}`);
+                this.logger.warn('No alarms found for pool', { period_start: periodStart, period_end: periodEnd });
                 return [];
             }
             
-            console.log(`✅ Found ${alarms.length} alarms for this pool:`);
-            
             // Transform data to match expected format
             const transformedAlarms = alarms.map(alarm => {
                 const userData = {
@@ -313,638 +285,206 @@ class AlarmContractBackend {
                     alarm_id: alarm.id // Keep alarm ID for database updates
                 };
                 
-                console.log(`   👤 User: ${userData.address}`);
-                console.log(`      Wakeup: ${userData.wake_up_time} (${new Date(parseInt(userData.wake_up_time) * 1000)})`);
-                console.log(`      Stake: ${userData.stake_amount}`);
-                console.log(`      Snoozes: ${userData.snooze_count}`);
+                this.logger.debug('Alarm loaded', userData);
                 
                 return userData;
             });
             
-            console.log(`🎉 Database fetch completed successfully`);
+            this.logger.info('Alarms fetched from database', { alarms: transformedAlarms.length, period_start: periodStart, period_end: periodEnd });
             return transformedAlarms;
             
         } catch (error) {
-            console.error(`❌ Failed to fetch alarms from database:`, error);
+            this.logger.error('Failed to fetch alarms from database', { error: error.message });
             throw error;
         }
     }
 
     /**
-     * Helper: Normalizes a value to a "0x..." hex string.
-     * @param {string | number | bigint} val - The value to normalize.
-     * @returns {string} The normalized hex string.
+     * Replaces each alarm's stake and wakeup time with the indexed AlarmSet event of its
+     * user in this pool. An alarm without an event fails the pool: either the indexer is
+     * behind or the app recorded an alarm the contract never saw.
+     * @param {number} day - Unix day
+     * @param {number} period - 0=AM, 1=PM
+     * @param {Array} users - Alarms from fetchAlarmsFromDatabase
+     * @returns {Promise<Array>} The alarms with chain values
      */
-    toHexString(val) {
-        if (typeof val === 'string' && val.startsWith('0x')) {
-            return val.toLowerCase();
+    async applyIndexedAlarms(day, period, users) {
+        const { data: events, error } = await this.supabase
+            .from('chain_alarm_sets')
+            .select('user_address, wakeup_time, stake_amount, block_number')
+            .eq('contract_address', this.getContractAddress())
+            .eq('day', day)
+            .eq('period', period);
+
+        if (error) {
+            this.recordError('supabase', 'fetch_indexed_alarms');
+            throw new Error(`Failed to read indexed AlarmSet events: ${error.message}`);
         }
-        return '0x' + BigInt(val).toString(16);
-    }
 
-    /**
-     * Parses a "0x..." hex string or number into a BigInt.
-     * @param {string | number | bigint} val - The value to parse.
-     * @returns {bigint} The parsed BigInt.
-     */
-    toBigInt(val) {
-        if (typeof val === 'bigint') {
-            return val;
-        }
-        if (typeof val === 'number') {
-            return BigInt(val);
-        }
-        if (typeof val === 'string' && val.startsWith('0x')) {
-            return BigInt(val);
+        const byUser = new Map((events || []).map(event => [toBigInt(event.user_address), event]));
+        const missing = [];
+        const alarms = users.map(user => {
+            const event = byUser.get(toBigInt(user.address));
+            if (!event) {
+                missing.push(user.address);
+                return user;
+            }
+            if (event.stake_amount !== user.stake_amount || String(event.wakeup_time) !== user.wake_up_time) {
+                this.logger.warn('Alarm differs from its AlarmSet event, settling with the chain values', {
+                    address: user.address,
+                    alarm_id: user.alarm_id,
+                    stake_amount: user.stake_amount,
+                    chain_stake_amount: event.stake_amount,
+                    wake_up_time: user.wake_up_time,
+                    chain_wakeup_time: event.wakeup_time
+                });
+            }
+            return { ...user, stake_amount: event.stake_amount, wake_up_time: String(event.wakeup_time) };
+        });
+
+        if (missing.length > 0) {
+            throw new Error(`No indexed AlarmSet event for ${missing.length} alarm(s) of Day ${day}, Period ${period}: ${missing.join(', ')} (is the event indexer behind?)`);
         }
-        return BigInt(val);
+        return alarms;
     }
 
     /**
-     * Helper to split u256 to Cairo format (low, high)
-     * @param {string | number | bigint} val - The u256 value
-     * @returns {Array<string>} [low, high] as strings
+     * Indexed AlarmSet events of the pool, so the audit can name on-chain alarms without a row.
      */
-    toU256Parts(val) {
-        const n = BigInt(val);
-        const low = n & ((1n << 128n) - 1n);
-        const high = n >> 128n;
-        return [low.toString(), high.toString()];
+    async fetchIndexedPositions(day, period) {
+        const { data: events, error } = await this.supabase
+            .from('chain_alarm_sets')
+            .select('user_address, wakeup_time, stake_amount, transaction_hash')
+            .eq('contract_address', this.getContractAddress())
+            .eq('day', day)
+            .eq('period', period);
+
+        if (error) {
+            this.recordError('supabase', 'fetch_indexed_alarms');
+            throw new Error(`Failed to read indexed AlarmSet events: ${error.message}`);
+        }
+        return (events || []).map(event => ({
+            address: event.user_address,
+            wake_up_time: String(event.wakeup_time),
+            stake_amount: event.stake_amount,
+            transaction_hash: event.transaction_hash
+        }));
     }
 
     /**
-     * Calculates the amount of stake a user gets back based on their snooze count.
-     * @param {bigint | string} stakeAmount - The user's initial stake.
-     * @param {number} snoozeCount - The number of times the user snoozed.
-     * @returns {bigint} The amount of stake to be returned.
+     * Pool users for the shared settlement pipeline.
      */
-    calculateStakeReturn(stakeAmount, snoozeCount) {
-        const stake = BigInt(stakeAmount);
-        switch (Number(snoozeCount)) {
-            case 0:
-                return stake;
-            case 1:
-                return (stake * this.SLASH_20_PERCENT) / this.PERCENT_BASE;
-            case 2:
-                return (stake * this.SLASH_50_PERCENT) / this.PERCENT_BASE;
-            default:
-                return this.SLASH_100_PERCENT;
-        }
+    async fetchPoolUsers(day, period) {
+        const alarms = await this.fetchAlarmsFromDatabase(day, period);
+        return this.stakeSource === 'chain' ? this.applyIndexedAlarms(day, period, alarms) : alarms;
     }
 
     /**
-     * Calculates the total amount of stake slashed from all users.
-     * @param {Array<Object>} users - A list of user objects with stake and snooze info.
-     * @returns {bigint} The total amount slashed.
+     * With stakeSource 'chain' the pool was settled and signed with the indexed AlarmSet values,
+     * so the position takes them too; its day and period stay those of the database row.
      */
-    calculateTotalSlashedAmount(users) {
-        let totalSlashed = BigInt(0);
-        for (const user of users) {
-            const stakeAmount = this.toBigInt(user.stake_amount);
-            const returnAmount = this.calculateStakeReturn(stakeAmount, user.snooze_count);
-            totalSlashed += (stakeAmount - returnAmount);
+    async resolveSignedPosition(position) {
+        if (this.stakeSource !== 'chain') {
+            return super.resolveSignedPosition(position);
         }
-        return totalSlashed;
+        const [indexed] = await this.applyIndexedAlarms(position.day, position.period, [position]);
+        return super.resolveSignedPosition(indexed);
     }
 
     /**
-     * Calculates the rewards for winning users (who didn't snooze).
-     * Rewards are distributed proportionally to their stake from the reward pool amount.
-     * @param {Array<Object>} users - A list of all user objects.
-     * @param {bigint} rewardPool - The total reward pool to distribute (after protocol fees).
-     * @returns {Array<Object>} An array of winner objects with their address and reward amount.
+     * Alarms of this backend's token whose stake the contract still holds.
      */
-    calculateRewards(users, rewardPool = null) {
-        const winners = users.filter(u => Number(u.snooze_count) === 0);
-        
-        // If rewardPool not provided, use total slashed (backward compatibility)
-        let poolAmount = rewardPool;
-        if (poolAmount === null) {
-            poolAmount = this.calculateTotalSlashedAmount(users);
-        }
-        
-        if (winners.length === 0 || poolAmount === BigInt(0)) {
-            return [];
+    async fetchUnclaimedPositions() {
+        const { data: alarms, error } = await this.supabase
+            .from('alarms')
+            .select(`
+                *,
+                profiles!inner(wallet_address)
+            `)
+            .or(this.tokenFilter())
+            .eq('has_claimed', false);
+
+        if (error) {
+            this.recordError('supabase', 'fetch_unclaimed_positions');
+            throw new Error(`Failed to fetch unclaimed alarms: ${error.message}`);
         }
 
-        const totalWinnerStake = winners.reduce((sum, w) => sum + this.toBigInt(w.stake_amount), BigInt(0));
-        if (totalWinnerStake === BigInt(0)) {
-            return [];
-        }
-
-        return winners.map(winner => {
-            const winnerStake = this.toBigInt(winner.stake_amount);
-            const proportionalReward = (poolAmount * winnerStake) / totalWinnerStake;
-            return {
-                address: winner.address,
-                reward_amount: proportionalReward.toString()
-            };
-        });
+        return (alarms || []).map(alarm => ({
+            address: alarm.profiles.wallet_address,
+            ...this.getPoolInfo(Number(alarm.wakeup_time)),
+            stake_amount: alarm.stake_amount.toString(),
+            snooze_count: alarm.snooze_count || 0,
+            claim_ready: alarm.claim_ready === true,
+            alarm_id: alarm.id
+        }));
     }
 
     /**
-     * Validates the input types and ranges for user data.
-     * @param {Array<Object>} users - A list of user objects to validate.
-     * @throws {Error} If any user data is invalid.
+     * One alarm of this backend's token, shaped like a pool user.
      */
-    validateInputTypes(users) {
-        for (const user of users) {
-            if (!user.address || typeof user.address !== 'string' || !user.address.startsWith('0x')) {
-                throw new Error(`Invalid address: ${JSON.stringify(user)}`);
-            }
-            const wakeUpTime = this.toBigInt(user.wake_up_time);
-            if (wakeUpTime < 0n || wakeUpTime >= (1n << 64n)) {
-                throw new Error(`wake_up_time out of u64: ${user.wake_up_time}`);
-            }
-            const snoozeCount = Number(user.snooze_count);
-            if (snoozeCount < 0 || snoozeCount > 255) {
-                throw new Error(`snooze_count out of u8: ${user.snooze_count}`);
-            }
-            const stakeAmount = this.toBigInt(user.stake_amount);
-            if (stakeAmount < 0n || stakeAmount >= (1n << 256n)) {
-                throw new Error(`stake_amount out of u256: ${user.stake_amount}`);
-            }
+    async fetchPosition(alarmId) {
+        const { data: alarm, error } = await this.supabase
+            .from('alarms')
+            .select(`
+                *,
+                profiles!inner(wallet_address)
+            `)
+            .eq('id', alarmId)
+            .or(this.tokenFilter())
+            .maybeSingle();
+
+        if (error) {
+            this.recordError('supabase', 'fetch_position');
+            throw new Error(`Failed to fetch alarm ${alarmId}: ${error.message}`);
         }
-    }
-
-    /**
-     * Creates a cryptographic signature for a user's outcome using a private key.
-     * @param {string} userAddress - The user's wallet address.
-     * @param {string | number | bigint} wakeUpTime - The user's wake-up timestamp.
-     * @param {number} snoozeCount - The user's snooze count.
-     * @param {string} privateKey - The verifier's private key.
-     * @returns {Object} An object containing the message hash, signature (r, s), and public key.
-     */
-    createOutcomeSignature(userAddress, wakeUpTime, snoozeCount, privateKey) {
-        let normalizedPrivateKey = privateKey;
-        if (!normalizedPrivateKey.startsWith('0x')) {
-            normalizedPrivateKey = '0x' + normalizedPrivateKey;
+        if (!alarm) {
+            return null;
         }
 
-        const callerFelt = this.toBigInt(userAddress);
-        const wakeFelt = this.toBigInt(wakeUpTime);
-        const snoozeFelt = this.toBigInt(snoozeCount);
-
-        const messageHash = hash.computePoseidonHashOnElements([callerFelt, wakeFelt, snoozeFelt]);
-        const signature = ec.starkCurve.sign(messageHash, normalizedPrivateKey);
-
         return {
-            message_hash: this.toHexString(messageHash),
-            signature_r: this.toHexString(signature.r),
-            signature_s: this.toHexString(signature.s),
-            public_key: this.toHexString(ec.starkCurve.getStarkKey(normalizedPrivateKey)),
+            address: alarm.profiles.wallet_address,
+            ...this.getPoolInfo(Number(alarm.wakeup_time)),
+            wake_up_time: alarm.wakeup_time.toString(),
+            stake_amount: alarm.stake_amount.toString(),
+            snooze_count: alarm.snooze_count || 0,
+            claim_ready: alarm.claim_ready === true,
+            has_claimed: alarm.has_claimed === true,
+            alarm_id: alarm.id
         };
     }
 
     /**
-     * Creates a Merkle tree leaf hash for a user and their reward amount.
-     * @param {string} userAddress - The user's wallet address.
-     * @param {string | bigint} rewardAmount - The user's reward amount.
-     * @returns {string} The hex string of the leaf hash.
-     */
-    createMerkleLeaf(userAddress, rewardAmount) {
-        const callerFelt = this.toBigInt(userAddress);
-        const reward = this.toBigInt(rewardAmount);
-
-        const mask128 = (BigInt(1) << BigInt(128)) - BigInt(1);
-        const rewardLow = reward & mask128;
-        const rewardHigh = reward >> BigInt(128);
-
-        const leafHash = hash.computePoseidonHashOnElements([callerFelt, rewardLow, rewardHigh]);
-        return this.toHexString(leafHash);
-    }
-
-    /**
-     * Set merkle root on-chain using AVNU sponsored transaction
-     * @param {number} day - Unix day
-     * @param {number} period - 0=AM, 1=PM
-     * @param {string} merkleRoot - Merkle root hash
-     * @param {bigint | string} newRewards - Total new rewards from slashed amounts (u256)
-     * @param {bigint | string} protocolFees - Protocol fees (10% of total rewards, u256)
-     * @returns {Promise<string>} Transaction hash
-     */
-    async setMerkleRootOnChain(day, period, merkleRoot, newRewards, protocolFees) {
-        try {
-            console.log(`🚀 ========== SETTING MERKLE ROOT ON-CHAIN ==========`);
-            console.log(`📊 Pool: Day ${day}, Period ${period}`);
-            console.log(`🌳 Merkle Root: ${merkleRoot}`);
-            console.log(`💰 New Rewards: ${newRewards.toString()}`);
-            console.log(`💼 Protocol Fees: ${protocolFees.toString()}`);
-            
-            const alarmContractAddress = process.env.ALARM_CONTRACT_ADDRESS_STRK;
-            if (!alarmContractAddress) {
-                throw new Error('Missing ALARM_CONTRACT_ADDRESS_STRK environment variable');
-            }
-            
-            console.log(`📋 Contract Address: ${alarmContractAddress}`);
-            
-            // Split u256 values into low/high parts
-            const newRewardsParts = this.toU256Parts(newRewards);
-            const protocolFeesParts = this.toU256Parts(protocolFees);
-            
-            // Prepare contract call
-            const calls = [{
-                contractAddress: alarmContractAddress,
-                entrypoint: 'set_merkle_root_for_pool',
-                calldata: [
-                    day.toString(),           // day as u64
-                    period.toString(),       // period as u8 (0=AM, 1=PM)
-                    merkleRoot,              // merkle_root as felt252
-                    ...newRewardsParts,      // new_rewards as u256 (low, high)
-                    ...protocolFeesParts     // protocol_fees as u256 (low, high)
-                ]
-            }];
-            
-            console.log(`🔨 Contract Call Prepared:`);
-            console.log(`   Function: set_merkle_root_for_pool`);
-            console.log(`   Day: ${day} (type: ${typeof day})`);
-            console.log(`   Period: ${period} (type: ${typeof period})`);
-            console.log(`   Merkle Root: ${merkleRoot} (type: ${typeof merkleRoot})`);
-            console.log(`   New Rewards: ${newRewards.toString()} (u256: low=${newRewardsParts[0]}, high=${newRewardsParts[1]})`);
-            console.log(`   Protocol Fees: ${protocolFees.toString()} (u256: low=${protocolFeesParts[0]}, high=${protocolFeesParts[1]})`);
-            console.log(`🔍 Debug - Call Data:`);
-            console.log(`   Day string: '${day.toString()}'`);
-            console.log(`   Period string: '${period.toString()}'`);
-            console.log(`   Merkle Root: '${merkleRoot}'`);
-            console.log(`   New Rewards (low, high): '${newRewardsParts[0]}', '${newRewardsParts[1]}'`);
-            console.log(`   Protocol Fees (low, high): '${protocolFeesParts[0]}', '${protocolFeesParts[1]}'`);
-            
-            // Execute transaction (sponsored or regular)
-            let result;
-            
-            if (this.paymasterRpc) {
-                console.log(`💰 Executing sponsored transaction via AVNU Paymaster...`);
-                
-                try {
-                    const feesDetails = {
-                        feeMode: { mode: 'sponsored' }
-                    };
-                    
-                    result = await this.account.executePaymasterTransaction(
-                        calls,
-                        feesDetails
-                    );
-                } catch (error) {
-                    console.log(`❌ Paymaster execution failed:`, error);
-                    throw error;
-                }
-            } else {
-                console.log(`💳 Executing regular transaction (gas fees will be paid)...`);
-                
-                try {
-                    console.log(`🔍 About to execute with calls:`, JSON.stringify(calls, null, 2));
-                    
-                    // Bypass fee estimation by providing manual parameters for v8 RPC compatibility
-                    console.log(`🔍 Executing transaction with manual fee parameters...`);
-                    
-                    result = await this.account.execute(calls, undefined, {
-                        maxFee: '1000000000000000', // 0.001 ETH
-                        version: 2 // Use V1 to avoid V3 compatibility issues
-                    });
-                } catch (error) {
-                    console.log(`❌ Regular execution failed:`, error);
-                    console.log(`❌ Error type:`, typeof error);
-                    console.log(`❌ Error keys:`, Object.keys(error));
-                    if (error.stack) console.log(`❌ Stack:`, error.stack);
-                    throw error;
-                }
-            }
-            
-            console.log(`✅ Transaction submitted successfully!`);
-            console.log(`📋 Transaction Hash: ${result.transaction_hash}`);
-            
-            // Wait for transaction confirmation
-            console.log(`⏳ Waiting for transaction confirmation...`);
-            const receipt = await this.provider.waitForTransaction(result.transaction_hash);
-            
-            if (receipt.execution_status === 'SUCCEEDED') {
-                console.log(`✅ Transaction confirmed on-chain`);
-                
-                // Verify merkle root was actually set by reading it back
-                console.log(`🔍 Verifying merkle root was set correctly...`);
-                try {
-                    const poolInfo = await this.provider.callContract({
-                        contractAddress: alarmContractAddress,
-                        entrypoint: 'get_pool_info',
-                        calldata: [day.toString(), period.toString()]
-                    });
-                    
-                    console.log(`🔍 Raw pool info response:`, poolInfo);
-                    
-                    // New response format: (felt252, bool, u256, u64, u256)
-                    // which is: (merkle_root, is_finalized, pool_reward, user_count, total_staked)
-                    const resultArray = poolInfo.result || poolInfo;
-                    const onChainMerkleRoot = this.toHexString(resultArray[0]);
-                    const isFinalized = resultArray[1] === true || resultArray[1] === 'true' || resultArray[1] === 1;
-                    // resultArray[2] and resultArray[4] are u256 (split into low/high), but we only need merkle root
-                    
-                    const expectedMerkleRoot = merkleRoot.toLowerCase();
-                    
-                    console.log(`📊 On-chain merkle root: ${onChainMerkleRoot}`);
-                    console.log(`📊 Expected merkle root: ${expectedMerkleRoot}`);
-                    console.log(`📊 Pool finalized status: ${isFinalized}`);
-                    
-                    if (onChainMerkleRoot === expectedMerkleRoot) {
-                        console.log(`🎉 ========== MERKLE ROOT SET SUCCESSFULLY ==========`);
-                        console.log(`📋 Final Transaction Hash: ${result.transaction_hash}`);
-                        console.log(`🌳 Merkle Root ${merkleRoot} verified on-chain for Day ${day}, Period ${period}`);
-                        console.log(`===============================================`);
-                        return result.transaction_hash;
-                    } else {
-                        throw new Error(`Merkle root verification failed! On-chain: ${onChainMerkleRoot}, Expected: ${expectedMerkleRoot}`);
-                    }
-                } catch (verifyError) {
-                    console.error(`⚠️ Failed to verify merkle root: ${verifyError.message}`);
-                    throw new Error(`Transaction succeeded but verification failed: ${verifyError.message}`);
-                }
-            } else {
-                throw new Error(`Transaction failed with status: ${receipt.execution_status}`);
-            }
-            
-        } catch (error) {
-            console.error(`❌ ========== SET MERKLE ROOT FAILED ==========`);
-            console.error(`🚫 Error: ${error.message}`);
-            console.error(`📊 Failed Pool: Day ${day}, Period ${period}`);
-            console.error(`🌳 Failed Merkle Root: ${merkleRoot}`);
-            console.error(`==========================================`);
-            throw error;
-        }
-    }
-
-    /**
-     * Store processed results back to database
-     * @param {Array} users - User data with alarm_id
-     * @param {Array} rewards - Reward data  
-     * @param {Object} merkleTree - Merkle tree with proofs
-     * @param {string} verifierPrivateKey - Private key for signatures
-     * @returns {Promise<void>}
+     * Calculates the amount of stake a user gets back based on their snooze count.
+     * @param {bigint | string} stakeAmount - The user's initial stake.
+     * @param {number} snoozeCount - The number of times the user snoozed.
+     * @returns {bigint} The amount of stake to be returned.
      */
-    async storeResultsToDatabase(users, rewards, merkleTree, verifierPrivateKey) {
-        try {
-            console.log(`💾 ========== STORING RESULTS TO DATABASE ==========`);
-            
-            const alarmUpdates = [];
-            const claimDataInserts = [];
-            
-            for (const user of users) {
-                console.log(`📊 Processing user: ${user.address}`);
-                
-                // Find reward for this user
-                const userReward = rewards.find(r => r.address === user.address);
-                const rewardAmount = userReward ? userReward.reward_amount : "0";
-                
-                // ✅ FIXED: ALL users now have merkle proofs (tree includes everyone)
-                const merkleProof = merkleTree.proofs[user.address] || [];
-                
-                // ✅ FIXED: Always use actual snooze count - no artificial penalties!
-                // Single users with 0 snoozes should get full stake back
-                const actualSnoozeCount = user.snooze_count;
-                
-                // Generate signature for this user (use ACTUAL snooze count)
-                const signature = this.createOutcomeSignature(
-                    user.address,
-                    user.wake_up_time,
-                    actualSnoozeCount,
-                    verifierPrivateKey
-                );
-                
-                // Calculate stake return using ACTUAL snooze count
-                const stakeReturn = this.calculateStakeReturn(user.stake_amount, actualSnoozeCount);
-                
-                console.log(`   💰 Reward: ${rewardAmount}`);
-                console.log(`   🔄 Stake Return: ${stakeReturn.toString()}`);
-                console.log(`   🏆 Is Winner: ${actualSnoozeCount === 0} (actual snooze: ${actualSnoozeCount})`);
-                
-                // Prepare alarm table update
-                alarmUpdates.push({
-                    id: user.alarm_id,
-                    claim_ready: true,
-                    has_claimed: false,
-                    snooze_count: actualSnoozeCount  // Keep actual snooze count
-                });
-                
-                // Prepare claim data insert
-                claimDataInserts.push({
-                    alarm_id: user.alarm_id,
-                    signature_r: signature.signature_r,
-                    signature_s: signature.signature_s,
-                    message_hash: signature.message_hash,
-                    reward_amount: rewardAmount,
-                    merkle_proof: JSON.stringify(merkleProof),
-                    processed_at: new Date().toISOString()
-                });
-            }
-            
-            // Batch update alarms table
-            console.log(`🔄 Updating ${alarmUpdates.length} alarm records...`);
-            for (const update of alarmUpdates) {
-                const { error } = await this.supabase
-                    .from('alarms')
-                    .update({
-                        claim_ready: update.claim_ready,
-                        has_claimed: update.has_claimed
-                    })
-                    .eq('id', update.id);
-                
-                if (error) {
-                    throw new Error(`Failed to update alarm ${update.id}: ${error.message}`);
-                }
-            }
-            console.log(`✅ Alarms table updated successfully`);
-            
-            // Batch insert claim data
-            console.log(`📝 Inserting ${claimDataInserts.length} claim data records...`);
-            const { error: insertError } = await this.supabase
-                .from('user_claim_data')
-                .insert(claimDataInserts);
-            
-            if (insertError) {
-                throw new Error(`Failed to insert claim data: ${insertError.message}`);
-            }
-            console.log(`✅ Claim data inserted successfully`);
-            
-            console.log(`🎉 All database operations completed successfully!`);
-            
-        } catch (error) {
-            console.error(`❌ Database storage failed:`, error);
-            throw error;
-        }
+    calculateStakeReturn(stakeAmount, snoozeCount) {
+        return this.strategy.calculateStakeReturn({ stake_amount: stakeAmount, snooze_count: snoozeCount });
     }
 
     /**
-     * Builds a Merkle tree from a list of leaf hashes.
-     * @param {Array<Object>} leaves - An array of leaf objects with address and hash.
-     * @returns {Object} An object containing the Merkle root and a map of proofs for each address.
+     * Creates a cryptographic signature for a user's outcome using a private key.
+     * @param {string} userAddress - The user's wallet address.
+     * @param {string | number | bigint} wakeUpTime - The user's wake-up timestamp.
+     * @param {number} snoozeCount - The user's snooze count.
+     * @param {KeySigner|string} [signer] - The verifier's signer (or plaintext key); defaults to the backend's.
+     * @returns {Promise<Object>} An object containing the message hash, signature (r, s), and public key.
      */
-    buildMerkleTree(leaves) {
-        if (leaves.length === 0) {
-            // Generate a valid non-zero merkle root for empty reward case
-            // Use hash of a standard "no rewards" message
-            const noRewardsHash = hash.computePoseidonHashOnElements([BigInt('0x6e6f5f726577617264734040')]);  // "no_rewards@@"
-            return { root: this.toHexString(noRewardsHash), proofs: {} };
-        }
-        if (leaves.length === 1) {
-            return { root: leaves[0].hash, proofs: { [leaves[0].address]: [] } };
-        }
-
-        const proofs = {};
-        leaves.forEach(leaf => proofs[leaf.address] = []);
-
-        let currentLevel = leaves.map(l => ({ address: l.address, hashBig: this.toBigInt(l.hash) }));
-
-        while (currentLevel.length > 1) {
-            const nextLevel = [];
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                const left = currentLevel[i];
-                const right = (i + 1 < currentLevel.length) ? currentLevel[i + 1] : left;
-
-                // For the proof, the other node's hash is added
-                proofs[left.address].push(this.toHexString(right.hashBig));
-                if (right.address !== left.address) {
-                    proofs[right.address].push(this.toHexString(left.hashBig));
-                }
-
-                // Compute the hash of the parent node
-                const parentHashBig = hash.computePoseidonHashOnElements([left.hashBig, right.hashBig]);
-                nextLevel.push({ hashBig: parentHashBig });
-            }
-            currentLevel = nextLevel;
-        }
-
-        return { root: this.toHexString(currentLevel[0].hashBig), proofs };
+    async createOutcomeSignature(userAddress, wakeUpTime, snoozeCount, signer = this.verifierSigner) {
+        return this.signUserOutcome({ address: userAddress, wake_up_time: wakeUpTime, snooze_count: snoozeCount }, signer);
     }
 
     /**
      * Process alarm pool: fetch from database, calculate outcomes, set merkle root on-chain, store results
      * @param {number} day - Unix day
      * @param {number} period - 0=AM, 1=PM
+     * @param {Object} [options] - {dryRun} to compute and sign without sending or storing anything,
+     *   {allowDiscrepancies} to finalize despite a failed pool audit
      * @returns {Promise<Object>} The processing results
      */
-    async processAlarmPool(day, period) {
-        try {
-            console.log(`🚀 ========== PROCESSING ALARM POOL ==========`);
-            console.log(`📅 Pool: Day ${day}, Period ${period}`);
-            console.log(`🕐 Processing Time: ${new Date()}`);
-            
-            // Step 1: Fetch alarm data from database
-            console.log(`\n🔍 STEP 1: FETCHING ALARM DATA`);
-            const users = await this.fetchAlarmsFromDatabase(day, period);
-            
-            if (users.length === 0) {
-                console.log(`⚠️ No users found in this pool - skipping processing`);
-                return { success: false, message: 'No users in pool' };
-            }
-            
-            // Step 2: Validate user data
-            console.log(`\n✅ STEP 2: VALIDATING USER DATA`);
-            console.log(`👥 Total users in pool: ${users.length}`);
-            this.validateInputTypes(users);
-            console.log(`✅ All user data validated successfully`);
-            
-            // Step 3: Calculate rewards and slashed amounts
-            console.log(`\n💰 STEP 3: CALCULATING REWARDS`);
-            const totalSlashed = this.calculateTotalSlashedAmount(users);
-            
-            // Calculate protocol fees (10% of total slashed amount)
-            const PROTOCOL_FEE_PERCENT = BigInt(10);
-            const PERCENT_BASE = BigInt(100);
-            const protocolFees = (totalSlashed * PROTOCOL_FEE_PERCENT) / PERCENT_BASE;
-            const newRewards = totalSlashed - protocolFees; // 90% goes to winners
-            
-            // Calculate rewards from newRewards pool (after protocol fees)
-            const rewards = this.calculateRewards(users, newRewards);
-            
-            console.log(`🏆 Winners: ${rewards.length}`);
-            console.log(`💸 Total Slashed: ${totalSlashed.toString()}`);
-            console.log(`💰 New Rewards (90%): ${newRewards.toString()}`);
-            console.log(`💼 Protocol Fees (10%): ${protocolFees.toString()}`);
-            
-            // Step 4: Build merkle tree
-            console.log(`\n🌳 STEP 4: BUILDING MERKLE TREE`);
-            
-            // ✅ Aggregate rewards by unique address (handle multiple alarms per user)
-            const uniqueAddresses = [...new Set(users.map(u => u.address))];
-            console.log(`📊 Found ${users.length} alarms from ${uniqueAddresses.length} unique users`);
-            
-            // Build leaves with one entry per unique address
-            const leaves = uniqueAddresses.map(address => {
-                // Sum all rewards for this address
-                const userRewards = rewards.filter(r => r.address === address);
-                const totalReward = userRewards.reduce((sum, r) => sum + BigInt(r.reward_amount), BigInt(0));
-                
-                return {
-                    address: address,
-                    hash: this.createMerkleLeaf(address, totalReward.toString())
-                };
-            });
-            
-            const merkleTree = this.buildMerkleTree(leaves);
-            console.log(`✅ Merkle tree built with root: ${merkleTree.root}`);
-            console.log(`📊 Tree includes ${leaves.length} unique addresses (${rewards.length} reward entries from ${users.length} total alarms)`);
-            
-            // Step 5: Set merkle root on-chain (REQUIRED - must succeed!)
-            console.log(`\n⛓️ STEP 5: SETTING MERKLE ROOT ON-CHAIN`);
-            let txHash = null;
-            try {
-                txHash = await this.setMerkleRootOnChain(day, period, merkleTree.root, newRewards, protocolFees);
-                console.log(`✅ Merkle root set on-chain - TX: ${txHash}`);
-            } catch (error) {
-                console.error(`❌ CRITICAL: Blockchain transaction failed - CANNOT store to database`);
-                console.error(`🚫 Error: ${error.message}`);
-                console.error(`⚠️ Pool cannot be finalized until blockchain transaction succeeds`);
-                throw new Error(`Blockchain finalization required before database storage: ${error.message}`);
-            }
-            
-            // Step 6: Store results to database (only after blockchain success!)
-            console.log(`\n💾 STEP 6: STORING RESULTS TO DATABASE`);
-            console.log(`🔗 Blockchain confirmed - safe to mark claims as ready`);
-            const verifierPrivateKey = process.env.VERIFIER_PRIVATE_KEY;
-            if (!verifierPrivateKey) {
-                throw new Error('Missing VERIFIER_PRIVATE_KEY environment variable');
-            }
-            
-            await this.storeResultsToDatabase(users, rewards, merkleTree, verifierPrivateKey);
-            console.log(`✅ Results stored to database successfully`);
-            
-            // Step 7: Summary
-            console.log(`\n🎉 ========== PROCESSING COMPLETED SUCCESSFULLY ==========`);
-            console.log(`📅 Pool: Day ${day}, Period ${period}`);
-            console.log(`👥 Total Users: ${users.length}`);
-            console.log(`🏆 Winners: ${rewards.length}`);
-            console.log(`💸 Total Slashed: ${totalSlashed.toString()}`);
-            console.log(`💰 New Rewards: ${newRewards.toString()}`);
-            console.log(`💼 Protocol Fees: ${protocolFees.toString()}`);
-            console.log(`🌳 Merkle Root: ${merkleTree.root}`);
-            console.log(`📋 Transaction Hash: ${txHash}`);
-            console.log(`🕐 Completed At: ${new Date()}`);
-            console.log(`💾 Database Status: ✅ All claim data stored`);
-            console.log(`⛓️ Blockchain Status: ✅ Pool finalized on-chain`);
-            console.log(`🎯 Users can now claim their winnings through the app!`);
-            console.log(`====================================================`);
-            
-            return {
-                success: true,
-                pool_info: {
-                    day: day,
-                    period: period,
-                    merkle_root: merkleTree.root,
-                    total_slashed_amount: totalSlashed.toString(),
-                    transaction_hash: txHash,
-                    total_users: users.length,
-                    winners: rewards.length,
-                    processed_at: new Date().toISOString(),
-                    blockchain_status: 'success'
-                }
-            };
-            
-        } catch (error) {
-            console.error(`❌ ========== ALARM POOL PROCESSING FAILED ==========`);
-            console.error(`📅 Failed Pool: Day ${day}, Period ${period}`);
-            console.error(`🚫 Error: ${error.message}`);
-            console.error(`🔍 Stack: ${error.stack}`);
-            console.error(`================================================`);
-            throw error;
-        }
+    async processAlarmPool(day, period, options = {}) {
+        return this.processPool(day, period, options);
     }
 
     /**
@@ -954,178 +494,189 @@ class AlarmContractBackend {
      * @returns {boolean} True if all signatures are valid, false otherwise.
      */
     validateSignatures(results) {
-        console.log('🔍 Validating signatures...');
         for (const user of results.user_results) {
-            const callerFelt = this.toBigInt(user.address);
-            const wakeFelt = this.toBigInt(user.wake_up_time);
-            const snoozeFelt = this.toBigInt(user.snooze_count);
-
-            const expectedHashBig = hash.computePoseidonHashOnElements([callerFelt, wakeFelt, snoozeFelt]);
-            const expectedHashHex = this.toHexString(expectedHashBig);
+            const expectedHashBig = hash.computePoseidonHashOnElements(this.strategy.signaturePayload(user));
+            const expectedHashHex = toHexString(expectedHashBig);
 
             if (expectedHashHex.toLowerCase() !== user.signature.message_hash.toLowerCase()) {
-                console.error(`❌ Hash mismatch for user ${user.address}`);
-                console.error(`    backend: ${expectedHashHex}`);
-                console.error(`    output : ${user.signature.message_hash}`);
+                this.logger.error('Message hash mismatch', {
+                    alarm_id: user.alarm_id,
+                    address: user.address,
+                    expected_hash: expectedHashHex,
+                    message_hash: user.signature.message_hash
+                });
                 return false;
             }
-            console.log(`✅ Hash verified for user ${user.address}`);
         }
-        console.log('✅ All message hashes verified!');
+        this.logger.info('All message hashes verified', { users: results.user_results.length });
         return true;
     }
 }
 
 // Main runner function - Integrated Database & Blockchain Processing
 async function main() {
-    console.log('🏗️ ========== ALARM BACKEND PROCESSOR ==========');
-    console.log('🕐 Started at:', new Date());
-    
-    const backend = new AlarmContractBackend();
+    const { dryRun, outputFile, pretty, token, args } = parseRunFlagsOrExit(process.argv.slice(2), { tokens: AlarmContractBackend.configuredTokens() });
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
     
     try {
-        // Initialize all services
-        await backend.initialize();
+        // Initialize all services: one backend per token deployment (or only --token)
+        const backends = token
+            ? [AlarmContractBackend.fromEnv(process.env, { logger, token })]
+            : AlarmContractBackend.allFromEnv(process.env, { logger });
+        logger.info('Alarm deployments', { tokens: backends.map(b => b.token) });
+        if (outputFile && backends.length > 1) {
+            throw new Error('--output needs --token when several alarm deployments are configured');
+        }
         
-        // Get day and period from command line arguments (dynamic calculation)
-        let day = process.argv[2];
-        let period = process.argv[3];
+        if (dryRun) {
+            logger.info('Dry-run mode: no transaction, no database writes');
+        }
         
-        // Check for "process-all" mode
-        if (day === 'all' || day === 'process-all') {
-            console.log('🔄 ========== PROCESS ALL UNPROCESSED POOLS MODE ==========');
-            const pools = await backend.findAllUnprocessedPools();
-            
-            if (pools.length === 0) {
-                console.log('✅ All pools are already processed!');
-                return;
+        // Get day and period from command line arguments (dynamic calculation)
+        const force = process.argv.includes('--force') || process.argv.includes('-f') || process.argv.includes('force');
+        const allowDiscrepancies = process.argv.includes('--allow-discrepancies');
+        let failed = false;
+        for (const backend of backends) {
+            try {
+                await logger.withContext({ token: backend.token }, () => runAlarmCommand(backend, args, { dryRun, outputFile, force, allowDiscrepancies, logger }));
+            } catch (error) {
+                failed = true;
+                logger.error('Alarm settlement failed', { token: backend.token, error });
             }
+        }
+        if (failed) {
+            process.exit(1);
+        }
+        
+    } catch (error) {
+        logger.error('Fatal error', { error });
+        process.exit(1);
+    }
+}
+
+/**
+ * Runs the requested command (process-all, auto, or one day/period) for one token's backend.
+ */
+async function runAlarmCommand(backend, args, { dryRun, outputFile, force, allowDiscrepancies, logger }) {
+    let day = args[0];
+    let period = args[1];
+    const suffix = backend.token.toLowerCase();
+    
+    // Check for "process-all" mode
+    if (day === 'all' || day === 'process-all') {
+        const pools = await backend.findAllUnprocessedPools();
+        
+        if (pools.length === 0) {
+            logger.info('All pools are already processed');
+            return;
+        }
+        
+        let successCount = 0;
+        let failCount = 0;
+        const reports = [];
+        
+        for (let i = 0; i < pools.length; i++) {
+            const pool = pools[i];
             
-            console.log(`\n🚀 Will process ${pools.length} pools...\n`);
-            
-            let successCount = 0;
-            let failCount = 0;
-            
-            for (let i = 0; i < pools.length; i++) {
-                const pool = pools[i];
-                console.log(`\n${'='.repeat(70)}`);
-                console.log(`📊 Processing Pool ${i + 1}/${pools.length}: Day ${pool.day}, Period ${pool.period}`);
-                console.log(`${'='.repeat(70)}\n`);
-                
-                try {
-                    const results = await backend.processAlarmPool(pool.day, pool.period);
-                    if (results.success) {
-                        successCount++;
-                        console.log(`✅ Pool ${i + 1}/${pools.length} completed successfully`);
-                    } else {
-                        failCount++;
-                        console.log(`⚠️ Pool ${i + 1}/${pools.length} completed with issues: ${results.message}`);
-                    }
-                } catch (error) {
+            try {
+                const results = await backend.processAlarmPool(pool.day, pool.period, { dryRun, allowDiscrepancies });
+                if (dryRun) reports.push(results.report);
+                if (results.success) {
+                    successCount++;
+                } else {
                     failCount++;
-                    console.error(`❌ Pool ${i + 1}/${pools.length} failed:`, error.message);
-                }
-                
-                // Add a small delay between pools to avoid rate limiting
-                if (i < pools.length - 1) {
-                    console.log('\n⏳ Waiting 3 seconds before next pool...\n');
-                    await new Promise(resolve => setTimeout(resolve, 3000));
+                    logger.warn('Pool completed with issues', { ...pool, message: results.message });
                 }
+            } catch (error) {
+                failCount++;
+                logger.error('Pool failed', { ...pool, error: error.message });
             }
             
-            console.log('\n' + '='.repeat(70));
-            console.log('🎉 ========== ALL POOLS PROCESSED ==========');
-            console.log(`✅ Successful: ${successCount}`);
-            console.log(`❌ Failed: ${failCount}`);
-            console.log(`📊 Total: ${pools.length}`);
-            console.log('='.repeat(70));
-            return;
+            // Add a small delay between pools to avoid rate limiting
+            if (i < pools.length - 1 && !dryRun) {
+                await new Promise(resolve => setTimeout(resolve, 3000));
+            }
         }
         
-        if (!day || !period || day === 'auto' || day === 'latest' || day === 'current') {
-            if (day === 'auto' || day === 'latest' || day === 'current') {
-                // Find latest pool with alarms
-                console.log('🔍 Auto-detecting latest pool with alarms...');
-                const latestPool = await backend.findLatestPoolWithAlarms();
-                if (latestPool) {
-                    day = latestPool.day;
-                    period = latestPool.period;
-                    console.log('✅ Using latest pool with alarms');
-                } else {
-                    console.log('⚠️ No alarms found, falling back to current time pool');
-                    const currentTime = Math.floor(Date.now() / 1000);
-                    const poolInfo = backend.getPoolInfo(currentTime);
-                    day = poolInfo.day;
-                    period = poolInfo.period;
-                }
+        logger.info('All pools processed', { successful: successCount, failed: failCount, total: pools.length });
+        if (dryRun) {
+            writeDryRunReport(reports, outputFile || `dry_run_alarm_${suffix}_all.json`, logger);
+        }
+        return;
+    }
+    
+    if (!day || !period || day === 'auto' || day === 'latest' || day === 'current') {
+        if (day === 'auto' || day === 'latest' || day === 'current') {
+            // Find latest pool with alarms
+            const latestPool = await backend.findLatestPoolWithAlarms();
+            if (latestPool) {
+                day = latestPool.day;
+                period = latestPool.period;
             } else {
-                // Use current time to determine pool if not specified
+                logger.warn('No alarms found, falling back to current time pool');
                 const currentTime = Math.floor(Date.now() / 1000);
                 const poolInfo = backend.getPoolInfo(currentTime);
                 day = poolInfo.day;
                 period = poolInfo.period;
-                console.log('ℹ️ No day/period specified, calculated from current time');
-            }
-        }
-        
-        day = parseInt(day);
-        period = parseInt(period);
-        const force = process.argv.includes('--force') || process.argv.includes('-f') || process.argv.includes('force');
-        
-        console.log(`🎯 Target Pool: Day ${day}, Period ${period}`);
-        
-        // Validate inputs
-        if (isNaN(day) || isNaN(period) || period < 0 || period > 1) {
-            throw new Error('Invalid day/period. Period must be 0 (AM) or 1 (PM)');
-        }
-        
-        // Finalize only if current time is at least 30 minutes past end of this period (UTC)
-        // Skippable with --force
-        if (!force) {
-            const now = Math.floor(Date.now() / 1000);
-            const slotSize = 43200;
-            const periodEnd = day * 86400 + period * slotSize + slotSize;
-            const bufferSeconds = 1800; // 30 minutes
-            if (now < periodEnd + bufferSeconds) {
-                const delta = periodEnd + bufferSeconds - now;
-                console.log(`⏳ Too early to finalize alarm pool. Eligible in ${delta}s (at ${new Date((periodEnd + bufferSeconds) * 1000).toISOString()})`);
-                return;
             }
         } else {
-            console.log('⚠️ Forcing finalization (buffer check bypassed)');
+            // Use current time to determine pool if not specified
+            const currentTime = Math.floor(Date.now() / 1000);
+            const poolInfo = backend.getPoolInfo(currentTime);
+            day = poolInfo.day;
+            period = poolInfo.period;
+            logger.info('No day/period specified, calculated from current time');
         }
-        
-        // Process the pool
-        const results = await backend.processAlarmPool(day, period);
-        
-        if (results.success) {
-            console.log('🎉 ========== FINAL SUCCESS SUMMARY ==========');
-            console.log('📊 Pool Info:', JSON.stringify(results.pool_info, null, 2));
-            console.log('🎯 Ready for claims: Database ✅ + Blockchain ✅ = Perfect sync!');
-        } else {
-            console.log(`⚠️ Processing completed with message: ${results.message}`);
+    }
+    
+    day = parseInt(day);
+    period = parseInt(period);
+    
+    // Validate inputs
+    if (isNaN(day) || isNaN(period) || period < 0 || period > 1) {
+        throw new Error('Invalid day/period. Period must be 0 (AM) or 1 (PM)');
+    }
+    
+    // Finalize only if current time is at least 30 minutes past end of this period (UTC)
+    // Skippable with --force; a dry run may preview a pool that is still open
+    if (!force && !dryRun) {
+        const now = Math.floor(Date.now() / 1000);
+        const { eligibleAt } = backend.strategy.getPeriodBounds(day, period);
+        if (now < eligibleAt) {
+            logger.info('Too early to finalize alarm pool', {
+                day,
+                period,
+                eligible_in_seconds: eligibleAt - now,
+                eligible_at: new Date(eligibleAt * 1000).toISOString()
+            });
+            return;
         }
-        
-    } catch (error) {
-        console.error('💥 ========== FATAL ERROR ==========');
-        console.error('❌ Error:', error.message);
-        console.error('🔍 Stack:', error.stack);
-        console.error('🕐 Failed at:', new Date());
-        console.error('================================');
-        process.exit(1);
+    } else if (force) {
+        logger.warn('Forcing finalization (buffer check bypassed)', { day, period });
+    }
+    
+    // Process the pool
+    const results = await backend.processAlarmPool(day, period, { dryRun, allowDiscrepancies });
+    
+    if (dryRun) {
+        writeDryRunReport(results.report, outputFile || `dry_run_alarm_${suffix}_${day}_${period}.json`, logger);
+    } else if (!results.success) {
+        logger.warn('Processing completed with message', { day, period, message: results.message });
     }
 }
 
 // Usage information
 function printUsage() {
     console.log('📖 ========== USAGE ==========');
-    console.log('node alarm_backend.js [day] [period]');
+    console.log('node alarm_backend.js [day] [period] [--token STRK|ETH] [--force] [--allow-discrepancies] [--dry-run [--output <file>]] [--pretty]');
     console.log('');
     console.log('Arguments:');
     console.log('  day    - Unix day number (calculated as Math.floor(wakeup_time / 86400))');
     console.log('         - OR "auto"/"latest"/"current" to find the most recent pool with alarms');
     console.log('         - OR "all"/"process-all" to process ALL unprocessed pools');
     console.log('  period - Pool period: 0 for AM (00:00-11:59), 1 for PM (12:00-23:59)');
+    console.log('  --token - Only settle this token\'s deployment (default: every configured ALARM_CONTRACT_ADDRESS_<TOKEN>)');
+    console.log('  --allow-discrepancies - Finalize even if the pool audit finds rows that differ from the contract');
     console.log('');
     console.log('Examples:');
     console.log('  node alarm_backend.js 20321 1    # Process specific day 20321, PM period');
@@ -1134,23 +685,31 @@ function printUsage() {
     console.log('  node alarm_backend.js latest     # Same as auto');
     console.log('  node alarm_backend.js all        # Process ALL unprocessed pools');
     console.log('  node alarm_backend.js            # Process current time pool');
+    console.log('  node alarm_backend.js 20321 1 --token ETH  # Process the ETH deployment\'s pool only');
+    console.log('  node alarm_backend.js 20321 1 --dry-run  # Write the pool reports to dry_run_alarm_<token>_20321_1.json');
+    console.log('  node alarm_backend.js all --pretty       # Human-readable log lines instead of JSON');
     console.log('');
     console.log('Environment Variables Required:');
     console.log('  SUPABASE_URL, SUPABASE_SERVICE_KEY');
     console.log('  STARKNET_RPC_URL, AVNU_PAYMASTER_API_KEY');
-    console.log('  DEPLOYER_ADDRESS, DEPLOYER_PRIVATE_KEY');
-    console.log('  ALARM_CONTRACT_ADDRESS_STRK, VERIFIER_PRIVATE_KEY');
+    console.log('  DEPLOYER_ADDRESS and a deployer signer (DEPLOYER_KEYSTORE_PATH, DEPLOYER_REMOTE_SIGNER_URL or DEPLOYER_SIGNER=env with DEPLOYER_PRIVATE_KEY)');
+    console.log('  ALARM_CONTRACT_ADDRESS_STRK and/or ALARM_CONTRACT_ADDRESS_ETH');
+    console.log('  A verifier signer (VERIFIER_KEYSTORE_PATH, VERIFIER_REMOTE_SIGNER_URL or VERIFIER_SIGNER=env with VERIFIER_PRIVATE_KEY)');
+    console.log('  LOG_LEVEL (debug|info|warn|error), LOG_FORMAT (json|pretty) - optional');
     console.log('=============================');
 }
 
-// Show help if requested
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-    printUsage();
-    process.exit(0);
-}
+AlarmContractBackend.TOKENS = ['STRK', 'ETH'];
+AlarmContractBackend.CONTRACT_ADDRESS_ENV = 'ALARM_CONTRACT_ADDRESS_STRK';
+AlarmContractBackend.REWARD_POLICY_ENV = 'ALARM_REWARD_POLICY';
 
-module.exports = { AlarmContractBackend };
+module.exports = { AlarmContractBackend, AlarmPoolStrategy };
 
 if (require.main === module) {
+    // Show help if requested
+    if (process.argv.includes('--help') || process.argv.includes('-h')) {
+        printUsage();
+        process.exit(0);
+    }
     main();
 }
@@ -0,0 +1,56 @@
+// audit.js - Compares a pool's database rows with the positions the contract holds
+require('dotenv').config({ path: '../.env' });
+const fs = require('fs');
+const { loggerFromEnv } = require('./logger');
+const { parseRunFlagsOrExit } = require('./settlement_core');
+const { backendsFromEnv } = require('./admin_api');
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node audit.js <alarm|alarm-eth|focus-lock> <day> <period> [--output <file>] [--pretty]');
+    console.log('');
+    console.log('Checks each row of the pool against get_user_alarm / get_user_lock (existence, stake,');
+    console.log('wakeup or start time, duration) and the pool\'s user_count, and lists on-chain alarms');
+    console.log('without a row from the indexed AlarmSet events. Exits 1 if the pool has discrepancies;');
+    console.log('finalization refuses such pools unless run with --allow-discrepancies.');
+    console.log('=============================');
+}
+
+async function main() {
+    const { outputFile, pretty, args } = parseRunFlagsOrExit(process.argv.slice(2));
+    const [slug, dayArg, periodArg] = args;
+    if (!slug || slug === '--help' || slug === '-h') {
+        printUsage();
+        return;
+    }
+
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
+    try {
+        const backend = backendsFromEnv(process.env, { logger })[slug];
+        const day = parseInt(dayArg);
+        const period = parseInt(periodArg);
+        if (!backend || isNaN(day) || !backend.strategy.isValidPeriod(period)) {
+            printUsage();
+            process.exit(1);
+        }
+
+        const report = await logger.withContext(backend.poolFields(day, period), () => backend.auditPool(day, period));
+        const json = JSON.stringify(report, null, 2);
+        if (outputFile) {
+            fs.writeFileSync(outputFile, json);
+            logger.info('Audit report written', { output_file: outputFile });
+        } else {
+            console.log(json);
+        }
+        if (!report.clean) {
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('Pool audit failed', { error });
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,239 @@
+// claim_builder.js - Ready-to-submit claim calls built from the stored claim data
+require('dotenv').config({ path: '../.env' });
+const { hash, transaction, TransactionType } = require('starknet');
+const { toBigInt, toHexString, toU256Parts } = require('./settlement_core');
+const { loggerFromEnv } = require('./logger');
+
+// Simulations skip fee charging and validation; the bounds only cap execution
+const SIMULATION_RESOURCE_BOUNDS = {
+    l1_gas: { max_amount: '0x0', max_price_per_unit: '0x0' },
+    l2_gas: { max_amount: '0x5f5e100', max_price_per_unit: '0x0' },
+    l1_data_gas: { max_amount: '0x2710', max_price_per_unit: '0x0' }
+};
+
+/**
+ * A claim that cannot be built or would not go through; `status` is the matching HTTP status.
+ */
+class ClaimBuildError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * Builds the claim call of an alarm (claim_winnings) or focus lock (claim_lock_rewards) from its
+ * claim row, and simulates it from the owner's account before it is handed to a wallet.
+ *
+ * Calldata layout, every value a 0x-prefixed felt:
+ *   [...strategy.claimPositionArgs(position), signature_r, signature_s, reward.low, reward.high,
+ *    merkle_proof.length, ...merkle_proof]
+ */
+class ClaimTransactionBuilder {
+    /**
+     * @param {SettlementBackend} backend - Backend of the product (and token) the positions belong to
+     */
+    constructor(backend) {
+        this.backend = backend;
+        this.strategy = backend.strategy;
+        this.logger = backend.logger;
+    }
+
+    /**
+     * Reads the claim row of a position, with merkle_proof parsed.
+     * @returns {Promise<Object|null>}
+     */
+    async fetchClaim(positionId) {
+        const { claimsTable, positionIdField } = this.strategy;
+        const { data, error } = await this.backend.supabase
+            .from(claimsTable)
+            .select('*')
+            .eq(positionIdField, positionId)
+            .maybeSingle();
+
+        if (error) {
+            this.backend.recordError('supabase', 'fetch_claim');
+            throw new Error(`Failed to read claim data: ${error.message}`);
+        }
+        if (!data) {
+            return null;
+        }
+        return {
+            ...data,
+            merkle_proof: typeof data.merkle_proof === 'string' ? JSON.parse(data.merkle_proof) : data.merkle_proof
+        };
+    }
+
+    /**
+     * Builds the claim call of a position.
+     * @param {string} positionId - alarms.id or focus_locks.id
+     * @returns {Promise<Object>} {call: {contractAddress, entrypoint, calldata}, caller, position id,
+     *   day, period, reward_amount, message_hash}
+     * @throws {ClaimBuildError} 404 for an unknown position or missing claim row, 409 when the
+     *   position is not claimable or its stored signature does not cover the values sent
+     */
+    async build(positionId) {
+        const { positionIdField, claimEntrypoint } = this.strategy;
+        const position = await this.backend.fetchPosition(positionId);
+        if (!position) {
+            throw new ClaimBuildError(404, `No ${this.strategy.name} ${positionId} for ${this.backend.token}`);
+        }
+        if (position.has_claimed) {
+            throw new ClaimBuildError(409, `${this.strategy.name} ${positionId} has already been claimed`);
+        }
+        if (!position.claim_ready) {
+            throw new ClaimBuildError(409, `Day ${position.day}, Period ${position.period} has not been settled yet`);
+        }
+        const claim = await this.fetchClaim(positionId);
+        if (!claim) {
+            throw new ClaimBuildError(404, `No claim data for ${this.strategy.name} ${positionId}`);
+        }
+
+        // The contract rebuilds the message from the caller and the values it is sent (or stores);
+        // a claim whose stored hash does not match would revert with Invalid_Signature
+        const signed = await this.backend.resolveSignedPosition(position);
+        const messageHash = toHexString(hash.computePoseidonHashOnElements(this.strategy.signaturePayload(signed)));
+        if (toBigInt(messageHash) !== toBigInt(claim.message_hash)) {
+            // Signed values may come from the chain while day and period come from the database row
+            const resolved = Object.keys(signed).filter(key => String(signed[key]) !== String(position[key]));
+            const details = {
+                expected_message_hash: messageHash,
+                message_hash: claim.message_hash,
+                day: position.day,
+                period: position.period,
+                database_values: Object.fromEntries(resolved.map(key => [key, position[key]])),
+                signed_values: Object.fromEntries(resolved.map(key => [key, signed[key]]))
+            };
+            this.logger.warn('Stored signature does not match the position', { [positionIdField]: positionId, ...details });
+            throw new ClaimBuildError(409, `Stored signature of ${this.strategy.name} ${positionId} does not match its position`, details);
+        }
+
+        let positionArgs;
+        try {
+            positionArgs = this.strategy.claimPositionArgs(signed);
+        } catch (error) {
+            throw new ClaimBuildError(409, error.message);
+        }
+        const [rewardLow, rewardHigh] = toU256Parts(claim.reward_amount);
+        const proof = claim.merkle_proof.map(toHexString);
+
+        return {
+            call: {
+                contractAddress: this.backend.getContractAddress(),
+                entrypoint: claimEntrypoint,
+                calldata: [
+                    ...positionArgs,
+                    toHexString(claim.signature_r),
+                    toHexString(claim.signature_s),
+                    toHexString(rewardLow),
+                    toHexString(rewardHigh),
+                    toHexString(proof.length),
+                    ...proof
+                ]
+            },
+            caller: position.address,
+            [positionIdField]: positionId,
+            day: position.day,
+            period: position.period,
+            reward_amount: String(claim.reward_amount),
+            message_hash: claim.message_hash
+        };
+    }
+
+    /**
+     * Simulates a call as an INVOKE from the caller's account (signature validation and fee
+     * charging skipped), so a claim the contract would reject never reaches the wallet.
+     * @param {Object} call - {contractAddress, entrypoint, calldata}
+     * @param {string} caller - Account the wallet will send from
+     * @returns {Promise<Object>} {success, revert_reason, fee_estimation}
+     */
+    async simulate(call, caller) {
+        let result;
+        try {
+            const nonce = await this.backend.provider.getNonceForAddress(caller);
+            [result] = await this.backend.provider.getSimulateTransaction([{
+                type: TransactionType.INVOKE,
+                contractAddress: caller,
+                calldata: transaction.getExecuteCalldata([call], '1'),
+                signature: [],
+                nonce,
+                version: '0x3',
+                resourceBounds: SIMULATION_RESOURCE_BOUNDS,
+                tip: 0,
+                paymasterData: [],
+                accountDeploymentData: [],
+                nonceDataAvailabilityMode: 'L1',
+                feeDataAvailabilityMode: 'L1'
+            }], { skipValidate: true, skipFeeCharge: true });
+        } catch (error) {
+            this.backend.recordError('rpc', 'simulate_transaction');
+            throw error;
+        }
+
+        const revertReason = result.transaction_trace.execute_invocation?.revert_reason || null;
+        return { success: !revertReason, revert_reason: revertReason, fee_estimation: result.fee_estimation };
+    }
+
+    /**
+     * Builds and simulates a position's claim: what a client hands to the wallet.
+     * @param {string} positionId - alarms.id or focus_locks.id
+     * @returns {Promise<Object>} build() plus {simulation}
+     * @throws {ClaimBuildError} As build(), and 409 when the simulation reverts
+     */
+    async prepare(positionId) {
+        const built = await this.build(positionId);
+        const simulation = await this.simulate(built.call, built.caller);
+        if (!simulation.success) {
+            this.logger.warn('Claim simulation reverted', {
+                product: this.strategy.name,
+                token: this.backend.token,
+                [this.strategy.positionIdField]: positionId,
+                caller: built.caller,
+                revert_reason: simulation.revert_reason
+            });
+            throw new ClaimBuildError(409, `Claim simulation reverted: ${simulation.revert_reason}`, { simulation });
+        }
+        return { ...built, simulation };
+    }
+}
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node claim_builder.js <product> <position-id> [--no-simulate] [--pretty]');
+    console.log('');
+    console.log('Products: alarm (STRK), alarm-<token> (e.g. alarm-eth), focus-lock');
+    console.log('Prints the claim call of an alarm (alarms.id) or focus lock (focus_locks.id) as JSON,');
+    console.log('simulated from the owner\'s account unless --no-simulate is given.');
+    console.log('=============================');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [product, positionId] = args.filter(arg => !arg.startsWith('--'));
+    if (!product || !positionId || args.includes('--help')) {
+        printUsage();
+        process.exit(args.includes('--help') ? 0 : 1);
+    }
+    const logger = loggerFromEnv(process.env, args.includes('--pretty') ? { format: 'pretty' } : {});
+    try {
+        const { backendsFromEnv } = require('./admin_api');
+        const backend = backendsFromEnv(process.env, { logger })[product];
+        if (!backend) {
+            throw new Error(`Unknown product '${product}'`);
+        }
+
+        const builder = new ClaimTransactionBuilder(backend);
+        const result = args.includes('--no-simulate') ? await builder.build(positionId) : await builder.prepare(positionId);
+        console.log(JSON.stringify(result, null, 2));
+    } catch (error) {
+        logger.error('Claim build failed', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = { ClaimTransactionBuilder, ClaimBuildError };
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,385 @@
+// claim_relay.js - Gasless user claims: SNIP-9 outside executions relayed through the AVNU paymaster
+const crypto = require('crypto');
+const { outsideExecution } = require('starknet');
+const { toBigInt, toHexString } = require('./settlement_core');
+const { ClaimTransactionBuilder, ClaimBuildError } = require('./claim_builder');
+const { parseUnits, formatUnits } = require('./pricing');
+const { KeyedLock } = require('./keyed_lock');
+
+const SECONDS_PER_DAY = 86400;
+const SPONSORED_FEE_MODE = { feeMode: { mode: 'sponsored' } };
+// Rows that reached the chain (or may have) count against the limits; 'failed' submissions and
+// 'expired' pending rows that never got a receipt do not
+const COUNTED_STATUSES = ['pending', 'succeeded', 'reverted'];
+// Reservations in this process, one at a time per table: the budget is shared by every product
+const RESERVATIONS = new KeyedLock();
+
+const DEFAULT_RELAY_OPTIONS = {
+    maxClaimsPerUser: 3,                   // sponsored claims per user within windowSeconds
+    windowSeconds: SECONDS_PER_DAY,
+    dailyBudget: parseUnits('50', 18),     // STRK wei of paymaster fees per UTC day, over every product
+    validitySeconds: 900,                  // longest execute_before a user may sign
+    pendingExpirySeconds: 3600             // pending rows older than this are reconciled against the chain
+};
+
+/**
+ * Reads CLAIM_RELAY_MAX_PER_USER, CLAIM_RELAY_WINDOW_SECONDS, CLAIM_RELAY_DAILY_BUDGET_STRK,
+ * CLAIM_RELAY_VALIDITY_SECONDS and CLAIM_RELAY_PENDING_EXPIRY_SECONDS.
+ * @param {Object} env - Environment map
+ * @returns {Object} ClaimRelay options
+ */
+function relayOptionsFromEnv(env) {
+    const options = {};
+    if (env.CLAIM_RELAY_MAX_PER_USER) options.maxClaimsPerUser = Number(env.CLAIM_RELAY_MAX_PER_USER);
+    if (env.CLAIM_RELAY_WINDOW_SECONDS) options.windowSeconds = Number(env.CLAIM_RELAY_WINDOW_SECONDS);
+    if (env.CLAIM_RELAY_DAILY_BUDGET_STRK) options.dailyBudget = parseUnits(env.CLAIM_RELAY_DAILY_BUDGET_STRK, 18);
+    if (env.CLAIM_RELAY_VALIDITY_SECONDS) options.validitySeconds = Number(env.CLAIM_RELAY_VALIDITY_SECONDS);
+    if (env.CLAIM_RELAY_PENDING_EXPIRY_SECONDS) options.pendingExpirySeconds = Number(env.CLAIM_RELAY_PENDING_EXPIRY_SECONDS);
+    return options;
+}
+
+/**
+ * Relays user claims so users pay no gas. The user signs a SNIP-9 outside execution
+ * (execute_from_outside_v2, version 2) of their claim call with the deployer account as caller;
+ * the backend sends it from the deployer account through the paymaster in sponsored mode.
+ *
+ * Only the call ClaimTransactionBuilder builds for the position is ever relayed: the outside
+ * execution is rebuilt around it on submit, so a signature over anything else fails. Every relayed
+ * claim is recorded in `sponsored_claims`, which backs the per-user rate limit and the daily budget.
+ * A relay is admitted by inserting its row first and then checking the limits with it counted, so
+ * concurrent submissions cannot both pass the same check, in this process or another one.
+ */
+class ClaimRelay {
+    /**
+     * @param {SettlementBackend} backend - Backend of the product; must have a paymaster
+     * @param {Object} [options]
+     * @param {number} [options.maxClaimsPerUser=3] - Sponsored claims per user address within windowSeconds
+     * @param {number} [options.windowSeconds=86400] - Rate limit window
+     * @param {bigint} [options.dailyBudget] - Paymaster fees (STRK wei) sponsored per UTC day (default 50 STRK)
+     * @param {number} [options.validitySeconds=900] - Longest validity a signed outside execution may have
+     * @param {number} [options.pendingExpirySeconds=3600] - Age after which reconcile() settles a pending row
+     * @param {string} [options.table='sponsored_claims'] - Table recording relayed claims
+     * @param {Function} [options.now] - Clock in milliseconds (tests)
+     */
+    constructor(backend, { table = 'sponsored_claims', now = Date.now, ...limits } = {}) {
+        if (!backend.paymasterRpc) {
+            throw new Error(`Gasless ${backend.strategy.name} claims need the AVNU paymaster (AVNU_PAYMASTER_API_KEY)`);
+        }
+        this.backend = backend;
+        this.strategy = backend.strategy;
+        this.supabase = backend.supabase;
+        this.logger = backend.logger;
+        this.builder = new ClaimTransactionBuilder(backend);
+        this.table = table;
+        this.now = now;
+        this.limits = { ...DEFAULT_RELAY_OPTIONS, ...limits };
+        this.limits.dailyBudget = BigInt(this.limits.dailyBudget);
+    }
+
+    /**
+     * Sponsored claims counting against the limits at `nowMs`: the user's within the window and
+     * everyone's fees since the start of the UTC day.
+     * @param {string} userAddress - Claiming account
+     * @returns {Promise<Object>} {user_claims, spent_today}
+     */
+    async usage(userAddress) {
+        const nowMs = this.now();
+        const dayStart = Math.floor(nowMs / (SECONDS_PER_DAY * 1000)) * SECONDS_PER_DAY * 1000;
+        const windowStart = nowMs - this.limits.windowSeconds * 1000;
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('user_address, fee, status, created_at')
+            .gte('created_at', new Date(Math.min(dayStart, windowStart)).toISOString())
+            .in('status', COUNTED_STATUSES);
+
+        if (error) {
+            this.backend.recordError('supabase', 'fetch_sponsored_claims');
+            throw new Error(`Failed to read sponsored claims: ${error.message}`);
+        }
+
+        const user = toBigInt(userAddress);
+        let userClaims = 0;
+        let spentToday = 0n;
+        for (const row of data || []) {
+            const createdAt = Date.parse(row.created_at);
+            if (createdAt >= windowStart && toBigInt(row.user_address) === user) userClaims++;
+            if (createdAt >= dayStart) spentToday += BigInt(row.fee || 0);
+        }
+        return { user_claims: userClaims, spent_today: spentToday };
+    }
+
+    /**
+     * @param {string} userAddress - Claiming account
+     * @param {bigint} [fee=0n] - Fee the next relay would add to today's spending
+     * @param {Object} [options]
+     * @param {boolean} [options.reserved=false] - The relay's own row is already recorded and counted in the usage
+     * @throws {ClaimBuildError} 429 when the user is over the rate limit, 503 when the budget is spent
+     */
+    async checkLimits(userAddress, fee = 0n, { reserved = false } = {}) {
+        const { maxClaimsPerUser, windowSeconds, dailyBudget } = this.limits;
+        const usage = await this.usage(userAddress);
+        const userClaims = reserved ? usage.user_claims - 1 : usage.user_claims;
+        const spentToday = reserved ? usage.spent_today - fee : usage.spent_today;
+        if (userClaims >= maxClaimsPerUser) {
+            throw new ClaimBuildError(429, `${userAddress} already had ${userClaims} sponsored claims in the last ${windowSeconds}s`);
+        }
+        if (spentToday + fee > dailyBudget || spentToday >= dailyBudget) {
+            throw new ClaimBuildError(503, `Daily sponsorship budget spent (${formatUnits(spentToday, 18)} of ${formatUnits(dailyBudget, 18)} STRK)`);
+        }
+    }
+
+    /**
+     * Records the relay as 'pending', then checks the limits with its row counted and deletes the
+     * row again if they are exceeded. A reservation another process makes meanwhile is counted by
+     * whichever check runs last, so two relays never both fit where one does; two that each see the
+     * other may both be refused. Within this process reservations run one at a time.
+     * @param {Object} row - sponsored_claims row; `fee` is the quote
+     * @returns {Promise<Object>} The inserted row
+     * @throws {ClaimBuildError} 429 / 503 over the limits
+     */
+    reserve(row) {
+        return RESERVATIONS.run(this.table, async () => {
+            const record = await this.record(row);
+            try {
+                await this.checkLimits(row.user_address, BigInt(row.fee), { reserved: true });
+            } catch (error) {
+                await this.remove(record.id);
+                throw error;
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Settles this product's pending rows older than pendingExpirySeconds, left by a wait that
+     * gave up or a process that stopped before the receipt: a row whose transaction has a receipt
+     * takes its outcome, any other becomes 'expired' and stops counting against the limits.
+     * Its outside execution is past execute_before by then, so the call can no longer succeed.
+     * @returns {Promise<Object>} {settled, expired}
+     */
+    async reconcile() {
+        const cutoff = new Date(this.now() - this.limits.pendingExpirySeconds * 1000).toISOString();
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('id, transaction_hash, fee')
+            .eq('product', this.strategy.name)
+            .eq('status', 'pending')
+            .lt('created_at', cutoff);
+
+        if (error) {
+            this.backend.recordError('supabase', 'fetch_sponsored_claims');
+            throw new Error(`Failed to read pending sponsored claims: ${error.message}`);
+        }
+
+        const result = { settled: 0, expired: 0 };
+        for (const row of data || []) {
+            let receipt = null;
+            if (row.transaction_hash) {
+                try {
+                    receipt = await this.backend.provider.getTransactionReceipt(row.transaction_hash);
+                } catch (receiptError) {
+                    this.logger.debug('No receipt for pending sponsored claim', { id: row.id, transaction_hash: row.transaction_hash, error: receiptError.message });
+                }
+            }
+            if (receipt) {
+                await this.update(row.id, this.outcome(receipt, BigInt(row.fee)));
+                result.settled++;
+            } else {
+                await this.update(row.id, { status: 'expired' });
+                result.expired++;
+            }
+        }
+        if (result.settled + result.expired > 0) {
+            this.logger.info('Pending sponsored claims reconciled', { product: this.strategy.name, ...result });
+        }
+        return result;
+    }
+
+    /**
+     * Row fields for a transaction's receipt: a REJECTED transaction was never included and cost
+     * nothing, a REVERTED one still cost the paymaster its fee.
+     * @param {Object} receipt - Transaction receipt
+     * @param {bigint} quotedFee - Fee recorded when the relay was admitted
+     * @returns {Object} {status, fee}
+     */
+    outcome(receipt, quotedFee) {
+        const actualFee = receipt.actual_fee?.amount ? toBigInt(receipt.actual_fee.amount) : quotedFee;
+        if (receipt.execution_status === 'REJECTED') {
+            return { status: 'failed', fee: '0' };
+        }
+        return { status: receipt.execution_status === 'SUCCEEDED' ? 'succeeded' : 'reverted', fee: actualFee.toString() };
+    }
+
+    /**
+     * Builds a position's claim and the SNIP-9 typed data its owner signs for the relay.
+     * @param {string} positionId - alarms.id or focus_locks.id
+     * @returns {Promise<Object>} ClaimTransactionBuilder.prepare() plus {outside_execution, typed_data}
+     * @throws {ClaimBuildError} As ClaimTransactionBuilder.prepare(), 429 / 503 over the limits
+     */
+    async prepare(positionId) {
+        const built = await this.builder.build(positionId);
+        await this.checkLimits(built.caller);
+        const simulation = await this.builder.simulate(built.call, built.caller);
+        if (!simulation.success) {
+            throw new ClaimBuildError(409, `Claim simulation reverted: ${simulation.revert_reason}`, { simulation });
+        }
+
+        const nowSeconds = Math.floor(this.now() / 1000);
+        const outside = {
+            caller: toHexString(this.backend.account.address),
+            nonce: '0x' + crypto.randomBytes(31).toString('hex'),
+            // A minute of slack for clocks behind the sequencer's
+            execute_after: nowSeconds - 60,
+            execute_before: nowSeconds + this.limits.validitySeconds
+        };
+        const chainId = await this.backend.provider.getChainId();
+        return {
+            ...built,
+            simulation,
+            outside_execution: outside,
+            typed_data: outsideExecution.getTypedData(chainId, outside, outside.nonce, [built.call], '2')
+        };
+    }
+
+    /**
+     * Relays a signed claim: rebuilds the outside execution around the position's claim call,
+     * checks the limits against the paymaster's quote, simulates it from the deployer account,
+     * then sends it sponsored and waits for it.
+     * @param {string} positionId - alarms.id or focus_locks.id
+     * @param {Object} signed
+     * @param {Object} signed.outside_execution - {caller, nonce, execute_after, execute_before} from prepare()
+     * @param {Array<string>} signed.signature - The account's signature of the typed data
+     * @returns {Promise<Object>} {transaction_hash, caller, position id, fee}
+     * @throws {ClaimBuildError} 400 for an unusable outside execution, 409 when the relayed call would
+     *   revert (including a bad signature), 429 / 503 over the limits; a failed or reverted
+     *   transaction rethrows the send error. A wait that ends without a receipt rethrows too, and
+     *   leaves the row 'pending' with its hash for reconcile()
+     */
+    async submit(positionId, { outside_execution: outside, signature } = {}) {
+        const { positionIdField, name } = this.strategy;
+        if (!outside || !Array.isArray(signature) || signature.length === 0) {
+            throw new ClaimBuildError(400, 'outside_execution and signature are required');
+        }
+        const relayer = this.backend.account.address;
+        const nowSeconds = Math.floor(this.now() / 1000);
+        if (toBigInt(outside.caller) !== toBigInt(relayer)) {
+            throw new ClaimBuildError(400, `Outside execution must name the relayer ${relayer} as caller`);
+        }
+        const executeBefore = Number(toBigInt(outside.execute_before));
+        if (executeBefore <= nowSeconds || executeBefore > nowSeconds + this.limits.validitySeconds) {
+            throw new ClaimBuildError(400, `execute_before must be within the next ${this.limits.validitySeconds}s`);
+        }
+
+        const built = await this.builder.build(positionId);
+        const calls = outsideExecution.buildExecuteFromOutsideCall({
+            outsideExecution: {
+                caller: toHexString(outside.caller),
+                nonce: toHexString(outside.nonce),
+                execute_after: toHexString(outside.execute_after),
+                execute_before: toHexString(outside.execute_before),
+                calls: [outsideExecution.getOutsideCall(built.call)]
+            },
+            signature: signature.map(toHexString),
+            signerAddress: built.caller,
+            version: '2'
+        });
+
+        try {
+            await this.reconcile();
+        } catch (error) {
+            this.logger.warn('Could not reconcile pending sponsored claims', { product: name, error: error.message });
+        }
+        const quote = await this.backend.account.estimatePaymasterTransactionFee(calls, SPONSORED_FEE_MODE);
+        const fee = toBigInt(quote.estimated_fee_in_strk);
+        await this.checkLimits(built.caller, fee);
+        const simulation = await this.builder.simulate(calls[0], relayer);
+        if (!simulation.success) {
+            this.metrics('rejected');
+            throw new ClaimBuildError(409, `Relayed claim would revert: ${simulation.revert_reason}`, { simulation });
+        }
+
+        const record = await this.reserve({
+            product: name,
+            token: this.backend.token,
+            position_id: positionId,
+            user_address: toHexString(built.caller),
+            nonce: toHexString(outside.nonce),
+            status: 'pending',
+            fee: fee.toString(),
+            created_at: new Date(this.now()).toISOString()
+        });
+
+        let transactionHash;
+        try {
+            // Never self-paid: the budget only covers what the paymaster sponsors
+            transactionHash = await this.backend.executeCalls(calls, { fallbackToSelfPaid: false });
+        } catch (error) {
+            await this.update(record.id, { status: 'failed', error: error.message });
+            this.metrics('failed');
+            throw error;
+        }
+        await this.update(record.id, { transaction_hash: transactionHash });
+
+        let receipt;
+        try {
+            receipt = await this.backend.waitForReceipt(transactionHash);
+        } catch (error) {
+            if (!error.receipt) {
+                // The transaction may still land: the row keeps counting until reconcile() settles it
+                await this.update(record.id, { error: error.message });
+                this.metrics('unconfirmed');
+                throw error;
+            }
+            const outcome = this.outcome(error.receipt, fee);
+            await this.update(record.id, { ...outcome, error: error.message });
+            this.metrics(outcome.status, BigInt(outcome.fee));
+            throw error;
+        }
+
+        const { fee: actualFee } = this.outcome(receipt, fee);
+        await this.update(record.id, { status: 'succeeded', fee: actualFee });
+        this.metrics('succeeded', BigInt(actualFee));
+        this.logger.info('Sponsored claim relayed', {
+            product: name,
+            [positionIdField]: positionId,
+            address: built.caller,
+            transaction_hash: transactionHash,
+            fee: actualFee
+        });
+        return { transaction_hash: transactionHash, caller: built.caller, [positionIdField]: positionId, fee: actualFee };
+    }
+
+    metrics(status, fee = null) {
+        this.backend.metrics.sponsoredClaims.inc({ product: this.strategy.name, status });
+        if (fee !== null) {
+            this.backend.metrics.sponsoredFees.inc({ product: this.strategy.name }, fee);
+        }
+    }
+
+    async record(row) {
+        const { data, error } = await this.supabase.from(this.table).insert(row).select().single();
+        if (error) {
+            this.backend.recordError('supabase', 'insert_sponsored_claim');
+            throw new Error(`Failed to record sponsored claim: ${error.message}`);
+        }
+        return data;
+    }
+
+    async remove(id) {
+        const { error } = await this.supabase.from(this.table).delete().eq('id', id);
+        if (error) {
+            this.backend.recordError('supabase', 'delete_sponsored_claim');
+            throw new Error(`Failed to delete sponsored claim ${id}: ${error.message}`);
+        }
+    }
+
+    async update(id, fields) {
+        const { error } = await this.supabase.from(this.table).update(fields).eq('id', id);
+        if (error) {
+            this.backend.recordError('supabase', 'update_sponsored_claim');
+            throw new Error(`Failed to update sponsored claim ${id}: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { ClaimRelay, relayOptionsFromEnv };
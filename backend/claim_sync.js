@@ -0,0 +1,230 @@
+// claim_sync.js - Marks positions as claimed once their payout was collected on chain
+require('dotenv').config({ path: '../.env' });
+const { toBigInt } = require('./settlement_core');
+const { loggerFromEnv } = require('./logger');
+
+const CLAIM_SOURCES = ['events', 'view'];
+const DEFAULT_BATCH_SIZE = 20;
+const DEFAULT_POLL_SECONDS = 60;
+
+/**
+ * Sets `has_claimed` on settled positions (claim_ready = true) the contract has paid out.
+ * Two sources:
+ * - 'events': the indexed claim events (event_indexer.js). Also records the claim
+ *   transaction hash and the block time as `claimed_at`.
+ * - 'view': one contract read per position (strategy.readClaimStatus), `batchSize`
+ *   at a time. Only tells whether the position was claimed, not when or by which transaction.
+ * Products whose claim events are indexed default to 'events', the others (focus locks) to
+ * 'view'. A product with neither cannot be synced.
+ */
+class ClaimSync {
+    /**
+     * @param {SettlementBackend} backend - Backend whose positions are synced
+     * @param {Object} [options]
+     * @param {string} [options.source] - 'events' or 'view'
+     * @param {number} [options.batchSize=20] - Concurrent contract reads in 'view' mode
+     */
+    constructor(backend, { source, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+        this.backend = backend;
+        this.strategy = backend.strategy;
+        this.supabase = backend.supabase;
+        this.logger = backend.logger;
+        this.source = source || (this.strategy.claimEventsTable ? 'events' : 'view');
+        this.batchSize = batchSize;
+        if (!CLAIM_SOURCES.includes(this.source)) {
+            throw new Error(`Unknown claim source ${this.source} (expected ${CLAIM_SOURCES.join(' or ')})`);
+        }
+        if (!ClaimSync.supports(this.strategy)) {
+            throw new Error(`${this.strategy.name} claims cannot be synced: no indexed claim events and no claim status view`);
+        }
+        if (this.source === 'events' && !this.strategy.claimEventsTable) {
+            throw new Error(`${this.strategy.name} claim events are not indexed; use the 'view' source`);
+        }
+        if (this.source === 'view' && !this.strategy.claimStatusEntrypoint) {
+            throw new Error(`${this.strategy.name} claim status cannot be read from the contract; use the 'events' source`);
+        }
+    }
+
+    /**
+     * @param {PoolStrategy} strategy - Product strategy
+     * @returns {boolean} Whether the product's claims can be read from either source
+     */
+    static supports(strategy) {
+        return Boolean(strategy.claimEventsTable || strategy.claimStatusEntrypoint);
+    }
+
+    /**
+     * Matches positions to indexed claim events by (user, day, period).
+     * @returns {Promise<Map<string, Object>>} position id → {transaction_hash, claimed_at}
+     */
+    async claimsFromEvents(positions) {
+        const { data: events, error } = await this.supabase
+            .from(this.strategy.claimEventsTable)
+            .select('user_address, day, period, transaction_hash, block_timestamp')
+            .eq('contract_address', this.backend.getContractAddress());
+
+        if (error) {
+            this.backend.recordError('supabase', 'fetch_claim_events');
+            throw new Error(`Failed to read ${this.strategy.claimEventsTable}: ${error.message}`);
+        }
+
+        const poolKey = (address, day, period) => `${toBigInt(address)}:${day}:${period}`;
+        const byPool = new Map((events || []).map(event => [poolKey(event.user_address, event.day, event.period), event]));
+        const claims = new Map();
+        for (const position of positions) {
+            const event = byPool.get(poolKey(position.address, position.day, position.period));
+            if (event) {
+                claims.set(position[this.strategy.positionIdField], {
+                    transaction_hash: event.transaction_hash,
+                    claimed_at: event.block_timestamp
+                });
+            }
+        }
+        return claims;
+    }
+
+    /**
+     * Reads each position's claim flag from the contract, `batchSize` calls at a time.
+     * @returns {Promise<Map<string, Object>>} position id → {} for claimed positions
+     */
+    async claimsFromViews(positions) {
+        const claims = new Map();
+        for (let i = 0; i < positions.length; i += this.batchSize) {
+            const batch = positions.slice(i, i + this.batchSize);
+            const statuses = await Promise.all(batch.map(async position => {
+                try {
+                    return await this.strategy.readClaimStatus(position, this.backend);
+                } catch (error) {
+                    this.backend.recordError('rpc', 'read_claim_status');
+                    this.logger.warn('Could not read claim status', {
+                        [this.strategy.positionIdField]: position[this.strategy.positionIdField],
+                        error: error.message
+                    });
+                    return null;
+                }
+            }));
+            batch.forEach((position, index) => {
+                if (statuses[index] === true) {
+                    claims.set(position[this.strategy.positionIdField], {});
+                }
+            });
+        }
+        return claims;
+    }
+
+    /**
+     * Sets has_claimed on the position and claimed_at on its claim row.
+     */
+    async markClaimed(positionId, { transaction_hash, claimed_at }) {
+        const { positionsTable, claimsTable, positionIdField, claimTxHashColumn } = this.strategy;
+        const update = { has_claimed: true };
+        if (transaction_hash) update[claimTxHashColumn] = transaction_hash;
+        if (claimed_at) update.claimed_at = claimed_at;
+
+        const { error } = await this.supabase
+            .from(positionsTable)
+            .update(update)
+            .eq('id', positionId);
+
+        if (error) {
+            this.backend.recordError('supabase', 'update_claimed');
+            throw new Error(`Failed to mark ${positionsTable} ${positionId} as claimed: ${error.message}`);
+        }
+
+        if (claimed_at) {
+            const { error: claimError } = await this.supabase
+                .from(claimsTable)
+                .update({ claimed_at })
+                .eq(positionIdField, positionId);
+
+            if (claimError) {
+                this.backend.recordError('supabase', 'update_claimed');
+                throw new Error(`Failed to set claimed_at on ${claimsTable} for ${positionId}: ${claimError.message}`);
+            }
+        }
+    }
+
+    /**
+     * Syncs every settled, unclaimed position of the backend's contract.
+     * @returns {Promise<Object>} {source, checked, claimed}
+     */
+    async run() {
+        return this.logger.withContext({ product: this.strategy.name, token: this.backend.token }, async () => {
+            const positions = (await this.backend.fetchUnclaimedPositions()).filter(position => position.claim_ready);
+            const claims = this.source === 'events'
+                ? await this.claimsFromEvents(positions)
+                : await this.claimsFromViews(positions);
+
+            for (const [positionId, claim] of claims) {
+                await this.markClaimed(positionId, claim);
+            }
+
+            const result = { source: this.source, checked: positions.length, claimed: claims.size };
+            this.logger.info('Claims synced', result);
+            return result;
+        });
+    }
+}
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node claim_sync.js [--source events|view] [--watch [--interval <seconds>]] [--pretty]');
+    console.log('');
+    console.log('Sets has_claimed (and the claim tx hash and time, from events) on settled alarms and');
+    console.log('focus locks whose payout was claimed on chain.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --source events   Match indexed WinningsClaimed events (default for alarms; run the indexer first)');
+    console.log('  --source view     Read get_has_claimed_winnings / get_user_lock per position (default for focus locks)');
+    console.log('  --watch           Keep syncing every --interval seconds (default 60)');
+    console.log('=============================');
+}
+
+async function main() {
+    const { parseRunFlagsOrExit } = require('./settlement_core');
+    const { backendsFromEnv } = require('./admin_api');
+
+    const { pretty, args } = parseRunFlagsOrExit(process.argv.slice(2));
+    if (args.includes('--help') || args.includes('-h')) {
+        printUsage();
+        return;
+    }
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
+    try {
+        const sourceIndex = args.indexOf('--source');
+        const source = sourceIndex !== -1 ? args[sourceIndex + 1] : undefined;
+        const backends = Object.values(backendsFromEnv(process.env, { logger }));
+        for (const backend of backends.filter(backend => !ClaimSync.supports(backend.strategy))) {
+            logger.warn('Claims of this product cannot be synced, skipping', { product: backend.strategy.name });
+        }
+        const syncs = backends
+            .filter(backend => ClaimSync.supports(backend.strategy))
+            .map(backend => new ClaimSync(backend, { source: source === 'events' && !backend.strategy.claimEventsTable ? 'view' : source }));
+
+        const intervalIndex = args.indexOf('--interval');
+        const intervalSeconds = intervalIndex !== -1 ? Number(args[intervalIndex + 1]) : DEFAULT_POLL_SECONDS;
+        let stopped = !args.includes('--watch');
+        process.on('SIGINT', () => { stopped = true; });
+        process.on('SIGTERM', () => { stopped = true; });
+
+        do {
+            for (const sync of syncs) {
+                await sync.run();
+            }
+            if (!stopped) {
+                await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+            }
+        } while (!stopped);
+    } catch (error) {
+        logger.error('Claim sync failed', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    ClaimSync
+};
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,350 @@
+// event_indexer.js - Indexes alarm contract events from starknet_getEvents into Supabase tables
+require('dotenv').config({ path: '../.env' });
+const { hash } = require('starknet');
+const { toBigInt } = require('./settlement_core');
+const { loggerFromEnv } = require('./logger');
+
+const DEFAULT_REORG_DEPTH = 20;
+const DEFAULT_CHUNK_SIZE = 100;
+const DEFAULT_POLL_SECONDS = 30;
+
+function toAddress(felt) {
+    return '0x' + toBigInt(felt).toString(16).padStart(64, '0');
+}
+
+function toU256(low, high) {
+    return (toBigInt(low) + (toBigInt(high) << BigInt(128))).toString();
+}
+
+/**
+ * The alarm contract's events. Every field is a #[key], so the decoders read
+ * `keys` after the selector (u256 fields take two felts, low then high).
+ * Each event lands in its own table, one row per emitted event.
+ */
+const ALARM_EVENTS = [
+    {
+        name: 'AlarmSet',
+        table: 'chain_alarm_sets',
+        decode: ([user, wakeupTime, stakeLow, stakeHigh], backend) => ({
+            user_address: toAddress(user),
+            wakeup_time: Number(toBigInt(wakeupTime)),
+            stake_amount: toU256(stakeLow, stakeHigh),
+            ...backend.getPoolInfo(Number(toBigInt(wakeupTime)))
+        })
+    },
+    {
+        name: 'WinningsClaimed',
+        table: 'chain_winnings_claimed',
+        decode: ([user, wakeupTime, snoozeCount, amountLow, amountHigh], backend) => ({
+            user_address: toAddress(user),
+            wakeup_time: Number(toBigInt(wakeupTime)),
+            snooze_count: Number(toBigInt(snoozeCount)),
+            winnings_amount: toU256(amountLow, amountHigh),
+            ...backend.getPoolInfo(Number(toBigInt(wakeupTime)))
+        })
+    },
+    {
+        name: 'MerkleRootSet',
+        table: 'chain_merkle_roots',
+        decode: ([merkleRoot, day, period]) => ({
+            merkle_root: '0x' + toBigInt(merkleRoot).toString(16),
+            day: Number(toBigInt(day)),
+            period: Number(toBigInt(period))
+        })
+    },
+    {
+        name: 'VerifiedSignerSet',
+        table: 'chain_verified_signers',
+        decode: ([verifiedSigner]) => ({
+            verified_signer: '0x' + toBigInt(verifiedSigner).toString(16)
+        })
+    }
+].map(event => ({ ...event, selector: hash.getSelectorFromName(event.name) }));
+
+/**
+ * Copies one contract's events into Supabase. The cursor (`chain_index_cursors`)
+ * remembers the last indexed block and its hash; each run indexes the blocks after it.
+ * If the cursor block's hash changed, the chain was reorganized: the rows of the
+ * last `reorgDepth` blocks are deleted and those blocks are read again.
+ * Rows are upserted by (contract, transaction, event index), so a re-read never duplicates.
+ */
+class EventIndexer {
+    /**
+     * @param {SettlementBackend} backend - Backend whose contract, token, provider, database and logger are used
+     * @param {Object} [options]
+     * @param {number} [options.startBlock=0] - First block to read without a cursor (the deployment block)
+     * @param {number} [options.reorgDepth=20] - Blocks re-read after a reorganization
+     * @param {number} [options.chunkSize=100] - Events per starknet_getEvents page
+     * @param {Array<Object>} [options.events] - Event definitions (defaults to the alarm contract's)
+     * @param {string} [options.cursorTable='chain_index_cursors'] - Cursor table name
+     */
+    constructor(backend, {
+        startBlock = 0,
+        reorgDepth = DEFAULT_REORG_DEPTH,
+        chunkSize = DEFAULT_CHUNK_SIZE,
+        events = ALARM_EVENTS,
+        cursorTable = 'chain_index_cursors'
+    } = {}) {
+        this.backend = backend;
+        this.provider = backend.provider;
+        this.supabase = backend.supabase;
+        this.logger = backend.logger;
+        this.contractAddress = backend.getContractAddress();
+        this.startBlock = startBlock;
+        this.reorgDepth = reorgDepth;
+        this.chunkSize = chunkSize;
+        this.events = events;
+        this.cursorTable = cursorTable;
+        this.eventsBySelector = new Map(events.map(event => [toBigInt(event.selector), event]));
+    }
+
+    async loadCursor() {
+        const { data, error } = await this.supabase
+            .from(this.cursorTable)
+            .select('*')
+            .eq('contract_address', this.contractAddress)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to load the index cursor: ${error.message}`);
+        }
+        return data;
+    }
+
+    async saveCursor(block) {
+        const { error } = await this.supabase
+            .from(this.cursorTable)
+            .upsert({
+                contract_address: this.contractAddress,
+                token: this.backend.token,
+                block_number: block.block_number,
+                block_hash: block.block_hash,
+                updated_at: new Date().toISOString()
+            }, { onConflict: 'contract_address' });
+
+        if (error) {
+            throw new Error(`Failed to save the index cursor: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Object|null} cursor - Stored cursor
+     * @returns {Promise<number>} First block to read
+     */
+    async resumeBlock(cursor) {
+        if (!cursor) {
+            return this.startBlock;
+        }
+
+        let onChainHash = null;
+        try {
+            onChainHash = (await this.provider.getBlock(cursor.block_number)).block_hash;
+        } catch (error) {
+            // The block itself is gone: the chain is now shorter than the cursor
+        }
+        if (onChainHash !== null && toBigInt(onChainHash) === toBigInt(cursor.block_hash)) {
+            return cursor.block_number + 1;
+        }
+
+        const from = Math.max(this.startBlock, cursor.block_number + 1 - this.reorgDepth);
+        this.logger.warn('Chain reorganization detected, re-reading recent blocks', {
+            cursor_block: cursor.block_number,
+            cursor_block_hash: cursor.block_hash,
+            block_hash: onChainHash,
+            from_block: from
+        });
+        return from;
+    }
+
+    /**
+     * Pages through starknet_getEvents for the indexed selectors.
+     * @returns {Promise<Array<Object>>} Emitted events in chain order
+     */
+    async fetchEvents(fromBlock, toBlock) {
+        const events = [];
+        let continuationToken;
+        do {
+            let page;
+            try {
+                page = await this.provider.getEvents({
+                    address: this.contractAddress,
+                    from_block: { block_number: fromBlock },
+                    to_block: { block_number: toBlock },
+                    keys: [this.events.map(event => event.selector)],
+                    chunk_size: this.chunkSize,
+                    ...(continuationToken ? { continuation_token: continuationToken } : {})
+                });
+            } catch (error) {
+                this.backend.recordError('rpc', 'get_events');
+                throw new Error(`starknet_getEvents failed for blocks ${fromBlock}-${toBlock}: ${error.message}`);
+            }
+            events.push(...page.events);
+            continuationToken = page.continuation_token;
+        } while (continuationToken);
+        return events;
+    }
+
+    /**
+     * getEvents does not return block times, so each block holding events is read once.
+     * @returns {Promise<Map<number, string>>} block number → ISO timestamp
+     */
+    async fetchBlockTimes(emitted) {
+        const times = new Map();
+        for (const blockNumber of new Set(emitted.map(event => event.block_number))) {
+            if (blockNumber === undefined) continue;
+            const block = await this.provider.getBlock(blockNumber);
+            times.set(blockNumber, new Date(Number(block.timestamp) * 1000).toISOString());
+        }
+        return times;
+    }
+
+    /**
+     * Decodes emitted events into rows, grouped by table. The event index counts the
+     * indexed events within their transaction.
+     * @param {Array<Object>} emitted - Events from fetchEvents
+     * @param {Map<number, string>} [blockTimes] - From fetchBlockTimes
+     * @returns {Map<string, Array<Object>>} table → rows
+     */
+    decode(emitted, blockTimes = new Map()) {
+        const rows = new Map(this.events.map(event => [event.table, []]));
+        const indexInTransaction = new Map();
+        for (const emittedEvent of emitted) {
+            const event = this.eventsBySelector.get(toBigInt(emittedEvent.keys[0]));
+            if (!event || emittedEvent.block_number === undefined) {
+                continue; // pending block events are indexed once their block is accepted
+            }
+            const eventIndex = indexInTransaction.get(emittedEvent.transaction_hash) || 0;
+            indexInTransaction.set(emittedEvent.transaction_hash, eventIndex + 1);
+
+            rows.get(event.table).push({
+                contract_address: this.contractAddress,
+                token: this.backend.token,
+                ...event.decode(emittedEvent.keys.slice(1), this.backend),
+                block_number: emittedEvent.block_number,
+                block_hash: emittedEvent.block_hash,
+                block_timestamp: blockTimes.get(emittedEvent.block_number) ?? null,
+                transaction_hash: emittedEvent.transaction_hash,
+                event_index: eventIndex
+            });
+        }
+        return rows;
+    }
+
+    async deleteFromBlock(fromBlock) {
+        for (const event of this.events) {
+            const { error } = await this.supabase
+                .from(event.table)
+                .delete()
+                .eq('contract_address', this.contractAddress)
+                .gte('block_number', fromBlock);
+
+            if (error) {
+                throw new Error(`Failed to clear ${event.table} from block ${fromBlock}: ${error.message}`);
+            }
+        }
+    }
+
+    async store(rowsByTable) {
+        for (const [table, rows] of rowsByTable) {
+            if (rows.length === 0) continue;
+            const { error } = await this.supabase
+                .from(table)
+                .upsert(rows, { onConflict: 'contract_address,transaction_hash,event_index' });
+
+            if (error) {
+                this.backend.recordError('supabase', 'store_events');
+                throw new Error(`Failed to store ${table} rows: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Indexes every block after the cursor up to the latest accepted block.
+     * @returns {Promise<Object>} {from_block, to_block, events, rows by table}
+     */
+    async run() {
+        return this.logger.withContext({ token: this.backend.token, contract_address: this.contractAddress }, async () => {
+            const cursor = await this.loadCursor();
+            const fromBlock = await this.resumeBlock(cursor);
+            // The tip is read first: if it is reorganized while we read, the next run sees its hash change
+            const tip = await this.provider.getBlock('latest');
+            if (fromBlock > tip.block_number) {
+                return { from_block: fromBlock, to_block: tip.block_number, events: 0, rows: {} };
+            }
+
+            const emitted = await this.fetchEvents(fromBlock, tip.block_number);
+            const rowsByTable = this.decode(emitted, await this.fetchBlockTimes(emitted));
+            await this.deleteFromBlock(fromBlock);
+            await this.store(rowsByTable);
+            await this.saveCursor(tip);
+
+            const rows = Object.fromEntries([...rowsByTable].map(([table, tableRows]) => [table, tableRows.length]));
+            this.logger.info('Events indexed', { from_block: fromBlock, to_block: tip.block_number, events: emitted.length, rows });
+            return { from_block: fromBlock, to_block: tip.block_number, events: emitted.length, rows };
+        });
+    }
+}
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node event_indexer.js [--token STRK|ETH] [--watch [--interval <seconds>]] [--pretty]');
+    console.log('');
+    console.log('Indexes AlarmSet, WinningsClaimed, MerkleRootSet and VerifiedSignerSet events of each');
+    console.log('configured alarm contract into the chain_* tables.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --watch              Keep indexing every --interval seconds (default 30)');
+    console.log('Environment:');
+    console.log('  INDEXER_START_BLOCK  Deployment block to start from without a cursor (default 0)');
+    console.log('  INDEXER_REORG_DEPTH  Blocks re-read after a reorganization (default 20)');
+    console.log('=============================');
+}
+
+async function main() {
+    const { parseRunFlagsOrExit } = require('./settlement_core');
+    const { AlarmContractBackend } = require('./alarm_backend');
+
+    const { pretty, token, args } = parseRunFlagsOrExit(process.argv.slice(2), { tokens: AlarmContractBackend.configuredTokens() });
+    if (args.includes('--help') || args.includes('-h')) {
+        printUsage();
+        return;
+    }
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
+    try {
+        const backends = token
+            ? [AlarmContractBackend.fromEnv(process.env, { logger, token })]
+            : AlarmContractBackend.allFromEnv(process.env, { logger });
+        const options = {
+            startBlock: Number(process.env.INDEXER_START_BLOCK) || 0,
+            reorgDepth: Number(process.env.INDEXER_REORG_DEPTH) || DEFAULT_REORG_DEPTH
+        };
+        const indexers = backends.map(backend => new EventIndexer(backend, options));
+
+        const intervalIndex = args.indexOf('--interval');
+        const intervalSeconds = intervalIndex !== -1 ? Number(args[intervalIndex + 1]) : DEFAULT_POLL_SECONDS;
+        let stopped = !args.includes('--watch');
+        process.on('SIGINT', () => { stopped = true; });
+        process.on('SIGTERM', () => { stopped = true; });
+
+        do {
+            for (const indexer of indexers) {
+                await indexer.run();
+            }
+            if (!stopped) {
+                await new Promise(resolve => setTimeout(resolve, intervalSeconds * 1000));
+            }
+        } while (!stopped);
+    } catch (error) {
+        logger.error('Event indexer failed', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    ALARM_EVENTS,
+    EventIndexer
+};
+
+if (require.main === module) {
+    main();
+}
@@ -1,135 +1,193 @@
 // focus_lock_backend.js - Integrated Database & Blockchain Backend for Focus Locks
-require('dotenv').config({ path: '../doc_2025-09-09_20-45-53.env' });
-const { createClient } = require('@supabase/supabase-js');
-const { Account, RpcProvider, hash, ec, getSelectorByName } = require('starknet');
+require('dotenv').config({ path: '../.env' });
+const { PoolStrategy, SettlementBackend, U64_LIMIT, toBigInt, toHexString, parseRunFlagsOrExit, writeDryRunReport } = require('./settlement_core');
+const { loggerFromEnv } = require('./logger');
+const { ALERT_EVENTS } = require('./notifier');
+const { getRewardPolicy } = require('./reward_policy');
 
-// Try to import PaymasterRpc - might not be available in all versions
-let PaymasterRpc;
-try {
-    PaymasterRpc = require('starknet').PaymasterRpc;
-} catch (e) {
-    console.log('⚠️  PaymasterRpc not available in this starknet version - transactions will not be sponsored');
-}
+// get_user_lock status of a lock whose rewards were claimed (Inactive, Active, Completed)
+const LOCK_STATUS_CLAIMED = BigInt(2);
 
 /**
- * Backend logic for the Focus Lock (Time Lock) smart contract.
- * This class handles calculating stake returns, user rewards,
- * generating cryptographic proofs, and executing blockchain transactions.
- * Integrated with Supabase database and AVNU paymaster for gasless transactions.
+ * Pool strategy for the Focus Lock (Time Lock) contract: 6-hour pools settled under
+ * the focus lock reward policy (100% slash for failed locks, rewards weighted by stake × duration).
  */
-class FocusLockContractBackend {
+class FocusLockPoolStrategy extends PoolStrategy {
     constructor() {
-        this.SLASH_100_PERCENT = BigInt(0); // 100% slash for failed locks
-        
-        // Initialize clients
-        this.supabase = null;
-        this.provider = null;
-        this.paymasterRpc = null;
-        this.account = null;
-        
-        console.log('🏗️ FocusLockContractBackend initialized');
+        super();
+        this.name = 'focus lock';
+        this.slotSeconds = 21600;
+        this.merkleRootEntrypoint = 'set_reward_merkle_root';
+        // claim_lock_rewards(lock_id, completed, signature, reward, proof), see claimPositionArgs
+        this.claimEntrypoint = 'claim_lock_rewards';
+        // Its claim events are not indexed: claim_sync.js reads each lock's status instead
+        this.claimStatusEntrypoint = 'get_user_lock';
+        this.positionsTable = 'focus_locks';
+        this.claimsTable = 'user_claim_data_locks';
+        this.positionIdField = 'focus_lock_id';
+        this.claimTxHashColumn = 'blockchain_claim_tx_hash';
+        this.auditFields = ['stake_amount', 'start_time', 'duration'];
+        this.rewardPolicy = getRewardPolicy('focus-lock-v2');
+    }
+
+    /**
+     * Message Hash: [caller, start_time, duration, completed]
+     */
+    signaturePayload(user) {
+        return [
+            toBigInt(user.address),
+            toBigInt(user.start_time),
+            toBigInt(user.duration),
+            user.completion_status ? BigInt(1) : BigInt(0)
+        ];
+    }
+
+    validateUser(user) {
+        const startTime = toBigInt(user.start_time);
+        if (startTime < 0n || startTime >= U64_LIMIT) {
+            throw new Error(`start_time out of u64: ${user.start_time}`);
+        }
+        const duration = toBigInt(user.duration);
+        if (duration < 60n || duration > 86400n) {
+            throw new Error(`duration out of range (60-86400 seconds): ${user.duration}`);
+        }
+        if (typeof user.completion_status !== 'boolean') {
+            throw new Error(`completion_status must be boolean: ${user.completion_status}`);
+        }
     }
 
     /**
-     * Initialize all services (Supabase, Starknet, AVNU Paymaster)
+     * Prefer on-chain lock start_time/duration (exact) if lock_id is available,
+     * since the signature must match the values the contract stored.
      */
-    async initialize() {
+    async resolveSignedOutcome(user, backend) {
+        if (user.lock_id == null) {
+            return user;
+        }
         try {
-            console.log('🔧 ========== INITIALIZING BACKEND SERVICES ==========');
-            
-            // Initialize Supabase
-            console.log('📊 Initializing Supabase client...');
-            const supabaseUrl = process.env.SUPABASE_URL;
-            const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
-            
-            if (!supabaseUrl || !supabaseServiceKey) {
-                throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
-            }
-            
-            this.supabase = createClient(supabaseUrl, supabaseServiceKey);
-            console.log('✅ Supabase client initialized');
-            
-            // Initialize Starknet Provider
-            console.log('⚡ Initializing Starknet provider...');
-            const rpcUrl = process.env.STARKNET_RPC_URL;
-            if (!rpcUrl) {
-                throw new Error('Missing STARKNET_RPC_URL environment variable');
-            }
-            
-            this.provider = new RpcProvider({ nodeUrl: rpcUrl });
-            console.log('✅ Starknet provider initialized');
-            
-            // Initialize AVNU Paymaster (if available)
-            console.log('💰 Initializing AVNU Paymaster...');
-            const paymasterRpc = process.env.AVNU_PAYMASTER_RPC || 'https://sepolia.paymaster.avnu.fi';
-            const paymasterApiKey = process.env.AVNU_PAYMASTER_API_KEY;
-            
-            if (PaymasterRpc && paymasterApiKey) {
-                try {
-                    this.paymasterRpc = new PaymasterRpc({
-                        nodeUrl: paymasterRpc,
-                        headers: { 'api-key': paymasterApiKey }
-                    });
-                    console.log('✅ AVNU Paymaster initialized (sponsored transactions enabled)');
-                } catch (error) {
-                    console.log('⚠️  AVNU Paymaster failed to initialize:', error.message);
-                    console.log('⚠️  Will use regular transactions instead');
-                    this.paymasterRpc = null;
-                }
-            } else {
-                console.log('⚠️  AVNU Paymaster not available - using regular transactions');
-                this.paymasterRpc = null;
-            }
-            
-            // Initialize Account
-            console.log('🔑 Initializing deployer account...');
-            const deployerAddress = process.env.DEPLOYER_ADDRESS;
-            const deployerPrivateKey = process.env.DEPLOYER_PRIVATE_KEY;
-            
-            if (!deployerAddress || !deployerPrivateKey) {
-                throw new Error('Missing DEPLOYER_ADDRESS or DEPLOYER_PRIVATE_KEY environment variables');
-            }
-            
-            if (this.paymasterRpc) {
-                this.account = new Account(
-                    this.provider,
-                    deployerAddress,
-                    deployerPrivateKey,
-                    undefined,
-                    this.paymasterRpc
-                );
-                console.log('✅ Deployer account initialized with paymaster support');
-            } else {
-                this.account = new Account(
-                    this.provider,
-                    deployerAddress,
-                    deployerPrivateKey
-                );
-                console.log('✅ Deployer account initialized (regular transactions)');
+            const res = await backend.provider.callContract({
+                contractAddress: backend.getContractAddress(),
+                entrypoint: 'get_user_lock',
+                calldata: [user.address, String(user.lock_id)]
+            });
+            const arr = res.result || res;
+            if (Array.isArray(arr) && arr.length >= 6) {
+                // arr: [stake_low, stake_high, start_time, duration, end_time, status]
+                const resolved = { ...user, start_time: String(BigInt(arr[2])), duration: String(BigInt(arr[3])) };
+                backend.logger.debug('Using on-chain lock params', {
+                    focus_lock_id: user.focus_lock_id,
+                    start_time: resolved.start_time,
+                    duration: resolved.duration
+                });
+                return resolved;
             }
-            
-            console.log('🎉 ========== ALL SERVICES INITIALIZED SUCCESSFULLY ==========');
-        } catch (error) {
-            console.error('❌ Backend initialization failed:', error);
-            throw error;
+        } catch (e) {
+            backend.logger.warn('Could not fetch on-chain lock params, using DB values', {
+                focus_lock_id: user.focus_lock_id,
+                error: e.message || String(e)
+            });
         }
+        return user;
+    }
+
+    claimRowExtras(user) {
+        // on-chain int lock_id (nullable until set) alongside the focus_locks UUID
+        return { lock_id: user.lock_id };
     }
 
     /**
-     * Calculate day and period from start_time
-     * @param {number} startTime - Unix timestamp
-     * @returns {Object} {day, period} where period is 0-3 for 6-hour periods
+     * claim_lock_rewards(lock_id, completed: bool, signature, reward_amount, merkle_proof).
+     * The contract reads start_time and duration from the lock (see get_user_lock) and hashes them
+     * with the caller and the completion flag (see signaturePayload), so only the lock id and the
+     * flag are sent. The builder simulates every call against the deployed contract, so a layout it
+     * does not accept is refused with the revert reason before it reaches a wallet.
      */
-    getPoolInfo(startTime) {
-        const day = Math.floor(startTime / 86400); // Unix day
-        const timeOfDay = startTime % 86400; // Seconds since midnight
-        const period = Math.floor(timeOfDay / 21600); // 0-3 for 6-hour periods (0=0-6h, 1=6-12h, 2=12-18h, 3=18-24h)
-        
-        console.log(`📊 Pool Info - Start Time: ${startTime} → Day: ${day}, Period: ${period}`);
-        console.log(`   Time of day: ${timeOfDay}s (${Math.floor(timeOfDay/3600)}h ${Math.floor((timeOfDay%3600)/60)}m)`);
-        console.log(`   Period breakdown: 0=0-6h, 1=6-12h, 2=12-18h, 3=18-24h`);
-        
-        return { day, period };
+    claimPositionArgs(position) {
+        if (position.lock_id == null) {
+            throw new Error(`Focus lock ${position.focus_lock_id} has no on-chain lock_id yet`);
+        }
+        return [toHexString(position.lock_id), position.completion_status ? '0x1' : '0x0'];
+    }
+
+    /**
+     * The status field of get_user_lock(user, lock_id), which claim_lock_rewards sets to Completed;
+     * locks without an on-chain id are unknown.
+     */
+    async readClaimStatus(position, backend) {
+        if (position.lock_id == null) {
+            return null;
+        }
+        const res = await backend.provider.callContract({
+            contractAddress: backend.getContractAddress(),
+            entrypoint: this.claimStatusEntrypoint,
+            calldata: [position.address, String(position.lock_id)]
+        });
+        const arr = res.result || res;
+        // arr: [stake_low, stake_high, start_time, duration, end_time, status]
+        return toBigInt(arr[5]) === LOCK_STATUS_CLAIMED;
+    }
+
+    /**
+     * get_user_lock(user, lock_id); an empty lock (start_time 0) means the contract has none.
+     * Locks without an on-chain id cannot be looked up.
+     */
+    async readOnChainPosition(user, backend) {
+        if (user.lock_id == null) {
+            return null;
+        }
+        const res = await backend.provider.callContract({
+            contractAddress: backend.getContractAddress(),
+            entrypoint: 'get_user_lock',
+            calldata: [user.address, String(user.lock_id)]
+        });
+        const arr = res.result || res;
+        if (toBigInt(arr[2]) === BigInt(0)) {
+            return false;
+        }
+        return {
+            stake_amount: (toBigInt(arr[0]) + (toBigInt(arr[1]) << BigInt(128))).toString(),
+            start_time: toBigInt(arr[2]).toString(),
+            duration: toBigInt(arr[3]).toString()
+        };
+    }
+
+    onChainPositionKey(user) {
+        return `${toBigInt(user.address)}:${user.lock_id}`;
+    }
+}
+
+/**
+ * @param {Array<Object>} locks - focus_locks rows with day, period and start_time
+ * @returns {Array<Object>} One {day, period, start_time} per pool, in first-seen order
+ */
+function groupLocksByPool(locks) {
+    const poolsMap = new Map();
+    locks.forEach(lock => {
+        const key = `${lock.day}_${lock.period}`;
+        if (!poolsMap.has(key)) {
+            poolsMap.set(key, {
+                day: lock.day,
+                period: lock.period,
+                start_time: lock.start_time
+            });
+        }
+    });
+    return Array.from(poolsMap.values());
+}
+
+/**
+ * Backend logic for the Focus Lock (Time Lock) smart contract.
+ * Supplies the focus lock database queries on top of the shared settlement pipeline,
+ * which handles rewards, proofs, signatures and the on-chain merkle root.
+ * Integrated with Supabase database and AVNU paymaster for gasless transactions.
+ */
+class FocusLockContractBackend extends SettlementBackend {
+    /**
+     * @param {Object} [options] - Clients and settings, see SettlementBackend.
+     *   Use FocusLockContractBackend.fromEnv() to build them from environment variables.
+     */
+    constructor(options = {}) {
+        super(new FocusLockPoolStrategy(), options);
     }
 
     /**
@@ -138,8 +196,6 @@ class FocusLockContractBackend {
      */
     async findLatestPoolWithLocks() {
         try {
-            console.log(`🔍 ========== FINDING LATEST POOL WITH FOCUS LOCKS ==========`);
-            
             // Get the most recent focus lock
             const { data: locks, error } = await this.supabase
                 .from('focus_locks')
@@ -151,24 +207,24 @@ class FocusLockContractBackend {
                 .limit(1);
             
             if (error) {
+                this.recordError('supabase', 'find_latest_pool');
                 throw new Error(`Database query failed: ${error.message}`);
             }
             
             if (!locks || locks.length === 0) {
-                console.log(`⚠️ No focus locks found in database`);
+                this.logger.warn('No focus locks found in database');
                 return null;
             }
             
             const latestStartTime = locks[0].start_time;
             const poolInfo = this.getPoolInfo(latestStartTime);
             
-            console.log(`✅ Latest lock pool found: Day ${poolInfo.day}, Period ${poolInfo.period}`);
-            console.log(`📅 Latest lock time: ${new Date(latestStartTime * 1000)}`);
+            this.logger.info('Latest lock pool found', { ...poolInfo, start_time: latestStartTime });
             
             return poolInfo;
             
         } catch (error) {
-            console.error(`❌ Failed to find latest pool:`, error);
+            this.logger.error('Failed to find latest pool', { error: error.message });
             return null;
         }
     }
@@ -179,16 +235,10 @@ class FocusLockContractBackend {
      */
     async findAllUnprocessedPools() {
         try {
-            console.log(`🔍 ========== FINDING ALL UNPROCESSED POOLS ==========`);
-            
-            // Calculate cutoff time (48 hours ago)
+            // Calculate cutoff time (48 hours ago); older pools are skipped (contract limitation)
             const now = Math.floor(Date.now() / 1000);
             const cutoffTime = now - (48 * 3600); // 48 hours
             
-            console.log(`⏰ Current Time: ${now} (${new Date(now * 1000)})`);
-            console.log(`⏰ Cutoff Time: ${cutoffTime} (${new Date(cutoffTime * 1000)})`);
-            console.log(`⚠️  Pools older than 48 hours will be skipped (contract limitation)`);
-            
             // Get all focus locks where claim_ready is false (not yet processed)
             // AND end_time is within last 48 hours (start_time + duration_minutes*60)
             const { data: locks, error } = await this.supabase
@@ -198,14 +248,18 @@ class FocusLockContractBackend {
                 .order('start_time', { ascending: true });
             
             if (error) {
+                this.recordError('supabase', 'find_unprocessed_pools');
                 throw new Error(`Database query failed: ${error.message}`);
             }
             
             if (!locks || locks.length === 0) {
-                console.log(`✅ No unprocessed focus locks found - all pools are up to date!`);
-                return [];
+                this.logger.info('No unprocessed focus locks found');
+                return this.trackUnprocessedPools([]);
             }
             
+            // Pools past the cutoff still count as pending, so the stuck-pool alert keeps firing
+            await this.trackUnprocessedPools(groupLocksByPool(locks));
+            
             // Filter locks by end time (must be within 48 hours)
             const recentLocks = locks.filter(lock => {
                 const endTime = lock.start_time + (lock.duration_minutes * 60);
@@ -213,57 +267,56 @@ class FocusLockContractBackend {
                 const hoursAgo = Math.floor((now - endTime) / 3600);
                 
                 if (!isRecent) {
-                    console.log(`⏭️  Skipping lock ${lock.id.substring(0, 8)}... (ended ${hoursAgo}h ago - too old for contract)`);
+                    this.logger.warn('Skipping focus lock older than 48h (too old for contract)', {
+                        focus_lock_id: lock.id,
+                        day: lock.day,
+                        period: lock.period,
+                        ended_hours_ago: hoursAgo
+                    });
                 }
                 
                 return isRecent;
             });
+            await this.alertCutoffSkips(locks.filter(lock => !recentLocks.includes(lock)));
             
             if (recentLocks.length === 0) {
-                console.log(`⚠️  All ${locks.length} unprocessed locks are too old (>48h) - skipping`);
-                console.log(`💡 Tip: Old locks cannot be processed on-chain and should be hidden in the UI`);
+                // Old locks cannot be processed on-chain and should be hidden in the UI
+                this.logger.warn('All unprocessed focus locks are older than 48h, skipping', { locks: locks.length });
                 return [];
             }
             
-            console.log(`📊 Found ${recentLocks.length} recent locks out of ${locks.length} total unprocessed locks`);
-            
-            // Log each recent lock's pool info
-            recentLocks.forEach(lock => {
-                const poolInfo = this.getPoolInfo(lock.start_time);
-                const endTime = lock.start_time + (lock.duration_minutes * 60);
-                const hoursAgo = Math.floor((now - endTime) / 3600);
-                console.log(`📊 Pool Info - Start Time: ${lock.start_time} → Day: ${poolInfo.day}, Period: ${poolInfo.period} (ended ${hoursAgo}h ago)`);
-            });
-            
             // Group locks by day/period to get unique pools
-            const poolsMap = new Map();
-            recentLocks.forEach(lock => {
-                const key = `${lock.day}_${lock.period}`;
-                if (!poolsMap.has(key)) {
-                    poolsMap.set(key, {
-                        day: lock.day,
-                        period: lock.period,
-                        start_time: lock.start_time
-                    });
-                }
-            });
-            
-            const uniquePools = Array.from(poolsMap.values());
+            const uniquePools = groupLocksByPool(recentLocks);
             
-            console.log(`📊 Found ${uniquePools.length} unprocessed pools from ${recentLocks.length} recent locks`);
-            uniquePools.forEach(pool => {
-                const dateObj = new Date(pool.start_time * 1000);
-                console.log(`   📅 Day ${pool.day}, Period ${pool.period} (${dateObj.toLocaleDateString()}, ${dateObj.toLocaleTimeString()})`);
+            this.logger.info('Found unprocessed pools', {
+                pools: uniquePools.map(pool => `${pool.day}/${pool.period}`),
+                recent_locks: recentLocks.length,
+                locks: locks.length
             });
             
             return uniquePools;
             
         } catch (error) {
-            console.error(`❌ Failed to find unprocessed pools:`, error);
+            this.logger.error('Failed to find unprocessed pools', { error: error.message });
             return [];
         }
     }
 
+    /**
+     * Alerts once per pool whose locks were dropped by the 48h cutoff: they can no longer be settled on-chain.
+     * @param {Array<Object>} skippedLocks - focus_locks rows past the cutoff
+     */
+    async alertCutoffSkips(skippedLocks) {
+        for (const pool of groupLocksByPool(skippedLocks)) {
+            const poolLocks = skippedLocks.filter(lock => lock.day === pool.day && lock.period === pool.period);
+            await this.notifier.notifyOnce(`cutoff:${pool.day}:${pool.period}`, {
+                event: ALERT_EVENTS.CUTOFF_SKIPPED,
+                ...this.poolFields(pool.day, pool.period),
+                focus_lock_ids: poolLocks.map(lock => lock.id)
+            });
+        }
+    }
+
     /**
      * Fetch focus locks data from Supabase database for a specific day/period
      * @param {number} day - Unix day
@@ -272,17 +325,6 @@ class FocusLockContractBackend {
      */
     async fetchLocksFromDatabase(day, period) {
         try {
-            console.log(`🔍 ========== FETCHING FOCUS LOCKS FROM DATABASE ==========`);
-            console.log(`📊 Querying for Day: ${day}, Period: ${period}`);
-            
-            // Calculate time range for this day/period
-            const dayStart = day * 86400;
-            const periodStart = dayStart + (period * 21600); // 6-hour periods
-            const periodEnd = periodStart + 21600; // Next 6 hours
-            
-            console.log(`⏰ Time Range: ${periodStart} - ${periodEnd}`);
-            console.log(`📅 Date Range: ${new Date(periodStart * 1000)} - ${new Date(periodEnd * 1000)}`);
-            
             // Query focus locks BY day and period columns (not by time range)
             // This ensures we match what the contract stored, even if time calculations differ
             const { data: locks, error } = await this.supabase
@@ -293,16 +335,15 @@ class FocusLockContractBackend {
                 .order('start_time');
             
             if (error) {
+                this.recordError('supabase', 'fetch_pool_users');
                 throw new Error(`Database query failed: ${error.message}`);
             }
             
             if (!locks || locks.length === 0) {
-                console.log(`⚠️ No focus locks found for Day ${day}, Period ${period}`);
+                this.logger.warn('No focus locks found for pool');
                 return [];
             }
             
-            console.log(`✅ Found ${locks.length} focus locks for this pool:`);
-            
             // Get wallet addresses for all users
             const userIds = locks.map(l => l.user_id);
             const { data: profiles, error: profileError } = await this.supabase
@@ -311,6 +352,7 @@ class FocusLockContractBackend {
                 .in('id', userIds);
             
             if (profileError) {
+                this.recordError('supabase', 'fetch_profiles');
                 throw new Error(`Failed to fetch profiles: ${profileError.message}`);
             }
             
@@ -340,583 +382,168 @@ class FocusLockContractBackend {
                     lock_id: lock.lock_id ?? null
                 };
                 
-                console.log(`   👤 User: ${userData.address}`);
-                console.log(`      Start: ${userData.start_time} (${new Date(parseInt(userData.start_time) * 1000)})`);
-                console.log(`      Duration: ${userData.duration}s`);
-                console.log(`      Stake: ${userData.stake_amount}`);
-                console.log(`      Completed: ${userData.completion_status}`);
+                this.logger.debug('Focus lock loaded', userData);
                 
                 return userData;
             });
             
-            console.log(`🎉 Database fetch completed successfully`);
+            this.logger.info('Focus locks fetched from database', { locks: transformedLocks.length });
             return transformedLocks;
             
         } catch (error) {
-            console.error(`❌ Failed to fetch focus locks from database:`, error);
+            this.logger.error('Failed to fetch focus locks from database', { error: error.message });
             throw error;
         }
     }
 
     /**
-     * Helper: Normalizes a value to a "0x..." hex string.
+     * Pool users for the shared settlement pipeline.
      */
-    toHexString(val) {
-        if (typeof val === 'string' && val.startsWith('0x')) {
-            return val.toLowerCase();
-        }
-        return '0x' + BigInt(val).toString(16);
+    fetchPoolUsers(day, period) {
+        return this.fetchLocksFromDatabase(day, period);
     }
 
     /**
-     * Parses a "0x..." hex string or number into a BigInt.
+     * One focus lock, shaped like a pool user.
      */
-    toBigInt(val) {
-        if (typeof val === 'bigint') {
-            return val;
+    async fetchPosition(focusLockId) {
+        const { data: lock, error } = await this.supabase
+            .from('focus_locks')
+            .select('*')
+            .eq('id', focusLockId)
+            .maybeSingle();
+
+        if (error) {
+            this.recordError('supabase', 'fetch_position');
+            throw new Error(`Failed to fetch focus lock ${focusLockId}: ${error.message}`);
         }
-        if (typeof val === 'number') {
-            return BigInt(val);
-        }
-        if (typeof val === 'string' && val.startsWith('0x')) {
-            return BigInt(val);
+        if (!lock) {
+            return null;
         }
-        return BigInt(val);
-    }
 
-    /**
-     * Calculates the amount of stake a user gets back based on their completion status.
-     */
-    calculateStakeReturn(stakeAmount, completionStatus) {
-        const stake = BigInt(stakeAmount);
-        if (completionStatus) {
-            // Completed successfully - return full stake
-            return stake;
-        } else {
-            // Failed/exited early - return 0 (100% slash)
-            return this.SLASH_100_PERCENT;
-        }
-    }
+        const { data: profile, error: profileError } = await this.supabase
+            .from('profiles')
+            .select('id, wallet_address')
+            .eq('id', lock.user_id)
+            .maybeSingle();
 
-    /**
-     * Calculates the total amount of stake slashed from all users.
-     */
-    calculateTotalSlashedAmount(users) {
-        let totalSlashed = BigInt(0);
-        for (const user of users) {
-            const stakeAmount = this.toBigInt(user.stake_amount);
-            const returnAmount = this.calculateStakeReturn(stakeAmount, user.completion_status);
-            totalSlashed += (stakeAmount - returnAmount);
+        if (profileError) {
+            this.recordError('supabase', 'fetch_profiles');
+            throw new Error(`Failed to fetch profile: ${profileError.message}`);
+        }
+        if (!profile) {
+            throw new Error(`No wallet address found for user ${lock.user_id}`);
         }
-        return totalSlashed;
-    }
 
-    /**
-     * Calculates the weighted score for a user based on stake amount and duration.
-     * Higher stake and longer duration result in higher weight.
-     * @param {bigint} stakeAmount - The user's stake amount.
-     * @param {bigint} duration - The user's lock duration in seconds.
-     * @returns {bigint} The weighted score for this user.
-     */
-    calculateUserWeight(stakeAmount, duration) {
-        // Weight = stake_amount * duration
-        // This gives more weight to users who stake more AND lock for longer
-        return stakeAmount * duration;
+        return {
+            address: profile.wallet_address,
+            day: lock.day,
+            period: lock.period,
+            start_time: lock.start_time.toString(),
+            duration: (lock.duration_minutes * 60).toString(),
+            stake_amount: lock.stake_amount.toString(),
+            completion_status: lock.completion_status !== null ? lock.completion_status : false,
+            claim_ready: lock.claim_ready === true,
+            has_claimed: lock.has_claimed === true,
+            focus_lock_id: lock.id,
+            lock_id: lock.lock_id ?? null
+        };
     }
 
     /**
-     * Calculates the rewards for winning users (who completed their locks successfully).
-     * Rewards are distributed proportionally based on weighted scores (stake * duration).
+     * Focus locks whose stake the contract still holds.
      */
-    calculateRewards(users) {
-        const winners = users.filter(u => u.completion_status === true);
-        const totalSlashed = this.calculateTotalSlashedAmount(users);
-        
-        console.log(`🔍 DEBUG: Total users: ${users.length}, Winners found: ${winners.length}`);
-        console.log(`🔍 DEBUG: Total slashed: ${totalSlashed.toString()}`);
-        users.forEach(u => {
-            console.log(`   User ${u.address.substring(0, 10)}... completion=${u.completion_status} (type: ${typeof u.completion_status})`);
-        });
-        
-        if (winners.length === 0 || totalSlashed === BigInt(0)) {
-            console.log(`⚠️ No rewards to distribute: winners=${winners.length}, slashed=${totalSlashed.toString()}`);
-            return [];
+    async fetchUnclaimedPositions() {
+        const { data: locks, error } = await this.supabase
+            .from('focus_locks')
+            .select('*')
+            .eq('has_claimed', false);
+
+        if (error) {
+            this.recordError('supabase', 'fetch_unclaimed_positions');
+            throw new Error(`Failed to fetch unclaimed focus locks: ${error.message}`);
         }
-
-        // Calculate weighted scores for all winners
-        const winnersWithWeights = winners.map(winner => {
-            const stakeAmount = this.toBigInt(winner.stake_amount);
-            const duration = this.toBigInt(winner.duration);
-            const weight = this.calculateUserWeight(stakeAmount, duration);
-            
-            return {
-                ...winner,
-                weight: weight
-            };
-        });
-
-        const totalWinnerWeight = winnersWithWeights.reduce((sum, w) => sum + w.weight, BigInt(0));
-        if (totalWinnerWeight === BigInt(0)) {
+        if (!locks || locks.length === 0) {
             return [];
         }
 
-        // Calculate protocol fee (10%) and rewards for winners (90%)
-        const protocolFee = (totalSlashed * 10n) / 100n;
-        const rewardsForWinners = totalSlashed - protocolFee;
+        const { data: profiles, error: profileError } = await this.supabase
+            .from('profiles')
+            .select('id, wallet_address')
+            .in('id', locks.map(l => l.user_id));
 
-        return winnersWithWeights.map(winner => {
-            // Distribute rewards based on weighted score (stake * duration)
-            const proportionalReward = (rewardsForWinners * winner.weight) / totalWinnerWeight;
-            return {
-                address: winner.address,
-                reward_amount: proportionalReward.toString(),
-                weight: winner.weight.toString(),
-                stake_amount: winner.stake_amount,
-                duration: winner.duration
-            };
-        });
-    }
-
-    /**
-     * Validates the input types and ranges for user data.
-     */
-    validateInputTypes(users) {
-        for (const user of users) {
-            if (!user.address || typeof user.address !== 'string' || !user.address.startsWith('0x')) {
-                throw new Error(`Invalid address: ${JSON.stringify(user)}`);
-            }
-            const startTime = this.toBigInt(user.start_time);
-            if (startTime < 0n || startTime >= (1n << 64n)) {
-                throw new Error(`start_time out of u64: ${user.start_time}`);
-            }
-            const duration = this.toBigInt(user.duration);
-            if (duration < 60n || duration > 86400n) {
-                throw new Error(`duration out of range (60-86400 seconds): ${user.duration}`);
-            }
-            if (typeof user.completion_status !== 'boolean') {
-                throw new Error(`completion_status must be boolean: ${user.completion_status}`);
-            }
-            const stakeAmount = this.toBigInt(user.stake_amount);
-            if (stakeAmount < 0n || stakeAmount >= (1n << 256n)) {
-                throw new Error(`stake_amount out of u256: ${user.stake_amount}`);
-            }
+        if (profileError) {
+            this.recordError('supabase', 'fetch_profiles');
+            throw new Error(`Failed to fetch profiles: ${profileError.message}`);
         }
+        const walletMap = Object.fromEntries(profiles.map(p => [p.id, p.wallet_address]));
+
+        return locks.map(lock => ({
+            address: walletMap[lock.user_id],
+            day: lock.day,
+            period: lock.period,
+            stake_amount: lock.stake_amount.toString(),
+            duration: (lock.duration_minutes * 60).toString(),
+            completion_status: lock.completion_status !== null ? lock.completion_status : false,
+            claim_ready: lock.claim_ready === true,
+            focus_lock_id: lock.id,
+            lock_id: lock.lock_id ?? null
+        }));
     }
 
     /**
-     * Creates a cryptographic signature for a user's outcome using a private key.
-     */
-    createOutcomeSignature(userAddress, startTime, duration, completionStatus, privateKey) {
-        let normalizedPrivateKey = privateKey;
-        if (!normalizedPrivateKey.startsWith('0x')) {
-            normalizedPrivateKey = '0x' + normalizedPrivateKey;
-        }
-
-        const callerFelt = this.toBigInt(userAddress);
-        const startFelt = this.toBigInt(startTime);
-        const durationFelt = this.toBigInt(duration);
-        const completionFelt = completionStatus ? BigInt(1) : BigInt(0);
-
-        const messageHash = hash.computePoseidonHashOnElements([callerFelt, startFelt, durationFelt, completionFelt]);
-        const signature = ec.starkCurve.sign(messageHash, normalizedPrivateKey);
-
-        return {
-            message_hash: this.toHexString(messageHash),
-            signature_r: this.toHexString(signature.r),
-            signature_s: this.toHexString(signature.s),
-            public_key: this.toHexString(ec.starkCurve.getStarkKey(normalizedPrivateKey)),
-        };
-    }
-
-    /**
-     * Creates a Merkle tree leaf hash for a user and their reward amount.
+     * Calculates the amount of stake a user gets back based on their completion status.
      */
-    createMerkleLeaf(userAddress, rewardAmount) {
-        const callerFelt = this.toBigInt(userAddress);
-        const reward = this.toBigInt(rewardAmount);
-
-        const mask128 = (BigInt(1) << BigInt(128)) - BigInt(1);
-        const rewardLow = reward & mask128;
-        const rewardHigh = reward >> BigInt(128);
-
-        const leafHash = hash.computePoseidonHashOnElements([callerFelt, rewardLow, rewardHigh]);
-        return this.toHexString(leafHash);
+    calculateStakeReturn(stakeAmount, completionStatus) {
+        return this.strategy.calculateStakeReturn({ stake_amount: stakeAmount, completion_status: completionStatus });
     }
 
     /**
-     * Builds a Merkle tree from a list of leaf hashes.
+     * Calculates the weighted score for a user based on stake amount and duration.
+     * @param {bigint} stakeAmount - The user's stake amount.
+     * @param {bigint} duration - The user's lock duration in seconds.
+     * @returns {bigint} The weighted score for this user.
      */
-    buildMerkleTree(leaves) {
-        if (leaves.length === 0) {
-            // Generate a valid non-zero merkle root for empty reward case
-            const noRewardsHash = hash.computePoseidonHashOnElements([BigInt('0x6e6f5f726577617264734040')]);
-            return { root: this.toHexString(noRewardsHash), proofs: {} };
-        }
-        if (leaves.length === 1) {
-            return { root: leaves[0].hash, proofs: { [leaves[0].address]: [] } };
-        }
-
-        const proofs = {};
-        leaves.forEach(leaf => proofs[leaf.address] = []);
-
-        let currentLevel = leaves.map(l => ({ address: l.address, hashBig: this.toBigInt(l.hash) }));
-
-        while (currentLevel.length > 1) {
-            const nextLevel = [];
-            for (let i = 0; i < currentLevel.length; i += 2) {
-                const left = currentLevel[i];
-                const right = (i + 1 < currentLevel.length) ? currentLevel[i + 1] : left;
-
-                proofs[left.address].push(this.toHexString(right.hashBig));
-                if (right.address !== left.address) {
-                    proofs[right.address].push(this.toHexString(left.hashBig));
-                }
-
-                const parentHashBig = hash.computePoseidonHashOnElements([left.hashBig, right.hashBig]);
-                nextLevel.push({ hashBig: parentHashBig });
-            }
-            currentLevel = nextLevel;
-        }
-
-        return { root: this.toHexString(currentLevel[0].hashBig), proofs };
-    }
-
-    // Helper to split u256 to Cairo format
-    toU256Parts(val) {
-        const n = BigInt(val);
-        const low = n & ((1n << 128n) - 1n);
-        const high = n >> 128n;
-        return [low.toString(), high.toString()];
+    calculateUserWeight(stakeAmount, duration) {
+        return this.strategy.calculateUserWeight({ stake_amount: stakeAmount, duration });
     }
 
     /**
-     * Set merkle root on-chain using AVNU sponsored transaction
+     * Creates a cryptographic signature for a user's outcome with the verifier signer (or the given one).
      */
-    async setMerkleRootOnChain(day, period, merkleRoot, newRewards, protocolFees) {
-        try {
-            console.log(`🚀 ========== SETTING MERKLE ROOT ON-CHAIN ==========`);
-            console.log(`📊 Pool: Day ${day}, Period ${period}`);
-            console.log(`🌳 Merkle Root: ${merkleRoot}`);
-            console.log(`🏦 newRewards: ${newRewards}`);
-            console.log(`💸 protocolFees: ${protocolFees}`);
-            
-            const timeLockContractAddress = process.env.TIME_LOCK_CONTRACT_ADDRESS;
-            if (!timeLockContractAddress) {
-                throw new Error('Missing TIME_LOCK_CONTRACT_ADDRESS environment variable');
-            }
-            
-            console.log(`📋 Contract Address: ${timeLockContractAddress}`);
-            
-            // Prepare contract call
-            const calls = [{
-                contractAddress: timeLockContractAddress,
-                entrypoint: 'set_reward_merkle_root',
-                calldata: [
-                    day.toString(),
-                    period.toString(),
-                    merkleRoot,
-                    ...this.toU256Parts(newRewards),
-                    ...this.toU256Parts(protocolFees)
-                ]
-            }];
-            
-            console.log(`🔨 Contract Call Prepared:`);
-            console.log(`   Function: set_reward_merkle_root`);
-            console.log(`   Day: ${day}`);
-            console.log(`   Period: ${period}`);
-            console.log(`   Merkle Root: ${merkleRoot}`);
-            console.log(`   newRewards: ${newRewards}`);
-            console.log(`   protocolFees: ${protocolFees}`);
-            
-            // Execute transaction (sponsored or regular)
-            let result;
-            
-            if (this.paymasterRpc) {
-                console.log(`💰 Executing sponsored transaction via AVNU Paymaster...`);
-                const feesDetails = { feeMode: { mode: 'sponsored' } };
-                result = await this.account.executePaymasterTransaction(calls, feesDetails);
-            } else {
-                console.log(`💳 Executing regular transaction (gas fees will be paid)...`);
-                result = await this.account.execute(calls, undefined, {
-                    maxFee: '1000000000000000',
-                    version: 2
-                });
-            }
-            
-            console.log(`✅ Transaction submitted successfully!`);
-            console.log(`📋 Transaction Hash: ${result.transaction_hash}`);
-            
-            // Wait for transaction confirmation
-            console.log(`⏳ Waiting for transaction confirmation...`);
-            const receipt = await this.provider.waitForTransaction(result.transaction_hash);
-            
-            if (receipt.execution_status === 'SUCCEEDED') {
-                console.log(`🎉 ========== MERKLE ROOT SET SUCCESSFULLY ==========`);
-                console.log(`📋 Final Transaction Hash: ${result.transaction_hash}`);
-                console.log(`🌳 Merkle Root ${merkleRoot} set for Day ${day}, Period ${period}`);
-                return result.transaction_hash;
-            } else {
-                throw new Error(`Transaction failed with status: ${receipt.execution_status}`);
-            }
-            
-        } catch (error) {
-            console.error(`❌ ========== SET MERKLE ROOT FAILED ==========`);
-            console.error(`🚫 Error: ${error.message}`);
-            console.error(`📊 Failed Pool: Day ${day}, Period ${period}`);
-            console.error(`🌳 Failed Merkle Root: ${merkleRoot}`);
-            throw error;
-        }
+    async createOutcomeSignature(userAddress, startTime, duration, completionStatus, signer = this.verifierSigner) {
+        return this.signUserOutcome({
+            address: userAddress,
+            start_time: startTime,
+            duration,
+            completion_status: completionStatus
+        }, signer);
     }
 
     /**
-     * Store processed results back to database
+     * Show weighted distribution details (stake × duration) for each winner.
      */
-    async storeResultsToDatabase(users, rewards, merkleTree, verifierPrivateKey) {
-        try {
-            console.log(`💾 ========== STORING RESULTS TO DATABASE ==========`);
-            
-            const lockUpdates = [];
-            const claimDataInserts = [];
-            
-            for (const user of users) {
-                console.log(`📊 Processing user: ${user.address}`);
-                
-                // Find reward for this user
-                const userReward = rewards.find(r => r.address === user.address);
-                const rewardAmount = userReward ? userReward.reward_amount : "0";
-                
-                // All users have merkle proofs
-                const merkleProof = merkleTree.proofs[user.address] || [];
-                
-                // Prefer on-chain lock start_time/duration (exact) if lock_id is available
-                let sigStartTime = user.start_time;
-                let sigDuration = user.duration;
-                try {
-                    if (user.lock_id != null) {
-                        const timeLockContractAddress = process.env.TIME_LOCK_CONTRACT_ADDRESS;
-                        const res = await this.provider.callContract({
-                            contractAddress: timeLockContractAddress,
-                            entrypoint: 'get_user_lock',
-                            calldata: [user.address, String(user.lock_id)]
-                        });
-                        const arr = res.result || res;
-                        if (Array.isArray(arr) && arr.length >= 6) {
-                            // arr: [stake_low, stake_high, start_time, duration, end_time, status]
-                            sigStartTime = String(BigInt(arr[2]));
-                            sigDuration = String(BigInt(arr[3]));
-                            console.log(`   🔎 On-chain lock params: start=${sigStartTime} duration=${sigDuration}`);
-                        }
-                    }
-                } catch (e) {
-                    console.log(`   ⚠️ Could not fetch on-chain lock params, using DB values: ${e.message || e}`);
-                }
-
-                // Generate signature for this user (must match on-chain lock values)
-                const signature = this.createOutcomeSignature(
-                    user.address,
-                    sigStartTime,
-                    sigDuration,
-                    user.completion_status,
-                    verifierPrivateKey
-                );
-                
-                // Calculate stake return
-                const stakeReturn = this.calculateStakeReturn(user.stake_amount, user.completion_status);
-                
-                console.log(`   💰 Reward: ${rewardAmount}`);
-                console.log(`   🔄 Stake Return: ${stakeReturn.toString()}`);
-                console.log(`   🏆 Is Winner: ${user.completion_status}`);
-                
-                // Prepare focus_locks table update (by UUID)
-                lockUpdates.push({
-                    id: user.focus_lock_id,
-                    claim_ready: true,
-                    has_claimed: false
-                });
-                
-                // Prepare claim data insert; include both identifiers
-                claimDataInserts.push({
-                    focus_lock_id: user.focus_lock_id, // uuid from focus_locks.id
-                    lock_id: user.lock_id,             // on-chain int (nullable until set)
-                    signature_r: signature.signature_r,
-                    signature_s: signature.signature_s,
-                    message_hash: signature.message_hash,
-                    reward_amount: rewardAmount.toString(), // Ensure string format for DB
-                    merkle_proof: JSON.stringify(merkleProof),
-                    processed_at: new Date().toISOString()
-                });
-            }
-            
-            // Batch update focus_locks table
-            console.log(`🔄 Updating ${lockUpdates.length} lock records...`);
-            for (const update of lockUpdates) {
-                const { error } = await this.supabase
-                    .from('focus_locks')
-                    .update({
-                        claim_ready: update.claim_ready,
-                        has_claimed: update.has_claimed
-                    })
-                    .eq('id', update.id);
-                
-                if (error) {
-                    throw new Error(`Failed to update lock ${update.id}: ${error.message}`);
-                }
-            }
-            console.log(`✅ Focus locks table updated successfully`);
-            
-            // Batch insert claim data
-            console.log(`📝 Inserting ${claimDataInserts.length} claim data records...`);
-            const { error: insertError } = await this.supabase
-                .from('user_claim_data_locks')
-                .insert(claimDataInserts);
-            
-            if (insertError) {
-                throw new Error(`Failed to insert claim data: ${insertError.message}`);
-            }
-            console.log(`✅ Claim data inserted successfully`);
-            
-            console.log(`🎉 All database operations completed successfully!`);
-            
-        } catch (error) {
-            console.error(`❌ Database storage failed:`, error);
-            throw error;
-        }
+    logRewardDetails(users, rewards) {
+        rewards.forEach(reward => {
+            const user = users.find(u => u.address === reward.address);
+            this.logger.debug('Weighted reward', {
+                focus_lock_id: user.focus_lock_id,
+                address: reward.address,
+                stake_amount: reward.stake_amount,
+                duration: user.duration,
+                weight: reward.weight, // stake × duration
+                reward_amount: reward.reward_amount
+            });
+        });
     }
 
     /**
      * Process focus lock pool: fetch from database, calculate outcomes, set merkle root on-chain, store results
+     * @param {Object} [options] - {dryRun} to compute and sign without sending or storing anything,
+     *   {allowDiscrepancies} to finalize despite a failed pool audit
      */
-    async processFocusLockPool(day, period) {
-        try {
-            console.log(`🚀 ========== PROCESSING FOCUS LOCK POOL ==========`);
-            console.log(`📅 Pool: Day ${day}, Period ${period}`);
-            console.log(`🕐 Processing Time: ${new Date()}`);
-            
-            // Step 1: Fetch lock data from database
-            console.log(`\n🔍 STEP 1: FETCHING LOCK DATA`);
-            const users = await this.fetchLocksFromDatabase(day, period);
-            
-            if (users.length === 0) {
-                console.log(`⚠️ No users found in this pool - skipping processing`);
-                return { success: false, message: 'No users in pool' };
-            }
-            
-            // Step 2: Validate user data
-            console.log(`\n✅ STEP 2: VALIDATING USER DATA`);
-            console.log(`👥 Total users in pool: ${users.length}`);
-            this.validateInputTypes(users);
-            console.log(`✅ All user data validated successfully`);
-            
-            // Step 3: Calculate rewards and slashed amounts
-            console.log(`\n💰 STEP 3: CALCULATING REWARDS (WEIGHTED BY STAKE × DURATION)`);
-            const rewards = this.calculateRewards(users);
-            const totalSlashed = this.calculateTotalSlashedAmount(users);
-            
-            console.log(`🏆 Winners: ${rewards.length}`);
-            console.log(`💸 Total Slashed: ${totalSlashed.toString()}`);
-            
-            // Calculate protocol fee (10%) and remainder is new_rewards
-            const protocolFee = (totalSlashed * 10n) / 100n;
-            const newRewards = totalSlashed - protocolFee;
-            
-            console.log(`💰 Protocol fees (10%): ${protocolFee.toString()} wei`);
-            console.log(`🎁 Rewards for winners (90%): ${newRewards.toString()} wei`);
-            
-            // Show weighted distribution details
-            console.log(`\n⚖️ Weighted Distribution Details:`);
-            if (rewards && rewards.length > 0) {
-                rewards.forEach((reward, index) => {
-                    const weight = BigInt(reward.weight);
-                    const stake = BigInt(reward.stake_amount);
-                    const duration = BigInt(reward.duration);
-                    const rewardAmount = BigInt(reward.reward_amount);
-                    
-                    console.log(`  Winner ${index + 1}: ${reward.address.slice(0, 10)}...`);
-                    console.log(`    Stake: ${(stake / BigInt(10**18)).toString()} STRK`);
-                    console.log(`    Duration: ${(Number(duration) / 3600).toFixed(1)} hours`);
-                    console.log(`    Weight: ${weight.toString()} (stake × duration)`);
-                    console.log(`    Reward: ${(rewardAmount / BigInt(10**18)).toString()} STRK`);
-                    console.log('');
-                });
-            } else {
-                console.log('  No winners found.');
-            }
-
-            // Step 4: Build merkle tree
-            console.log(`\n🌳 STEP 4: BUILDING MERKLE TREE`);
-            
-            // Include ALL users in merkle tree
-            const leaves = users.map(user => {
-                const userReward = rewards.find(r => r.address === user.address);
-                const rewardAmount = userReward ? userReward.reward_amount : "0";
-                return {
-                    address: user.address,
-                    hash: this.createMerkleLeaf(user.address, rewardAmount)
-                };
-            });
-            
-            const merkleTree = this.buildMerkleTree(leaves);
-            console.log(`✅ Merkle tree built with root: ${merkleTree.root}`);
-            console.log(`📊 Tree includes ${leaves.length} users (${rewards.length} winners + ${users.length - rewards.length} non-winners)`);
-            
-            // Step 5: Set merkle root on-chain (REQUIRED)
-            console.log(`\n⛓️ STEP 5: SETTING MERKLE ROOT ON-CHAIN`);
-            let txHash = null;
-            try {
-                txHash = await this.setMerkleRootOnChain(day, period, merkleTree.root, newRewards, protocolFee);
-                console.log(`✅ Merkle root set on-chain - TX: ${txHash}`);
-            } catch (error) {
-                console.error(`❌ CRITICAL: Blockchain transaction failed`);
-                throw new Error(`Blockchain finalization required: ${error.message}`);
-            }
-            
-            // Step 6: Store results to database
-            console.log(`\n💾 STEP 6: STORING RESULTS TO DATABASE`);
-            const verifierPrivateKey = process.env.VERIFIER_PRIVATE_KEY;
-            if (!verifierPrivateKey) {
-                throw new Error('Missing VERIFIER_PRIVATE_KEY environment variable');
-            }
-            
-            await this.storeResultsToDatabase(users, rewards, merkleTree, verifierPrivateKey);
-            console.log(`✅ Results stored to database successfully`);
-            
-            // Step 7: Summary
-            console.log(`\n🎉 ========== PROCESSING COMPLETED SUCCESSFULLY ==========`);
-            console.log(`📅 Pool: Day ${day}, Period ${period}`);
-            console.log(`👥 Total Users: ${users.length}`);
-            console.log(`🏆 Winners: ${rewards.length}`);
-            console.log(`💸 Total Slashed: ${totalSlashed.toString()}`);
-            console.log(`🌳 Merkle Root: ${merkleTree.root}`);
-            console.log(`📋 Transaction Hash: ${txHash}`);
-            console.log(`🕐 Completed At: ${new Date()}`);
-            console.log(`💾 Database Status: ✅ All claim data stored`);
-            console.log(`⛓️ Blockchain Status: ✅ Pool finalized on-chain`);
-            console.log(`🎯 Users can now claim their rewards through the app!`);
-            console.log(`====================================================`);
-            
-            return {
-                success: true,
-                pool_info: {
-                    day: day,
-                    period: period,
-                    merkle_root: merkleTree.root,
-                    total_slashed_amount: totalSlashed.toString(),
-                    transaction_hash: txHash,
-                    total_users: users.length,
-                    winners: rewards.length,
-                    processed_at: new Date().toISOString(),
-                    blockchain_status: 'success'
-                }
-            };
-            
-        } catch (error) {
-            console.error(`❌ ========== FOCUS LOCK POOL PROCESSING FAILED ==========`);
-            console.error(`📅 Failed Pool: Day ${day}, Period ${period}`);
-            console.error(`🚫 Error: ${error.message}`);
-            console.error(`🔍 Stack: ${error.stack}`);
-            console.error(`================================================`);
-            throw error;
-        }
+    async processFocusLockPool(day, period, options = {}) {
+        return this.processPool(day, period, options);
     }
 }
 
@@ -943,79 +570,69 @@ async function getAllDayPeriodsWithLocks(supabase) {
 
 // Main runner function - Integrated Database & Blockchain Processing
 async function main() {
-    console.log('🏗️ ========== FOCUS LOCK BACKEND PROCESSOR ==========');
-    console.log('🕐 Started at:', new Date().toISOString());
-    
-    const backend = new FocusLockContractBackend();
+    const { dryRun, outputFile, pretty, args } = parseRunFlagsOrExit(process.argv.slice(2));
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
     
     try {
         // Initialize all services
-        await backend.initialize();
+        const backend = FocusLockContractBackend.fromEnv(process.env, { logger });
+        const allowDiscrepancies = process.argv.includes('--allow-discrepancies');
         
         // Get day and period from command line arguments or environment
-        let day = process.argv[2] || process.env.DAY;
-        let period = process.argv[3] || process.env.PERIOD;
+        let day = args[0] || process.env.DAY;
+        let period = args[1] || process.env.PERIOD;
+        if (dryRun) {
+            logger.info('Dry-run mode: no transaction, no database writes');
+        }
         
         // Check for "process-all" mode
         if (day === 'process-all') {
-            console.log('🔄 ========== PROCESS ALL POOLS MODE (DYNAMIC) ==========');
-
             // Get all unique (day, period) pairs present in the DB that need processing
             const allPools = await getAllDayPeriodsWithLocks(backend.supabase);
 
             if (allPools.length === 0) {
-                console.log('🎉 All pools are already processed! Nothing to do.');
+                logger.info('All pools are already processed');
                 return;
             }
 
-            console.log(`\n🚀 Will process ${allPools.length} pools...\n`);
-
             let successCount = 0;
             let failCount = 0;
             const failedPools = [];
+            const reports = [];
 
             for (let i = 0; i < allPools.length; i++) {
                 const pool = allPools[i];
 
-                console.log('\n======================================================================');
-                console.log(`📊 Processing Pool ${i + 1}/${allPools.length}: Day ${pool.day}, Period ${pool.period}`);
-                console.log('======================================================================\n');
-
                 try {
-                    const results = await backend.processFocusLockPool(pool.day, pool.period);
+                    const results = await backend.processFocusLockPool(pool.day, pool.period, { dryRun, allowDiscrepancies });
+                    if (dryRun) reports.push(results.report);
                     if (results.success) {
                         successCount++;
-                        console.log(`✅ Pool ${i + 1}/${allPools.length} processed successfully\n`);
                     } else {
                         failCount++;
                         failedPools.push({ ...pool, reason: results.message });
-                        console.log(`⚠️ Pool ${i + 1}/${allPools.length} skipped: ${results.message}\n`);
+                        logger.warn('Pool skipped', { ...pool, message: results.message });
                     }
                 } catch (error) {
                     failCount++;
                     failedPools.push({ ...pool, reason: error.message });
-                    console.error(`❌ Pool ${i + 1}/${allPools.length} failed: ${error.message}\n`);
+                    logger.error('Pool failed', { ...pool, error: error.message });
                 }
 
-                if (i < allPools.length - 1) {
-                    console.log('⏳ Waiting 2 seconds before next pool...\n');
+                if (i < allPools.length - 1 && !dryRun) {
                     await new Promise(resolve => setTimeout(resolve, 2000));
                 }
             }
 
-            console.log('\n🎉 ========== BATCH PROCESSING COMPLETE ==========');
-            console.log(`📊 Total Pools: ${allPools.length}`);
-            console.log(`✅ Successfully Processed: ${successCount}`);
-            console.log(`❌ Failed/Skipped: ${failCount}`);
-
-            if (failedPools.length > 0) {
-                console.log('\n⚠️ Failed/Skipped Pools:');
-                failedPools.forEach(pool => {
-                    console.log(`   Day ${pool.day}, Period ${pool.period}: ${pool.reason}`);
-                });
+            logger.info('Batch processing complete', {
+                total: allPools.length,
+                successful: successCount,
+                failed: failCount,
+                failed_pools: failedPools
+            });
+            if (dryRun) {
+                writeDryRunReport(reports, outputFile || 'dry_run_focus_lock_all.json', logger);
             }
-
-            console.log('================================================\n');
             return;
         }
         
@@ -1023,14 +640,12 @@ async function main() {
         if (!day || !period || day === 'auto' || day === 'latest' || day === 'current') {
             if (day === 'auto' || day === 'latest') {
                 // Find latest pool with locks
-                console.log('🔍 Auto-detecting latest pool with focus locks...');
                 const latestPool = await backend.findLatestPoolWithLocks();
                 if (latestPool) {
                     day = latestPool.day;
                     period = latestPool.period;
-                    console.log('✅ Using latest pool with focus locks');
                 } else {
-                    console.log('⚠️ No locks found, falling back to current time pool');
+                    logger.warn('No locks found, falling back to current time pool');
                     const currentTime = Math.floor(Date.now() / 1000);
                     const poolInfo = backend.getPoolInfo(currentTime);
                     day = poolInfo.day;
@@ -1042,23 +657,21 @@ async function main() {
                 const poolInfo = backend.getPoolInfo(currentTime);
                 day = poolInfo.day;
                 period = poolInfo.period;
-                console.log('🕒 Current mode: using current time pool');
+                logger.info('Current mode: using current time pool');
             } else {
                 // Use current time to determine pool if not specified
                 const currentTime = Math.floor(Date.now() / 1000);
                 const poolInfo = backend.getPoolInfo(currentTime);
                 day = poolInfo.day;
                 period = poolInfo.period;
-                console.log('⚠️ No day/period specified, using current time pool');
+                logger.info('No day/period specified, using current time pool');
             }
         }
         
         day = parseInt(day);
         period = parseInt(period);
         const force = process.argv.includes('--force') || process.argv.includes('-f') || process.argv.includes('force');
-        
-        console.log(`🎯 Target Pool: Day ${day}, Period ${period}`);
-        
+
         // Validate inputs
         if (isNaN(day) || isNaN(period) || period < 0 || period > 3) {
             throw new Error('Invalid day/period. Period must be 0-3 for 6-hour periods');
@@ -1066,38 +679,35 @@ async function main() {
         
         // Guard (skippable with --force): only finalize when current UTC time is past end_time + buffer (30 min)
         // For focus locks, slot size = 21600s (6 hours)
-        if (!force) {
+        // A dry run may preview a pool that is still open
+        if (!force && !dryRun) {
             const now = Math.floor(Date.now() / 1000);
-            const slotSize = 21600; // 6h
-            const periodStart = (day * 86400) + (period * slotSize);
-            const periodEnd = periodStart + slotSize;
-            const finalizeBuffer = 1800; // 30 minutes
-            const eligibleAt = periodEnd + finalizeBuffer;
-            console.log(`⏱️ Time check: now=${now} eligibleAt=${eligibleAt} (end=${periodEnd} + buffer=${finalizeBuffer})`);
+            const { periodEnd, eligibleAt } = backend.strategy.getPeriodBounds(day, period);
             if (now < eligibleAt) {
-                console.log('⏳ Too early to finalize current focus lock pool. Skipping this run.');
+                logger.info('Too early to finalize focus lock pool, skipping this run', {
+                    day,
+                    period,
+                    now,
+                    period_end: periodEnd,
+                    eligible_at: eligibleAt
+                });
                 return;
             }
-        } else {
-            console.log('⚠️ Forcing finalization (buffer check bypassed)');
+        } else if (force) {
+            logger.warn('Forcing finalization (buffer check bypassed)', { day, period });
         }
         
         // Process the pool
-        const results = await backend.processFocusLockPool(day, period);
+        const results = await backend.processFocusLockPool(day, period, { dryRun, allowDiscrepancies });
         
-        if (results.success) {
-            console.log('🎉 ========== FINAL SUCCESS SUMMARY ==========');
-            console.log('📊 Pool Info:', JSON.stringify(results.pool_info, null, 2));
-            console.log('🎯 Ready for claims: Database ✅ + Blockchain ✅');
-        } else {
-            console.log(`⚠️ Processing completed with message: ${results.message}`);
+        if (dryRun) {
+            writeDryRunReport(results.report, outputFile || `dry_run_focus_lock_${day}_${period}.json`, logger);
+        } else if (!results.success) {
+            logger.warn('Processing completed with message', { day, period, message: results.message });
         }
         
     } catch (error) {
-        console.error('💥 ========== FATAL ERROR ==========');
-        console.error('❌ Error:', error.message);
-        console.error('🔍 Stack:', error.stack);
-        console.error('🕐 Failed at:', new Date());
+        logger.error('Fatal error', { error });
         process.exit(1);
     }
 }
@@ -1105,13 +715,14 @@ async function main() {
 // Usage information
 function printUsage() {
     console.log('📖 ========== USAGE ==========');
-    console.log('node focus_lock_backend.js [day] [period]');
+    console.log('node focus_lock_backend.js [day] [period] [--force] [--allow-discrepancies] [--dry-run [--output <file>]] [--pretty]');
     console.log('');
     console.log('Arguments:');
     console.log('  day    - Unix day number (calculated as Math.floor(start_time / 86400))');
     console.log('         - OR "auto"/"latest" to find the most recent pool with locks');
     console.log('         - OR "process-all" to process ALL unprocessed pools');
     console.log('  period - Pool period: 0-3 for 6-hour periods (0=0-6h, 1=6-12h, 2=12-18h, 3=18-24h)');
+    console.log('  --allow-discrepancies - Finalize even if the pool audit finds rows that differ from the contract');
     console.log('');
     console.log('Examples:');
     console.log('  node focus_lock_backend.js 20321 1    # Process specific day 20321, period 1');
@@ -1119,24 +730,30 @@ function printUsage() {
     console.log('  node focus_lock_backend.js latest     # Same as auto');
     console.log('  node focus_lock_backend.js process-all # Process ALL unprocessed pools');
     console.log('  node focus_lock_backend.js            # Process current time pool');
+    console.log('  node focus_lock_backend.js 20321 1 --dry-run  # Write the pool report to dry_run_focus_lock_20321_1.json');
+    console.log('  node focus_lock_backend.js process-all --pretty # Human-readable log lines instead of JSON');
     console.log('');
     console.log('Environment Variables Required:');
     console.log('  SUPABASE_URL, SUPABASE_SERVICE_KEY');
     console.log('  STARKNET_RPC_URL, AVNU_PAYMASTER_API_KEY');
-    console.log('  DEPLOYER_ADDRESS, DEPLOYER_PRIVATE_KEY');
-    console.log('  TIME_LOCK_CONTRACT_ADDRESS, VERIFIER_PRIVATE_KEY');
+    console.log('  DEPLOYER_ADDRESS and a deployer signer (DEPLOYER_KEYSTORE_PATH, DEPLOYER_REMOTE_SIGNER_URL or DEPLOYER_SIGNER=env with DEPLOYER_PRIVATE_KEY)');
+    console.log('  TIME_LOCK_CONTRACT_ADDRESS');
+    console.log('  A verifier signer (VERIFIER_KEYSTORE_PATH, VERIFIER_REMOTE_SIGNER_URL or VERIFIER_SIGNER=env with VERIFIER_PRIVATE_KEY)');
+    console.log('  LOG_LEVEL (debug|info|warn|error), LOG_FORMAT (json|pretty) - optional');
     console.log('=============================');
 }
 
-// Show help if requested
-if (process.argv.includes('--help') || process.argv.includes('-h')) {
-    printUsage();
-    process.exit(0);
-}
+FocusLockContractBackend.CONTRACT_ADDRESS_ENV = 'TIME_LOCK_CONTRACT_ADDRESS';
+FocusLockContractBackend.REWARD_POLICY_ENV = 'FOCUS_LOCK_REWARD_POLICY';
 
-module.exports = { FocusLockContractBackend };
+module.exports = { FocusLockContractBackend, FocusLockPoolStrategy };
 
 if (require.main === module) {
+    // Show help if requested
+    if (process.argv.includes('--help') || process.argv.includes('-h')) {
+        printUsage();
+        process.exit(0);
+    }
     main();
 }
 
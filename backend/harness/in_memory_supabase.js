@@ -0,0 +1,331 @@
+// in_memory_supabase.js - In-memory stand-in for the Supabase client used by the backends
+const { randomUUID } = require('crypto');
+
+// Embedded selects like `profiles!inner(wallet_address)` resolve through these relations
+const DEFAULT_RELATIONS = {
+    alarms: { profiles: { localKey: 'user_id', foreignKey: 'id' } },
+    focus_locks: { profiles: { localKey: 'user_id', foreignKey: 'id' } }
+};
+
+// Unique constraints enforced on insert, as in the README schema
+const DEFAULT_UNIQUE_KEYS = {
+    settlement_journal: ['contract_address', 'day', 'period']
+};
+
+/**
+ * Splits a select string on top-level commas (ignores commas inside embeds).
+ */
+function splitColumns(columns) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of columns) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Thenable query builder mirroring the subset of PostgREST used in this repo:
+ * select/insert/update/upsert/delete with eq, neq, gt, gte, lt, lte, in, is,
+ * or (eq, neq and is.null terms only), order, limit, single and maybeSingle.
+ */
+class InMemoryQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.operation = 'select';
+        this.columns = '*';
+        this.selectOptions = {};
+        this.returning = false;
+        this.payload = null;
+        this.upsertOptions = {};
+        this.filters = [];
+        this.orderings = [];
+        this.limitCount = null;
+        this.singleMode = null;
+    }
+
+    select(columns = '*', options = {}) {
+        if (this.operation === 'select') {
+            this.selectOptions = options;
+        } else {
+            this.returning = true;
+        }
+        this.columns = columns;
+        return this;
+    }
+
+    insert(rows) {
+        this.operation = 'insert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.operation = 'upsert';
+        this.payload = Array.isArray(rows) ? rows : [rows];
+        this.upsertOptions = options;
+        return this;
+    }
+
+    update(values) {
+        this.operation = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    delete() {
+        this.operation = 'delete';
+        return this;
+    }
+
+    eq(column, value) { return this._filter(row => row[column] === value); }
+    neq(column, value) { return this._filter(row => row[column] !== value); }
+    gt(column, value) { return this._filter(row => row[column] > value); }
+    gte(column, value) { return this._filter(row => row[column] >= value); }
+    lt(column, value) { return this._filter(row => row[column] < value); }
+    lte(column, value) { return this._filter(row => row[column] <= value); }
+    in(column, values) { return this._filter(row => values.includes(row[column])); }
+    is(column, value) { return this._filter(row => (row[column] ?? null) === value); }
+
+    /**
+     * PostgREST filter list, e.g. 'token.eq.STRK,token.is.null': a row matches if any term does.
+     */
+    or(filters) {
+        const terms = filters.split(',').map(term => {
+            const [column, op, ...rest] = term.split('.');
+            const value = rest.join('.');
+            if (op === 'eq') return row => String(row[column]) === value;
+            if (op === 'neq') return row => String(row[column]) !== value;
+            if (op === 'is' && value === 'null') return row => (row[column] ?? null) === null;
+            throw new Error(`InMemorySupabase: unsupported or() term ${term}`);
+        });
+        return this._filter(row => terms.some(term => term(row)));
+    }
+
+    _filter(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orderings.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this._execute()).then(resolve, reject);
+    }
+
+    _execute() {
+        const failure = this.db._takeFailure(this.table, this.operation);
+        if (failure) {
+            return { data: null, error: { message: failure }, count: null };
+        }
+
+        const rows = this.db._table(this.table);
+        let affected;
+
+        switch (this.operation) {
+            case 'insert': {
+                const keys = this.db.uniqueKeys[this.table];
+                const duplicate = keys && this.payload.some(row => rows.some(r => keys.every(k => r[k] === row[k])));
+                if (duplicate) {
+                    return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${this.table}` }, count: null };
+                }
+                affected = this.payload.map(row => this.db._withDefaults(row));
+                rows.push(...affected);
+                break;
+            }
+            case 'upsert': {
+                const keys = (this.upsertOptions.onConflict || 'id').split(',').map(k => k.trim());
+                affected = this.payload.map(row => {
+                    const existing = rows.find(r => keys.every(k => r[k] === row[k]));
+                    if (existing) {
+                        return Object.assign(existing, row);
+                    }
+                    const inserted = this.db._withDefaults(row);
+                    rows.push(inserted);
+                    return inserted;
+                });
+                break;
+            }
+            case 'update':
+                affected = this._matching(rows);
+                affected.forEach(row => Object.assign(row, this.payload));
+                break;
+            case 'delete':
+                affected = this._matching(rows);
+                this.db.tables[this.table] = rows.filter(row => !affected.includes(row));
+                break;
+            default:
+                affected = this._matching(rows);
+        }
+
+        if (this.operation !== 'select' && !this.returning) {
+            return { data: null, error: null, count: null };
+        }
+
+        let result = this._project(this._sorted(affected));
+        const count = this.selectOptions.count ? result.length : null;
+        if (this.limitCount !== null) {
+            result = result.slice(0, this.limitCount);
+        }
+        if (this.selectOptions.head) {
+            return { data: null, error: null, count };
+        }
+        if (this.singleMode) {
+            if (result.length > 1 || (result.length === 0 && this.singleMode === 'single')) {
+                return { data: null, error: { message: `Expected a single row, got ${result.length}` }, count };
+            }
+            return { data: result[0] || null, error: null, count };
+        }
+        return { data: result, error: null, count };
+    }
+
+    _matching(rows) {
+        return rows.filter(row => this.filters.every(predicate => predicate(row)));
+    }
+
+    _sorted(rows) {
+        if (this.orderings.length === 0) return rows;
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending } of this.orderings) {
+                const c = compare(a[column], b[column]);
+                if (c !== 0) return ascending ? c : -c;
+            }
+            return 0;
+        });
+    }
+
+    _project(rows) {
+        const columns = splitColumns(this.columns.replace(/\s+/g, ' '));
+        const output = [];
+        for (const row of rows) {
+            const projected = {};
+            let keep = true;
+            for (const column of columns) {
+                const embed = column.match(/^(\w+)(!inner)?\s*\((.*)\)$/);
+                if (embed) {
+                    const [, relation, inner, relationColumns] = embed;
+                    const related = this.db._related(this.table, relation, row);
+                    if (!related && inner) keep = false;
+                    projected[relation] = related ? pick(related, splitColumns(relationColumns)) : null;
+                } else if (column === '*') {
+                    Object.assign(projected, row);
+                } else {
+                    projected[column] = row[column];
+                }
+            }
+            if (keep) output.push(projected);
+        }
+        return output;
+    }
+}
+
+function pick(row, columns) {
+    if (columns.includes('*')) return { ...row };
+    return Object.fromEntries(columns.map(c => [c, row[c]]));
+}
+
+/**
+ * Minimal Supabase client backed by plain arrays. Pass it wherever the
+ * backends expect `this.supabase`; seed rows with `seed()` and read them
+ * back with `rows()`.
+ */
+class InMemorySupabase {
+    constructor({ relations = DEFAULT_RELATIONS, uniqueKeys = DEFAULT_UNIQUE_KEYS } = {}) {
+        this.tables = {};
+        this.relations = relations;
+        this.uniqueKeys = uniqueKeys;
+        this.failures = [];
+    }
+
+    from(table) {
+        return new InMemoryQuery(this, table);
+    }
+
+    /**
+     * Adds rows to a table (ids and timestamps are filled in when missing).
+     * @returns {Array<Object>} The stored rows
+     */
+    seed(table, rows) {
+        const stored = (Array.isArray(rows) ? rows : [rows]).map(row => this._withDefaults(row));
+        this._table(table).push(...stored);
+        return stored;
+    }
+
+    /**
+     * @returns {Array<Object>} Copies of the table's rows
+     */
+    rows(table) {
+        return this._table(table).map(row => ({ ...row }));
+    }
+
+    /**
+     * Makes the next matching operation on a table return `{ error: { message } }`.
+     * @param {string} table - Table name
+     * @param {string} operation - select | insert | update | upsert | delete
+     * @param {string} message - Error message returned to the caller
+     */
+    failNext(table, operation, message = `Simulated ${operation} failure on ${table}`) {
+        this.failures.push({ table, operation, message });
+    }
+
+    _takeFailure(table, operation) {
+        const index = this.failures.findIndex(f => f.table === table && f.operation === operation);
+        if (index === -1) return null;
+        return this.failures.splice(index, 1)[0].message;
+    }
+
+    _table(table) {
+        if (!this.tables[table]) this.tables[table] = [];
+        return this.tables[table];
+    }
+
+    _withDefaults(row) {
+        const now = new Date().toISOString();
+        return { id: randomUUID(), created_at: now, ...row };
+    }
+
+    _related(table, relation, row) {
+        const link = (this.relations[table] || {})[relation];
+        if (!link) {
+            throw new Error(`No relation ${table} → ${relation} configured in InMemorySupabase`);
+        }
+        return this._table(relation).find(r => r[link.foreignKey] === row[link.localKey]) || null;
+    }
+}
+
+module.exports = { InMemorySupabase, DEFAULT_RELATIONS };
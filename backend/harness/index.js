@@ -0,0 +1,162 @@
+// harness/index.js - Local end-to-end settlement harness (no network)
+const { ec } = require('starknet');
+const { InMemorySupabase } = require('./in_memory_supabase');
+const { MockStarknetProvider, MockAccount, decodeOutsideExecution } = require('./mock_starknet');
+const { startWebhookSink } = require('./webhook_sink');
+const { Logger } = require('../logger');
+const { PriceConverterOracle } = require('../pricing');
+const { NonceTracker } = require('../tx_sender');
+
+// Contract addresses keyed by each backend's contract address env var
+const HARNESS_CONTRACTS = {
+    ALARM_CONTRACT_ADDRESS_STRK: '0xa1a2',
+    ALARM_CONTRACT_ADDRESS_ETH: '0xa1e7',
+    TIME_LOCK_CONTRACT_ADDRESS: '0x71c0',
+    PRICE_CONVERTER_ADDRESS: '0x9c1ce'
+};
+const HARNESS_VERIFIER_PRIVATE_KEY = '0x2a49cbb553b2b8d8ba20b3c9981ece2f4148f987f0665344e06e641a88f3cf5';
+
+/**
+ * Builds a backend wired to an in-memory database and a mock chain.
+ * Everything is injected through the constructor, so no env or network is touched.
+ * Logs are silent unless LOG_LEVEL is set.
+ * @param {Function} BackendClass - AlarmContractBackend or FocusLockContractBackend
+ * @param {Object} [options]
+ * @param {boolean} [options.sponsored=false] - Route transactions through executePaymasterTransaction
+ * @param {string} [options.token] - Token deployment to settle (defaults to the backend's first token)
+ * @param {Object} [options.backendOptions] - Extra/overriding constructor options (e.g. sender)
+ * @returns {Object} {backend, db, chain, account, contractAddress, verifierPrivateKey, createBackend, seedProfile, seedAlarm, seedFocusLock}
+ */
+function createSettlementHarness(BackendClass, { sponsored = false, token, backendOptions = {} } = {}) {
+    const db = new InMemorySupabase();
+    const chain = new MockStarknetProvider();
+    const account = new MockAccount(chain);
+    const nonceTracker = new NonceTracker();
+    // Every settlement contract starts out trusting the harness verifier key
+    for (const env of ['ALARM_CONTRACT_ADDRESS_STRK', 'ALARM_CONTRACT_ADDRESS_ETH', 'TIME_LOCK_CONTRACT_ADDRESS']) {
+        chain.setVerifiedSigner(HARNESS_CONTRACTS[env], ec.starkCurve.getStarkKey(HARNESS_VERIFIER_PRIVATE_KEY));
+    }
+
+    /**
+     * Another backend on the same database, chain and account, e.g. for a second token.
+     * @param {Object} [options] - {token, ...constructor options}
+     * @returns {SettlementBackend}
+     */
+    function createBackend({ token: backendToken = BackendClass.TOKENS[0], sender, ...options } = {}) {
+        return new BackendClass({
+            supabase: db,
+            provider: chain,
+            account,
+            // Any truthy value selects the sponsored path; the account mock handles both
+            paymasterRpc: sponsored ? { mock: true } : null,
+            token: backendToken,
+            contractAddress: HARNESS_CONTRACTS[BackendClass.contractAddressEnvFor(backendToken)],
+            verifierPrivateKey: HARNESS_VERIFIER_PRIVATE_KEY,
+            priceOracle: new PriceConverterOracle({ provider: chain, contractAddress: HARNESS_CONTRACTS.PRICE_CONVERTER_ADDRESS }),
+            logger: new Logger({ level: process.env.LOG_LEVEL || 'silent' }),
+            // Backends on the shared account share its nonces; retries go out without waiting
+            sender: { nonceTracker, retryDelaySeconds: 0, ...sender },
+            ...options
+        });
+    }
+
+    const backend = createBackend({ ...(token ? { token } : {}), ...backendOptions });
+
+    let profileCount = 0;
+
+    /**
+     * @returns {Object} The profile row
+     */
+    function seedProfile(walletAddress) {
+        const existing = db.rows('profiles').find(p => p.wallet_address === walletAddress);
+        if (existing) return existing;
+        profileCount++;
+        return db.seed('profiles', { id: `profile-${profileCount}`, wallet_address: walletAddress })[0];
+    }
+
+    /**
+     * Seeds an alarm row and, unless `onChain` is false, the alarm the contract holds for it.
+     * @param {Object} alarm - {wallet, wakeup_time, stake_amount, snooze_count, token, onChain, ...extra columns}
+     * @returns {Object} The alarm row
+     */
+    function seedAlarm({ wallet, wakeup_time, stake_amount, snooze_count = 0, token: alarmToken = backend.token, onChain = true, ...rest }) {
+        const profile = seedProfile(wallet);
+        if (onChain) {
+            const contractAddress = HARNESS_CONTRACTS[BackendClass.contractAddressEnvFor(alarmToken)];
+            const { day, period } = backend.strategy.getPoolInfo(wakeup_time);
+            chain.setUserAlarm(contractAddress, wallet, day, period, { stake_amount: BigInt(stake_amount), wakeup_time, status: 'Active' });
+            chain.addPoolPosition(contractAddress, day, period, stake_amount);
+        }
+        return db.seed('alarms', {
+            user_id: profile.id,
+            token: alarmToken,
+            wakeup_time,
+            stake_amount,
+            snooze_count,
+            claim_ready: false,
+            has_claimed: false,
+            ...rest
+        })[0];
+    }
+
+    /**
+     * Seeds a focus_locks row and, unless `onChain` is false, counts its lock into the contract's pool
+     * (the lock itself is readable on chain when it has a lock_id).
+     * @param {Object} lock - {wallet, start_time, duration_minutes, stake_amount, completion_status, lock_id, onChain, ...}
+     * @returns {Object} The focus_locks row
+     */
+    function seedFocusLock({ wallet, start_time, duration_minutes, stake_amount, completion_status = true, lock_id = null, onChain = true, ...rest }) {
+        const profile = seedProfile(wallet);
+        const { day, period } = backend.strategy.getPoolInfo(start_time);
+        const row = db.seed('focus_locks', {
+            user_id: profile.id,
+            start_time,
+            end_time: start_time + duration_minutes * 60,
+            duration_minutes,
+            stake_amount,
+            completion_status,
+            lock_id,
+            day,
+            period,
+            is_active: false,
+            claim_ready: false,
+            has_claimed: false,
+            ...rest
+        })[0];
+        if (onChain) {
+            chain.addPoolPosition(backend.contractAddress, day, period, stake_amount);
+        }
+        if (onChain && lock_id !== null) {
+            chain.setUserLock(backend.contractAddress, wallet, lock_id, {
+                stake_amount,
+                start_time,
+                duration: duration_minutes * 60
+            });
+        }
+        return row;
+    }
+
+    return {
+        backend,
+        db,
+        chain,
+        account,
+        contractAddress: backend.contractAddress,
+        verifierPrivateKey: HARNESS_VERIFIER_PRIVATE_KEY,
+        createBackend,
+        seedProfile,
+        seedAlarm,
+        seedFocusLock
+    };
+}
+
+module.exports = {
+    HARNESS_CONTRACTS,
+    HARNESS_VERIFIER_PRIVATE_KEY,
+    createSettlementHarness,
+    InMemorySupabase,
+    MockStarknetProvider,
+    MockAccount,
+    decodeOutsideExecution,
+    startWebhookSink
+};
@@ -0,0 +1,675 @@
+// mock_starknet.js - Fake RpcProvider/Account pair recording settlement transactions
+const { hash, outsideExecution, typedData, shortString, transaction } = require('starknet');
+const { createMerkleLeaf, verifyProof } = require('../merkle_tree');
+const { verifyOutcomeSignature } = require('../settlement_core');
+
+const MERKLE_ROOT_ENTRYPOINTS = ['set_merkle_root_for_pool', 'set_reward_merkle_root'];
+// Pool slot of each claim entrypoint's contract (alarm: AM/PM, time lock: 6 hours)
+const CLAIM_SLOT_SECONDS = { claim_winnings: 43200, claim_lock_rewards: 21600 };
+const LOCK_STATUS_CLAIMED = 2;
+// Entrypoints recognised in __execute__ calldata, by selector
+const KNOWN_ENTRYPOINTS = [...MERKLE_ROOT_ENTRYPOINTS, ...Object.keys(CLAIM_SLOT_SECONDS), 'set_verified_signer', 'execute_from_outside_v2'];
+const CHAIN_ID = '0x534e5f5345504f4c4941'; // SN_SEPOLIA
+const ANY_CALLER = BigInt(shortString.encodeShortString('ANY_CALLER'));
+const SELECTORS = new Map(KNOWN_ENTRYPOINTS.map(name => [BigInt(hash.getSelectorFromName(name)), name]));
+// Fee estimate returned by every simulation
+const MOCK_FEE_ESTIMATION = {
+    l1_gas_consumed: '0x0',
+    l1_gas_price: '0x1',
+    l2_gas_consumed: '0x1e8480',
+    l2_gas_price: '0x3b9aca00',
+    l1_data_gas_consumed: '0x80',
+    l1_data_gas_price: '0x1',
+    overall_fee: '0x1c6bf52634080',
+    unit: 'FRI'
+};
+
+// The fixed prices of src/mocks/mock_*_usd_pragma_oracle.cairo, 8 decimals
+const MOCK_ORACLE_PRICES = {
+    'STRK/USD': 20000000n,     // $0.20
+    'ETH/USD': 400000000000n   // $4000
+};
+const PRAGMA_DECIMALS = 8;
+
+function toFelt(val) {
+    return '0x' + BigInt(val).toString(16);
+}
+
+function u256Felts(val) {
+    const n = BigInt(val);
+    return [toFelt(n & ((1n << 128n) - 1n)), toFelt(n >> 128n)];
+}
+
+/**
+ * In-memory contract state plus the provider methods the backends call:
+ * callContract (get_pool_info, get_merkle_root, get_user_lock, get_user_alarm, get_has_claimed_winnings,
+ * get_verified_signer, ERC20 balance_of, and the PriceConverter reads backed by the mock Pragma oracles), waitForTransaction,
+ * getSimulateTransaction, getNonceForAddress, getChainId, and a block list for getBlock/getEvents (mineBlock, reorg).
+ * Transactions are applied by MockAccount; claims and execute_from_outside_v2 are checked the way the contracts check them.
+ */
+class MockStarknetProvider {
+    constructor() {
+        this.pools = new Map();       // `${contract}:${day}:${period}` → pool
+        this.userLocks = new Map();   // `${contract}:${user}:${lockId}` → lock
+        this.userAlarms = new Map();  // `${contract}:${user}:${day}:${period}` → alarm
+        this.balances = new Map();    // `${token}:${holder}` → balance
+        this.claims = new Set();      // `${contract}:${user}:${day}:${period}` of claimed alarms
+        this.signers = new Map();     // contract → verified_signer
+        this.nonces = new Map();      // account → nonce
+        this.accountKeys = new Map(); // account → stark key checking its SNIP-9 signatures
+        this.outsideNonces = new Set(); // `${account}:${nonce}` of executed outside executions
+        this.blocks = [];             // {block_number, block_hash, timestamp, events}
+        this.forks = 0;
+        this.receipts = new Map();
+        this.reads = [];
+        this.callHandlers = {};
+        this.prices = new Map(Object.entries(MOCK_ORACLE_PRICES).map(([pair, price]) => [pair, { price, timestamp: null }]));
+        this.nextTxId = 1;
+        // When true, writing a root to an already-finalized pool throws like a guarded contract
+        this.rejectRefinalize = false;
+    }
+
+    static key(...parts) {
+        return parts.map(p => String(p).toLowerCase()).join(':');
+    }
+
+    /**
+     * Overrides the response for an entrypoint (takes the call, returns felts or throws).
+     */
+    onCall(entrypoint, handler) {
+        this.callHandlers[entrypoint] = handler;
+    }
+
+    setPool(contractAddress, day, period, pool) {
+        const key = MockStarknetProvider.key(contractAddress, day, period);
+        this.pools.set(key, { merkle_root: '0x0', is_finalized: false, total_staked: 0n, user_count: 0, ...this.pools.get(key), ...pool });
+    }
+
+    /**
+     * Counts a position into the pool's total_staked and user_count, as set_alarm / lock creation would.
+     */
+    addPoolPosition(contractAddress, day, period, stakeAmount) {
+        const pool = this.getPool(contractAddress, day, period);
+        this.setPool(contractAddress, day, period, {
+            total_staked: BigInt(pool.total_staked) + BigInt(stakeAmount),
+            user_count: pool.user_count + 1
+        });
+    }
+
+    getPool(contractAddress, day, period) {
+        return this.pools.get(MockStarknetProvider.key(contractAddress, day, period))
+            || { merkle_root: '0x0', is_finalized: false, total_staked: 0n, user_count: 0 };
+    }
+
+    /**
+     * Sets the oracle price of a pair ('STRK/USD', 'ETH/USD'); the timestamp defaults to now.
+     */
+    setPrice(pair, price, timestamp = null) {
+        this.prices.set(pair, { price: BigInt(price), timestamp });
+    }
+
+    _price(pair) {
+        const quote = this.prices.get(pair);
+        if (!quote) {
+            throw new Error(`Mock: no price for ${pair}`);
+        }
+        return { price: quote.price, timestamp: quote.timestamp ?? Math.floor(Date.now() / 1000) };
+    }
+
+    setBalance(tokenAddress, holder, amount) {
+        this.balances.set(MockStarknetProvider.key(BigInt(tokenAddress), BigInt(holder)), BigInt(amount));
+    }
+
+    getBalance(tokenAddress, holder) {
+        return this.balances.get(MockStarknetProvider.key(BigInt(tokenAddress), BigInt(holder))) || 0n;
+    }
+
+    setUserLock(contractAddress, user, lockId, lock) {
+        this.userLocks.set(MockStarknetProvider.key(contractAddress, BigInt(user), lockId), lock);
+    }
+
+    setUserAlarm(contractAddress, user, day, period, alarm) {
+        this.userAlarms.set(MockStarknetProvider.key(contractAddress, BigInt(user), day, period), alarm);
+    }
+
+    /**
+     * Marks an alarm pool position as claimed, as claim_winnings would.
+     */
+    setClaimed(contractAddress, user, day, period) {
+        this.claims.add(MockStarknetProvider.key(contractAddress, BigInt(user), day, period));
+    }
+
+    setVerifiedSigner(contractAddress, publicKey) {
+        this.signers.set(MockStarknetProvider.key(BigInt(contractAddress)), '0x' + BigInt(publicKey).toString(16));
+    }
+
+    getVerifiedSigner(contractAddress) {
+        return this.signers.get(MockStarknetProvider.key(BigInt(contractAddress))) || '0x0';
+    }
+
+    async callContract(call) {
+        this.reads.push(call);
+        const { contractAddress, entrypoint, calldata = [] } = call;
+
+        if (this.callHandlers[entrypoint]) {
+            return this.callHandlers[entrypoint](call);
+        }
+
+        switch (entrypoint) {
+            case 'get_pool_info': {
+                const pool = this.getPool(contractAddress, calldata[0], calldata[1]);
+                return [
+                    toFelt(pool.merkle_root),
+                    pool.is_finalized ? '0x1' : '0x0',
+                    ...u256Felts(pool.total_staked),
+                    toFelt(pool.user_count)
+                ];
+            }
+            case 'get_merkle_root':
+                return [toFelt(this.getPool(contractAddress, calldata[0], calldata[1]).merkle_root)];
+            case 'get_user_lock': {
+                const lock = this.userLocks.get(MockStarknetProvider.key(contractAddress, BigInt(calldata[0]), calldata[1]));
+                if (!lock) {
+                    throw new Error(`Mock: no lock ${calldata[1]} for ${calldata[0]}`);
+                }
+                return [
+                    ...u256Felts(lock.stake_amount),
+                    toFelt(lock.start_time),
+                    toFelt(lock.duration),
+                    toFelt(BigInt(lock.start_time) + BigInt(lock.duration)),
+                    toFelt(lock.status ?? 1)
+                ];
+            }
+            case 'get_user_alarm': {
+                const alarm = this.userAlarms.get(MockStarknetProvider.key(contractAddress, BigInt(calldata[0]), calldata[1], calldata[2]))
+                    || { stake_amount: 0n, wakeup_time: 0, status: 'Inactive' };
+                return [
+                    ...u256Felts(alarm.stake_amount),
+                    toFelt(alarm.wakeup_time),
+                    toFelt('0x' + Buffer.from(alarm.status || 'Active').toString('hex'))
+                ];
+            }
+            case 'get_has_claimed_winnings':
+                return [this.claims.has(MockStarknetProvider.key(contractAddress, BigInt(calldata[0]), calldata[1], calldata[2])) ? '0x1' : '0x0'];
+            case 'get_verified_signer':
+                return [this.getVerifiedSigner(contractAddress)];
+            case 'balance_of':
+                return u256Felts(this.getBalance(contractAddress, calldata[0]));
+            case 'get_price_with_timestamp': {
+                const pair = Buffer.from(BigInt(calldata[0]).toString(16), 'hex').toString('ascii');
+                const { price, timestamp } = this._price(pair);
+                return [toFelt(price), toFelt(timestamp), toFelt(PRAGMA_DECIMALS)];
+            }
+            case 'convert_strk_to_usd':
+            case 'convert_eth_to_usd': {
+                const { price } = this._price(entrypoint === 'convert_eth_to_usd' ? 'ETH/USD' : 'STRK/USD');
+                const amount = BigInt(calldata[0]) + (BigInt(calldata[1]) << 128n);
+                return u256Felts((amount * price) / 10n ** BigInt(PRAGMA_DECIMALS));
+            }
+            default:
+                throw new Error(`Mock: entrypoint ${entrypoint} not supported`);
+        }
+    }
+
+    /**
+     * Registers the stark key a user account checks execute_from_outside_v2 signatures against.
+     */
+    setAccountPublicKey(address, publicKey) {
+        this.accountKeys.set(MockStarknetProvider.key(BigInt(address)), BigInt(publicKey));
+    }
+
+    async getChainId() {
+        return CHAIN_ID;
+    }
+
+    async getNonceForAddress(address) {
+        return toFelt(this.nonces.get(MockStarknetProvider.key(BigInt(address))) || 0);
+    }
+
+    _incrementNonce(address) {
+        const key = MockStarknetProvider.key(BigInt(address));
+        this.nonces.set(key, (this.nonces.get(key) || 0) + 1);
+    }
+
+    /**
+     * starknet_simulateTransactions for INVOKE transactions: the account's __execute__ calldata is
+     * decoded and the calls checked against the contract state, nothing is applied.
+     */
+    async getSimulateTransaction(invocations) {
+        return invocations.map(invocation => {
+            const revertReason = this._revertReason(invocation.contractAddress, decodeExecuteCalldata(invocation.calldata));
+            return {
+                transaction_trace: {
+                    type: 'INVOKE',
+                    execute_invocation: revertReason ? { revert_reason: revertReason } : { calls: [], events: [], messages: [] }
+                },
+                fee_estimation: { ...MOCK_FEE_ESTIMATION }
+            };
+        });
+    }
+
+    /**
+     * @returns {string|null} The error the first failing call reverts with, as the contract would raise it
+     */
+    _revertReason(sender, calls) {
+        for (const call of calls) {
+            let reason = null;
+            if (CLAIM_SLOT_SECONDS[call.entrypoint]) {
+                reason = this._claimError(sender, call);
+            } else if (call.entrypoint === 'execute_from_outside_v2') {
+                reason = this._outsideExecutionError(sender, call);
+            }
+            if (reason) {
+                return reason;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * execute_from_outside_v2 as OpenZeppelin's SRC9 component checks it, then the inner calls as
+     * sent by the signing account.
+     */
+    _outsideExecutionError(sender, call) {
+        const { account, caller, nonce, executeAfter, executeBefore, calls, signature } = decodeOutsideExecution(call);
+        const now = BigInt(Math.floor(Date.now() / 1000));
+        if (caller !== ANY_CALLER && caller !== BigInt(sender)) {
+            return 'SRC9: invalid caller';
+        }
+        if (now <= executeAfter) {
+            return 'SRC9: now <= execute_after';
+        }
+        if (now >= executeBefore) {
+            return 'SRC9: now >= execute_before';
+        }
+        if (this.outsideNonces.has(MockStarknetProvider.key(account, nonce))) {
+            return 'SRC9: duplicated nonce';
+        }
+        const publicKey = this.accountKeys.get(MockStarknetProvider.key(account));
+        const data = outsideExecution.getTypedData(CHAIN_ID, { caller: toFelt(caller), execute_after: executeAfter, execute_before: executeBefore }, nonce, calls, '2');
+        const messageHash = typedData.getMessageHash(data, toFelt(account));
+        if (publicKey === undefined || signature.length !== 2
+            || !verifyOutcomeSignature({ message_hash: messageHash, signature_r: signature[0], signature_s: signature[1] }, publicKey)) {
+            return 'SRC9: invalid signature';
+        }
+        return this._revertReason(toFelt(account), calls);
+    }
+
+    /**
+     * claim_winnings(wakeup_time, snooze_count, (r, s), reward: u256, proof) and
+     * claim_lock_rewards(lock_id, completed, (r, s), reward: u256, proof)
+     */
+    _claimError(sender, { contractAddress, entrypoint, calldata }) {
+        const [first, second, r, s, low, high, proofLength, ...proof] = calldata.map(BigInt);
+        const reward = low + (high << 128n);
+        let payload;
+        let startTime;
+        if (entrypoint === 'claim_winnings') {
+            startTime = first;
+            const { day, period } = this._slot(entrypoint, startTime);
+            const alarm = this.userAlarms.get(MockStarknetProvider.key(contractAddress, BigInt(sender), day, period));
+            if (!alarm || alarm.status === 'Inactive' || BigInt(alarm.wakeup_time) !== startTime) {
+                return 'Not_Alarm_Owner';
+            }
+            if (this.claims.has(MockStarknetProvider.key(contractAddress, BigInt(sender), day, period))) {
+                return 'Already_Claimed';
+            }
+            payload = [BigInt(sender), first, second];
+        } else {
+            const lock = this.userLocks.get(MockStarknetProvider.key(contractAddress, BigInt(sender), first));
+            if (!lock) {
+                return 'Lock_Not_Found';
+            }
+            if (Number(lock.status ?? 1) === LOCK_STATUS_CLAIMED) {
+                return 'Already_Claimed';
+            }
+            startTime = BigInt(lock.start_time);
+            payload = [BigInt(sender), startTime, BigInt(lock.duration), second];
+        }
+
+        const { day, period } = this._slot(entrypoint, startTime);
+        const pool = this.getPool(contractAddress, day, period);
+        if (!pool.is_finalized) {
+            return 'Pool_Not_Finalized';
+        }
+        const signature = { message_hash: hash.computePoseidonHashOnElements(payload), signature_r: r, signature_s: s };
+        if (!verifyOutcomeSignature(signature, this.getVerifiedSigner(contractAddress))) {
+            return 'Invalid_Signature';
+        }
+        if (proof.length !== Number(proofLength)) {
+            return 'Invalid_Proof';
+        }
+        if (reward > 0n && !verifyProof(pool.merkle_root, createMerkleLeaf(sender, reward), proof)) {
+            return 'Invalid_Proof';
+        }
+        return null;
+    }
+
+    _slot(entrypoint, timestamp) {
+        const seconds = BigInt(timestamp);
+        const slot = BigInt(CLAIM_SLOT_SECONDS[entrypoint]);
+        return { day: seconds / 86400n, period: (seconds % 86400n) / slot };
+    }
+
+    /**
+     * Appends a block holding the given events.
+     * @param {Array<Object>} [events] - {from_address, keys, data, transaction_hash}
+     * @param {Object} [options] - {timestamp} in seconds (defaults to now)
+     * @returns {Object} The block
+     */
+    mineBlock(events = [], { timestamp = Math.floor(Date.now() / 1000) } = {}) {
+        const blockNumber = this.blocks.length;
+        const block = {
+            block_number: blockNumber,
+            // Blocks mined after a reorg get new hashes
+            block_hash: toFelt((BigInt(this.forks) << 64n) + BigInt(blockNumber) + 1n),
+            timestamp,
+            events: events.map(event => ({ data: [], ...event }))
+        };
+        this.blocks.push(block);
+        return block;
+    }
+
+    /**
+     * Drops the newest blocks, as a chain reorganization would.
+     */
+    reorg(depth) {
+        this.blocks.splice(this.blocks.length - depth, depth);
+        this.forks++;
+    }
+
+    async getBlockNumber() {
+        return this.blocks.length - 1;
+    }
+
+    async getBlock(blockIdentifier = 'latest') {
+        const block = blockIdentifier === 'latest' ? this.blocks[this.blocks.length - 1] : this.blocks[blockIdentifier];
+        if (!block) {
+            throw new Error(`Mock: block ${blockIdentifier} not found`);
+        }
+        return { block_number: block.block_number, block_hash: block.block_hash, timestamp: block.timestamp, transactions: [] };
+    }
+
+    /**
+     * starknet_getEvents over the mined blocks, paged with a numeric continuation token.
+     */
+    async getEvents({ address, from_block, to_block, keys = [], chunk_size = 100, continuation_token }) {
+        const matches = [];
+        for (const block of this.blocks.slice(from_block.block_number, to_block.block_number + 1)) {
+            for (const event of block.events) {
+                if (address && BigInt(event.from_address) !== BigInt(address)) continue;
+                if (!keys.every((allowed, i) => allowed.length === 0 || allowed.some(k => BigInt(k) === BigInt(event.keys[i] ?? -1)))) continue;
+                matches.push({ ...event, block_number: block.block_number, block_hash: block.block_hash });
+            }
+        }
+        const start = Number(continuation_token || 0);
+        const end = start + chunk_size;
+        return {
+            events: matches.slice(start, end),
+            ...(end < matches.length ? { continuation_token: String(end) } : {})
+        };
+    }
+
+    async waitForTransaction(transactionHash) {
+        const receipt = this.receipts.get(transactionHash);
+        if (!receipt) {
+            throw new Error(`Mock: unknown transaction ${transactionHash}`);
+        }
+        if (receipt.finality_status === 'REJECTED') {
+            // As starknet.js reports a transaction in an error state
+            throw Object.assign(new Error(`${receipt.execution_status}: ${receipt.finality_status}`), { response: receipt });
+        }
+        return receipt;
+    }
+
+    async getTransactionStatus(transactionHash) {
+        const receipt = this.receipts.get(transactionHash);
+        if (!receipt) {
+            throw Object.assign(new Error('29: Transaction hash not found'), { code: 29 });
+        }
+        return { finality_status: receipt.finality_status, execution_status: receipt.execution_status };
+    }
+
+    async getTransactionReceipt(transactionHash) {
+        return this.waitForTransaction(transactionHash);
+    }
+
+    _nextTransactionHash() {
+        return '0x' + (this.nextTxId++).toString(16).padStart(64, '0');
+    }
+
+    /**
+     * Applies calls the way the contracts would (merkle root writes finalize the pool,
+     * set_verified_signer replaces the signer, claims mark the position claimed).
+     */
+    _applyCalls(calls, sender) {
+        for (const call of calls) {
+            if (MERKLE_ROOT_ENTRYPOINTS.includes(call.entrypoint)) {
+                const [day, period, root] = call.calldata;
+                const existing = this.getPool(call.contractAddress, day, period);
+                if (existing.is_finalized && this.rejectRefinalize) {
+                    throw new Error('Pool_Already_Finalized');
+                }
+                this.setPool(call.contractAddress, day, period, { merkle_root: root, is_finalized: true });
+            } else if (call.entrypoint === 'set_verified_signer') {
+                this.setVerifiedSigner(call.contractAddress, call.calldata[0]);
+            } else if (call.entrypoint === 'claim_winnings') {
+                const { day, period } = this._slot(call.entrypoint, call.calldata[0]);
+                this.setClaimed(call.contractAddress, sender, day, period);
+            } else if (call.entrypoint === 'claim_lock_rewards') {
+                const key = MockStarknetProvider.key(call.contractAddress, BigInt(sender), BigInt(call.calldata[0]));
+                this.userLocks.set(key, { ...this.userLocks.get(key), status: LOCK_STATUS_CLAIMED });
+            } else if (call.entrypoint === 'execute_from_outside_v2') {
+                const { account, nonce, calls: innerCalls } = decodeOutsideExecution(call);
+                this.outsideNonces.add(MockStarknetProvider.key(account, nonce));
+                this._applyCalls(innerCalls, toFelt(account));
+            }
+        }
+    }
+}
+
+/**
+ * Fake Account recording every execute / executePaymasterTransaction call; sponsored
+ * transactions are quoted by estimatePaymasterTransactionFee, self-paid ones by
+ * estimateInvokeFee (`feeEstimate`). A self-paid transaction given a nonce other than the
+ * account's is refused like the node refuses it (code 52), and only self-paid transactions
+ * use up an account nonce. Queue failures with failNext(), make the next transactions land
+ * as REVERTED with revertNext(), or have the sequencer REJECT the next one with rejectNext().
+ */
+class MockAccount {
+    /**
+     * @param {MockStarknetProvider} provider - Provider whose state the transactions change
+     * @param {Object} [options]
+     * @param {string} [options.address] - Account address
+     */
+    constructor(provider, { address = '0xde9107e5' } = {}) {
+        this.provider = provider;
+        this.address = address;
+        this.executions = [];
+        this.pendingFailures = [];
+        this.pendingReverts = [];
+        this.paymasterFee = 10n ** 16n;
+        this.feeEstimate = {
+            l1_gas: { consumed: 0n, price: 10n ** 13n },
+            l2_gas: { consumed: 10n ** 6n, price: 10n ** 9n },
+            l1_data_gas: { consumed: 128n, price: 10n ** 9n }
+        };
+        this.pendingRejections = 0;
+        this.pendingDuplicates = 0;
+    }
+
+    async getCairoVersion() {
+        return '1';
+    }
+
+    failNext(error = new Error('Mock: transaction submission failed')) {
+        this.pendingFailures.push(error);
+    }
+
+    revertNext(reason = 'Mock: execution reverted', times = 1) {
+        for (let i = 0; i < times; i++) {
+            this.pendingReverts.push(reason);
+        }
+    }
+
+    rejectNext() {
+        this.pendingRejections++;
+    }
+
+    /**
+     * The next execute lands, then answers DUPLICATE_TX (59) the way a node answers the resend of
+     * a transaction whose first answer was lost.
+     */
+    duplicateNext() {
+        this.pendingDuplicates++;
+    }
+
+    async execute(calls, details = {}) {
+        if (details.nonce !== undefined) {
+            const expected = BigInt(await this.provider.getNonceForAddress(this.address));
+            if (BigInt(details.nonce) !== expected) {
+                throw Object.assign(new Error(`Mock: 52: Invalid transaction nonce (expected ${expected}, got ${BigInt(details.nonce)})`), { code: 52 });
+            }
+        }
+        if (this.pendingDuplicates > 0) {
+            this.pendingDuplicates--;
+            this._submit('execute', calls, details, invokeTransactionHash(this.address, calls, details));
+            throw Object.assign(new Error('Mock: 59: A transaction with the same hash already exists in the mempool'), { code: 59 });
+        }
+        return this._submit('execute', calls, details);
+    }
+
+    /**
+     * A fixed estimate from `feeEstimate`, shaped like starknet.js's EstimateFeeResponse.
+     */
+    async estimateInvokeFee(calls, details) {
+        const { l1_gas, l2_gas, l1_data_gas } = this.feeEstimate;
+        const overallFee = l1_gas.consumed * l1_gas.price + l2_gas.consumed * l2_gas.price + l1_data_gas.consumed * l1_data_gas.price;
+        return {
+            overall_fee: overallFee,
+            unit: 'FRI',
+            l1_gas_consumed: l1_gas.consumed,
+            l1_gas_price: l1_gas.price,
+            l2_gas_consumed: l2_gas.consumed,
+            l2_gas_price: l2_gas.price,
+            l1_data_gas_consumed: l1_data_gas.consumed,
+            l1_data_gas_price: l1_data_gas.price,
+            suggestedMaxFee: overallFee * 3n / 2n
+        };
+    }
+
+    async executePaymasterTransaction(calls, feesDetails) {
+        return this._submit('executePaymasterTransaction', calls, feesDetails);
+    }
+
+    /**
+     * A fixed paymaster quote: `paymasterFee` (default 0.01 STRK) per transaction.
+     */
+    async estimatePaymasterTransactionFee(calls, paymasterDetails) {
+        const fee = '0x' + this.paymasterFee.toString(16);
+        return {
+            gas_token_price_in_strk: '0xde0b6b3a7640000',
+            estimated_fee_in_strk: fee,
+            estimated_fee_in_gas_token: fee,
+            suggested_max_fee_in_strk: '0x' + (this.paymasterFee * 3n).toString(16),
+            suggested_max_fee_in_gas_token: '0x' + (this.paymasterFee * 3n).toString(16)
+        };
+    }
+
+    _submit(method, calls, details, transactionHash = null) {
+        const list = Array.isArray(calls) ? calls : [calls];
+        this.executions.push({ method, calls: list, details });
+
+        if (this.pendingFailures.length > 0) {
+            throw this.pendingFailures.shift();
+        }
+
+        transactionHash = transactionHash || this.provider._nextTransactionHash();
+        if (this.pendingRejections > 0) {
+            this.pendingRejections--;
+            this.provider.receipts.set(transactionHash, { transaction_hash: transactionHash, finality_status: 'REJECTED' });
+            return { transaction_hash: transactionHash };
+        }
+        const revertReason = this.pendingReverts.shift() || this.provider._revertReason(this.address, list);
+        if (!revertReason) {
+            this.provider._applyCalls(list, this.address);
+        }
+        // The paymaster runs sponsored calls through execute_from_outside, not the account's nonce
+        if (method === 'execute') {
+            this.provider._incrementNonce(this.address);
+        }
+        this.provider.receipts.set(transactionHash, {
+            transaction_hash: transactionHash,
+            execution_status: revertReason ? 'REVERTED' : 'SUCCEEDED',
+            finality_status: 'ACCEPTED_ON_L2',
+            revert_reason: revertReason
+        });
+        return { transaction_hash: transactionHash };
+    }
+}
+
+/**
+ * V3 invoke hash of a Cairo 1 account's execute, with L1 data availability and no paymaster data.
+ */
+function invokeTransactionHash(address, calls, { nonce, resourceBounds, tip = 0 }) {
+    return hash.calculateInvokeTransactionHash({
+        senderAddress: address,
+        version: '0x3',
+        compiledCalldata: transaction.getExecuteCalldata(Array.isArray(calls) ? calls : [calls], '1'),
+        chainId: CHAIN_ID,
+        nonce,
+        accountDeploymentData: [],
+        nonceDataAvailabilityMode: 0,
+        feeDataAvailabilityMode: 0,
+        resourceBounds,
+        tip,
+        paymasterData: []
+    });
+}
+
+/**
+ * Splits Cairo 1 account __execute__ calldata back into calls.
+ * @param {Array<string>} calldata - [call_count, (to, selector, data_length, ...data)*]
+ * @returns {Array<Object>} {contractAddress, entrypoint, calldata}
+ */
+function decodeExecuteCalldata(calldata) {
+    const felts = calldata.map(BigInt);
+    const calls = [];
+    let i = 1;
+    for (let n = 0; n < Number(felts[0]); n++) {
+        const [to, selector, length] = felts.slice(i, i + 3);
+        calls.push({
+            contractAddress: toFelt(to),
+            entrypoint: SELECTORS.get(selector) || toFelt(selector),
+            calldata: felts.slice(i + 3, i + 3 + Number(length)).map(toFelt)
+        });
+        i += 3 + Number(length);
+    }
+    return calls;
+}
+
+/**
+ * Reads execute_from_outside_v2(outside_execution, signature) calldata.
+ * @param {Object} call - The call to the signing account
+ * @returns {Object} {account, caller, nonce, executeAfter, executeBefore, calls, signature}
+ */
+function decodeOutsideExecution({ contractAddress, calldata }) {
+    const felts = calldata.map(BigInt);
+    const [caller, nonce, executeAfter, executeBefore] = felts;
+    const calls = decodeExecuteCalldata(calldata.slice(4));
+    let end = 5;
+    for (const inner of calls) {
+        end += 3 + inner.calldata.length;
+    }
+    return {
+        account: BigInt(contractAddress),
+        caller,
+        nonce,
+        executeAfter,
+        executeBefore,
+        calls,
+        signature: felts.slice(end + 1, end + 1 + Number(felts[end]))
+    };
+}
+
+module.exports = { MockStarknetProvider, MockAccount, decodeExecuteCalldata, decodeOutsideExecution };
@@ -0,0 +1,32 @@
+// webhook_sink.js - Local HTTP endpoint that records alert webhook posts
+const http = require('http');
+
+/**
+ * Starts an HTTP server on a free port that stores every JSON body posted to it.
+ * @param {Object} [options]
+ * @param {number} [options.status=200] - Status to answer with (e.g. 500 to test delivery failures)
+ * @returns {Promise<Object>} {url, requests, close}
+ */
+async function startWebhookSink({ status = 200 } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body: JSON.parse(body || 'null') });
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status < 400 ? 'ok' : 'error');
+        });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startWebhookSink };
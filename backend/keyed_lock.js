@@ -0,0 +1,41 @@
+// keyed_lock.js - In-process mutual exclusion per key
+
+/**
+ * Runs tasks one at a time per key, in call order; tasks on different keys run concurrently.
+ * Only serializes within this process: instances sharing a database each hold their own locks.
+ */
+class KeyedLock {
+    constructor() {
+        this.queues = new Map(); // key → tail of the queued tasks
+    }
+
+    /**
+     * Runs `task` once every earlier task on the key has settled.
+     * @param {string} key - What the task needs exclusively
+     * @param {Function} task - Async function
+     * @returns {Promise<*>} What `task` returns
+     */
+    async run(key, task) {
+        const previous = this.queues.get(key) || Promise.resolve();
+        let release;
+        const tail = previous.then(() => new Promise(resolve => { release = resolve; }));
+        this.queues.set(key, tail);
+        await previous;
+
+        try {
+            return await task();
+        } finally {
+            release();
+            if (this.queues.get(key) === tail) this.queues.delete(key);
+        }
+    }
+
+    /**
+     * @returns {boolean} Whether a task holds or waits for the key
+     */
+    isLocked(key) {
+        return this.queues.has(key);
+    }
+}
+
+module.exports = { KeyedLock };
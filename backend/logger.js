@@ -0,0 +1,102 @@
+// logger.js - Leveled JSON logger with run and pool correlation fields
+const { randomUUID } = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Fields attached with withContext() follow every log call made inside the callback
+const context = new AsyncLocalStorage();
+
+// JSON.stringify replacer: BigInts become decimal strings and errors keep their message and stack, at any depth
+function replacer(key, value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (value instanceof Error) {
+        return { message: value.message, stack: value.stack };
+    }
+    return value;
+}
+
+function formatPretty(record) {
+    const { time, level, msg, run_id, ...fields } = record;
+    const extras = Object.entries(fields)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value, replacer) : value}`)
+        .join(' ');
+    const run = run_id ? ` [${String(run_id).slice(0, 8)}]` : '';
+    return `${time.slice(11, 19)} ${level.toUpperCase().padEnd(5)}${run} ${msg}${extras ? ' ' + extras : ''}`;
+}
+
+/**
+ * Writes one line per call: JSON by default, or a short human-readable form
+ * with `format: 'pretty'`. Every line carries `run_id`, the logger's own fields
+ * and whatever withContext() attached (e.g. day, period).
+ */
+class Logger {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.level='info'] - debug | info | warn | error | silent
+     * @param {string} [options.format='json'] - json | pretty
+     * @param {Object} [options.fields] - Fields added to every line (run_id is generated if missing)
+     * @param {Function} [options.write] - Line sink, defaults to stdout
+     */
+    constructor({ level = 'info', format = 'json', fields = {}, write = line => process.stdout.write(line + '\n') } = {}) {
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level '${level}' (expected ${Object.keys(LEVELS).join(', ')})`);
+        }
+        this.level = level;
+        this.format = format;
+        this.fields = { run_id: randomUUID(), ...fields };
+        this.write = write;
+    }
+
+    /**
+     * @param {Object} fields - Fields to add
+     * @returns {Logger} A logger sharing this one's sink with extra fields
+     */
+    child(fields) {
+        return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields }, write: this.write });
+    }
+
+    /**
+     * Runs `fn` with fields attached to every line logged while it runs, including async work.
+     * @returns {*} Whatever fn returns
+     */
+    withContext(fields, fn) {
+        return context.run({ ...context.getStore(), ...fields }, fn);
+    }
+
+    debug(msg, fields) { this.log('debug', msg, fields); }
+    info(msg, fields) { this.log('info', msg, fields); }
+    warn(msg, fields) { this.log('warn', msg, fields); }
+    error(msg, fields) { this.log('error', msg, fields); }
+
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) {
+            return;
+        }
+
+        const record = { time: new Date().toISOString(), level, msg };
+        for (const [key, value] of Object.entries({ ...this.fields, ...context.getStore(), ...fields })) {
+            if (value !== undefined) {
+                record[key] = value;
+            }
+        }
+        this.write(this.format === 'pretty' ? formatPretty(record) : JSON.stringify(record, replacer));
+    }
+}
+
+/**
+ * @param {Object} env - Environment map (LOG_LEVEL, LOG_FORMAT)
+ * @param {Object} [overrides] - Logger options taking precedence over env
+ * @returns {Logger}
+ */
+function loggerFromEnv(env = process.env, overrides = {}) {
+    return new Logger({
+        level: env.LOG_LEVEL || 'info',
+        format: env.LOG_FORMAT || 'json',
+        ...overrides
+    });
+}
+
+module.exports = { LEVELS, Logger, loggerFromEnv };
@@ -0,0 +1,123 @@
+// merkle_tree.js - Poseidon merkle tree compatible with OpenZeppelin's verify_poseidon
+const { hash } = require('starknet');
+
+const U128_MASK = (1n << 128n) - 1n;
+// "no_rewards@@" encoded as a felt (short string); a pool with no leaves gets
+// poseidon(NO_REWARDS_MARKER) as its non-zero root
+const NO_REWARDS_MARKER = BigInt('0x6e6f5f726577617264734040');
+
+function toHex(val) {
+    return '0x' + BigInt(val).toString(16);
+}
+
+/**
+ * Creates a Merkle tree leaf hash for a user and their reward amount.
+ * Matches the contract: poseidon(caller, reward.low, reward.high).
+ * @param {string} userAddress - The user's wallet address.
+ * @param {string | bigint} rewardAmount - The user's reward amount.
+ * @returns {string} The hex string of the leaf hash.
+ */
+function createMerkleLeaf(userAddress, rewardAmount) {
+    const reward = BigInt(rewardAmount);
+    return toHex(hash.computePoseidonHashOnElements([BigInt(userAddress), reward & U128_MASK, reward >> 128n]));
+}
+
+/**
+ * Commutative Poseidon hash of a pair, as in OpenZeppelin's PoseidonCHasher:
+ * the smaller value (compared as u256) is always hashed first.
+ * @param {string | bigint} a
+ * @param {string | bigint} b
+ * @returns {bigint}
+ */
+function hashPair(a, b) {
+    const x = BigInt(a);
+    const y = BigInt(b);
+    return BigInt(x < y
+        ? hash.computePoseidonHashOnElements([x, y])
+        : hash.computePoseidonHashOnElements([y, x]));
+}
+
+/**
+ * Builds a Merkle tree from a list of leaf hashes.
+ * Pairs are hashed with hashPair; an odd node at the end of a level is
+ * carried up unchanged, so its leaves get no proof element for that level.
+ * @param {Array<Object>} leaves - An array of leaf objects with address and hash.
+ * @returns {Object} An object containing the Merkle root and a map of proofs for each address.
+ */
+function buildMerkleTree(leaves) {
+    if (leaves.length === 0) {
+        // Generate a valid non-zero merkle root for empty reward case
+        return { root: toHex(hash.computePoseidonHashOnElements([NO_REWARDS_MARKER])), proofs: {} };
+    }
+
+    const proofs = {};
+    leaves.forEach(leaf => {
+        if (proofs[leaf.address]) {
+            throw new Error(`Duplicate merkle leaf for address ${leaf.address}`);
+        }
+        proofs[leaf.address] = [];
+    });
+
+    let currentLevel = leaves.map(l => ({ addresses: [l.address], hash: BigInt(l.hash) }));
+
+    while (currentLevel.length > 1) {
+        const nextLevel = [];
+        for (let i = 0; i < currentLevel.length; i += 2) {
+            const left = currentLevel[i];
+            const right = currentLevel[i + 1];
+            if (!right) {
+                nextLevel.push(left);
+                continue;
+            }
+
+            left.addresses.forEach(a => proofs[a].push(toHex(right.hash)));
+            right.addresses.forEach(a => proofs[a].push(toHex(left.hash)));
+            nextLevel.push({
+                addresses: [...left.addresses, ...right.addresses],
+                hash: hashPair(left.hash, right.hash)
+            });
+        }
+        currentLevel = nextLevel;
+    }
+
+    return { root: toHex(currentLevel[0].hash), proofs };
+}
+
+/**
+ * Offline equivalent of merkle_proof::verify_poseidon.
+ * @param {string | bigint} root - Expected merkle root.
+ * @param {string | bigint} leaf - Leaf hash being proven.
+ * @param {Array<string>} proof - Sibling hashes from leaf to root.
+ * @returns {boolean} True if the proof rebuilds the root.
+ */
+function verifyProof(root, leaf, proof) {
+    let computed = BigInt(leaf);
+    for (const sibling of proof) {
+        computed = hashPair(computed, sibling);
+    }
+    return computed === BigInt(root);
+}
+
+/**
+ * Checks every proof in a tree against its root.
+ * @param {Object} merkleTree - Result of buildMerkleTree.
+ * @param {Array<Object>} leaves - The leaves the tree was built from.
+ * @throws {Error} Listing the addresses whose proofs do not verify.
+ */
+function verifyAllProofs(merkleTree, leaves) {
+    const invalid = leaves
+        .filter(leaf => !verifyProof(merkleTree.root, leaf.hash, merkleTree.proofs[leaf.address] || []))
+        .map(leaf => leaf.address);
+
+    if (invalid.length > 0) {
+        throw new Error(`Merkle proof verification failed for ${invalid.length} leaves: ${invalid.join(', ')}`);
+    }
+}
+
+module.exports = {
+    createMerkleLeaf,
+    hashPair,
+    buildMerkleTree,
+    verifyProof,
+    verifyAllProofs
+};
@@ -0,0 +1,202 @@
+// metrics.js - Prometheus metrics for settlement health (text exposition format)
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // labelKey → value (or histogram state)
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+
+    lines() {
+        return [...this.series].map(([key, value]) => `${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        if (amount < 0) {
+            throw new Error(`Counter ${this.name} cannot decrease`);
+        }
+        const key = labelKey(this.labelNames, labels);
+        this.series.set(key, (this.series.get(key) || 0) + Number(amount));
+    }
+
+    get(labels = {}) {
+        return this.series.get(labelKey(this.labelNames, labels)) || 0;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.series.set(labelKey(this.labelNames, labels), Number(value));
+    }
+
+    get(labels = {}) {
+        return this.series.get(labelKey(this.labelNames, labels));
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const key = labelKey(this.labelNames, labels);
+        if (!this.series.has(key)) {
+            this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const state = this.series.get(key);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) state.counts[i]++;
+        });
+        state.sum += value;
+        state.count++;
+    }
+
+    /**
+     * Starts a timer; call the returned function to record the elapsed seconds.
+     */
+    startTimer(labels) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    get(labels = {}) {
+        return this.series.get(labelKey(this.labelNames, labels));
+    }
+
+    lines() {
+        const lines = [];
+        for (const [key, state] of this.series) {
+            const values = JSON.parse(key);
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${state.counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${state.count}`);
+            lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${state.sum}`);
+            lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${state.count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * Holds metrics and renders them in the Prometheus text format.
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.header(), ...metric.lines());
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * The settlement metrics shared by both backends, the daemon and the admin API.
+ * Pass one instance to every backend of a process so /metrics shows all products.
+ */
+class SettlementMetrics {
+    constructor(registry = new MetricsRegistry()) {
+        this.registry = registry;
+
+        this.poolsFinalized = registry.counter(
+            'settlement_pools_finalized_total', 'Pools whose merkle root and claim data were committed', ['product']);
+        this.poolsFailed = registry.counter(
+            'settlement_pools_failed_total', 'Pool runs that ended in an error', ['product']);
+        this.poolsPending = registry.gauge(
+            'settlement_pools_pending', 'Unprocessed pools found at the last lookup', ['product', 'token']);
+        this.oldestPendingAge = registry.gauge(
+            'settlement_oldest_pending_pool_age_seconds', 'Seconds since the slot of the oldest unprocessed pool ended (0 if none)', ['product', 'token']);
+        this.scheduledPools = registry.gauge(
+            'settlement_scheduled_pools', 'Pools tracked by the settlement daemon, by schedule status', ['product', 'status']);
+        this.finalizationDelay = registry.histogram(
+            'settlement_finalization_delay_seconds', 'Time from period end to finalization', ['product'],
+            [1800, 3600, 7200, 14400, 21600, 43200, 86400, 172800]);
+
+        this.poolAmount = registry.gauge(
+            'settlement_pool_amount_wei', 'Slashed stake, rewards and protocol fees of the last finalized pool', ['product', 'token', 'kind']);
+        this.amountTotal = registry.counter(
+            'settlement_amount_wei_total', 'Slashed stake, rewards and protocol fees over all finalized pools', ['product', 'token', 'kind']);
+
+        this.transactions = registry.counter(
+            'settlement_transactions_total', 'Merkle root transactions sent, by fee mode', ['product', 'mode']);
+        this.errors = registry.counter(
+            'settlement_errors_total', 'Failed RPC, paymaster and Supabase calls', ['product', 'source', 'operation']);
+        this.sponsoredClaims = registry.counter(
+            'settlement_sponsored_claims_total', 'User claims relayed through the paymaster, by outcome', ['product', 'status']);
+        this.sponsoredFees = registry.counter(
+            'settlement_sponsored_fee_wei_total', 'Paymaster fees (STRK wei) of relayed user claims', ['product']);
+        this.waitForTransaction = registry.histogram(
+            'settlement_wait_for_transaction_seconds', 'Latency of waitForTransaction', ['product'],
+            [1, 2, 5, 10, 20, 30, 60, 120, 300]);
+    }
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    Counter,
+    Gauge,
+    Histogram,
+    MetricsRegistry,
+    SettlementMetrics
+};
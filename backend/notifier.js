@@ -0,0 +1,136 @@
+// notifier.js - Settlement alerts posted to Slack-compatible webhooks
+const { Logger } = require('./logger');
+
+const ALERT_EVENTS = {
+    FINALIZATION_FAILED: 'finalization_failed',
+    MERKLE_ROOT_MISMATCH: 'merkle_root_mismatch',
+    POOL_STUCK: 'pool_stuck',
+    CUTOFF_SKIPPED: 'cutoff_skipped'
+};
+
+const TITLES = {
+    [ALERT_EVENTS.FINALIZATION_FAILED]: 'finalization failed',
+    [ALERT_EVENTS.MERKLE_ROOT_MISMATCH]: 'merkle root mismatch',
+    [ALERT_EVENTS.POOL_STUCK]: 'pool still unprocessed',
+    [ALERT_EVENTS.CUTOFF_SKIPPED]: 'skipped, older than the 48h contract cutoff'
+};
+
+/**
+ * Marks an error as already alerted so callers further up do not send a second, vaguer alert.
+ * Wrapped errors keep the mark through `cause`.
+ */
+function markAlerted(error) {
+    error.alerted = true;
+    return error;
+}
+
+function wasAlerted(error) {
+    for (let e = error; e; e = e.cause) {
+        if (e.alerted) return true;
+    }
+    return false;
+}
+
+/**
+ * One-line Slack text for an alert, e.g.
+ * `[alarm ETH] Day 20343, Period 1: finalization failed - <error> (tx 0x1)`
+ */
+function formatAlertText(alert) {
+    const pool = alert.day !== undefined ? ` Day ${alert.day}, Period ${alert.period}` : '';
+    const source = alert.token ? `${alert.product} ${alert.token}` : alert.product;
+    let text = `:rotating_light: [${source}]${pool}: ${TITLES[alert.event] || alert.event}`;
+    if (alert.error) text += ` - ${alert.error}`;
+    if (alert.transaction_hash) text += ` (tx ${alert.transaction_hash})`;
+    return text;
+}
+
+/**
+ * Posts alerts as JSON to every configured webhook. The body carries a Slack `text`
+ * line plus the structured fields (event, product, day, period, error, transaction_hash, ...).
+ * Delivery problems are logged, never thrown: an alert must not break settlement.
+ * With no URLs configured every call is a no-op.
+ */
+class WebhookNotifier {
+    /**
+     * @param {Object} [options]
+     * @param {Array<string>} [options.urls] - Webhook URLs
+     * @param {Logger} [options.logger] - Structured logger
+     * @param {number} [options.timeoutMs=5000] - Per-request timeout
+     * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+     */
+    constructor({ urls = [], logger = new Logger(), timeoutMs = 5000, fetch = globalThis.fetch } = {}) {
+        this.urls = urls;
+        this.logger = logger;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+        this.sentKeys = new Set();
+    }
+
+    get enabled() {
+        return this.urls.length > 0;
+    }
+
+    /**
+     * @param {Object} alert - {event, product, token, day, period, error, transaction_hash, ...details}
+     * @returns {Promise<number>} Number of webhooks that accepted the alert
+     */
+    async notify(alert) {
+        if (!this.enabled) {
+            return 0;
+        }
+
+        const body = JSON.stringify({ text: formatAlertText(alert), time: new Date().toISOString(), ...alert });
+        const results = await Promise.allSettled(this.urls.map(async url => {
+            const response = await this.fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        }));
+
+        let delivered = 0;
+        results.forEach((result, i) => {
+            if (result.status === 'fulfilled') {
+                delivered++;
+            } else {
+                this.logger.warn('Alert webhook failed', { event: alert.event, webhook: i, error: result.reason.message });
+            }
+        });
+        return delivered;
+    }
+
+    /**
+     * Sends an alert once per key for the life of the process (e.g. one stuck-pool alert per pool).
+     * @returns {Promise<number>} Webhooks reached, 0 if the key was already sent
+     */
+    async notifyOnce(key, alert) {
+        if (this.sentKeys.has(key)) {
+            return 0;
+        }
+        this.sentKeys.add(key);
+        return this.notify(alert);
+    }
+}
+
+/**
+ * @param {Object} env - ALERT_WEBHOOK_URLS (comma-separated)
+ * @param {Logger} [logger]
+ * @returns {WebhookNotifier}
+ */
+function notifierFromEnv(env = process.env, logger) {
+    const urls = (env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+    return new WebhookNotifier({ urls, logger });
+}
+
+module.exports = {
+    ALERT_EVENTS,
+    WebhookNotifier,
+    formatAlertText,
+    markAlerted,
+    wasAlerted,
+    notifierFromEnv
+};
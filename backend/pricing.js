@@ -0,0 +1,158 @@
+// pricing.js - USD values for settlement reports, read from the PriceConverter contract (Pragma)
+
+const TOKEN_DECIMALS = {
+    STRK: 18,
+    ETH: 18
+};
+
+// Pragma pair ids, as the PriceConverter contract names them
+const PRICE_PAIRS = {
+    STRK: 'STRK/USD',
+    ETH: 'ETH/USD'
+};
+
+const CONVERT_TO_USD_ENTRYPOINTS = {
+    STRK: 'convert_strk_to_usd',
+    ETH: 'convert_eth_to_usd'
+};
+
+const U128_MASK = (BigInt(1) << BigInt(128)) - BigInt(1);
+
+/**
+ * Formats a fixed-point integer as a decimal string without floating point,
+ * e.g. formatUnits(1500000000000000000n, 18) === '1.5'.
+ * @param {bigint|string|number} amount - Amount in the smallest unit
+ * @param {number} decimals - Number of decimals of the unit
+ * @returns {string}
+ */
+function formatUnits(amount, decimals) {
+    const value = BigInt(amount);
+    const sign = value < BigInt(0) ? '-' : '';
+    const digits = (value < BigInt(0) ? -value : value).toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, digits.length - decimals);
+    const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '');
+    return sign + whole + (fraction ? `.${fraction}` : '');
+}
+
+/**
+ * Parses a decimal string into a fixed-point integer, e.g. parseUnits('1.5', 18) === 1500000000000000000n.
+ * @param {string|number} value - Decimal amount in whole units
+ * @param {number} decimals - Number of decimals of the unit
+ * @returns {bigint}
+ */
+function parseUnits(value, decimals) {
+    const match = String(value).trim().match(/^(\d+)(?:\.(\d+))?$/);
+    if (!match || (match[2] || '').length > decimals) {
+        throw new Error(`Invalid amount '${value}' (at most ${decimals} decimals)`);
+    }
+    return BigInt(match[1] + (match[2] || '').padEnd(decimals, '0'));
+}
+
+/**
+ * Converts a token amount to USD with the same integer math as convert_strk_to_usd /
+ * convert_eth_to_usd: (amount * price) / 10^price_decimals, so the result keeps the
+ * token's decimals.
+ * @param {bigint|string} amount - Token amount in wei
+ * @param {Object} quote - Quote from PriceConverterOracle.getQuote
+ * @returns {bigint} USD value scaled by 10^token decimals
+ */
+function toUsd(amount, quote) {
+    return (BigInt(amount) * BigInt(quote.price)) / (BigInt(10) ** BigInt(quote.price_decimals));
+}
+
+/**
+ * Adds `<field>_decimal` (token units) and `<field>_usd` siblings to each wei amount field.
+ * `_usd` is null without a quote.
+ * @param {Object} record - Object holding wei amounts as strings
+ * @param {Array<string>} fields - Amount fields to describe
+ * @param {string} token - Token of the amounts
+ * @param {Object|null} quote - Quote the USD values are computed with
+ * @returns {Object} A copy of the record with the added fields
+ */
+function withPrices(record, fields, token, quote) {
+    const decimals = TOKEN_DECIMALS[token];
+    const priced = { ...record };
+    for (const field of fields) {
+        priced[`${field}_decimal`] = formatUnits(record[field], decimals);
+        priced[`${field}_usd`] = quote ? formatUnits(toUsd(record[field], quote), decimals) : null;
+    }
+    return priced;
+}
+
+function encodeShortString(text) {
+    return '0x' + Buffer.from(text, 'ascii').toString('hex');
+}
+
+/**
+ * Reads token prices from the PriceConverter contract. The contract itself rejects
+ * prices older than an hour, so a quote is always fresh at the time it is read.
+ */
+class PriceConverterOracle {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - Starknet RpcProvider
+     * @param {string} options.contractAddress - PriceConverter contract address
+     */
+    constructor({ provider, contractAddress }) {
+        this.provider = provider;
+        this.contractAddress = contractAddress;
+    }
+
+    /**
+     * @param {string} token - 'STRK' or 'ETH'
+     * @returns {Promise<Object>} {pair, price, price_decimals, usd_price, oracle_timestamp, oracle_time, source}
+     */
+    async getQuote(token) {
+        const pair = PRICE_PAIRS[token];
+        if (!pair) {
+            throw new Error(`No USD price pair for ${token}`);
+        }
+
+        const [price, timestamp, decimals] = await this.provider.callContract({
+            contractAddress: this.contractAddress,
+            entrypoint: 'get_price_with_timestamp',
+            calldata: [encodeShortString(pair)]
+        });
+        const oracleTimestamp = Number(BigInt(timestamp));
+        return {
+            pair,
+            price: BigInt(price).toString(),
+            price_decimals: Number(BigInt(decimals)),
+            usd_price: formatUnits(BigInt(price), Number(BigInt(decimals))),
+            oracle_timestamp: oracleTimestamp,
+            oracle_time: new Date(oracleTimestamp * 1000).toISOString(),
+            source: this.contractAddress
+        };
+    }
+
+    /**
+     * Converts on-chain with convert_strk_to_usd / convert_eth_to_usd, at the oracle's current price.
+     * @param {string} token - 'STRK' or 'ETH'
+     * @param {bigint|string} amount - Token amount in wei
+     * @returns {Promise<bigint>} USD value scaled by 10^token decimals
+     */
+    async convertToUsd(token, amount) {
+        const entrypoint = CONVERT_TO_USD_ENTRYPOINTS[token];
+        if (!entrypoint) {
+            throw new Error(`No USD conversion for ${token}`);
+        }
+
+        const value = BigInt(amount);
+        const [low, high] = await this.provider.callContract({
+            contractAddress: this.contractAddress,
+            entrypoint,
+            calldata: [(value & U128_MASK).toString(), (value >> BigInt(128)).toString()]
+        });
+        return BigInt(low) + (BigInt(high) << BigInt(128));
+    }
+}
+
+module.exports = {
+    TOKEN_DECIMALS,
+    PRICE_PAIRS,
+    formatUnits,
+    parseUnits,
+    toUsd,
+    withPrices,
+    PriceConverterOracle
+};
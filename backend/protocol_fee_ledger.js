@@ -0,0 +1,117 @@
+// protocol_fee_ledger.js - Persisted protocol fee ledger (treasury revenue per pool and withdrawals)
+const { Logger } = require('./logger');
+
+const LEDGER_KINDS = {
+    FEE: 'fee',               // protocol fee committed with a finalized pool
+    WITHDRAWAL: 'withdrawal'  // fees moved out of the contract to the treasury
+};
+
+/**
+ * One `fee` row per (contract, day, period) in the `protocol_fees` table, written when the
+ * pool is finalized, plus one `withdrawal` row per treasury withdrawal. Amounts are wei
+ * of the row's token; the ledger balance of a contract is its fees minus its withdrawals.
+ */
+class ProtocolFeeLedger {
+    /**
+     * @param {Object} supabase - Supabase client
+     * @param {Object} [options]
+     * @param {string} [options.table='protocol_fees'] - Ledger table name
+     * @param {Logger} [options.logger] - Structured logger
+     */
+    constructor(supabase, { table = 'protocol_fees', logger = new Logger() } = {}) {
+        this.supabase = supabase;
+        this.table = table;
+        this.logger = logger;
+    }
+
+    /**
+     * Records a finalized pool's fee. Idempotent: a resumed run rewrites the same row.
+     * @param {Object} entry - {product, token, contract_address, day, period, amount, transaction_hash, policy_version}
+     * @returns {Promise<Object>} The stored row
+     */
+    async recordFee(entry) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .upsert({
+                ...entry,
+                kind: LEDGER_KINDS.FEE,
+                amount: entry.amount.toString(),
+                recorded_at: new Date().toISOString()
+            }, { onConflict: 'contract_address,day,period,kind' })
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to record protocol fee for Day ${entry.day}, Period ${entry.period}: ${error.message}`);
+        }
+        this.logger.info('Protocol fee recorded', { amount: data.amount, transaction_hash: data.transaction_hash });
+        return data;
+    }
+
+    /**
+     * Records fees withdrawn from a contract.
+     * @param {Object} entry - {product, token, contract_address, amount, transaction_hash}
+     * @returns {Promise<Object>} The stored row
+     */
+    async recordWithdrawal(entry) {
+        if (BigInt(entry.amount) <= BigInt(0)) {
+            throw new Error(`Withdrawal amount must be positive, got ${entry.amount}`);
+        }
+        if (!entry.transaction_hash) {
+            throw new Error('A withdrawal needs the transaction hash that moved the funds');
+        }
+
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .insert({
+                ...entry,
+                kind: LEDGER_KINDS.WITHDRAWAL,
+                day: null,
+                period: null,
+                amount: entry.amount.toString(),
+                recorded_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to record protocol fee withdrawal ${entry.transaction_hash}: ${error.message}`);
+        }
+        this.logger.info('Protocol fee withdrawal recorded', { amount: data.amount, transaction_hash: data.transaction_hash });
+        return data;
+    }
+
+    /**
+     * Sums a contract's ledger.
+     * @param {string} contractAddress - Settlement contract
+     * @returns {Promise<Object>} {fees, withdrawals, balance, pools} with bigint amounts
+     */
+    async totals(contractAddress) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('kind, amount')
+            .eq('contract_address', contractAddress);
+
+        if (error) {
+            throw new Error(`Failed to read protocol fee ledger: ${error.message}`);
+        }
+
+        let fees = BigInt(0);
+        let withdrawals = BigInt(0);
+        let pools = 0;
+        for (const row of data || []) {
+            if (row.kind === LEDGER_KINDS.FEE) {
+                fees += BigInt(row.amount);
+                pools++;
+            } else {
+                withdrawals += BigInt(row.amount);
+            }
+        }
+        return { fees, withdrawals, balance: fees - withdrawals, pools };
+    }
+}
+
+module.exports = {
+    LEDGER_KINDS,
+    ProtocolFeeLedger
+};
@@ -0,0 +1,186 @@
+// remote_signer.js - Local signing service speaking the remote signer protocol (see signers.js)
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { ec } = require('starknet');
+const { Logger, loggerFromEnv } = require('./logger');
+const { KeystoreSigner, encryptKeystore } = require('./signers');
+
+const KEY_ROUTE = /^\/keys\/([\w.-]+)(\/sign)?$/;
+const FELT = /^0x[0-9a-fA-F]{1,64}$/;
+const MAX_BODY_BYTES = 4096;
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req, token) {
+    if (!token) return true;
+    const expected = Buffer.from(`Bearer ${token}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Creates the signer HTTP server (not yet listening). It signs any message hash it is given,
+ * so bind it to localhost or a private network and set a token.
+ *
+ * Routes:
+ *   GET  /keys/:keyId       - {key_id, public_key}
+ *   POST /keys/:keyId/sign  - {message_hash} → {key_id, message_hash, signature_r, signature_s}
+ *
+ * @param {Object} options
+ * @param {Object<string, KeySigner>} options.signers - Signers by key id (e.g. verifier, deployer)
+ * @param {string} [options.token] - Bearer token required on every request
+ * @param {Logger} [options.logger] - Structured logger (message hashes only, never keys)
+ * @returns {http.Server}
+ */
+function createRemoteSignerServer({ signers, token = null, logger = new Logger() }) {
+    async function route(req, url) {
+        const match = url.pathname.match(KEY_ROUTE);
+        if (!match) {
+            return { status: 404, body: { error: 'Not found' } };
+        }
+        if (!isAuthorized(req, token)) {
+            return { status: 401, body: { error: 'Unauthorized' } };
+        }
+        const [, keyId, sign] = match;
+        const signer = signers[keyId];
+        if (!signer) {
+            return { status: 404, body: { error: `Unknown key '${keyId}'` } };
+        }
+
+        if (!sign && req.method === 'GET') {
+            return { status: 200, body: { key_id: keyId, public_key: await signer.getPublicKey() } };
+        }
+        if (sign && req.method === 'POST') {
+            const { message_hash } = await readJson(req);
+            if (typeof message_hash !== 'string' || !FELT.test(message_hash) || BigInt(message_hash) >= ec.starkCurve.MAX_VALUE) {
+                return { status: 400, body: { error: 'message_hash must be a 0x-prefixed felt' } };
+            }
+            const { signature_r, signature_s } = await signer.signMessageHash(message_hash);
+            logger.info('Message hash signed', { key_id: keyId, message_hash });
+            return { status: 200, body: { key_id: keyId, message_hash, signature_r, signature_s } };
+        }
+        return { status: 405, body: { error: 'Method not allowed' } };
+    }
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        try {
+            const { status, body } = await route(req, url);
+            sendJson(res, status, body);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) {
+                logger.error('Remote signer request failed', { method: req.method, path: url.pathname, error: error.message });
+            }
+            sendJson(res, status, { error: error.message });
+        }
+    });
+}
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node remote_signer.js serve --key <id>=<keystore.json> [--key ...] [--port 8547] [--pretty]');
+    console.log('node remote_signer.js create-keystore <keystore.json> [--import]');
+    console.log('');
+    console.log('Commands:');
+    console.log('  serve            Serve the keystores\' keys on localhost. Passphrases are read from');
+    console.log('                   REMOTE_SIGNER_PASSWORD_FILE (one for all keys); requests need REMOTE_SIGNER_TOKEN');
+    console.log('                   (or REMOTE_SIGNER_TOKEN_FILE) as a Bearer token when set');
+    console.log('  create-keystore  Write a new random key (or, with --import, the hex key read from stdin)');
+    console.log('                   encrypted with the passphrase in REMOTE_SIGNER_PASSWORD_FILE; prints its public key');
+    console.log('=============================');
+}
+
+function readSecretFile(path, name) {
+    if (!path) {
+        throw new Error(`Missing ${name} environment variable`);
+    }
+    return fs.readFileSync(path, 'utf8').replace(/\r?\n$/, '');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const [command, target] = args;
+    if (!command || command === '--help' || command === '-h') {
+        printUsage();
+        return;
+    }
+    const logger = loggerFromEnv(process.env, args.includes('--pretty') ? { format: 'pretty' } : {});
+    try {
+        const password = () => readSecretFile(process.env.REMOTE_SIGNER_PASSWORD_FILE, 'REMOTE_SIGNER_PASSWORD_FILE');
+
+        if (command === 'serve') {
+            const signers = {};
+            args.forEach((arg, i) => {
+                if (arg === '--key') {
+                    const [keyId, path] = args[i + 1].split('=');
+                    signers[keyId] = new KeystoreSigner({ path, password: password() });
+                }
+            });
+            if (Object.keys(signers).length === 0) {
+                printUsage();
+                process.exit(1);
+            }
+            for (const [keyId, signer] of Object.entries(signers)) {
+                logger.info('Key unlocked', { key_id: keyId, public_key: await signer.getPublicKey() });
+            }
+
+            const token = process.env.REMOTE_SIGNER_TOKEN_FILE
+                ? readSecretFile(process.env.REMOTE_SIGNER_TOKEN_FILE, 'REMOTE_SIGNER_TOKEN_FILE')
+                : process.env.REMOTE_SIGNER_TOKEN || null;
+            if (!token) {
+                logger.warn('REMOTE_SIGNER_TOKEN not set, any local process can request signatures');
+            }
+            const portIndex = args.indexOf('--port');
+            const port = portIndex !== -1 ? Number(args[portIndex + 1]) : 8547;
+            createRemoteSignerServer({ signers, token, logger })
+                .listen(port, '127.0.0.1', () => logger.info('Remote signer listening', { url: `http://127.0.0.1:${port}` }));
+        } else if (command === 'create-keystore') {
+            if (!target || fs.existsSync(target)) {
+                throw new Error(target ? `${target} already exists` : 'Missing keystore path');
+            }
+            const privateKey = args.includes('--import')
+                ? fs.readFileSync(0, 'utf8').trim()
+                : '0x' + Buffer.from(ec.starkCurve.utils.randomPrivateKey()).toString('hex');
+            fs.writeFileSync(target, JSON.stringify(await encryptKeystore(privateKey, password()), null, 2), { mode: 0o600 });
+            console.log(JSON.stringify({ keystore: target, public_key: '0x' + BigInt(ec.starkCurve.getStarkKey(privateKey)).toString(16) }));
+        } else {
+            printUsage();
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('Remote signer failed', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = { createRemoteSignerServer };
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,241 @@
+// reward_policy.js - Versioned reward policies: stake slashing, protocol fee, winner weighting and rounding
+
+const BPS_BASE = BigInt(10000);
+
+// Stake returns and the protocol fee always round down; only the reward split has a choice.
+const ROUNDING_RULES = {
+    // floor: each winner's share is rounded down and the dust stays unallocated in the contract (v1 only).
+    // largest_remainder: the dust goes one unit each to the largest remainders, so the
+    // shares add up to the reward pool exactly; with no winner the pool becomes protocol fee.
+    rewards: ['floor', 'largest_remainder']
+};
+
+/**
+ * One version of the payout rules, built from a plain definition:
+ *
+ *   {
+ *     version: 'alarm-v2',
+ *     product: 'alarm',
+ *     stakeReturn: { field: 'snooze_count', tiers: [{ equals: 0, keepBps: 10000 }, ...], otherwiseKeepBps: 0 },
+ *     winner: { field: 'snooze_count', equals: 0 },
+ *     weightFields: ['stake_amount'],  // weight = product of these position fields
+ *     feeBps: 1000,                    // share of the slashed stake kept as protocol fee
+ *     rounding: { rewards: 'largest_remainder' }
+ *   }
+ *
+ * The version is journaled with every finalized pool, so a released policy must
+ * never be edited: change the rules by registering a new version.
+ */
+class RewardPolicy {
+    constructor(definition) {
+        const { version, product, stakeReturn, winner, weightFields, feeBps, rounding } = definition;
+        if (!version || !product) {
+            throw new Error('Reward policy needs a version and a product');
+        }
+        if (!stakeReturn || !Array.isArray(stakeReturn.tiers) || !winner || !Array.isArray(weightFields) || weightFields.length === 0) {
+            throw new Error(`Reward policy ${version} needs stakeReturn tiers, a winner rule and weightFields`);
+        }
+        for (const bps of [...stakeReturn.tiers.map(t => t.keepBps), stakeReturn.otherwiseKeepBps, feeBps]) {
+            if (!Number.isInteger(bps) || bps < 0 || bps > Number(BPS_BASE)) {
+                throw new Error(`Reward policy ${version}: basis points must be integers in 0-${BPS_BASE}, got ${bps}`);
+            }
+        }
+        for (const step of Object.keys(rounding || {})) {
+            if (!ROUNDING_RULES[step]) {
+                throw new Error(`Reward policy ${version}: ${step} rounding is not configurable`);
+            }
+        }
+        for (const [step, allowed] of Object.entries(ROUNDING_RULES)) {
+            if (!allowed.includes(rounding?.[step])) {
+                throw new Error(`Reward policy ${version}: ${step} rounding must be one of ${allowed.join(', ')}`);
+            }
+        }
+
+        this.version = version;
+        this.product = product;
+        // A private frozen copy: neither the caller nor a definition spread from this one can edit it
+        this.definition = deepFreeze(structuredClone(definition));
+        Object.freeze(this);
+    }
+
+    /** @returns {boolean} Whether the position earns a share of the reward pool. */
+    isWinner(user) {
+        return matches(this.definition.winner, user);
+    }
+
+    /** @returns {bigint} The stake handed back to the position's owner. */
+    stakeReturn(user) {
+        const { tiers, otherwiseKeepBps } = this.definition.stakeReturn;
+        const tier = tiers.find(t => matches({ field: this.definition.stakeReturn.field, equals: t.equals }, user));
+        const keepBps = BigInt(tier ? tier.keepBps : otherwiseKeepBps);
+        return (BigInt(user.stake_amount) * keepBps) / BPS_BASE;
+    }
+
+    /** @returns {bigint} The winner's weight in the proportional reward split. */
+    weight(user) {
+        return this.definition.weightFields.reduce((weight, field) => weight * BigInt(user[field]), BigInt(1));
+    }
+
+    /** @returns {boolean} Whether every unit of the reward pool is committed to a winner. */
+    get allocatesAll() {
+        return this.definition.rounding.rewards !== 'floor';
+    }
+
+    /**
+     * @param {bigint} totalSlashed - Total stake slashed in the pool
+     * @returns {Object} {protocolFees, newRewards}
+     */
+    splitFees(totalSlashed) {
+        const protocolFees = (totalSlashed * BigInt(this.definition.feeBps)) / BPS_BASE;
+        return { protocolFees, newRewards: totalSlashed - protocolFees };
+    }
+
+    /**
+     * Splits the reward pool proportionally to the weights.
+     * Under largest_remainder the leftover units go to the largest remainders; ties are
+     * broken by `tieKeys` (ascending) and then by position, so the result never depends on timing.
+     * @param {Array<bigint>} weights - One weight per winner
+     * @param {bigint} pool - Amount to distribute
+     * @param {Array<string>} [tieKeys] - One key per winner (e.g. the address)
+     * @returns {Array<bigint>} Rewards in the order of `weights`
+     */
+    allocate(weights, pool, tieKeys = []) {
+        const totalWeight = weights.reduce((sum, w) => sum + w, BigInt(0));
+        if (totalWeight === BigInt(0)) {
+            return weights.map(() => BigInt(0));
+        }
+        const shares = weights.map(weight => (pool * weight) / totalWeight);
+        if (!this.allocatesAll) {
+            return shares;
+        }
+
+        let dust = pool - shares.reduce((sum, share) => sum + share, BigInt(0));
+        const order = weights
+            .map((weight, i) => ({ i, remainder: (pool * weight) % totalWeight, key: String(tieKeys[i] ?? '') }))
+            .sort((a, b) => {
+                if (a.remainder !== b.remainder) return a.remainder > b.remainder ? -1 : 1;
+                if (a.key !== b.key) return a.key < b.key ? -1 : 1;
+                return a.i - b.i;
+            });
+        // The dust is below the number of winners, so one pass hands it all out
+        for (const { i } of order) {
+            if (dust === BigInt(0)) break;
+            shares[i] += BigInt(1);
+            dust -= BigInt(1);
+        }
+        return shares;
+    }
+
+    toJSON() {
+        return this.definition;
+    }
+}
+
+/**
+ * Matches `{field, equals}` against a position; numeric rules accept numeric strings from the database.
+ */
+function matches(rule, user) {
+    const value = user[rule.field];
+    return typeof rule.equals === 'number' ? Number(value) === rule.equals : value === rule.equals;
+}
+
+function deepFreeze(value) {
+    if (value && typeof value === 'object') {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+const REWARD_POLICIES = new Map();
+
+/**
+ * Adds a policy to the registry so journaled pools can find it by version.
+ * @param {Object} definition - See RewardPolicy
+ * @returns {RewardPolicy}
+ */
+function registerRewardPolicy(definition) {
+    if (REWARD_POLICIES.has(definition.version)) {
+        throw new Error(`Reward policy ${definition.version} is already registered`);
+    }
+    const policy = new RewardPolicy(definition);
+    REWARD_POLICIES.set(policy.version, policy);
+    return policy;
+}
+
+/**
+ * @param {string} version - Policy version id, e.g. 'alarm-v1'
+ * @returns {RewardPolicy}
+ */
+function getRewardPolicy(version) {
+    const policy = REWARD_POLICIES.get(version);
+    if (!policy) {
+        throw new Error(`Unknown reward policy version: ${version}`);
+    }
+    return policy;
+}
+
+/**
+ * Accepts a RewardPolicy, a registered version id or an unregistered definition.
+ * @returns {RewardPolicy}
+ */
+function resolveRewardPolicy(policy) {
+    if (policy instanceof RewardPolicy) return policy;
+    if (typeof policy === 'string') return getRewardPolicy(policy);
+    return new RewardPolicy(policy);
+}
+
+// The alarm ladders must match _calculate_stake_return in src/alarm/alarm.cairo,
+// which pays out the stake on claim: a new ladder needs a contract upgrade too.
+const ALARM_V1 = registerRewardPolicy({
+    version: 'alarm-v1',
+    product: 'alarm',
+    stakeReturn: {
+        field: 'snooze_count',
+        tiers: [
+            { equals: 0, keepBps: 10000 },
+            { equals: 1, keepBps: 8000 },
+            { equals: 2, keepBps: 5000 }
+        ],
+        otherwiseKeepBps: 0
+    },
+    winner: { field: 'snooze_count', equals: 0 },
+    weightFields: ['stake_amount'],
+    feeBps: 1000,
+    rounding: { rewards: 'floor' }
+});
+
+const FOCUS_LOCK_V1 = registerRewardPolicy({
+    version: 'focus-lock-v1',
+    product: 'focus lock',
+    stakeReturn: {
+        field: 'completion_status',
+        tiers: [{ equals: true, keepBps: 10000 }],
+        otherwiseKeepBps: 0
+    },
+    winner: { field: 'completion_status', equals: true },
+    weightFields: ['stake_amount', 'duration'],
+    feeBps: 1000,
+    rounding: { rewards: 'floor' }
+});
+
+// v2: same rules, but the rounding dust is handed out instead of left in the contract
+registerRewardPolicy({
+    ...ALARM_V1.definition,
+    version: 'alarm-v2',
+    rounding: { rewards: 'largest_remainder' }
+});
+
+registerRewardPolicy({
+    ...FOCUS_LOCK_V1.definition,
+    version: 'focus-lock-v2',
+    rounding: { rewards: 'largest_remainder' }
+});
+
+module.exports = {
+    BPS_BASE,
+    RewardPolicy,
+    registerRewardPolicy,
+    getRewardPolicy,
+    resolveRewardPolicy
+};
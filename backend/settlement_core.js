@@ -0,0 +1,1941 @@
+// settlement_core.js - Shared settlement primitives and pool strategy interface
+const fs = require('fs');
+const { createClient } = require('@supabase/supabase-js');
+const { Account, RpcProvider, hash, ec } = require('starknet');
+const { createMerkleLeaf, buildMerkleTree, verifyProof, verifyAllProofs } = require('./merkle_tree');
+const { JOURNAL_STATES, hasReached, SettlementJournal, JournalConflictError } = require('./settlement_journal');
+const { Logger, loggerFromEnv } = require('./logger');
+const { SettlementMetrics } = require('./metrics');
+const { ALERT_EVENTS, WebhookNotifier, markAlerted, wasAlerted, notifierFromEnv } = require('./notifier');
+const { getRewardPolicy, resolveRewardPolicy } = require('./reward_policy');
+const { PriceConverterOracle, withPrices } = require('./pricing');
+const { ProtocolFeeLedger } = require('./protocol_fee_ledger');
+const { AccountSigner, toKeySigner, signerFromEnv } = require('./signers');
+const { TransactionSender, NonceTracker, senderOptionsFromEnv } = require('./tx_sender');
+
+// PaymasterRpc might not be available in all starknet versions; without it transactions are not sponsored
+const { PaymasterRpc } = require('starknet');
+
+const SECONDS_PER_DAY = 86400;
+const FINALIZE_BUFFER_SECONDS = 1800; // 30 minutes after the period ends
+const DEFAULT_STUCK_POOL_HOURS = 6;
+const U64_LIMIT = 1n << 64n;
+const U128_MASK = (1n << 128n) - 1n;
+const U256_LIMIT = 1n << 256n;
+
+/**
+ * Helper: Normalizes a value to a "0x..." hex string.
+ * @param {string | number | bigint} val - The value to normalize.
+ * @returns {string} The normalized hex string.
+ */
+function toHexString(val) {
+    if (typeof val === 'string' && val.startsWith('0x')) {
+        return val.toLowerCase();
+    }
+    return '0x' + BigInt(val).toString(16);
+}
+
+/**
+ * Parses a "0x..." hex string or number into a BigInt.
+ * @param {string | number | bigint} val - The value to parse.
+ * @returns {bigint} The parsed BigInt.
+ */
+function toBigInt(val) {
+    if (typeof val === 'bigint') {
+        return val;
+    }
+    return BigInt(val);
+}
+
+/**
+ * Helper to split u256 to Cairo format (low, high)
+ * @param {string | number | bigint} val - The u256 value
+ * @returns {Array<string>} [low, high] as strings
+ */
+function toU256Parts(val) {
+    const n = BigInt(val);
+    return [(n & U128_MASK).toString(), (n >> 128n).toString()];
+}
+
+/**
+ * Validates the fields every product shares (address and stake), then
+ * delegates the product-specific checks to the strategy.
+ * @param {Array<Object>} users - A list of user objects to validate.
+ * @param {PoolStrategy} strategy - The pool strategy owning the extra rules.
+ * @throws {Error} If any user data is invalid.
+ */
+function validateInputTypes(users, strategy) {
+    for (const user of users) {
+        if (!user.address || typeof user.address !== 'string' || !user.address.startsWith('0x')) {
+            throw new Error(`Invalid address: ${JSON.stringify(user)}`);
+        }
+        const stakeAmount = toBigInt(user.stake_amount);
+        if (stakeAmount < 0n || stakeAmount >= U256_LIMIT) {
+            throw new Error(`stake_amount out of u256: ${user.stake_amount}`);
+        }
+        strategy.validateUser(user);
+    }
+}
+
+/**
+ * Checks that the leaves commit exactly the reward pool sent to the contract,
+ * so on-chain accounting reconciles to the wei.
+ * @param {Object} amounts - Address → reward committed in the merkle tree
+ * @param {bigint} newRewards - Reward pool in the merkle root transaction
+ * @throws {Error} If the leaves add up to anything else.
+ */
+function verifyRewardsReconcile(amounts, newRewards) {
+    const committed = Object.values(amounts).reduce((sum, amount) => sum + BigInt(amount), BigInt(0));
+    if (committed !== BigInt(newRewards)) {
+        throw new Error(`Leaves commit ${committed} but new_rewards is ${newRewards} (difference ${BigInt(newRewards) - committed})`);
+    }
+}
+
+/**
+ * Signs an outcome payload with the verifier key.
+ * @param {Array<bigint>} payload - Felts hashed with Poseidon to form the message.
+ * @param {string} privateKey - The verifier's private key.
+ * @returns {Object} An object containing the message hash, signature (r, s), and public key.
+ */
+function signOutcome(payload, privateKey) {
+    return signMessageHash(hash.computePoseidonHashOnElements(payload), privateKey);
+}
+
+/**
+ * Signs an already computed outcome message hash (e.g. a stored one, when re-signing with a new key).
+ * @param {bigint | string} messageHash - Poseidon hash of the outcome payload
+ * @param {string} privateKey - The verifier's private key.
+ * @returns {Object} {message_hash, signature_r, signature_s, public_key}
+ */
+function signMessageHash(messageHash, privateKey) {
+    let normalizedPrivateKey = privateKey;
+    if (!normalizedPrivateKey.startsWith('0x')) {
+        normalizedPrivateKey = '0x' + normalizedPrivateKey;
+    }
+
+    const signature = ec.starkCurve.sign(toHexString(messageHash), normalizedPrivateKey);
+
+    return {
+        message_hash: toHexString(messageHash),
+        signature_r: toHexString(signature.r),
+        signature_s: toHexString(signature.s),
+        public_key: toHexString(ec.starkCurve.getStarkKey(normalizedPrivateKey)),
+    };
+}
+
+/**
+ * Checks a signature the way the contract does: against the signer's stark key (the x
+ * coordinate only), so the point with either y parity is accepted.
+ * @param {Object} signature - {message_hash, signature_r, signature_s}
+ * @param {string} publicKey - Stark key of the signer (get_verified_signer)
+ * @returns {boolean}
+ */
+function verifyOutcomeSignature({ message_hash, signature_r, signature_s }, publicKey) {
+    try {
+        const x = toBigInt(publicKey).toString(16).padStart(64, '0');
+        const signature = new ec.starkCurve.Signature(toBigInt(signature_r), toBigInt(signature_s));
+        return ['02', '03'].some(prefix => ec.starkCurve.verify(signature, toHexString(message_hash), prefix + x));
+    } catch (error) {
+        // Malformed signatures and keys off the curve are simply not valid
+        return false;
+    }
+}
+
+/**
+ * Pool strategy interface. A product (alarms, focus locks, ...) describes
+ * how its positions are slotted into pools, how much stake each position
+ * gets back, how winners are weighted and what the verifier signs.
+ * Subclasses must set the fields assigned in the constructor and
+ * override the methods that throw.
+ */
+class PoolStrategy {
+    constructor() {
+        this.name = 'pool';
+        this.slotSeconds = SECONDS_PER_DAY;
+        this.merkleRootEntrypoint = 'set_reward_merkle_root';
+        this.claimEntrypoint = null; // entrypoint owners call with their claim data (claim_builder.js)
+        this.verifyRootOnChain = false;
+        this.positionsTable = null;
+        this.claimsTable = null;
+        this.positionIdField = null;
+        this.claimTxHashColumn = 'claim_tx_hash';
+        this.claimEventsTable = null; // indexed claim events (event_indexer.js), if the contract's are decoded
+        this.claimStatusEntrypoint = null; // contract view readClaimStatus calls, if the contract's is known
+        this.auditFields = ['stake_amount']; // user fields auditPool compares with the contract
+        this.rewardPolicy = null; // RewardPolicy deciding stake returns, winners, weights and fees
+    }
+
+    get periodsPerDay() {
+        return SECONDS_PER_DAY / this.slotSeconds;
+    }
+
+    /**
+     * Calculate day and period from a position timestamp
+     * @param {number} timestamp - Unix timestamp
+     * @returns {Object} {day, period}
+     */
+    getPoolInfo(timestamp) {
+        const day = Math.floor(timestamp / SECONDS_PER_DAY);
+        const period = Math.floor((timestamp % SECONDS_PER_DAY) / this.slotSeconds);
+        return { day, period };
+    }
+
+    /**
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @returns {Object} {periodStart, periodEnd, eligibleAt} as unix timestamps
+     */
+    getPeriodBounds(day, period) {
+        const periodStart = day * SECONDS_PER_DAY + period * this.slotSeconds;
+        const periodEnd = periodStart + this.slotSeconds;
+        return { periodStart, periodEnd, eligibleAt: periodEnd + FINALIZE_BUFFER_SECONDS };
+    }
+
+    isValidPeriod(period) {
+        return Number.isInteger(period) && period >= 0 && period < this.periodsPerDay;
+    }
+
+    /** @returns {boolean} Whether the position earns a share of the reward pool. */
+    isWinner(user) {
+        return this.rewardPolicy.isWinner(user);
+    }
+
+    /** @returns {bigint} The amount of stake returned to the position's owner. */
+    calculateStakeReturn(user) {
+        return this.rewardPolicy.stakeReturn(user);
+    }
+
+    /** @returns {bigint} The winner's weight in the proportional reward split. */
+    calculateUserWeight(user) {
+        return this.rewardPolicy.weight(user);
+    }
+
+    /** @returns {Array<bigint>} Felts the verifier signs for this outcome. */
+    signaturePayload(user) {
+        throw new Error(`${this.name} strategy must implement signaturePayload()`);
+    }
+
+    /** Product-specific field checks; throw on invalid data. */
+    validateUser(user) {}
+
+    /**
+     * Hook to replace signed fields with authoritative values (e.g. read from chain).
+     * @returns {Promise<Object>} The user object to sign.
+     */
+    async resolveSignedOutcome(user, backend) {
+        return user;
+    }
+
+    /** @returns {Object} Product-specific columns added to the claim row. */
+    claimRowExtras(user) {
+        return {};
+    }
+
+    /**
+     * Leading arguments of the claim entrypoint, which identify the position; the signature,
+     * reward_amount (u256) and merkle_proof follow them in every product's calldata.
+     * @param {Object} position - Signed outcome of the position (see resolveSignedOutcome)
+     * @returns {Array<string>} Felts
+     */
+    claimPositionArgs(position) {
+        throw new Error(`${this.name} strategy must implement claimPositionArgs()`);
+    }
+
+    /**
+     * Reads from the contract whether a position's payout was claimed.
+     * @param {Object} position - Row from fetchUnclaimedPositions
+     * @param {SettlementBackend} backend - Backend whose provider and contract are used
+     * @returns {Promise<boolean|null>} null if the position cannot be looked up on chain
+     */
+    async readClaimStatus(position, backend) {
+        throw new Error(`${this.name} strategy must implement readClaimStatus()`);
+    }
+
+    /**
+     * Reads a pool user's position from the contract, for auditPool.
+     * @param {Object} user - Row from fetchPoolUsers
+     * @param {SettlementBackend} backend - Backend whose provider and contract are used
+     * @returns {Promise<Object|false|null>} The auditFields as stored on chain, false if the
+     *   contract has no such position, null if the row cannot be looked up
+     */
+    async readOnChainPosition(user, backend) {
+        throw new Error(`${this.name} strategy must implement readOnChainPosition()`);
+    }
+
+    /** @returns {string} Identity of the on-chain position a row refers to; two rows must not share one. */
+    onChainPositionKey(user) {
+        return toBigInt(user.address).toString();
+    }
+}
+
+// Wei amounts that reports also give in token units and USD
+const SUMMARY_AMOUNT_FIELDS = ['total_slashed_amount', 'new_rewards', 'protocol_fees', 'total_stake_returned', 'total_rewards', 'total_payout'];
+const USER_AMOUNT_FIELDS = ['stake_amount', 'stake_return', 'reward_amount', 'total_payout'];
+const POOL_INFO_AMOUNT_FIELDS = ['total_slashed_amount', 'new_rewards', 'protocol_fees'];
+
+const RECONCILIATION_AMOUNT_FIELDS = [
+    'contract_balance', 'unsettled_stakes', 'unclaimed_stake_returns', 'unclaimed_rewards',
+    'implied_protocol_fees', 'ledger_fees', 'ledger_withdrawals', 'ledger_balance', 'difference'
+];
+
+// ERC20 contracts of the staking tokens (same address on mainnet and Sepolia)
+const TOKEN_ADDRESSES = {
+    STRK: '0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d',
+    ETH: '0x049d36570d4e46f48e99674bd3fcc84644ddd6b96f7c741b1562b82f9e004dc7'
+};
+
+// Every backend built from the environment sends from the same deployer account
+const DEPLOYER_NONCES = new NonceTracker();
+
+/**
+ * Builds backend options from environment variables (Supabase, Starknet, AVNU Paymaster, alert webhooks).
+ * This is the only place the settlement backends read credentials from the environment.
+ * @param {Object} env - Environment map, usually process.env
+ * @param {Object} config
+ * @param {string} config.contractAddressEnv - Variable holding the settlement contract address
+ * @param {string} [config.rewardPolicyEnv] - Variable that may pin a reward policy version
+ * @param {Logger} [config.logger] - Logger to use (defaults to LOG_LEVEL / LOG_FORMAT from env)
+ * @returns {Object} Options for a SettlementBackend constructor
+ */
+function settlementOptionsFromEnv(env, { contractAddressEnv, rewardPolicyEnv, logger = loggerFromEnv(env) }) {
+    try {
+        logger.info('Initializing backend services');
+
+        // Initialize Supabase
+        if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+            throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
+        }
+        const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+        logger.info('Supabase client initialized');
+
+        // Initialize Starknet Provider
+        if (!env.STARKNET_RPC_URL) {
+            throw new Error('Missing STARKNET_RPC_URL environment variable');
+        }
+        const provider = new RpcProvider({ nodeUrl: env.STARKNET_RPC_URL });
+        logger.info('Starknet provider initialized');
+
+        // Initialize AVNU Paymaster (if available)
+        const paymasterUrl = env.AVNU_PAYMASTER_RPC || 'https://sepolia.paymaster.avnu.fi';
+        let paymasterRpc = null;
+        if (PaymasterRpc && env.AVNU_PAYMASTER_API_KEY) {
+            try {
+                paymasterRpc = new PaymasterRpc({
+                    nodeUrl: paymasterUrl,
+                    headers: { 'api-key': env.AVNU_PAYMASTER_API_KEY }
+                });
+                logger.info('AVNU Paymaster initialized, sponsored transactions enabled', { paymaster_url: paymasterUrl });
+            } catch (error) {
+                logger.warn('AVNU Paymaster failed to initialize, using regular transactions', { error: error.message });
+            }
+        } else {
+            logger.warn('AVNU Paymaster not available, using regular transactions');
+        }
+
+        // Initialize Account; its key comes from a keystore, a remote signer or (dev, DEPLOYER_SIGNER=env) DEPLOYER_PRIVATE_KEY
+        const deployerSigner = signerFromEnv(env, 'DEPLOYER', { logger });
+        if (!env.DEPLOYER_ADDRESS || !deployerSigner) {
+            throw new Error('Missing DEPLOYER_ADDRESS or a deployer signer (DEPLOYER_KEYSTORE_PATH, DEPLOYER_REMOTE_SIGNER_URL or DEPLOYER_SIGNER=env with DEPLOYER_PRIVATE_KEY)');
+        }
+        const account = paymasterRpc
+            ? new Account(provider, env.DEPLOYER_ADDRESS, new AccountSigner(deployerSigner), undefined, undefined, paymasterRpc)
+            : new Account(provider, env.DEPLOYER_ADDRESS, new AccountSigner(deployerSigner));
+        logger.info('Deployer account initialized', { deployer: env.DEPLOYER_ADDRESS, signer: deployerSigner.mode, sponsored: Boolean(paymasterRpc) });
+
+        if (!env[contractAddressEnv]) {
+            throw new Error(`Missing ${contractAddressEnv} environment variable`);
+        }
+        const verifierSigner = signerFromEnv(env, 'VERIFIER', { logger });
+        if (!verifierSigner) {
+            throw new Error('Missing a verifier signer (VERIFIER_KEYSTORE_PATH, VERIFIER_REMOTE_SIGNER_URL or VERIFIER_SIGNER=env with VERIFIER_PRIVATE_KEY)');
+        }
+
+        // The deployment env names it PRICE_CONVERTER_CONTRACT_ADDRESS; PRICE_CONVERTER_ADDRESS is still read
+        const priceConverterAddress = env.PRICE_CONVERTER_CONTRACT_ADDRESS || env.PRICE_CONVERTER_ADDRESS;
+        return {
+            supabase,
+            provider,
+            account,
+            paymasterRpc,
+            contractAddress: env[contractAddressEnv],
+            verifierSigner,
+            rewardPolicy: (rewardPolicyEnv && env[rewardPolicyEnv]) || undefined,
+            priceOracle: priceConverterAddress
+                ? new PriceConverterOracle({ provider, contractAddress: priceConverterAddress })
+                : null,
+            sender: { nonceTracker: DEPLOYER_NONCES, ...senderOptionsFromEnv(env) },
+            logger,
+            notifier: notifierFromEnv(env, logger),
+            stuckPoolHours: env.ALERT_STUCK_POOL_HOURS ? Number(env.ALERT_STUCK_POOL_HOURS) : undefined
+        };
+    } catch (error) {
+        logger.error('Backend initialization failed', { error });
+        throw error;
+    }
+}
+
+/**
+ * A command line the CLI cannot run: a flag without its value or an unknown token.
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * Splits the CLI flags shared by both processors from the positional arguments.
+ * @param {Array<string>} argv - process.argv.slice(2)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.tokens] - Tokens with a configured deployment; --token must name one
+ * @returns {Object} {dryRun, outputFile, pretty, token, args}
+ * @throws {UsageError} When --output or --token has no value, or --token names no configured deployment
+ */
+function parseRunFlags(argv, { tokens } = {}) {
+    const args = [];
+    let dryRun = false;
+    let outputFile = null;
+    let pretty = false;
+    let token = null;
+    const valueAfter = i => {
+        const value = argv[i + 1];
+        if (value === undefined || value.startsWith('--')) {
+            throw new UsageError(`${argv[i]} needs a value`);
+        }
+        return value;
+    };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') {
+            dryRun = true;
+        } else if (argv[i] === '--pretty') {
+            pretty = true;
+        } else if (argv[i] === '--output') {
+            outputFile = valueAfter(i++);
+        } else if (argv[i] === '--token') {
+            token = valueAfter(i++).toUpperCase();
+        } else {
+            args.push(argv[i]);
+        }
+    }
+    if (token && tokens && !tokens.includes(token)) {
+        throw new UsageError(`--token ${token} has no configured deployment (configured: ${tokens.join(', ') || 'none'})`);
+    }
+    return { dryRun, outputFile, pretty, token, args };
+}
+
+/**
+ * parseRunFlags for a command's main(): a usage error is printed and the process exits with status 1.
+ */
+function parseRunFlagsOrExit(argv, options) {
+    try {
+        return parseRunFlags(argv, options);
+    } catch (error) {
+        if (!(error instanceof UsageError)) {
+            throw error;
+        }
+        console.error(`❌ ${error.message}; see --help`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Writes dry-run reports as JSON.
+ * @param {Object | Array<Object>} reports - One report or a list (process-all mode)
+ * @param {string} outputFile - Destination path
+ * @param {Logger} logger
+ */
+function writeDryRunReport(reports, outputFile, logger) {
+    fs.writeFileSync(outputFile, JSON.stringify(reports, null, 2));
+    logger.info('Dry-run report written', { output_file: outputFile });
+}
+
+/**
+ * Shared settlement pipeline. Product backends extend this class with a
+ * strategy and their own database queries; everything from reward math to
+ * the on-chain merkle root and the claim rows lives here.
+ */
+class SettlementBackend {
+    /**
+     * @param {PoolStrategy} strategy - The product's pool strategy.
+     * @param {Object} [options] - Injected clients and settings (see settlementOptionsFromEnv).
+     * @param {Object} [options.supabase] - Supabase client
+     * @param {Object} [options.provider] - Starknet RpcProvider
+     * @param {Object} [options.account] - Deployer Account used to send transactions
+     * @param {Object} [options.paymasterRpc] - AVNU PaymasterRpc; when set, transactions are sponsored
+     * @param {string} [options.contractAddress] - Settlement contract for this product and token
+     * @param {string} [options.token] - Staking token settled by this backend (one of the class TOKENS, default the first)
+     * @param {KeySigner} [options.verifierSigner] - Signer of user outcomes (see signers.js)
+     * @param {string} [options.verifierPrivateKey] - Plaintext verifier key, used when no verifierSigner is given (dev, tests)
+     * @param {Object} [options.sender] - TransactionSender options: fee margin, retries, paymaster fallback,
+     *   and a NonceTracker shared by backends on the same account (see tx_sender.js)
+     * @param {RewardPolicy|string|Object} [options.rewardPolicy] - Policy, version id or definition
+     *   replacing the strategy's default (see reward_policy.js)
+     * @param {SettlementJournal} [options.journal] - Finalization journal (defaults to the settlement_journal table)
+     * @param {PriceConverterOracle} [options.priceOracle] - USD prices for reports (defaults to none: token amounts only)
+     * @param {ProtocolFeeLedger} [options.feeLedger] - Protocol fee ledger (defaults to the protocol_fees table)
+     * @param {string} [options.tokenAddress] - ERC20 contract of the token (defaults to the known STRK/ETH address)
+     * @param {Logger} [options.logger] - Structured logger (defaults to JSON at info level)
+     * @param {SettlementMetrics} [options.metrics] - Prometheus metrics (share one instance across backends)
+     * @param {WebhookNotifier} [options.notifier] - Alert webhooks (defaults to none)
+     * @param {number} [options.stuckPoolHours=6] - Alert on unprocessed pools whose slot ended this long ago
+     */
+    constructor(strategy, options = {}) {
+        if (options.fees && options.fees.protocolFeePercent !== undefined) {
+            throw new Error('fees.protocolFeePercent was replaced by the reward policy feeBps (options.rewardPolicy)');
+        }
+        if (options.fees) {
+            throw new Error('fees.maxFee / fees.version were replaced by V3 resource bounds from a fee estimate (options.sender.feeMarginPercent)');
+        }
+        this.strategy = strategy;
+        this.token = (options.token || this.constructor.TOKENS[0]).toUpperCase();
+        if (!this.constructor.TOKENS.includes(this.token)) {
+            throw new Error(`${strategy.name} pools are not settled in ${this.token} (expected ${this.constructor.TOKENS.join(' or ')})`);
+        }
+        if (options.rewardPolicy) {
+            strategy.rewardPolicy = resolveRewardPolicy(options.rewardPolicy);
+        }
+        if (strategy.rewardPolicy.product !== strategy.name) {
+            throw new Error(`Reward policy ${strategy.rewardPolicy.version} is for ${strategy.rewardPolicy.product}, not ${strategy.name}`);
+        }
+        if (!strategy.rewardPolicy.allocatesAll) {
+            throw new Error(`Reward policy ${strategy.rewardPolicy.version} leaves rounding dust unallocated; it only recomputes past pools`);
+        }
+
+        this.supabase = options.supabase || null;
+        this.provider = options.provider || null;
+        this.account = options.account || null;
+        this.paymasterRpc = options.paymasterRpc || null;
+        this.contractAddress = options.contractAddress || null;
+        this.verifierSigner = toKeySigner(options.verifierSigner || options.verifierPrivateKey);
+        this.logger = options.logger || new Logger();
+        this.metrics = options.metrics || new SettlementMetrics();
+        this.notifier = options.notifier || new WebhookNotifier({ logger: this.logger });
+        this.stuckPoolHours = options.stuckPoolHours ?? DEFAULT_STUCK_POOL_HOURS;
+        this.sender = new TransactionSender(this, options.sender);
+        this.journal = options.journal || new SettlementJournal(this.supabase, { logger: this.logger });
+        this.priceOracle = options.priceOracle || null;
+        this.feeLedger = options.feeLedger || new ProtocolFeeLedger(this.supabase, { logger: this.logger });
+        this.tokenAddress = options.tokenAddress || TOKEN_ADDRESSES[this.token];
+    }
+
+    /**
+     * @param {string} [token] - Staking token
+     * @returns {string} Environment variable holding the token's settlement contract
+     */
+    static contractAddressEnvFor(token) {
+        return this.CONTRACT_ADDRESS_ENV;
+    }
+
+    /**
+     * Creates a backend with clients built from environment variables.
+     * Subclasses name their contract variable in CONTRACT_ADDRESS_ENV (per token via
+     * contractAddressEnvFor) and their optional policy pin in REWARD_POLICY_ENV.
+     * @param {Object} [env=process.env] - Environment map
+     * @param {Object} [overrides] - Constructor options replacing the env-built ones (e.g. a shared logger, metrics or token)
+     * @returns {SettlementBackend}
+     */
+    static fromEnv(env = process.env, overrides = {}) {
+        const options = settlementOptionsFromEnv(env, {
+            contractAddressEnv: this.contractAddressEnvFor(overrides.token || this.TOKENS[0]),
+            rewardPolicyEnv: this.REWARD_POLICY_ENV,
+            logger: overrides.logger
+        });
+        return new this({ ...options, ...overrides });
+    }
+
+    /**
+     * @param {Object} [env=process.env] - Environment map
+     * @returns {Array<string>} The tokens whose contract address is configured
+     */
+    static configuredTokens(env = process.env) {
+        return this.TOKENS.filter(token => env[this.contractAddressEnvFor(token)]);
+    }
+
+    /**
+     * One backend per token whose contract address is configured.
+     * @param {Object} [env=process.env] - Environment map
+     * @param {Object} [overrides] - Constructor options shared by every backend
+     * @returns {Array<SettlementBackend>}
+     */
+    static allFromEnv(env = process.env, overrides = {}) {
+        const tokens = this.configuredTokens(env);
+        if (tokens.length === 0) {
+            throw new Error(`Missing ${this.TOKENS.map(token => this.contractAddressEnvFor(token)).join(' or ')} environment variable`);
+        }
+        return tokens.map(token => this.fromEnv(env, { ...overrides, token }));
+    }
+
+    /**
+     * Fields identifying this backend's pools in logs and alerts.
+     * @returns {Object} {product, token, day, period}
+     */
+    poolFields(day, period) {
+        return { product: this.strategy.name, token: this.token, day, period };
+    }
+
+    /** @returns {RewardPolicy} The policy new pools are settled under. */
+    get rewardPolicy() {
+        return this.strategy.rewardPolicy;
+    }
+
+    toHexString(val) {
+        return toHexString(val);
+    }
+
+    toBigInt(val) {
+        return toBigInt(val);
+    }
+
+    toU256Parts(val) {
+        return toU256Parts(val);
+    }
+
+    createMerkleLeaf(userAddress, rewardAmount) {
+        return createMerkleLeaf(userAddress, rewardAmount);
+    }
+
+    buildMerkleTree(leaves) {
+        return buildMerkleTree(leaves);
+    }
+
+    validateInputTypes(users) {
+        validateInputTypes(users, this.strategy);
+    }
+
+    /**
+     * Calculate day and period from a position timestamp
+     * @param {number} timestamp - Unix timestamp
+     * @returns {Object} {day, period}
+     */
+    getPoolInfo(timestamp) {
+        const poolInfo = this.strategy.getPoolInfo(timestamp);
+        this.logger.debug('Pool info from timestamp', { timestamp, ...poolInfo });
+        return poolInfo;
+    }
+
+    /**
+     * Returns the contract address this backend settles against.
+     * @returns {string}
+     */
+    getContractAddress() {
+        if (!this.contractAddress) {
+            throw new Error(`No ${this.strategy.name} contract address configured`);
+        }
+        return this.contractAddress;
+    }
+
+    /**
+     * Calculates the total amount of stake slashed from all users.
+     * @param {Array<Object>} users - A list of user objects.
+     * @param {RewardPolicy} [policy] - Policy to apply (defaults to the current one)
+     * @returns {bigint} The total amount slashed.
+     */
+    calculateTotalSlashedAmount(users, policy = this.rewardPolicy) {
+        let totalSlashed = BigInt(0);
+        for (const user of users) {
+            const stakeAmount = toBigInt(user.stake_amount);
+            totalSlashed += stakeAmount - policy.stakeReturn(user);
+        }
+        return totalSlashed;
+    }
+
+    /**
+     * Splits the slashed amount into protocol fees and the winners' reward pool.
+     * @param {bigint} totalSlashed - Total stake slashed in the pool.
+     * @param {RewardPolicy} [policy] - Policy to apply (defaults to the current one)
+     * @returns {Object} {protocolFees, newRewards}
+     */
+    splitProtocolFees(totalSlashed, policy = this.rewardPolicy) {
+        return policy.splitFees(totalSlashed);
+    }
+
+    /**
+     * Calculates the rewards for winning users.
+     * Rewards are distributed proportionally to the policy's weight.
+     * @param {Array<Object>} users - A list of all user objects.
+     * @param {bigint} [rewardPool] - The pool to distribute (defaults to slashed stake after fees).
+     * @param {RewardPolicy} [policy] - Policy to apply (defaults to the current one)
+     * @returns {Array<Object>} Winner entries with address, reward amount, weight and stake.
+     */
+    calculateRewards(users, rewardPool = null, policy = this.rewardPolicy) {
+        const winners = users.filter(u => policy.isWinner(u));
+
+        let poolAmount = rewardPool;
+        if (poolAmount === null) {
+            poolAmount = this.splitProtocolFees(this.calculateTotalSlashedAmount(users, policy), policy).newRewards;
+        }
+
+        if (winners.length === 0 || poolAmount === BigInt(0)) {
+            return [];
+        }
+
+        const weights = winners.map(winner => policy.weight(winner));
+        if (weights.every(weight => weight === BigInt(0))) {
+            return [];
+        }
+        const rewards = policy.allocate(weights, poolAmount, winners.map(winner => winner.address));
+
+        return winners.map((winner, i) => ({
+            address: winner.address,
+            reward_amount: rewards[i].toString(),
+            weight: weights[i].toString(),
+            stake_amount: winner.stake_amount
+        }));
+    }
+
+    /**
+     * Builds one leaf per unique address, summing rewards for users with several positions.
+     * @param {Array<Object>} users - All users in the pool.
+     * @param {Array<Object>} rewards - Reward entries from calculateRewards.
+     * @returns {Object} {leaves, amounts} where amounts maps address → committed reward.
+     */
+    buildLeaves(users, rewards) {
+        const amounts = {};
+        for (const address of new Set(users.map(u => u.address))) {
+            amounts[address] = BigInt(0);
+        }
+        for (const reward of rewards) {
+            amounts[reward.address] += BigInt(reward.reward_amount);
+        }
+
+        const leaves = Object.keys(amounts).map(address => ({
+            address,
+            hash: createMerkleLeaf(address, amounts[address])
+        }));
+        return { leaves, amounts };
+    }
+
+    /**
+     * Signs a user's outcome using the strategy's payload.
+     * @param {Object} user - The (resolved) user outcome.
+     * @param {KeySigner|string} [signer] - Signer (or plaintext key); defaults to the backend's verifier signer.
+     * @returns {Promise<Object>} Message hash, signature (r, s) and public key.
+     */
+    async signUserOutcome(user, signer = this.verifierSigner) {
+        return toKeySigner(signer).signMessageHash(hash.computePoseidonHashOnElements(this.strategy.signaturePayload(user)));
+    }
+
+    /**
+     * Sends calls from the deployer account: sponsored when a paymaster is configured (self-paid
+     * if it refuses them), otherwise as a V3 transaction within estimated resource bounds.
+     * @param {Array<Object>} calls - {contractAddress, entrypoint, calldata}
+     * @param {Object} [options] - TransactionSender.submit() options, e.g. {fallbackToSelfPaid: false}
+     * @returns {Promise<string>} Transaction hash
+     */
+    async executeCalls(calls, options = {}) {
+        const { transaction_hash, mode } = await this.sender.submit(calls, options);
+        this.metrics.transactions.inc({ product: this.strategy.name, mode });
+        return transaction_hash;
+    }
+
+    /**
+     * Waits for a transaction. A receipt that did not succeed (REVERTED, or REJECTED by the
+     * sequencer) throws an error carrying `receipt`.
+     * @param {string} transactionHash - Hash returned by executeCalls
+     * @returns {Promise<Object>} The transaction receipt
+     */
+    async waitForReceipt(transactionHash) {
+        this.logger.info('Waiting for transaction confirmation', { transaction_hash: transactionHash });
+        const stopTimer = this.metrics.waitForTransaction.startTimer({ product: this.strategy.name });
+        try {
+            return await this.sender.waitForReceipt(transactionHash);
+        } finally {
+            stopTimer();
+        }
+    }
+
+    /**
+     * Set merkle root on-chain using AVNU sponsored transaction and wait for it
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {string} merkleRoot - Merkle root hash
+     * @param {bigint | string} newRewards - Total new rewards from slashed amounts (u256)
+     * @param {bigint | string} protocolFees - Protocol fees (u256)
+     * @returns {Promise<string>} Transaction hash
+     */
+    async setMerkleRootOnChain(day, period, merkleRoot, newRewards, protocolFees) {
+        const transactionHash = await this.submitMerkleRoot(day, period, merkleRoot, newRewards, protocolFees);
+        await this.confirmMerkleRoot(day, period, merkleRoot, transactionHash);
+        return transactionHash;
+    }
+
+    /**
+     * Sends the merkle root transaction (sponsored when a paymaster is configured).
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {string} merkleRoot - Merkle root hash
+     * @param {bigint | string} newRewards - Total new rewards from slashed amounts (u256)
+     * @param {bigint | string} protocolFees - Protocol fees (u256)
+     * @returns {Promise<string>} Transaction hash
+     */
+    async submitMerkleRoot(day, period, merkleRoot, newRewards, protocolFees) {
+        try {
+            const contractAddress = this.getContractAddress();
+
+            // Split u256 values into low/high parts
+            const newRewardsParts = toU256Parts(newRewards);
+            const protocolFeesParts = toU256Parts(protocolFees);
+
+            const calls = [{
+                contractAddress,
+                entrypoint: this.strategy.merkleRootEntrypoint,
+                calldata: [
+                    day.toString(),          // day as u64
+                    period.toString(),       // period as u8
+                    merkleRoot,              // merkle_root as felt252
+                    ...newRewardsParts,      // new_rewards as u256 (low, high)
+                    ...protocolFeesParts     // protocol_fees as u256 (low, high)
+                ]
+            }];
+
+            this.logger.info('Submitting merkle root', {
+                contract_address: contractAddress,
+                entrypoint: this.strategy.merkleRootEntrypoint,
+                merkle_root: merkleRoot,
+                new_rewards: newRewards.toString(),
+                protocol_fees: protocolFees.toString(),
+                sponsored: Boolean(this.paymasterRpc)
+            });
+
+            const transactionHash = await this.executeCalls(calls);
+
+            this.logger.info('Merkle root transaction submitted', { transaction_hash: transactionHash });
+            return transactionHash;
+
+        } catch (error) {
+            this.logger.error('Merkle root submission failed', { merkle_root: merkleRoot, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Waits for a submitted merkle root transaction and, if the strategy asks, reads the root back.
+     * A receipt that did not succeed throws an error carrying `receipt`, meaning the
+     * root was not set and the transaction can be sent again.
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {string} merkleRoot - Merkle root hash
+     * @param {string} transactionHash - Hash returned by submitMerkleRoot
+     * @returns {Promise<Object>} The transaction receipt
+     */
+    async confirmMerkleRoot(day, period, merkleRoot, transactionHash) {
+        try {
+            const receipt = await this.waitForReceipt(transactionHash);
+            if (this.strategy.verifyRootOnChain) {
+                await this.verifyMerkleRootOnChain(day, period, merkleRoot, transactionHash);
+            }
+
+            this.logger.info('Merkle root confirmed on-chain', { transaction_hash: transactionHash, merkle_root: merkleRoot });
+            return receipt;
+
+        } catch (error) {
+            this.logger.error('Merkle root confirmation failed', { transaction_hash: transactionHash, error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Reads the pool's current root and finalized flag from the contract.
+     * Response format: (merkle_root, is_finalized, total_staked, user_count)
+     * @returns {Promise<Object>} {merkleRoot, isFinalized, totalStaked, userCount}
+     */
+    async readPoolState(day, period) {
+        const contractAddress = this.getContractAddress();
+        let poolInfo;
+        try {
+            poolInfo = await this.provider.callContract({
+                contractAddress,
+                entrypoint: 'get_pool_info',
+                calldata: [day.toString(), period.toString()]
+            });
+        } catch (error) {
+            this.recordError('rpc', 'get_pool_info');
+            throw error;
+        }
+
+        const resultArray = poolInfo.result || poolInfo;
+        return {
+            merkleRoot: toHexString(resultArray[0]),
+            isFinalized: toBigInt(resultArray[1]) !== BigInt(0),
+            totalStaked: toBigInt(resultArray[2]) + (toBigInt(resultArray[3]) << BigInt(128)),
+            userCount: Number(toBigInt(resultArray[4]))
+        };
+    }
+
+    /**
+     * Pre-flight guard run before sending a merkle root transaction.
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {string} merkleRoot - Locally computed merkle root
+     * @returns {Promise<boolean>} True if the pool is already final with this root
+     * @throws {Error} If the pool is final with a different root
+     */
+    async checkPoolNotFinalized(day, period, merkleRoot) {
+        const { merkleRoot: onChainMerkleRoot, isFinalized } = await this.readPoolState(day, period);
+        this.logger.info('Pre-flight on-chain pool state', { is_finalized: isFinalized, onchain_merkle_root: onChainMerkleRoot });
+
+        if (!isFinalized) {
+            return false;
+        }
+
+        const expectedMerkleRoot = merkleRoot.toLowerCase();
+        if (onChainMerkleRoot !== expectedMerkleRoot) {
+            const error = new Error(`Pool Day ${day}, Period ${period} is already finalized on-chain with merkle root ${onChainMerkleRoot}, but the local recomputation gives ${expectedMerkleRoot} - not sending a transaction`);
+            await this.alertMerkleRootMismatch(day, period, { onChainMerkleRoot, expectedMerkleRoot, error });
+            throw markAlerted(error);
+        }
+        this.logger.warn('Pool already finalized on-chain with the same merkle root, skipping transaction', { merkle_root: onChainMerkleRoot });
+        return true;
+    }
+
+    /**
+     * Reads the pool back with get_pool_info and checks the stored root.
+     * @param {string} [transactionHash] - Transaction that set the root, included in the alert
+     */
+    async verifyMerkleRootOnChain(day, period, merkleRoot, transactionHash) {
+        try {
+            const { merkleRoot: onChainMerkleRoot } = await this.readPoolState(day, period);
+            const expectedMerkleRoot = merkleRoot.toLowerCase();
+            this.logger.debug('Verifying merkle root on-chain', { onchain_merkle_root: onChainMerkleRoot, merkle_root: expectedMerkleRoot });
+
+            if (onChainMerkleRoot !== expectedMerkleRoot) {
+                const error = new Error(`Merkle root verification failed! On-chain: ${onChainMerkleRoot}, Expected: ${expectedMerkleRoot}`);
+                await this.alertMerkleRootMismatch(day, period, { onChainMerkleRoot, expectedMerkleRoot, transactionHash, error });
+                throw markAlerted(error);
+            }
+        } catch (verifyError) {
+            this.logger.error('Merkle root verification failed', { error: verifyError.message });
+            throw new Error(`Transaction succeeded but verification failed: ${verifyError.message}`, { cause: verifyError });
+        }
+    }
+
+    async alertMerkleRootMismatch(day, period, { onChainMerkleRoot, expectedMerkleRoot, transactionHash, error }) {
+        await this.notifier.notify({
+            event: ALERT_EVENTS.MERKLE_ROOT_MISMATCH,
+            ...this.poolFields(day, period),
+            error: error.message,
+            transaction_hash: transactionHash,
+            onchain_merkle_root: onChainMerkleRoot,
+            merkle_root: expectedMerkleRoot
+        });
+    }
+
+    /**
+     * Filters a pool's users down to the positions that have no claim row yet.
+     * @param {Array} users - Pool users
+     * @returns {Promise<Array>} Users without a row in the strategy's claims table
+     */
+    async findUsersWithoutClaims(users) {
+        const { claimsTable, positionIdField } = this.strategy;
+        const { data, error } = await this.supabase
+            .from(claimsTable)
+            .select(positionIdField)
+            .in(positionIdField, users.map(user => user[positionIdField]));
+
+        if (error) {
+            throw new Error(`Failed to read existing claim data: ${error.message}`);
+        }
+
+        const claimed = new Set((data || []).map(row => row[positionIdField]));
+        return users.filter(user => !claimed.has(user[positionIdField]));
+    }
+
+    /**
+     * Store processed results back to database
+     * @param {Array} users - User data with the strategy's position id
+     * @param {Object} leafAmounts - Address → reward committed in the merkle tree
+     * @param {Object} merkleTree - Merkle tree with proofs
+     * @param {KeySigner} verifierSigner - Signer of the outcomes
+     * @returns {Promise<void>}
+     */
+    async storeResultsToDatabase(users, leafAmounts, merkleTree, verifierSigner) {
+        const { positionsTable, claimsTable, positionIdField } = this.strategy;
+        try {
+            const claimDataInserts = [];
+
+            for (const user of users) {
+                const rewardAmount = (leafAmounts[user.address] || BigInt(0)).toString();
+                const merkleProof = merkleTree.proofs[user.address] || [];
+
+                const signedUser = await this.strategy.resolveSignedOutcome(user, this);
+                const signature = await this.signUserOutcome(signedUser, verifierSigner);
+                const stakeReturn = this.strategy.calculateStakeReturn(user);
+
+                this.logger.debug('Claim data prepared', {
+                    [positionIdField]: user[positionIdField],
+                    address: user.address,
+                    reward_amount: rewardAmount,
+                    stake_return: stakeReturn,
+                    is_winner: this.strategy.isWinner(user)
+                });
+
+                claimDataInserts.push({
+                    [positionIdField]: user[positionIdField],
+                    ...this.strategy.claimRowExtras(user),
+                    signature_r: signature.signature_r,
+                    signature_s: signature.signature_s,
+                    message_hash: signature.message_hash,
+                    signer_public_key: signature.public_key,
+                    reward_amount: rewardAmount,
+                    merkle_proof: JSON.stringify(merkleProof),
+                    processed_at: new Date().toISOString()
+                });
+            }
+
+            for (const user of users) {
+                const { error } = await this.supabase
+                    .from(positionsTable)
+                    .update({ claim_ready: true, has_claimed: false })
+                    .eq('id', user[positionIdField]);
+
+                if (error) {
+                    this.recordError('supabase', 'update_positions');
+                    throw new Error(`Failed to update ${positionsTable} row ${user[positionIdField]}: ${error.message}`);
+                }
+            }
+            this.logger.info('Positions marked claim ready', { table: positionsTable, count: users.length });
+
+            // A run interrupted after the insert below leaves rows behind; replace them instead of duplicating
+            const { error: clearError } = await this.supabase
+                .from(claimsTable)
+                .delete()
+                .in(positionIdField, users.map(user => user[positionIdField]));
+
+            if (clearError) {
+                this.recordError('supabase', 'clear_claims');
+                throw new Error(`Failed to clear previous claim data: ${clearError.message}`);
+            }
+
+            const { error: insertError } = await this.supabase
+                .from(claimsTable)
+                .insert(claimDataInserts);
+
+            if (insertError) {
+                this.recordError('supabase', 'insert_claims');
+                throw new Error(`Failed to insert claim data: ${insertError.message}`);
+            }
+            this.logger.info('Claim data inserted', { table: claimsTable, count: claimDataInserts.length });
+
+        } catch (error) {
+            this.logger.error('Database storage failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Fetches the pool's positions; implemented by each product backend.
+     * @returns {Promise<Array>} Normalized user rows
+     */
+    async fetchPoolUsers(day, period) {
+        throw new Error(`${this.constructor.name} must implement fetchPoolUsers()`);
+    }
+
+    /**
+     * Fetches every position whose stake is still held by the contract (has_claimed = false);
+     * implemented by each product backend.
+     * @returns {Promise<Array>} Normalized rows with address, day, period, stake_amount,
+     *   claim_ready, the strategy's position id and the fields its reward policy reads
+     */
+    async fetchUnclaimedPositions() {
+        throw new Error(`${this.constructor.name} must implement fetchUnclaimedPositions()`);
+    }
+
+    /**
+     * Fetches one position by its strategy position id; implemented by each product backend.
+     * @param {string} positionId - Id of the row in the strategy's positions table
+     * @returns {Promise<Object|null>} The position shaped like a fetchPoolUsers row, plus day,
+     *   period, claim_ready and has_claimed; null if this backend has no such position
+     */
+    async fetchPosition(positionId) {
+        throw new Error(`${this.constructor.name} must implement fetchPosition()`);
+    }
+
+    /**
+     * The values the settlement signed for a position fetched with fetchPosition: the ones it
+     * settled the pool with, then the strategy's resolveSignedOutcome.
+     * @param {Object} position - Position from fetchPosition
+     * @returns {Promise<Object>} The position with its signed values
+     */
+    async resolveSignedPosition(position) {
+        return this.strategy.resolveSignedOutcome(position, this);
+    }
+
+    /**
+     * Positions the indexer saw on chain for a pool (see event_indexer.js), for auditPool.
+     * @returns {Promise<Array|null>} {address, stake_amount, ...} rows, or null if the product's events are not indexed
+     */
+    async fetchIndexedPositions(day, period) {
+        return null;
+    }
+
+    /**
+     * Compares a pool's rows with the contract before anything is settled from them:
+     * - rows the contract has no position for (missing_on_chain),
+     * - on-chain positions without a row: indexed positions no row refers to (missing_in_db), and
+     *   any surplus of get_pool_info's user_count over the rows found on chain (unaccounted_on_chain),
+     * - rows whose auditFields differ from the contract (mismatches),
+     * - several rows for one on-chain position (duplicates).
+     * Rows that cannot be looked up on chain are listed as unverifiable without counting as discrepancies.
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {Array} [users] - The pool users (fetched if omitted)
+     * @returns {Promise<Object>} Audit report; `clean` is false if `discrepancies` > 0
+     */
+    async auditPool(day, period, users) {
+        const { positionIdField, auditFields } = this.strategy;
+        const rows = users || await this.fetchPoolUsers(day, period);
+        const sameValue = (a, b) => {
+            try {
+                return toBigInt(a) === toBigInt(b);
+            } catch (error) {
+                return false; // e.g. a decimal stake written by test data
+            }
+        };
+        const describe = user => ({ [positionIdField]: user[positionIdField], address: user.address });
+
+        const missingOnChain = [];
+        const mismatches = [];
+        const duplicates = [];
+        const unverifiable = [];
+        const found = new Map();
+        for (const user of rows) {
+            let onChain;
+            try {
+                onChain = await this.strategy.readOnChainPosition(user, this);
+            } catch (error) {
+                this.recordError('rpc', 'read_position');
+                throw new Error(`Failed to read ${user[positionIdField]} from the contract: ${error.message}`);
+            }
+
+            if (onChain === null) {
+                unverifiable.push(describe(user));
+                continue;
+            }
+            if (!onChain) {
+                missingOnChain.push({ ...describe(user), ...Object.fromEntries(auditFields.map(field => [field, String(user[field])])) });
+                continue;
+            }
+
+            const key = this.strategy.onChainPositionKey(user);
+            if (found.has(key)) {
+                duplicates.push({ ...describe(user), duplicate_of: found.get(key) });
+                continue;
+            }
+            found.set(key, user[positionIdField]);
+            for (const field of auditFields) {
+                if (!sameValue(user[field], onChain[field])) {
+                    mismatches.push({ ...describe(user), field, database: String(user[field]), chain: String(onChain[field]) });
+                }
+            }
+        }
+
+        const addresses = new Set(rows.map(user => toBigInt(user.address)));
+        const indexed = await this.fetchIndexedPositions(day, period);
+        const missingInDb = (indexed || []).filter(position => !addresses.has(toBigInt(position.address)));
+        const pool = await this.readPoolState(day, period);
+        const unaccountedOnChain = Math.max(0, pool.userCount - found.size - unverifiable.length);
+
+        const discrepancies = missingOnChain.length + mismatches.length + duplicates.length
+            + Math.max(missingInDb.length, unaccountedOnChain);
+        const report = {
+            ...this.poolFields(day, period),
+            contract_address: this.getContractAddress(),
+            positions: rows.length,
+            on_chain: { user_count: pool.userCount, total_staked: pool.totalStaked.toString() },
+            missing_on_chain: missingOnChain,
+            missing_in_db: missingInDb,
+            unaccounted_on_chain: unaccountedOnChain,
+            mismatches,
+            duplicates,
+            unverifiable,
+            discrepancies,
+            clean: discrepancies === 0
+        };
+        this.logger[report.clean ? 'info' : 'warn']('Pool audited', {
+            positions: rows.length,
+            discrepancies,
+            missing_on_chain: missingOnChain.length,
+            missing_in_db: missingInDb.length,
+            unaccounted_on_chain: unaccountedOnChain,
+            mismatches: mismatches.length,
+            duplicates: duplicates.length,
+            unverifiable: unverifiable.length
+        });
+        return report;
+    }
+
+    /**
+     * Optional hook for product-specific reward logging.
+     */
+    logRewardDetails(users, rewards) {}
+
+    /**
+     * Computes the pool's reward split, leaves and merkle tree from its users.
+     * @param {Array<Object>} users - Pool users
+     * @param {RewardPolicy} [policy] - Policy to settle under (defaults to the current one)
+     * @returns {Object} {policyVersion, totalSlashed, newRewards, protocolFees, rewardsToFees, winners, leaves, amounts, merkleTree}
+     */
+    computeSettlement(users, policy = this.rewardPolicy) {
+        // Step 3: Calculate rewards and slashed amounts
+        const totalSlashed = this.calculateTotalSlashedAmount(users, policy);
+        let { protocolFees, newRewards } = this.splitProtocolFees(totalSlashed, policy);
+        const rewards = this.calculateRewards(users, newRewards, policy);
+        const rewardsToFees = rewards.length === 0 && policy.allocatesAll && newRewards > BigInt(0);
+        if (rewardsToFees) {
+            // Nobody can claim the reward pool; committing it would strand it in the contract
+            this.logger.warn('No winners: the reward pool is booked as protocol fees', { rewards_to_fees: newRewards });
+            protocolFees += newRewards;
+            newRewards = BigInt(0);
+        }
+
+        this.logger.info('Rewards calculated', {
+            policy_version: policy.version,
+            winners: rewards.length,
+            total_slashed: totalSlashed,
+            new_rewards: newRewards,
+            protocol_fees: protocolFees
+        });
+        this.logRewardDetails(users, rewards);
+
+        // Step 4: Build merkle tree (one leaf per unique address)
+        const { leaves, amounts } = this.buildLeaves(users, rewards);
+        const merkleTree = this.buildMerkleTree(leaves);
+        this.logger.info('Merkle tree built', {
+            merkle_root: merkleTree.root,
+            leaves: leaves.length,
+            reward_entries: rewards.length,
+            positions: users.length
+        });
+
+        return { policyVersion: policy.version, totalSlashed, newRewards, protocolFees, rewardsToFees, winners: rewards.length, leaves, amounts, merkleTree };
+    }
+
+    /**
+     * Rebuilds a computed settlement from its journal entry without recomputing rewards.
+     * @param {Object} entry - Settlement journal entry
+     * @returns {Object} Same shape as computeSettlement
+     */
+    settlementFromJournal(entry) {
+        const amounts = {};
+        for (const [address, amount] of entry.leaf_amounts) {
+            amounts[address] = BigInt(amount);
+        }
+        const leaves = Object.keys(amounts).map(address => ({
+            address,
+            hash: createMerkleLeaf(address, amounts[address])
+        }));
+        const merkleTree = this.buildMerkleTree(leaves);
+
+        if (merkleTree.root !== entry.merkle_root) {
+            throw new Error(`Journaled merkle root ${entry.merkle_root} does not match its leaves (rebuilt ${merkleTree.root})`);
+        }
+        this.logger.info('Merkle tree rebuilt from journal', { merkle_root: merkleTree.root });
+
+        return {
+            policyVersion: entry.policy_version,
+            totalSlashed: BigInt(entry.total_slashed),
+            newRewards: BigInt(entry.new_rewards),
+            protocolFees: BigInt(entry.protocol_fees),
+            rewardsToFees: entry.rewards_to_fees === true,
+            winners: entry.winners,
+            leaves,
+            amounts,
+            merkleTree
+        };
+    }
+
+    /**
+     * Counts a failed RPC or Supabase call.
+     * @param {string} source - 'rpc' | 'supabase'
+     * @param {string} operation - What was called (e.g. 'execute', 'fetch_pool_users')
+     */
+    recordError(source, operation) {
+        this.metrics.errors.inc({ product: this.strategy.name, source, operation });
+    }
+
+    /**
+     * Reads the token's USD price for a report. Pricing is informational: a failing
+     * oracle is logged and the report goes out in token amounts only.
+     * @returns {Promise<Object|null>} The quote (see PriceConverterOracle.getQuote), or null
+     */
+    async fetchPriceQuote() {
+        if (!this.priceOracle) {
+            return null;
+        }
+        try {
+            return await this.priceOracle.getQuote(this.token);
+        } catch (error) {
+            this.recordError('rpc', 'get_price');
+            this.logger.warn('USD price unavailable, reporting token amounts only', { error: error.message });
+            return null;
+        }
+    }
+
+    /**
+     * Publishes how many pools are waiting and how long the oldest one has been closed,
+     * and alerts (once per pool) on pools unprocessed stuckPoolHours after their slot ended.
+     * Called by findAllUnprocessedPools; resolves to the pools for chaining.
+     * @param {Array<Object>} pools - Unprocessed {day, period} pools
+     * @returns {Promise<Array<Object>>} The same pools
+     */
+    async trackUnprocessedPools(pools) {
+        const labels = { product: this.strategy.name, token: this.token };
+        const now = Math.floor(Date.now() / 1000);
+        const ages = pools.map(p => now - this.strategy.getPeriodBounds(p.day, p.period).periodEnd);
+        this.metrics.poolsPending.set(labels, pools.length);
+        this.metrics.oldestPendingAge.set(labels, Math.max(0, ...ages));
+
+        for (const [i, pool] of pools.entries()) {
+            if (ages[i] >= this.stuckPoolHours * 3600) {
+                await this.notifier.notifyOnce(`stuck:${labels.product}:${this.token}:${pool.day}:${pool.period}`, {
+                    event: ALERT_EVENTS.POOL_STUCK,
+                    ...this.poolFields(pool.day, pool.period),
+                    hours_since_period_end: Math.floor(ages[i] / 3600)
+                });
+            }
+        }
+        return pools;
+    }
+
+    /**
+     * Records a finalized pool: its delay after the period end and its slashed/rewards/fees split.
+     */
+    recordFinalized(day, period, { totalSlashed, newRewards, protocolFees }) {
+        const product = this.strategy.name;
+        const { periodEnd } = this.strategy.getPeriodBounds(day, period);
+        this.metrics.poolsFinalized.inc({ product });
+        this.metrics.finalizationDelay.observe({ product }, Math.floor(Date.now() / 1000) - periodEnd);
+        for (const [kind, amount] of [['slashed', totalSlashed], ['rewards', newRewards], ['fees', protocolFees]]) {
+            this.metrics.poolAmount.set({ product, token: this.token, kind }, amount);
+            this.metrics.amountTotal.inc({ product, token: this.token, kind }, amount);
+        }
+    }
+
+    /**
+     * Computes a pool's outcome without sending a transaction or writing to the database.
+     * Users are grouped by address because rewards are committed to one leaf per address.
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {Object} [options]
+     * @param {boolean} [options.sign=false] - Also generate each position's outcome signature
+     * @param {string} [options.policyVersion] - Reward policy to compute under (defaults to the current one)
+     * @param {Object|null} [options.pricing] - Price quote to value the amounts with (defaults to a fresh one)
+     * @returns {Promise<Object>} Root, reward split, totals and per-user stake return, reward, payout and proof,
+     *   each amount also in token units (`_decimal`) and USD (`_usd`), plus the `pricing` used
+     */
+    async previewPool(day, period, options = {}) {
+        return this.logger.withContext(this.poolFields(day, period), () => this.buildPoolReport(day, period, options));
+    }
+
+    async buildPoolReport(day, period, { sign = false, policyVersion, pricing }) {
+        const policy = policyVersion ? getRewardPolicy(policyVersion) : this.rewardPolicy;
+        const users = await this.fetchPoolUsers(day, period);
+        if (users.length === 0) {
+            return { day, period, token: this.token, policy_version: policy.version, total_users: 0, users: [] };
+        }
+        const quote = pricing === undefined ? await this.fetchPriceQuote() : pricing;
+        this.validateInputTypes(users);
+
+        const { totalSlashed, newRewards, protocolFees, rewardsToFees, winners, leaves, amounts, merkleTree } = this.computeSettlement(users, policy);
+        verifyAllProofs(merkleTree, leaves);
+        if (policy.allocatesAll) {
+            verifyRewardsReconcile(amounts, newRewards);
+        }
+
+        if (sign && !this.verifierSigner) {
+            throw new Error('No verifier signer configured');
+        }
+
+        const { positionIdField } = this.strategy;
+        const byAddress = new Map();
+        for (const user of users) {
+            const stakeReturn = policy.stakeReturn(user);
+            const position = {
+                [positionIdField]: user[positionIdField],
+                stake_amount: user.stake_amount.toString(),
+                stake_return: stakeReturn.toString(),
+                is_winner: policy.isWinner(user)
+            };
+            if (sign) {
+                const signedUser = await this.strategy.resolveSignedOutcome(user, this);
+                const { message_hash, signature_r, signature_s } = await this.signUserOutcome(signedUser);
+                position.signature = { message_hash, signature_r, signature_s };
+            }
+
+            if (!byAddress.has(user.address)) {
+                byAddress.set(user.address, { address: user.address, stakeAmount: BigInt(0), stakeReturn: BigInt(0), positions: [] });
+            }
+            const entry = byAddress.get(user.address);
+            entry.stakeAmount += toBigInt(user.stake_amount);
+            entry.stakeReturn += stakeReturn;
+            entry.positions.push(position);
+        }
+
+        let totalStakeReturned = BigInt(0);
+        let totalRewards = BigInt(0);
+        const report = [...byAddress.values()].map(entry => {
+            const reward = amounts[entry.address];
+            totalStakeReturned += entry.stakeReturn;
+            totalRewards += reward;
+            return {
+                ...withPrices({
+                    address: entry.address,
+                    stake_amount: entry.stakeAmount.toString(),
+                    stake_return: entry.stakeReturn.toString(),
+                    reward_amount: reward.toString(),
+                    total_payout: (entry.stakeReturn + reward).toString()
+                }, USER_AMOUNT_FIELDS, this.token, quote),
+                merkle_proof: merkleTree.proofs[entry.address] || [],
+                positions: entry.positions
+            };
+        });
+
+        const summary = withPrices({
+            total_slashed_amount: totalSlashed.toString(),
+            new_rewards: newRewards.toString(),
+            protocol_fees: protocolFees.toString(),
+            total_stake_returned: totalStakeReturned.toString(),
+            total_rewards: totalRewards.toString(),
+            total_payout: (totalStakeReturned + totalRewards).toString()
+        }, SUMMARY_AMOUNT_FIELDS, this.token, quote);
+
+        return {
+            day,
+            period,
+            token: this.token,
+            policy_version: policy.version,
+            merkle_root: merkleTree.root,
+            ...summary,
+            pricing: quote,
+            total_users: users.length,
+            winners,
+            rewards_to_fees: rewardsToFees,
+            users: report
+        };
+    }
+
+    /**
+     * Recomputes a journaled pool from its positions under the policy version it was
+     * settled with, and compares the result with what was committed.
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @returns {Promise<Object|null>} The preview report plus the journaled root, fees and a
+     *   `matches` flag, or null if the pool was never computed
+     */
+    async recomputePool(day, period) {
+        const entry = await this.journal.load(this.getContractAddress(), day, period);
+        if (!entry) {
+            return null;
+        }
+        if (!entry.policy_version) {
+            throw new Error(`Day ${day}, Period ${period} was journaled without a reward policy version`);
+        }
+
+        // Valued at the price recorded when the pool was settled
+        const report = await this.previewPool(day, period, { policyVersion: entry.policy_version, pricing: entry.pricing ?? null });
+        const matches = report.merkle_root === entry.merkle_root
+            && report.new_rewards === String(entry.new_rewards)
+            && report.protocol_fees === String(entry.protocol_fees);
+        if (!matches) {
+            this.logger.warn('Recomputed pool differs from its journal entry', {
+                ...this.poolFields(day, period),
+                policy_version: entry.policy_version,
+                merkle_root: report.merkle_root,
+                journal_merkle_root: entry.merkle_root
+            });
+        }
+
+        return {
+            ...report,
+            journal: {
+                merkle_root: entry.merkle_root,
+                new_rewards: String(entry.new_rewards),
+                protocol_fees: String(entry.protocol_fees),
+                transaction_hash: entry.transaction_hash
+            },
+            matches
+        };
+    }
+
+    /**
+     * Reads the stored claim data (signature, reward, proof) for one wallet in a pool.
+     * @param {string} walletAddress - User wallet
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @returns {Promise<Array>} One entry per position of the wallet that has claim data
+     */
+    async findUserClaimData(walletAddress, day, period) {
+        const { claimsTable, positionIdField } = this.strategy;
+        const wallet = toBigInt(walletAddress);
+        const positions = (await this.fetchPoolUsers(day, period))
+            .filter(user => toBigInt(user.address) === wallet);
+
+        if (positions.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await this.supabase
+            .from(claimsTable)
+            .select('*')
+            .in(positionIdField, positions.map(user => user[positionIdField]));
+
+        if (error) {
+            throw new Error(`Failed to read claim data: ${error.message}`);
+        }
+
+        return (data || []).map(row => ({
+            ...row,
+            merkle_proof: typeof row.merkle_proof === 'string' ? JSON.parse(row.merkle_proof) : row.merkle_proof
+        }));
+    }
+
+    /**
+     * Reads the contract's balance of the staking token.
+     * @returns {Promise<bigint>}
+     */
+    async fetchContractBalance() {
+        try {
+            const [low, high] = await this.provider.callContract({
+                contractAddress: this.tokenAddress,
+                entrypoint: 'balance_of',
+                calldata: [this.getContractAddress()]
+            });
+            return toBigInt(low) + (toBigInt(high) << BigInt(128));
+        } catch (error) {
+            this.recordError('rpc', 'balance_of');
+            throw new Error(`Failed to read the ${this.token} balance of ${this.contractAddress}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sums what the contract still owes its users:
+     * - the full stake of positions in pools that are not finalized yet,
+     * - the stake return of unclaimed positions in finalized pools, under the pool's journaled policy,
+     * - the reward of each address in a finalized pool while it has an unclaimed position there
+     *   (the reward leaf is per address and paid with its claim).
+     * @returns {Promise<Object>} {unsettledStakes, stakeReturns, rewards, positions} with bigint amounts
+     */
+    async calculateOutstanding() {
+        const { claimsTable, positionIdField } = this.strategy;
+        const positions = await this.fetchUnclaimedPositions();
+        const settled = positions.filter(position => position.claim_ready);
+
+        let unsettledStakes = BigInt(0);
+        for (const position of positions) {
+            if (!position.claim_ready) {
+                unsettledStakes += toBigInt(position.stake_amount);
+            }
+        }
+
+        let rewardByPosition = new Map();
+        if (settled.length > 0) {
+            const { data, error } = await this.supabase
+                .from(claimsTable)
+                .select(`${positionIdField}, reward_amount`)
+                .in(positionIdField, settled.map(position => position[positionIdField]));
+            if (error) {
+                this.recordError('supabase', 'fetch_claims');
+                throw new Error(`Failed to read claim data: ${error.message}`);
+            }
+            rewardByPosition = new Map((data || []).map(row => [row[positionIdField], toBigInt(row.reward_amount || 0)]));
+        }
+
+        const contractAddress = this.getContractAddress();
+        const policies = new Map();
+        const rewardedLeaves = new Set();
+        let stakeReturns = BigInt(0);
+        let rewards = BigInt(0);
+        for (const position of settled) {
+            const poolKey = `${position.day}:${position.period}`;
+            if (!policies.has(poolKey)) {
+                const entry = await this.journal.load(contractAddress, position.day, position.period);
+                // Pools settled before the journal existed fall back to the current rules
+                policies.set(poolKey, entry?.policy_version ? getRewardPolicy(entry.policy_version) : this.rewardPolicy);
+            }
+            stakeReturns += policies.get(poolKey).stakeReturn(position);
+
+            // Claim rows repeat the address's leaf amount on each of its positions
+            const leafKey = `${toBigInt(position.address)}:${poolKey}`;
+            if (!rewardedLeaves.has(leafKey)) {
+                rewardedLeaves.add(leafKey);
+                rewards += rewardByPosition.get(position[positionIdField]) || BigInt(0);
+            }
+        }
+
+        return { unsettledStakes, stakeReturns, rewards, positions: positions.length };
+    }
+
+    /**
+     * Compares the protocol fee ledger with what the contract actually holds: its token
+     * balance minus everything still owed to users is the fee revenue it keeps. Any
+     * difference (e.g. rounding dust of pools settled under a floor policy, or a fee
+     * never ledgered) shows up in `difference`.
+     * @returns {Promise<Object>} Amounts in wei, token units and USD, and a `matches` flag
+     */
+    async reconcileProtocolFees() {
+        const contractAddress = this.getContractAddress();
+        const balance = await this.fetchContractBalance();
+        const outstanding = await this.calculateOutstanding();
+        const ledger = await this.feeLedger.totals(contractAddress);
+        const pricing = await this.fetchPriceQuote();
+
+        const impliedFees = balance - outstanding.unsettledStakes - outstanding.stakeReturns - outstanding.rewards;
+        const difference = impliedFees - ledger.balance;
+        const amounts = {
+            contract_balance: balance,
+            unsettled_stakes: outstanding.unsettledStakes,
+            unclaimed_stake_returns: outstanding.stakeReturns,
+            unclaimed_rewards: outstanding.rewards,
+            implied_protocol_fees: impliedFees,
+            ledger_fees: ledger.fees,
+            ledger_withdrawals: ledger.withdrawals,
+            ledger_balance: ledger.balance,
+            difference
+        };
+
+        const report = {
+            product: this.strategy.name,
+            token: this.token,
+            contract_address: contractAddress,
+            ...withPrices(
+                Object.fromEntries(Object.entries(amounts).map(([field, amount]) => [field, amount.toString()])),
+                RECONCILIATION_AMOUNT_FIELDS, this.token, pricing
+            ),
+            ledger_pools: ledger.pools,
+            unclaimed_positions: outstanding.positions,
+            pricing,
+            matches: difference === BigInt(0),
+            checked_at: new Date().toISOString()
+        };
+
+        if (report.matches) {
+            this.logger.info('Protocol fees reconcile', { ledger_balance: report.ledger_balance });
+        } else {
+            this.logger.warn('Protocol fee ledger does not match the contract', {
+                implied_protocol_fees: report.implied_protocol_fees,
+                ledger_balance: report.ledger_balance,
+                difference: report.difference
+            });
+        }
+        return report;
+    }
+
+    /**
+     * Writes the ledger row of every finalized pool in the journal, e.g. for pools
+     * finalized before the ledger existed. Idempotent.
+     * @returns {Promise<number>} Number of pools written
+     */
+    async backfillFeeLedger() {
+        const contractAddress = this.getContractAddress();
+        const entries = await this.journal.list(contractAddress, JOURNAL_STATES.DONE);
+        for (const entry of entries) {
+            await this.feeLedger.recordFee(this.feeLedgerEntry(entry));
+        }
+        return entries.length;
+    }
+
+    /**
+     * @param {Object} entry - Settlement journal entry
+     * @returns {Object} The pool's protocol_fees ledger row
+     */
+    feeLedgerEntry(entry) {
+        return {
+            product: this.strategy.name,
+            token: this.token,
+            contract_address: entry.contract_address,
+            day: entry.day,
+            period: entry.period,
+            amount: String(entry.protocol_fees),
+            transaction_hash: entry.transaction_hash,
+            policy_version: entry.policy_version
+        };
+    }
+
+    /**
+     * Process a pool: fetch from database, calculate outcomes, set merkle root on-chain, store results.
+     * Every step is recorded in the settlement journal; a pool with an unfinished
+     * entry resumes after its last completed step, reusing the journaled root and tx hash.
+     * @param {number} day - Unix day
+     * @param {number} period - Period index within the day
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Compute and sign everything, but skip the
+     *   journal, the merkle root transaction and the database writes
+     * @param {boolean} [options.allowDiscrepancies=false] - Finalize even if auditPool finds
+     *   rows that differ from the contract
+     * @returns {Promise<Object>} The processing results (`report` from previewPool for a dry run)
+     */
+    async processPool(day, period, options = {}) {
+        // Every line logged during the run carries the product, day and period
+        return this.logger.withContext(this.poolFields(day, period), () => this.runPool(day, period, options));
+    }
+
+    async runPool(day, period, { dryRun = false, allowDiscrepancies = false }) {
+        if (dryRun) {
+            this.logger.info('Dry run: nothing will be sent on-chain or written to the database');
+            const report = await this.buildPoolReport(day, period, { sign: true });
+            if (report.total_users === 0) {
+                return { success: false, dry_run: true, message: 'No users in pool', report };
+            }
+            this.logger.info('Dry run completed', {
+                merkle_root: report.merkle_root,
+                total_payout: report.total_payout,
+                total_payout_usd: report.total_payout_usd,
+                protocol_fees: report.protocol_fees
+            });
+            return { success: true, dry_run: true, report };
+        }
+
+        let entry = null;
+        try {
+            this.logger.info('Processing pool');
+
+            // Step 1: Fetch pool data from database
+            const users = await this.fetchPoolUsers(day, period);
+
+            if (users.length === 0) {
+                this.logger.warn('No users found in pool, skipping');
+                return { success: false, message: 'No users in pool' };
+            }
+
+            // Step 2: Validate user data
+            this.validateInputTypes(users);
+            this.logger.info('User data validated', { positions: users.length });
+
+            const contractAddress = this.getContractAddress();
+            entry = await this.journal.load(contractAddress, day, period);
+            if (entry && this.journal.isSubmissionLeased(entry)) {
+                // Another run claimed the pool and may be sending its root right now
+                throw new JournalConflictError(day, period, entry.state);
+            }
+            const resumedFrom = entry ? entry.state : null;
+            let replacing = null;
+
+            if (entry && entry.state === JOURNAL_STATES.COMPUTED && !getRewardPolicy(entry.policy_version).allocatesAll) {
+                // Nothing was sent for it yet: settle it under the current policy instead of leaving dust
+                this.logger.warn('Recomputing journaled pool under the current reward policy', {
+                    journal_policy_version: entry.policy_version,
+                    policy_version: this.rewardPolicy.version
+                });
+                replacing = entry;
+                entry = null;
+            }
+
+            // Rows the contract does not back must not be settled. Resumed pools reuse the journaled settlement
+            if (!entry) {
+                const audit = await this.auditPool(day, period, users);
+                if (!audit.clean && !allowDiscrepancies) {
+                    throw new Error(`Pool audit found ${audit.discrepancies} discrepancies between the database and the contract - not finalizing (run the audit for details, or override with allowDiscrepancies / --allow-discrepancies)`);
+                }
+                if (!audit.clean) {
+                    this.logger.warn('Finalizing despite audit discrepancies (override)', { discrepancies: audit.discrepancies });
+                }
+            }
+
+            let settlement;
+            if (entry) {
+                this.logger.info('Resuming from settlement journal', { journal_state: entry.state });
+                settlement = this.settlementFromJournal(entry);
+            } else {
+                settlement = this.computeSettlement(users);
+            }
+            const { leaves, amounts, merkleTree, newRewards, protocolFees } = settlement;
+
+            // Every proof must verify the same way the contract will before the root goes on-chain
+            verifyAllProofs(merkleTree, leaves);
+            this.logger.info('Merkle proofs verified', { leaves: leaves.length });
+
+            // The contract is told newRewards; the leaves must let winners claim every unit of it
+            if (!hasReached(entry ? entry.state : JOURNAL_STATES.COMPUTED, JOURNAL_STATES.TX_SUBMITTED)) {
+                verifyRewardsReconcile(amounts, newRewards);
+            }
+
+            if (!entry) {
+                const pricing = await this.fetchPriceQuote();
+                entry = await this.journal.recordComputed({
+                    product: this.strategy.name,
+                    token: this.token,
+                    contract_address: contractAddress,
+                    day,
+                    period,
+                    policy_version: settlement.policyVersion,
+                    merkle_root: merkleTree.root,
+                    leaf_amounts: Object.entries(amounts).map(([address, amount]) => [address, amount.toString()]),
+                    total_slashed: settlement.totalSlashed.toString(),
+                    new_rewards: newRewards.toString(),
+                    protocol_fees: protocolFees.toString(),
+                    rewards_to_fees: settlement.rewardsToFees,
+                    winners: settlement.winners,
+                    pricing
+                }, replacing);
+                this.logger.info('Journal state changed', { journal_state: entry.state });
+            }
+
+            // Step 5: Set merkle root on-chain (REQUIRED - must succeed!)
+
+            // Never send a second root: a pool that is already final only gets its missing claim rows
+            if (!hasReached(entry.state, JOURNAL_STATES.TX_SUBMITTED)
+                && await this.checkPoolNotFinalized(day, period, merkleTree.root)) {
+                entry = await this.journal.advance(entry, JOURNAL_STATES.TX_CONFIRMED, { transaction_hash: null, backfill: true });
+            }
+
+            try {
+                if (hasReached(entry.state, JOURNAL_STATES.TX_SUBMITTED) && !entry.transaction_hash) {
+                    this.logger.info('Pool was already finalized on-chain before this run');
+                } else if (hasReached(entry.state, JOURNAL_STATES.TX_SUBMITTED)) {
+                    this.logger.info('Merkle root already submitted', { transaction_hash: entry.transaction_hash });
+                }
+
+                for (let attempt = 1; !hasReached(entry.state, JOURNAL_STATES.TX_CONFIRMED); attempt++) {
+                    if (!hasReached(entry.state, JOURNAL_STATES.TX_SUBMITTED)) {
+                        // Only the run that claims the entry sends; every other run stops here
+                        entry = await this.journal.claimSubmission(entry);
+                        let txHash;
+                        try {
+                            txHash = await this.submitMerkleRoot(day, period, merkleTree.root, newRewards, protocolFees);
+                        } catch (error) {
+                            // A send that never left lets the next run claim at once; an unclear one
+                            // keeps the claim until its lease runs out
+                            if (error.unsent) {
+                                entry = await this.journal.advance(entry, JOURNAL_STATES.COMPUTED);
+                            }
+                            throw error;
+                        }
+                        entry = await this.journal.advance(entry, JOURNAL_STATES.TX_SUBMITTED, { transaction_hash: txHash });
+                    }
+                    try {
+                        await this.confirmMerkleRoot(day, period, merkleTree.root, entry.transaction_hash);
+                    } catch (error) {
+                        if (!error.receipt) {
+                            throw error;
+                        }
+                        // The root was not set; the same root is sent again, by this run up to maxAttempts times
+                        error.transaction_hash = entry.transaction_hash;
+                        entry = await this.journal.advance(entry, JOURNAL_STATES.COMPUTED, { transaction_hash: null });
+                        if (attempt >= this.sender.options.maxAttempts) {
+                            throw error;
+                        }
+                        this.logger.warn('Merkle root transaction failed, sending it again', { attempt, transaction_hash: error.transaction_hash, error: error.message });
+                        await this.sender.backoff(attempt);
+                        continue;
+                    }
+                    entry = await this.journal.advance(entry, JOURNAL_STATES.TX_CONFIRMED);
+                }
+            } catch (error) {
+                if (error instanceof JournalConflictError) {
+                    throw error;
+                }
+                this.logger.error('Blockchain finalization failed, not storing to database', { error: error.message });
+                throw new Error(`Blockchain finalization required before database storage: ${error.message}`, { cause: error });
+            }
+
+            // Step 6: Store results to database (only after blockchain success!)
+            if (!hasReached(entry.state, JOURNAL_STATES.DB_WRITTEN)) {
+                if (!this.verifierSigner) {
+                    throw new Error('No verifier signer configured');
+                }
+
+                let usersToStore = users;
+                if (entry.backfill) {
+                    usersToStore = await this.findUsersWithoutClaims(users);
+                    this.logger.info('Back-filling claim data', { missing: usersToStore.length, positions: users.length });
+                }
+
+                if (usersToStore.length > 0) {
+                    await this.storeResultsToDatabase(usersToStore, amounts, merkleTree, this.verifierSigner);
+                }
+                entry = await this.journal.advance(entry, JOURNAL_STATES.DB_WRITTEN);
+            } else {
+                this.logger.info('Results already stored to database');
+            }
+
+            if (!hasReached(entry.state, JOURNAL_STATES.DONE)) {
+                await this.feeLedger.recordFee(this.feeLedgerEntry(entry));
+                entry = await this.journal.advance(entry, JOURNAL_STATES.DONE);
+            }
+
+            if (resumedFrom !== JOURNAL_STATES.DONE) {
+                this.recordFinalized(day, period, settlement);
+            }
+
+            // Step 7: Summary
+            this.logger.info('Pool processed, users can now claim', {
+                positions: users.length,
+                winners: settlement.winners,
+                merkle_root: merkleTree.root,
+                transaction_hash: entry.transaction_hash
+            });
+
+            return {
+                success: true,
+                pool_info: {
+                    day: day,
+                    period: period,
+                    token: this.token,
+                    merkle_root: merkleTree.root,
+                    policy_version: settlement.policyVersion,
+                    ...withPrices({
+                        total_slashed_amount: settlement.totalSlashed.toString(),
+                        new_rewards: newRewards.toString(),
+                        protocol_fees: protocolFees.toString()
+                    }, POOL_INFO_AMOUNT_FIELDS, this.token, entry.pricing ?? null),
+                    pricing: entry.pricing ?? null,
+                    transaction_hash: entry.transaction_hash,
+                    total_users: users.length,
+                    winners: settlement.winners,
+                    processed_at: new Date().toISOString(),
+                    blockchain_status: entry.backfill ? 'already_finalized' : 'success',
+                    resumed_from: resumedFrom
+                }
+            };
+
+        } catch (error) {
+            if (error instanceof JournalConflictError) {
+                // Not a failure: the run holding the entry finishes the pool
+                this.logger.info('Pool is being finalized by another run, skipping', { error: error.message });
+                throw error;
+            }
+            this.logger.error('Pool processing failed', { error });
+            this.metrics.poolsFailed.inc({ product: this.strategy.name });
+            if (entry) {
+                await this.journal.recordError(entry, error.message);
+            }
+            if (!wasAlerted(error)) {
+                await this.notifier.notify({
+                    event: ALERT_EVENTS.FINALIZATION_FAILED,
+                    ...this.poolFields(day, period),
+                    error: error.message,
+                    transaction_hash: entry?.transaction_hash || error.cause?.transaction_hash
+                });
+            }
+            throw error;
+        }
+    }
+}
+
+SettlementBackend.TOKENS = ['STRK'];
+
+module.exports = {
+    SECONDS_PER_DAY,
+    FINALIZE_BUFFER_SECONDS,
+    U64_LIMIT,
+    toHexString,
+    toBigInt,
+    toU256Parts,
+    createMerkleLeaf,
+    buildMerkleTree,
+    verifyProof,
+    verifyRewardsReconcile,
+    validateInputTypes,
+    signOutcome,
+    signMessageHash,
+    verifyOutcomeSignature,
+    PoolStrategy,
+    SettlementBackend,
+    TOKEN_ADDRESSES,
+    settlementOptionsFromEnv,
+    parseRunFlags,
+    parseRunFlagsOrExit,
+    UsageError,
+    writeDryRunReport
+};
@@ -0,0 +1,358 @@
+// settlement_daemon.js - Long-running scheduler finalizing alarm and focus lock pools
+require('dotenv').config({ path: '../.env' });
+const http = require('http');
+const { randomUUID } = require('crypto');
+const { loggerFromEnv } = require('./logger');
+const { CONTENT_TYPE, SettlementMetrics } = require('./metrics');
+const { JournalConflictError } = require('./settlement_journal');
+
+const DEFAULT_RETRY = {
+    initialDelaySeconds: 60,
+    maxDelaySeconds: 3600,
+    maxAttempts: 8,
+    failedCooldownSeconds: 21600    // a parked or skipped pool still unprocessed then gets a fresh round of attempts
+};
+const DEFAULT_REFRESH_SECONDS = 600; // re-read unprocessed pools at least every 10 minutes
+const DEFAULT_RETAIN_SECONDS = 86400; // finished pools stay listed this long, then are forgotten
+const SCHEDULE_STATUSES = ['pending', 'running', 'done', 'skipped', 'failed'];
+const FINISHED_STATUSES = ['done', 'skipped', 'failed'];
+
+/**
+ * Keeps a schedule of pools per backend and finalizes each one when it becomes
+ * eligible (period end + FINALIZE_BUFFER_SECONDS). Failed runs are retried with
+ * exponential backoff; pools that keep failing are parked as `failed`. A run that finalizes
+ * nothing (no users in the pool) or finds another run finalizing the pool marks it `skipped`,
+ * without retries. Parked and skipped pools are re-armed once failedCooldownSeconds have passed
+ * if the backend still lists them as unprocessed. Finished pools are dropped from the schedule
+ * retainSeconds after their last attempt.
+ */
+class SettlementScheduler {
+    /**
+     * @param {Array<SettlementBackend>} backends - Backends to schedule (one per product and token)
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Clock returning unix seconds
+     * @param {Object} [options.retry] - {initialDelaySeconds, maxDelaySeconds, maxAttempts, failedCooldownSeconds}
+     * @param {number} [options.refreshSeconds] - Longest sleep before pools are re-read
+     * @param {number} [options.retainSeconds] - How long finished pools stay in the schedule
+     * @param {Logger} [options.logger] - Structured logger (defaults to the first backend's)
+     * @param {SettlementMetrics} [options.metrics] - Metrics (defaults to the first backend's)
+     */
+    constructor(backends, { now = () => Math.floor(Date.now() / 1000), retry = {}, refreshSeconds = DEFAULT_REFRESH_SECONDS, retainSeconds = DEFAULT_RETAIN_SECONDS, logger, metrics } = {}) {
+        this.backends = backends;
+        this.logger = logger || backends[0]?.logger || loggerFromEnv();
+        this.metrics = metrics || backends[0]?.metrics || new SettlementMetrics();
+        this.now = now;
+        this.retry = { ...DEFAULT_RETRY, ...retry };
+        this.refreshSeconds = refreshSeconds;
+        this.retainSeconds = retainSeconds;
+        this.entries = new Map(); // `${product}:${token}:${day}:${period}` → schedule entry
+        this.running = false;
+        this.timer = null;
+        this.wake = null;
+    }
+
+    static key(backend, day, period) {
+        return `${backend.strategy.name}:${backend.token}:${day}:${period}`;
+    }
+
+    /**
+     * Adds a pool to the schedule unless it is already tracked. A tracked pool parked as
+     * `failed` or `skipped` for failedCooldownSeconds gets a fresh round of attempts.
+     */
+    schedulePool(backend, day, period) {
+        const key = SettlementScheduler.key(backend, day, period);
+        const existing = this.entries.get(key);
+        if (existing) {
+            if ((existing.status === 'failed' || existing.status === 'skipped') && this.now() >= existing.finishedAt + this.retry.failedCooldownSeconds) {
+                this.logger.info(existing.status === 'failed' ? 'Failed pool re-armed' : 'Skipped pool re-armed',
+                    { product: existing.product, token: existing.token, day, period, last_error: existing.lastError, skip_reason: existing.skipReason });
+                existing.status = 'pending';
+                existing.attempts = 0;
+                existing.nextAttemptAt = this.now();
+            }
+            return existing;
+        }
+
+        const { eligibleAt } = backend.strategy.getPeriodBounds(day, period);
+        const entry = {
+            backend,
+            product: backend.strategy.name,
+            token: backend.token,
+            day,
+            period,
+            eligibleAt,
+            nextAttemptAt: eligibleAt,
+            attempts: 0,
+            status: 'pending',
+            lastError: null,
+            skipReason: null,
+            result: null,
+            finishedAt: null
+        };
+        this.entries.set(key, entry);
+        this.logger.info('Pool scheduled', { product: entry.product, token: entry.token, day, period, eligible_at: new Date(eligibleAt * 1000).toISOString() });
+        return entry;
+    }
+
+    /**
+     * Tracks every unprocessed pool plus the pool currently running for each backend,
+     * so an empty current slot is still visited once it closes.
+     */
+    async refresh() {
+        for (const backend of this.backends) {
+            const current = backend.strategy.getPoolInfo(this.now());
+            this.schedulePool(backend, current.day, current.period);
+
+            const pools = await backend.findAllUnprocessedPools();
+            for (const pool of pools) {
+                this.schedulePool(backend, pool.day, pool.period);
+            }
+        }
+        this.evictFinished();
+    }
+
+    /**
+     * Forgets finished pools whose last attempt is more than retainSeconds old; a pool still
+     * unprocessed is scheduled afresh by the next refresh.
+     */
+    evictFinished() {
+        for (const [key, entry] of this.entries) {
+            if (FINISHED_STATUSES.includes(entry.status) && this.now() >= entry.finishedAt + this.retainSeconds) {
+                this.entries.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Runs every pool whose next attempt is due.
+     * @returns {Promise<Array>} The entries that were attempted
+     */
+    async runDue() {
+        const due = [...this.entries.values()]
+            .filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= this.now())
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+        for (const entry of due) {
+            await this.runEntry(entry);
+        }
+        return due;
+    }
+
+    /**
+     * Runs one attempt; every line it logs carries a fresh run_id.
+     */
+    async runEntry(entry) {
+        const fields = { run_id: randomUUID(), product: entry.product, token: entry.token, day: entry.day, period: entry.period };
+        return this.logger.withContext(fields, () => this.attempt(entry));
+    }
+
+    async attempt(entry) {
+        entry.attempts++;
+        entry.status = 'running';
+        this.logger.info('Finalizing pool', { attempt: entry.attempts });
+
+        try {
+            entry.result = await entry.backend.processPool(entry.day, entry.period);
+            entry.finishedAt = this.now();
+            entry.lastError = null;
+            if (entry.result.success) {
+                entry.status = 'done';
+                entry.skipReason = null;
+                this.logger.info('Pool finalized');
+            } else {
+                entry.status = 'skipped';
+                entry.skipReason = entry.result.message;
+                this.logger.info('Pool skipped', { reason: entry.result.message });
+            }
+        } catch (error) {
+            if (error instanceof JournalConflictError) {
+                // Another run holds the pool: it finalizes it, or a later round resumes what it left
+                entry.status = 'skipped';
+                entry.finishedAt = this.now();
+                entry.skipReason = error.message;
+                this.logger.info('Pool is being finalized by another run, skipping it');
+                return;
+            }
+            entry.lastError = error.message;
+            if (entry.attempts >= this.retry.maxAttempts) {
+                entry.status = 'failed';
+                entry.finishedAt = this.now();
+                this.logger.error('Pool failed too many times, parking it', { attempts: entry.attempts, error: error.message });
+                return;
+            }
+
+            const delay = Math.min(
+                this.retry.initialDelaySeconds * 2 ** (entry.attempts - 1),
+                this.retry.maxDelaySeconds
+            );
+            entry.status = 'pending';
+            entry.nextAttemptAt = this.now() + delay;
+            this.logger.warn('Pool failed, retrying', { error: error.message, retry_in_seconds: delay });
+        }
+    }
+
+    /**
+     * One scheduler pass: refresh, run what is due and work out when to wake next.
+     * @returns {Promise<number>} Unix time of the next wake-up
+     */
+    async tick() {
+        try {
+            await this.refresh();
+        } catch (error) {
+            this.logger.error('Failed to refresh schedule', { error: error.message });
+        }
+        await this.runDue();
+        this.updateMetrics();
+
+        const pending = [...this.entries.values()]
+            .filter(entry => entry.status === 'pending')
+            .map(entry => entry.nextAttemptAt);
+        return Math.min(this.now() + this.refreshSeconds, ...pending);
+    }
+
+    /**
+     * Publishes the number of tracked pools per product and status.
+     */
+    updateMetrics() {
+        for (const product of new Set(this.backends.map(backend => backend.strategy.name))) {
+            const entries = [...this.entries.values()].filter(entry => entry.product === product);
+            for (const status of SCHEDULE_STATUSES) {
+                this.metrics.scheduledPools.set({ product, status }, entries.filter(entry => entry.status === status).length);
+            }
+        }
+    }
+
+    /**
+     * @returns {Array<Object>} The tracked pools, soonest first
+     */
+    getSchedule() {
+        return [...this.entries.values()]
+            .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+            .map(entry => ({
+                product: entry.product,
+                token: entry.token,
+                day: entry.day,
+                period: entry.period,
+                status: entry.status,
+                eligible_at: new Date(entry.eligibleAt * 1000).toISOString(),
+                next_attempt_at: entry.status === 'pending' ? new Date(entry.nextAttemptAt * 1000).toISOString() : null,
+                attempts: entry.attempts,
+                last_error: entry.lastError,
+                skip_reason: entry.skipReason,
+                transaction_hash: entry.result?.pool_info?.transaction_hash || null
+            }));
+    }
+
+    /**
+     * Loops until stop() is called, sleeping until the next pool is due.
+     */
+    async start() {
+        this.running = true;
+        this.logger.info('Settlement daemon started', { products: this.backends.map(b => `${b.strategy.name} ${b.token}`) });
+
+        while (this.running) {
+            const wakeAt = await this.tick();
+            if (!this.running) break;
+
+            const delay = Math.max(wakeAt - this.now(), 1);
+            this.logger.debug('Sleeping', { seconds: delay, until: new Date(wakeAt * 1000).toISOString() });
+            await new Promise(resolve => {
+                this.wake = resolve;
+                this.timer = setTimeout(resolve, delay * 1000);
+            });
+        }
+        this.logger.info('Settlement daemon stopped');
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        if (this.wake) this.wake();
+    }
+}
+
+/**
+ * Serves the scheduler's state as JSON on GET /schedule and Prometheus metrics on GET /metrics.
+ * @param {SettlementScheduler} scheduler
+ * @param {number} port
+ * @returns {http.Server}
+ */
+function createScheduleServer(scheduler, port) {
+    const server = http.createServer((req, res) => {
+        if (req.method === 'GET' && req.url === '/schedule') {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ pools: scheduler.getSchedule() }, null, 2));
+            return;
+        }
+        if (req.method === 'GET' && req.url === '/metrics') {
+            res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+            res.end(scheduler.metrics.registry.render());
+            return;
+        }
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Not found' }));
+    });
+    server.listen(port, () => scheduler.logger.info('Schedule server listening', { url: `http://localhost:${port}/schedule` }));
+    return server;
+}
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node settlement_daemon.js [--alarm-only | --focus-only] [--port <port>] [--pretty]');
+    console.log('');
+    console.log('Finalizes alarm (12h, every configured token) and focus lock (6h) pools as they become eligible,');
+    console.log('30 minutes after each period ends, retrying failed pools with backoff.');
+    console.log('');
+    console.log('Options:');
+    console.log('  --alarm-only    Only schedule alarm pools');
+    console.log('  --focus-only    Only schedule focus lock pools');
+    console.log('  --port <port>   Serve GET /schedule (JSON) and GET /metrics (Prometheus) (or DAEMON_PORT)');
+    console.log('  --pretty        Human-readable log lines instead of JSON (or LOG_FORMAT=pretty)');
+    console.log('=============================');
+}
+
+async function main() {
+    const { AlarmContractBackend } = require('./alarm_backend');
+    const { FocusLockContractBackend } = require('./focus_lock_backend');
+
+    const logger = loggerFromEnv(process.env, process.argv.includes('--pretty') ? { format: 'pretty' } : {});
+    try {
+        const metrics = new SettlementMetrics();
+        const backends = [];
+        if (!process.argv.includes('--focus-only')) {
+            backends.push(...AlarmContractBackend.allFromEnv(process.env, { logger, metrics }));
+        }
+        if (!process.argv.includes('--alarm-only')) {
+            backends.push(FocusLockContractBackend.fromEnv(process.env, { logger, metrics }));
+        }
+
+        const scheduler = new SettlementScheduler(backends, { logger, metrics });
+
+        const portIndex = process.argv.indexOf('--port');
+        const port = portIndex !== -1 ? Number(process.argv[portIndex + 1]) : Number(process.env.DAEMON_PORT);
+        const server = port ? createScheduleServer(scheduler, port) : null;
+
+        const shutdown = () => {
+            logger.info('Shutting down after the current pool');
+            scheduler.stop();
+            if (server) server.close();
+        };
+        process.on('SIGINT', shutdown);
+        process.on('SIGTERM', shutdown);
+
+        await scheduler.start();
+    } catch (error) {
+        logger.error('Settlement daemon crashed', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = { SettlementScheduler, createScheduleServer };
+
+if (require.main === module) {
+    if (process.argv.includes('--help') || process.argv.includes('-h')) {
+        printUsage();
+        process.exit(0);
+    }
+    main();
+}
@@ -0,0 +1,220 @@
+// settlement_journal.js - Persisted run journal for crash-safe pool finalization
+const { Logger } = require('./logger');
+
+/**
+ * Finalization states, in order. Each is written only after the step it
+ * names has completed, so a restarted run resumes from the next step.
+ */
+const JOURNAL_STATES = {
+    COMPUTED: 'computed',         // rewards, leaves and merkle root fixed
+    SUBMITTING: 'submitting',     // claimed by the one run allowed to send the merkle root
+    TX_SUBMITTED: 'tx_submitted', // merkle root transaction sent, hash recorded
+    TX_CONFIRMED: 'tx_confirmed', // receipt SUCCEEDED (and root verified where the strategy asks)
+    DB_WRITTEN: 'db_written',     // positions marked claim_ready, claim rows inserted
+    DONE: 'done'
+};
+
+const STATE_ORDER = Object.values(JOURNAL_STATES);
+
+/**
+ * @param {string} state - Journal state
+ * @param {string} target - State to compare against
+ * @returns {boolean} True if `state` is `target` or later
+ */
+function hasReached(state, target) {
+    return STATE_ORDER.indexOf(state) >= STATE_ORDER.indexOf(target);
+}
+
+/**
+ * Thrown when a transition finds the entry no longer in the state it expected:
+ * another run (the daemon, an admin request) is finalizing the same pool.
+ */
+class JournalConflictError extends Error {
+    constructor(day, period, expected) {
+        super(`Settlement journal for Day ${day}, Period ${period} is no longer ${expected || 'absent'}; another run is finalizing this pool`);
+        this.name = 'JournalConflictError';
+    }
+}
+
+// Postgres unique_violation: another run inserted the pool's entry first
+const UNIQUE_VIOLATION = '23505';
+
+// How long a `submitting` claim keeps other runs from sending; longer than any send takes
+const SUBMIT_LEASE_SECONDS = 600;
+
+/**
+ * One row per (contract, day, period) in the `settlement_journal` table.
+ * The journal holds everything needed to finish a pool without recomputing it:
+ * the merkle root, the ordered leaf amounts, the reward split and the tx hash.
+ * `backfill` marks pools found already final on-chain, which only get their missing claim rows.
+ * Every write is a compare-and-set on the state the caller last saw, so two runs on one pool
+ * cannot both move it: the later one gets a JournalConflictError. A run sends the merkle root
+ * only after claimSubmission has moved the entry to `submitting`, which also compares
+ * `updated_at`: of two runs that loaded the same entry, exactly one gets to send.
+ */
+class SettlementJournal {
+    /**
+     * @param {Object} supabase - Supabase client
+     * @param {Object} [options]
+     * @param {string} [options.table='settlement_journal'] - Journal table name
+     * @param {Logger} [options.logger] - Structured logger
+     * @param {number} [options.submitLeaseSeconds=600] - After this long without a write, a `submitting`
+     *   entry is taken to belong to a run that died mid-send and may be claimed again
+     */
+    constructor(supabase, { table = 'settlement_journal', logger = new Logger(), submitLeaseSeconds = SUBMIT_LEASE_SECONDS } = {}) {
+        this.supabase = supabase;
+        this.table = table;
+        this.logger = logger;
+        this.submitLeaseSeconds = submitLeaseSeconds;
+    }
+
+    /**
+     * @param {Object} entry - Loaded entry
+     * @returns {boolean} Whether another run holds the entry's `submitting` claim
+     */
+    isSubmissionLeased(entry, now = Date.now()) {
+        return entry.state === JOURNAL_STATES.SUBMITTING
+            && now - Date.parse(entry.updated_at) < this.submitLeaseSeconds * 1000;
+    }
+
+    /**
+     * Loads the journal entry for a pool.
+     * @returns {Promise<Object|null>} The entry, or null if the pool was never computed
+     */
+    async load(contractAddress, day, period) {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('contract_address', contractAddress)
+            .eq('day', day)
+            .eq('period', period)
+            .maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to load settlement journal for Day ${day}, Period ${period}: ${error.message}`);
+        }
+        return data;
+    }
+
+    /**
+     * Lists a contract's entries, oldest pool first.
+     * @param {string} contractAddress - Settlement contract
+     * @param {string} [state] - Only entries in this state
+     * @returns {Promise<Array<Object>>}
+     */
+    async list(contractAddress, state) {
+        let query = this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('contract_address', contractAddress);
+        if (state) {
+            query = query.eq('state', state);
+        }
+        const { data, error } = await query.order('day').order('period');
+
+        if (error) {
+            throw new Error(`Failed to list settlement journal: ${error.message}`);
+        }
+        return data || [];
+    }
+
+    /**
+     * Records a freshly computed pool: inserts its entry, or overwrites `replacing` if that is
+     * still in the state it was loaded in.
+     * @param {Object} entry - {product, token, contract_address, day, period, policy_version, merkle_root, leaf_amounts,
+     *   new_rewards, protocol_fees, total_slashed, winners, pricing}
+     * @param {Object} [replacing] - Loaded entry being recomputed
+     * @returns {Promise<Object>} The stored entry
+     * @throws {JournalConflictError} If the entry was written by another run in the meantime
+     */
+    async recordComputed(entry, replacing = null) {
+        const row = {
+            ...entry,
+            state: JOURNAL_STATES.COMPUTED,
+            transaction_hash: null,
+            backfill: false,
+            last_error: null,
+            updated_at: new Date().toISOString()
+        };
+        const query = replacing
+            ? this.supabase.from(this.table).update(row).eq('id', replacing.id).eq('state', replacing.state).select().maybeSingle()
+            : this.supabase.from(this.table).insert(row).select().single();
+        const { data, error } = await query;
+
+        if (error?.code === UNIQUE_VIOLATION || (!error && !data)) {
+            throw new JournalConflictError(entry.day, entry.period, replacing?.state);
+        }
+        if (error) {
+            throw new Error(`Failed to record settlement journal for Day ${entry.day}, Period ${entry.period}: ${error.message}`);
+        }
+        return data;
+    }
+
+    /**
+     * Claims the right to send the pool's merkle root: moves a `computed` entry, or a `submitting`
+     * one whose lease ran out, to `submitting`. Only the run whose claim succeeds may send.
+     * @param {Object} entry - Entry as last loaded or written by this run
+     * @returns {Promise<Object>} The claimed entry
+     * @throws {JournalConflictError} If another run wrote the entry since, or still holds the lease
+     */
+    async claimSubmission(entry) {
+        if (this.isSubmissionLeased(entry)) {
+            throw new JournalConflictError(entry.day, entry.period, entry.state);
+        }
+        return this.advance(entry, JOURNAL_STATES.SUBMITTING, { transaction_hash: null }, { matchUpdatedAt: true });
+    }
+
+    /**
+     * Moves an entry to a new state, if it is still in the state `entry` has. Leaving `submitting`
+     * also compares `updated_at`, so a run whose lease was taken over cannot move the entry.
+     * @param {Object} entry - Entry returned by load/recordComputed/advance
+     * @param {string} state - One of JOURNAL_STATES
+     * @param {Object} [fields] - Extra columns to set (e.g. transaction_hash)
+     * @returns {Promise<Object>} The updated entry
+     * @throws {JournalConflictError} If another run moved the entry first
+     */
+    async advance(entry, state, fields = {}, { matchUpdatedAt = entry.state === JOURNAL_STATES.SUBMITTING } = {}) {
+        let query = this.supabase
+            .from(this.table)
+            .update({ ...fields, state, last_error: null, updated_at: new Date().toISOString() })
+            .eq('id', entry.id)
+            .eq('state', entry.state);
+        if (matchUpdatedAt) {
+            query = query.eq('updated_at', entry.updated_at);
+        }
+        const { data, error } = await query.select().maybeSingle();
+
+        if (error) {
+            throw new Error(`Failed to move settlement journal for Day ${entry.day}, Period ${entry.period} to ${state}: ${error.message}`);
+        }
+        if (!data) {
+            throw new JournalConflictError(entry.day, entry.period, entry.state);
+        }
+        this.logger.info('Journal state changed', { journal_state: state });
+        return data;
+    }
+
+    /**
+     * Stores the error that stopped a run without changing the state, if the entry is still in
+     * the state the run left it in (another run's progress is not marked failed).
+     * Failing to write it only logs, so the original error still surfaces.
+     */
+    async recordError(entry, message) {
+        const { error } = await this.supabase
+            .from(this.table)
+            .update({ last_error: message })
+            .eq('id', entry.id)
+            .eq('state', entry.state);
+
+        if (error) {
+            this.logger.error('Failed to record journal error', { error: error.message });
+        }
+    }
+}
+
+module.exports = {
+    JOURNAL_STATES,
+    hasReached,
+    SettlementJournal,
+    JournalConflictError
+};
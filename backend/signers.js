@@ -0,0 +1,398 @@
+// signers.js - Key backends for the verifier and deployer keys (env, encrypted keystore, remote signer)
+const fs = require('fs');
+const crypto = require('crypto');
+const { ec, Signer } = require('starknet');
+const { keccak_256 } = require('@noble/hashes/sha3');
+const { Logger } = require('./logger');
+
+const SIGNER_MODES = ['env', 'keystore', 'remote'];
+const DEFAULT_REMOTE_TIMEOUT_MS = 10000;
+
+const toHex = value => '0x' + BigInt(value).toString(16);
+
+/**
+ * Signer interface: something that holds a stark key and signs message hashes with it.
+ * Subclasses implement getPublicKey() and signRaw(); the private key never leaves them
+ * (keys kept in memory live in private fields, so they are not serialized into logs).
+ */
+class KeySigner {
+    constructor(mode) {
+        this.mode = mode;
+    }
+
+    /** @returns {Promise<string>} The stark key (what the contract stores as verified_signer) */
+    async getPublicKey() {
+        throw new Error(`${this.constructor.name} must implement getPublicKey()`);
+    }
+
+    /**
+     * @param {string} messageHash - 0x-prefixed felt
+     * @returns {Promise<Object>} {r, s} as bigints
+     */
+    async signRaw(messageHash) {
+        throw new Error(`${this.constructor.name} must implement signRaw()`);
+    }
+
+    /**
+     * Signs a message hash in the shape stored on claim rows.
+     * @param {bigint | string} messageHash
+     * @returns {Promise<Object>} {message_hash, signature_r, signature_s, public_key}
+     */
+    async signMessageHash(messageHash) {
+        const hashHex = toHex(messageHash);
+        const { r, s } = await this.signRaw(hashHex);
+        return {
+            message_hash: hashHex,
+            signature_r: toHex(r),
+            signature_s: toHex(s),
+            public_key: await this.getPublicKey()
+        };
+    }
+}
+
+/**
+ * A plaintext private key, e.g. VERIFIER_PRIVATE_KEY. For development and tests only.
+ */
+class PrivateKeySigner extends KeySigner {
+    #privateKey;
+
+    /**
+     * @param {string} privateKey - Hex private key, with or without 0x
+     */
+    constructor(privateKey) {
+        super('env');
+        this.#privateKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+    }
+
+    async getPublicKey() {
+        return toHex(ec.starkCurve.getStarkKey(this.#privateKey));
+    }
+
+    async signRaw(messageHash) {
+        const { r, s } = ec.starkCurve.sign(messageHash, this.#privateKey);
+        return { r, s };
+    }
+}
+
+function scryptAsync(password, salt, keylen, options) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, keylen, options, (error, key) => (error ? reject(error) : resolve(key)));
+    });
+}
+
+/**
+ * Derives the keystore's key from the passphrase (scrypt or pbkdf2, as in Web3 Secret Storage v3).
+ */
+async function deriveKeystoreKey(password, { kdf, kdfparams }) {
+    const salt = Buffer.from(kdfparams.salt, 'hex');
+    if (kdf === 'scrypt') {
+        const { n, r, p, dklen } = kdfparams;
+        return scryptAsync(password, salt, dklen, { N: n, r, p, maxmem: 256 * n * r });
+    }
+    if (kdf === 'pbkdf2') {
+        if (kdfparams.prf !== 'hmac-sha256') {
+            throw new Error(`Unsupported keystore pbkdf2 prf ${kdfparams.prf}`);
+        }
+        return crypto.pbkdf2Sync(password, salt, kdfparams.c, kdfparams.dklen, 'sha256');
+    }
+    throw new Error(`Unsupported keystore kdf ${kdf}`);
+}
+
+const keystoreMac = (derivedKey, ciphertext) => Buffer.from(keccak_256(Buffer.concat([derivedKey.subarray(16, 32), ciphertext]))).toString('hex');
+
+/**
+ * Decrypts a Starknet keystore (the Web3 Secret Storage v3 JSON written by starkli and
+ * Argent/Braavos exports: aes-128-ctr, scrypt or pbkdf2, keccak-256 MAC).
+ * @param {Object} keystore - Parsed keystore JSON
+ * @param {string} password - Passphrase
+ * @returns {Promise<string>} The 0x-prefixed private key
+ */
+async function decryptKeystore(keystore, password) {
+    const params = keystore.crypto || keystore.Crypto;
+    if (!params || keystore.version !== 3) {
+        throw new Error('Not a version 3 keystore');
+    }
+    if (params.cipher !== 'aes-128-ctr') {
+        throw new Error(`Unsupported keystore cipher ${params.cipher}`);
+    }
+
+    const derivedKey = await deriveKeystoreKey(password, params);
+    const ciphertext = Buffer.from(params.ciphertext, 'hex');
+    const expected = Buffer.from(keystoreMac(derivedKey, ciphertext), 'hex');
+    const given = Buffer.from(params.mac, 'hex');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw new Error('Keystore passphrase is incorrect');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-128-ctr', derivedKey.subarray(0, 16), Buffer.from(params.cipherparams.iv, 'hex'));
+    return '0x' + Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('hex');
+}
+
+/**
+ * Encrypts a private key into a version 3 keystore readable by decryptKeystore (and starkli).
+ * @param {string} privateKey - Hex private key
+ * @param {string} password - Passphrase
+ * @param {Object} [options] - {n} scrypt cost (default 2^18; lower only for tests)
+ * @returns {Promise<Object>} Keystore JSON
+ */
+async function encryptKeystore(privateKey, password, { n = 262144 } = {}) {
+    const kdfparams = { dklen: 32, n, r: 8, p: 1, salt: crypto.randomBytes(32).toString('hex') };
+    const derivedKey = await deriveKeystoreKey(password, { kdf: 'scrypt', kdfparams });
+    const iv = crypto.randomBytes(16);
+    const cipher = crypto.createCipheriv('aes-128-ctr', derivedKey.subarray(0, 16), iv);
+    const keyBytes = Buffer.from(BigInt(privateKey).toString(16).padStart(64, '0'), 'hex');
+    const ciphertext = Buffer.concat([cipher.update(keyBytes), cipher.final()]);
+
+    return {
+        version: 3,
+        id: crypto.randomUUID(),
+        crypto: {
+            cipher: 'aes-128-ctr',
+            cipherparams: { iv: iv.toString('hex') },
+            ciphertext: ciphertext.toString('hex'),
+            kdf: 'scrypt',
+            kdfparams,
+            mac: keystoreMac(derivedKey, ciphertext)
+        }
+    };
+}
+
+/**
+ * A key in an encrypted keystore file. The file is read when the signer is built; it is
+ * decrypted on first use and the passphrase is dropped once it is.
+ */
+class KeystoreSigner extends KeySigner {
+    #password;
+    #unlocking = null;
+
+    /**
+     * @param {Object} options
+     * @param {string} [options.path] - Keystore file
+     * @param {Object} [options.keystore] - Parsed keystore JSON (instead of a path)
+     * @param {string} options.password - Passphrase
+     */
+    constructor({ path, keystore, password }) {
+        super('keystore');
+        if (password === undefined || password === null) {
+            throw new Error('A keystore signer needs its passphrase');
+        }
+        this.path = path || null;
+        this.keystore = keystore || JSON.parse(fs.readFileSync(path, 'utf8'));
+        this.#password = password;
+    }
+
+    /**
+     * @returns {Promise<PrivateKeySigner>} The decrypted key
+     */
+    unlock() {
+        if (!this.#unlocking) {
+            this.#unlocking = decryptKeystore(this.keystore, this.#password).then(privateKey => {
+                this.#password = null;
+                return new PrivateKeySigner(privateKey);
+            });
+            // A wrong passphrase stays wrong; later calls fail the same way
+        }
+        return this.#unlocking;
+    }
+
+    async getPublicKey() {
+        return (await this.unlock()).getPublicKey();
+    }
+
+    async signRaw(messageHash) {
+        return (await this.unlock()).signRaw(messageHash);
+    }
+}
+
+/**
+ * A key held by a signing service speaking the remote signer protocol (see remote_signer.js):
+ *   GET  {url}/keys/{keyId}       → {public_key}
+ *   POST {url}/keys/{keyId}/sign  {message_hash} → {signature_r, signature_s}
+ * Requests carry `Authorization: Bearer <token>` when a token is set. Every returned
+ * signature is checked against the key's public key before it is used.
+ */
+class RemoteSigner extends KeySigner {
+    #token;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Base URL of the signer service
+     * @param {string} options.keyId - Key name on the service
+     * @param {string} [options.token] - Bearer token
+     * @param {number} [options.timeoutMs=10000] - Per-request timeout
+     * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+     */
+    constructor({ url, keyId, token = null, timeoutMs = DEFAULT_REMOTE_TIMEOUT_MS, fetch = globalThis.fetch }) {
+        super('remote');
+        if (!url || !keyId) {
+            throw new Error('A remote signer needs a url and a key id');
+        }
+        this.url = url.replace(/\/+$/, '');
+        this.keyId = keyId;
+        this.timeoutMs = timeoutMs;
+        this.fetch = fetch;
+        this.#token = token;
+        this.publicKey = null;
+    }
+
+    async request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.#token) headers.Authorization = `Bearer ${this.#token}`;
+        const response = await this.fetch(`${this.url}/keys/${encodeURIComponent(this.keyId)}${path}`, {
+            method,
+            headers,
+            body: body ? JSON.stringify(body) : undefined,
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Remote signer ${method} ${path || '/'} for key ${this.keyId} failed: HTTP ${response.status}${data.error ? ` ${data.error}` : ''}`);
+        }
+        return data;
+    }
+
+    async getPublicKey() {
+        if (!this.publicKey) {
+            this.publicKey = toHex((await this.request('GET', '')).public_key);
+        }
+        return this.publicKey;
+    }
+
+    async signRaw(messageHash) {
+        const publicKey = await this.getPublicKey();
+        const { signature_r, signature_s } = await this.request('POST', '/sign', { message_hash: messageHash });
+        const signature = new ec.starkCurve.Signature(BigInt(signature_r), BigInt(signature_s));
+        const x = BigInt(publicKey).toString(16).padStart(64, '0');
+        if (!['02', '03'].some(prefix => ec.starkCurve.verify(signature, messageHash, prefix + x))) {
+            throw new Error(`Remote signer returned a signature that does not verify against key ${this.keyId} (${publicKey})`);
+        }
+        return { r: signature.r, s: signature.s };
+    }
+}
+
+/**
+ * Lets a KeySigner sign the deployer Account's transactions: starknet.js computes the
+ * transaction and message hashes, the KeySigner signs them.
+ */
+class AccountSigner extends Signer {
+    /**
+     * @param {KeySigner} keySigner
+     */
+    constructor(keySigner) {
+        super();
+        // The base class keeps a random throwaway key; nothing here signs with it
+        this.pk = undefined;
+        this.keySigner = keySigner;
+    }
+
+    async getPubKey() {
+        return this.keySigner.getPublicKey();
+    }
+
+    async signRaw(msgHash) {
+        const { r, s } = await this.keySigner.signRaw(toHex(msgHash));
+        return new ec.starkCurve.Signature(r, s);
+    }
+}
+
+/**
+ * @param {KeySigner|string|null} signer - A signer, or a plaintext private key (dev, tests)
+ * @returns {KeySigner|null}
+ */
+function toKeySigner(signer) {
+    if (!signer || signer instanceof KeySigner) {
+        return signer || null;
+    }
+    return new PrivateKeySigner(signer);
+}
+
+/**
+ * Reads a secret from `<NAME>_FILE` (preferred: the value never enters the environment) or `<NAME>`.
+ */
+function secretFromEnv(env, name) {
+    if (env[`${name}_FILE`]) {
+        return fs.readFileSync(env[`${name}_FILE`], 'utf8').replace(/\r?\n$/, '');
+    }
+    return env[name];
+}
+
+/**
+ * Builds the signer configured for a key role from environment variables named after `prefix`
+ * ('VERIFIER', 'DEPLOYER', 'VERIFIER_NEW'):
+ *   <prefix>_SIGNER                    env | keystore | remote (inferred from the variables below if unset)
+ *   <prefix>_KEYSTORE_PATH             keystore file
+ *   <prefix>_KEYSTORE_PASSWORD_FILE    file holding its passphrase (or <prefix>_KEYSTORE_PASSWORD)
+ *   <prefix>_REMOTE_SIGNER_URL         signer service
+ *   <prefix>_REMOTE_SIGNER_KEY_ID      key name on the service
+ *   REMOTE_SIGNER_TOKEN_FILE           bearer token file (or REMOTE_SIGNER_TOKEN)
+ *   <prefix>_PRIVATE_KEY               plaintext key, only with <prefix>_SIGNER=env; refused when NODE_ENV=production
+ * A plaintext key is never picked up implicitly, and is refused alongside a keystore or remote signer
+ * so a leftover key cannot outlive the move to one.
+ * @param {Object} env - Environment map
+ * @param {string} prefix - Key role
+ * @param {Object} [options] - {logger, fetch}
+ * @returns {KeySigner|null} null if nothing is configured for the role
+ */
+function signerFromEnv(env, prefix, { logger = new Logger(), fetch } = {}) {
+    const plaintextKey = env[`${prefix}_PRIVATE_KEY`];
+    const mode = env[`${prefix}_SIGNER`]
+        || (env[`${prefix}_KEYSTORE_PATH`] ? 'keystore'
+            : env[`${prefix}_REMOTE_SIGNER_URL`] ? 'remote' : null);
+    if (!mode) {
+        if (plaintextKey) {
+            throw new Error(`${prefix}_PRIVATE_KEY is set but ${prefix}_SIGNER is not; configure a keystore or remote signer, or set ${prefix}_SIGNER=env for development`);
+        }
+        return null;
+    }
+    if (!SIGNER_MODES.includes(mode)) {
+        throw new Error(`Unknown ${prefix}_SIGNER ${mode} (expected ${SIGNER_MODES.join(', ')})`);
+    }
+    if (mode !== 'env' && plaintextKey) {
+        throw new Error(`${prefix}_PRIVATE_KEY must not be set with the ${mode} signer; remove it from the environment`);
+    }
+
+    if (mode === 'keystore') {
+        const path = env[`${prefix}_KEYSTORE_PATH`];
+        if (!path) {
+            throw new Error(`Missing ${prefix}_KEYSTORE_PATH environment variable`);
+        }
+        const password = secretFromEnv(env, `${prefix}_KEYSTORE_PASSWORD`);
+        if (password === undefined) {
+            throw new Error(`Missing ${prefix}_KEYSTORE_PASSWORD_FILE or ${prefix}_KEYSTORE_PASSWORD environment variable`);
+        }
+        logger.info('Signer configured', { role: prefix.toLowerCase(), mode, keystore: path });
+        return new KeystoreSigner({ path, password });
+    }
+
+    if (mode === 'remote') {
+        const url = env[`${prefix}_REMOTE_SIGNER_URL`];
+        const keyId = env[`${prefix}_REMOTE_SIGNER_KEY_ID`] || prefix.toLowerCase();
+        if (!url) {
+            throw new Error(`Missing ${prefix}_REMOTE_SIGNER_URL environment variable`);
+        }
+        logger.info('Signer configured', { role: prefix.toLowerCase(), mode, url, key_id: keyId });
+        return new RemoteSigner({ url, keyId, token: secretFromEnv(env, 'REMOTE_SIGNER_TOKEN') || null, ...(fetch ? { fetch } : {}) });
+    }
+
+    if (!plaintextKey) {
+        throw new Error(`Missing ${prefix}_PRIVATE_KEY environment variable`);
+    }
+    if (env.NODE_ENV === 'production') {
+        throw new Error(`${prefix}_PRIVATE_KEY is not accepted in production; configure a keystore or remote signer`);
+    }
+    logger.warn('Signing with a plaintext key from the environment (development only)', { role: prefix.toLowerCase() });
+    return new PrivateKeySigner(plaintextKey);
+}
+
+module.exports = {
+    SIGNER_MODES,
+    KeySigner,
+    PrivateKeySigner,
+    KeystoreSigner,
+    RemoteSigner,
+    AccountSigner,
+    decryptKeystore,
+    encryptKeystore,
+    toKeySigner,
+    signerFromEnv
+};
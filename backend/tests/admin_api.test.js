@@ -0,0 +1,174 @@
+// admin_api.test.js - Admin HTTP routes against the in-memory harness
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createAdminServer } = require('../admin_api');
+const { createSettlementHarness } = require('../harness');
+const { createMerkleLeaf, verifyProof } = require('../merkle_tree');
+const { DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const TOKEN = 'test-admin-token';
+
+async function startServer(t) {
+    const alarm = createSettlementHarness(AlarmContractBackend);
+    const focus = createSettlementHarness(FocusLockContractBackend);
+    seedAlarmPool(alarm);
+
+    const server = createAdminServer({
+        backends: { alarm: alarm.backend, 'focus-lock': focus.backend },
+        adminToken: TOKEN,
+        logger: alarm.backend.logger
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    t.after(() => server.close());
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    async function request(path, options = {}) {
+        const response = await fetch(base + path, options);
+        return { status: response.status, body: await response.json() };
+    }
+    return { alarm, focus, base, request };
+}
+
+test('lists unprocessed pools per product', async (t) => {
+    const { request } = await startServer(t);
+
+    const { status, body } = await request('/pools/unprocessed');
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.pools.alarm, [{ day: DAY, period: 1 }]);
+    assert.deepEqual(body.pools['focus-lock'], []);
+});
+
+test('preview computes rewards without sending or storing anything', async (t) => {
+    const { alarm, request } = await startServer(t);
+
+    const { status, body } = await request(`/pools/alarm/${DAY}/1/preview`);
+
+    assert.equal(status, 200);
+    assert.equal(body.total_users, 3);
+    const alice = body.users.find(u => u.address === WALLETS.alice);
+    assert.equal(alice.stake_return, alice.stake_amount);
+    assert.equal(alice.reward_amount, body.new_rewards);
+    assert.ok(verifyProof(body.merkle_root, createMerkleLeaf(alice.address, alice.reward_amount), alice.merkle_proof));
+    assert.equal(alarm.account.executions.length, 0);
+    assert.equal(alarm.db.rows('user_claim_data').length, 0);
+});
+
+test('recompute replays a settled pool under its journaled policy', async (t) => {
+    const { alarm, request } = await startServer(t);
+    assert.equal((await request(`/pools/alarm/${DAY}/1/recompute`)).status, 404);
+
+    const { pool_info } = await alarm.backend.processAlarmPool(DAY, 1);
+    const { status, body } = await request(`/pools/alarm/${DAY}/1/recompute`);
+
+    assert.equal(status, 200);
+    assert.equal(body.policy_version, 'alarm-v2');
+    assert.equal(body.journal.merkle_root, pool_info.merkle_root);
+    assert.equal(body.matches, true);
+});
+
+test('finalize requires the admin token', async (t) => {
+    const { alarm, request } = await startServer(t);
+
+    const denied = await request(`/pools/alarm/${DAY}/1/finalize`, { method: 'POST', headers: { Authorization: 'Bearer nope' } });
+    assert.equal(denied.status, 401);
+    assert.equal(alarm.account.executions.length, 0);
+
+    // Hold the first run at its receipt: a second request meanwhile is turned away instead of finalizing again
+    let release;
+    const receiptGate = new Promise(resolve => { release = resolve; });
+    const getTransactionStatus = alarm.chain.getTransactionStatus.bind(alarm.chain);
+    alarm.chain.getTransactionStatus = async hash => { await receiptGate; return getTransactionStatus(hash); };
+    const finalize = () => request(`/pools/alarm/${DAY}/1/finalize`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+    const first = finalize();
+    while (alarm.account.executions.length === 0) await new Promise(resolve => setTimeout(resolve, 5));
+
+    const second = await finalize();
+    assert.equal(second.status, 409);
+    assert.match(second.body.error, /already being finalized/);
+    release();
+    const { status, body } = await first;
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(alarm.account.executions.length, 1);
+});
+
+test('audit reports discrepancies and finalize needs allow_discrepancies to settle past them', async (t) => {
+    const { alarm, request } = await startServer(t);
+    alarm.seedAlarm({ wallet: WALLETS.dave, wakeup_time: PM + 2400, stake_amount: '5', onChain: false });
+    const headers = { Authorization: `Bearer ${TOKEN}` };
+
+    const { status, body } = await request(`/pools/alarm/${DAY}/1/audit`);
+    assert.equal(status, 200);
+    assert.equal(body.clean, false);
+    assert.equal(body.missing_on_chain[0].stake_amount, '5');
+
+    assert.equal((await request(`/pools/alarm/${DAY}/1/finalize`, { method: 'POST', headers })).status, 500);
+    assert.equal(alarm.account.executions.length, 0);
+    const forced = await request(`/pools/alarm/${DAY}/1/finalize?allow_discrepancies=true`, { method: 'POST', headers });
+    assert.equal(forced.status, 200);
+    assert.equal(alarm.account.executions.length, 1);
+});
+
+test('serves Prometheus metrics without a token', async (t) => {
+    const { base, request } = await startServer(t);
+
+    await request(`/pools/alarm/${DAY}/1/finalize`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+    const response = await fetch(`${base}/metrics`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    assert.match(text, /^settlement_pools_finalized_total\{product="alarm"\} 1$/m);
+    assert.match(text, /^settlement_transactions_total\{product="alarm",mode="regular"\} 1$/m);
+});
+
+test('claim lookup returns the stored signature, reward and proof', async (t) => {
+    const { request } = await startServer(t);
+    await request(`/pools/alarm/${DAY}/1/finalize`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+
+    const { status, body } = await request(`/claims/alarm/${DAY}/1/${WALLETS.alice}`);
+
+    assert.equal(status, 200);
+    assert.equal(body.claims.length, 1);
+    const [claim] = body.claims;
+    assert.match(claim.signature_r, /^0x/);
+    assert.ok(Array.isArray(claim.merkle_proof));
+
+    const missing = await request(`/claims/alarm/${DAY}/0/${WALLETS.alice}`);
+    assert.equal(missing.status, 404);
+});
+
+test('claim call route hands out the simulated claim_winnings call, or the revert reason', async (t) => {
+    const { alarm, request } = await startServer(t);
+    const alice = alarm.db.rows('alarms')[0];
+    assert.equal((await request(`/claims/alarm/${alice.id}/call`)).status, 409);
+    await request(`/pools/alarm/${DAY}/1/finalize`, { method: 'POST', headers: { Authorization: `Bearer ${TOKEN}` } });
+
+    const { status, body } = await request(`/claims/alarm/${alice.id}/call`);
+
+    assert.equal(status, 200);
+    assert.equal(body.call.entrypoint, 'claim_winnings');
+    assert.equal(body.caller, WALLETS.alice);
+    assert.equal(body.simulation.success, true);
+
+    alarm.chain.setClaimed(alarm.contractAddress, WALLETS.alice, DAY, 1);
+    const reverted = await request(`/claims/alarm/${alice.id}/call`);
+    assert.equal(reverted.status, 409);
+    assert.equal(reverted.body.simulation.revert_reason, 'Already_Claimed');
+    assert.equal((await request(`/claims/alarm/${alice.id}/call?simulate=false`)).status, 200);
+    assert.equal((await request('/claims/alarm/unknown/call')).status, 404);
+});
+
+test('rejects unknown products and invalid periods', async (t) => {
+    const { request } = await startServer(t);
+
+    assert.equal((await request(`/pools/staking/${DAY}/1/preview`)).status, 404);
+    assert.equal((await request(`/pools/alarm/${DAY}/2/preview`)).status, 400);
+    assert.equal((await request(`/pools/focus-lock/${DAY}/3/preview`)).status, 200);
+    // Gasless claims need the paymaster, which the harness backends here do not have
+    assert.equal((await request('/claims/alarm/some-alarm/relay')).status, 503);
+});
@@ -0,0 +1,150 @@
+// claim_builder.test.js - Claim calls built from stored claim data and simulated against the mock contracts
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ClaimTransactionBuilder } = require('../claim_builder');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createSettlementHarness, MockAccount } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+test('an alarm claim carries the signed fields, signature, u256 reward and proof and goes through once', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const [alice, bob] = h.db.rows('alarms');
+    const builder = new ClaimTransactionBuilder(h.backend);
+    await assert.rejects(builder.build(alice.id), { status: 409, message: `Day ${DAY}, Period 1 has not been settled yet` });
+    await h.backend.processAlarmPool(DAY, 1);
+
+    const claim = await builder.prepare(alice.id);
+
+    const row = h.db.rows('user_claim_data').find(c => c.alarm_id === alice.id);
+    const proof = JSON.parse(row.merkle_proof);
+    assert.ok(BigInt(row.reward_amount) > 0n && proof.length > 0);
+    assert.deepEqual(claim.call, {
+        contractAddress: h.contractAddress,
+        entrypoint: 'claim_winnings',
+        calldata: [
+            '0x' + (PM + 600).toString(16), '0x0',
+            row.signature_r, row.signature_s,
+            '0x' + BigInt(row.reward_amount).toString(16), '0x0',
+            '0x' + proof.length.toString(16), ...proof
+        ]
+    });
+    assert.equal(claim.caller, WALLETS.alice);
+    assert.equal(claim.alarm_id, alice.id);
+    assert.equal(claim.simulation.success, true);
+    assert.equal(claim.simulation.fee_estimation.unit, 'FRI');
+
+    // Sent from the owner's account the call lands, after which the contract refuses it
+    const wallet = new MockAccount(h.chain, { address: WALLETS.alice });
+    const { transaction_hash } = await wallet.execute([claim.call]);
+    assert.equal((await h.chain.waitForTransaction(transaction_hash)).execution_status, 'SUCCEEDED');
+    await assert.rejects(builder.prepare(alice.id), error => error.status === 409
+        && error.message === 'Claim simulation reverted: Already_Claimed'
+        && error.simulation.revert_reason === 'Already_Claimed');
+
+    // Only the owner can send it; a slashed position claims its stake return with a zero reward
+    const bobClaim = await builder.build(bob.id);
+    assert.deepEqual(bobClaim.call.calldata.slice(1, 2).concat(bobClaim.call.calldata.slice(4, 6)), ['0x1', '0x0', '0x0']);
+    assert.equal((await builder.simulate(bobClaim.call, WALLETS.carol)).revert_reason, 'Not_Alarm_Owner');
+    assert.equal((await builder.simulate(bobClaim.call, WALLETS.bob)).success, true);
+
+    await h.db.from('alarms').update({ has_claimed: true }).eq('id', bob.id);
+    await assert.rejects(builder.build(bob.id), { status: 409, message: `alarm ${bob.id} has already been claimed` });
+    await assert.rejects(builder.build('missing'), { status: 404 });
+    await assert.rejects(new ClaimTransactionBuilder(h.createBackend({ token: 'ETH' })).build(alice.id), { status: 404, message: `No alarm ${alice.id} for ETH` });
+});
+
+test('with chain stakes an alarm claim carries the indexed wakeup time, and a mismatch reports both sources', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { stakeSource: 'chain' } });
+    seedAlarmPool(h);
+    // The contract holds Alice's alarm 5 minutes later than the app recorded, in the same period
+    const indexed = [[WALLETS.alice, PM + 900, 10n * STRK], [WALLETS.bob, PM + 1200, 5n * STRK], [WALLETS.carol, PM + 1800, 8n * STRK]];
+    for (const [address, wakeup, stake] of indexed) {
+        await h.db.from('chain_alarm_sets').insert({
+            contract_address: h.contractAddress, day: DAY, period: 1, user_address: address,
+            wakeup_time: wakeup, stake_amount: stake.toString(), block_number: 1
+        });
+    }
+    await h.backend.processAlarmPool(DAY, 1, { allowDiscrepancies: true }); // the audit flags Alice's row
+    const [alice] = h.db.rows('alarms');
+    const builder = new ClaimTransactionBuilder(h.backend);
+
+    const claim = await builder.build(alice.id);
+    assert.equal(claim.call.calldata[0], '0x' + (PM + 900).toString(16));
+    assert.equal(claim.day, DAY);
+
+    // The indexed row changed after settlement (a reorganization): the signature no longer covers it
+    await h.db.from('chain_alarm_sets').update({ wakeup_time: PM + 1000 }).eq('user_address', WALLETS.alice);
+    await assert.rejects(builder.build(alice.id), error => {
+        assert.equal(error.status, 409);
+        assert.match(error.message, /does not match its position/);
+        assert.deepEqual({ day: error.day, period: error.period }, { day: DAY, period: 1 });
+        assert.deepEqual(error.database_values, { wake_up_time: String(PM + 600) });
+        assert.deepEqual(error.signed_values, { wake_up_time: String(PM + 1000) });
+        return true;
+    });
+});
+
+test('a focus lock claim uses its on-chain lock id and the signed lock values', async () => {
+    const h = createSettlementHarness(FocusLockContractBackend);
+    const start = DAY * 86400 + 21600 + 300;
+    const alice = h.seedFocusLock({ wallet: WALLETS.alice, start_time: start, duration_minutes: 30, stake_amount: (4n * STRK).toString(), lock_id: 7 });
+    const bob = h.seedFocusLock({ wallet: WALLETS.bob, start_time: start + 60, duration_minutes: 60, stake_amount: (2n * STRK).toString(), completion_status: false });
+    await h.backend.processFocusLockPool(DAY, 1);
+    const builder = new ClaimTransactionBuilder(h.backend);
+
+    const claim = await builder.prepare(alice.id);
+
+    const row = h.db.rows('user_claim_data_locks').find(c => c.focus_lock_id === alice.id);
+    const proof = JSON.parse(row.merkle_proof);
+    assert.ok(BigInt(row.reward_amount) > 0n);
+    assert.deepEqual(claim.call, {
+        contractAddress: h.contractAddress,
+        entrypoint: 'claim_lock_rewards',
+        calldata: [
+            '0x7', '0x1',
+            row.signature_r, row.signature_s,
+            '0x' + BigInt(row.reward_amount).toString(16), '0x0',
+            '0x' + proof.length.toString(16), ...proof
+        ]
+    });
+    assert.equal(claim.caller, WALLETS.alice);
+    assert.equal(claim.focus_lock_id, alice.id);
+    assert.equal(claim.simulation.success, true);
+
+    // Sent from the owner's account the call lands, after which the contract refuses it
+    const wallet = new MockAccount(h.chain, { address: WALLETS.alice });
+    const { transaction_hash } = await wallet.execute([claim.call]);
+    assert.equal((await h.chain.waitForTransaction(transaction_hash)).execution_status, 'SUCCEEDED');
+    await assert.rejects(builder.prepare(alice.id), { status: 409, message: 'Claim simulation reverted: Already_Claimed' });
+    assert.equal((await builder.simulate(claim.call, WALLETS.carol)).revert_reason, 'Lock_Not_Found');
+
+    await assert.rejects(builder.build(bob.id), { status: 409, message: `Focus lock ${bob.id} has no on-chain lock_id yet` });
+
+    // A completion flag changed after signing no longer matches the stored message hash
+    await h.db.from('focus_locks').update({ completion_status: false }).eq('id', alice.id);
+    await assert.rejects(builder.build(alice.id), { status: 409, message: `Stored signature of focus lock ${alice.id} does not match its position` });
+});
+
+test('a proof or signature the contract would reject fails the simulation', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+    const alice = h.db.rows('alarms')[0];
+    const builder = new ClaimTransactionBuilder(h.backend);
+
+    const { call, caller } = await builder.build(alice.id);
+    const inflated = { ...call, calldata: [...call.calldata] };
+    inflated.calldata[4] = '0x' + (BigInt(call.calldata[4]) + 1n).toString(16);
+    assert.equal((await builder.simulate(inflated, caller)).revert_reason, 'Invalid_Proof');
+
+    h.chain.setVerifiedSigner(h.contractAddress, '0x1234');
+    await assert.rejects(builder.prepare(alice.id), { status: 409, message: 'Claim simulation reverted: Invalid_Signature' });
+
+    h.chain.getSimulateTransaction = async () => {
+        throw new Error('RPC timeout');
+    };
+    await assert.rejects(builder.prepare(alice.id), /RPC timeout/);
+    assert.equal(h.backend.metrics.errors.get({ product: 'alarm', source: 'rpc', operation: 'simulate_transaction' }), 1);
+});
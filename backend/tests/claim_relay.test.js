@@ -0,0 +1,180 @@
+// claim_relay.test.js - Gasless claims signed by the user and relayed through the mock paymaster
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ec, typedData } = require('starknet');
+const { ClaimRelay } = require('../claim_relay');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness, decodeOutsideExecution, MockStarknetProvider } = require('../harness');
+const { STRK, DAY, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const USER_KEYS = {
+    [WALLETS.alice]: '0x3c1e9550e66958296d11b60f8e8e7a7ad990d07fa65d5f7652c4a6c87d4e3cc',
+    [WALLETS.bob]: '0x5b7d4f1d9a3c2e8b6f0a4d2c1e9b7a5f3d1c8e6b4a2f0d9c7e5b3a1f8d6c4e2'
+};
+
+async function settledHarness(options = {}) {
+    const h = createSettlementHarness(AlarmContractBackend, { sponsored: true });
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+    for (const [address, key] of Object.entries(USER_KEYS)) {
+        h.chain.setAccountPublicKey(address, ec.starkCurve.getStarkKey(key));
+    }
+    h.account.executions.length = 0;
+    const relay = new ClaimRelay(h.backend, options);
+    return { h, relay };
+}
+
+// A second copy of the module, as another API process would load it: it has its own reservation lock
+function loadRelayOfAnotherProcess() {
+    const path = require.resolve('../claim_relay');
+    const loaded = require.cache[path];
+    delete require.cache[path];
+    try {
+        return require('../claim_relay').ClaimRelay;
+    } finally {
+        require.cache[path] = loaded;
+    }
+}
+
+function signPrepared(prepared, key = USER_KEYS[prepared.caller]) {
+    const messageHash = typedData.getMessageHash(prepared.typed_data, prepared.caller);
+    const { r, s } = ec.starkCurve.sign(messageHash, key);
+    return { outside_execution: prepared.outside_execution, signature: ['0x' + r.toString(16), '0x' + s.toString(16)] };
+}
+
+test('a signed claim is relayed sponsored as execute_from_outside_v2 and cannot be replayed', async () => {
+    const { h, relay } = await settledHarness();
+    const alice = h.db.rows('alarms')[0];
+
+    const prepared = await relay.prepare(alice.id);
+    assert.equal(prepared.caller, WALLETS.alice);
+    assert.equal(prepared.outside_execution.caller, h.account.address);
+    assert.equal(prepared.typed_data.primaryType, 'OutsideExecution');
+    const result = await relay.submit(alice.id, signPrepared(prepared));
+
+    assert.equal(h.account.executions.length, 1);
+    const [{ method, calls, details }] = h.account.executions;
+    assert.equal(method, 'executePaymasterTransaction');
+    assert.deepEqual(details, { feeMode: { mode: 'sponsored' } });
+    assert.equal(calls[0].entrypoint, 'execute_from_outside_v2');
+    const decoded = decodeOutsideExecution(calls[0]);
+    assert.equal(BigInt(decoded.account), BigInt(WALLETS.alice));
+    assert.deepEqual(decoded.calls[0].calldata, prepared.call.calldata.map(BigInt).map(v => '0x' + v.toString(16)));
+
+    assert.ok(h.chain.claims.has(MockStarknetProvider.key(h.contractAddress, BigInt(WALLETS.alice), DAY, 1)));
+    const [row] = h.db.rows('sponsored_claims');
+    assert.equal(row.status, 'succeeded');
+    assert.equal(row.transaction_hash, result.transaction_hash);
+    assert.equal(row.fee, result.fee);
+    assert.equal(h.backend.metrics.sponsoredClaims.get({ product: 'alarm', status: 'succeeded' }), 1);
+
+    // The same signed payload again: the contract has the claim and the account has the nonce
+    await h.db.from('alarms').update({ has_claimed: false }).eq('id', alice.id);
+    await assert.rejects(relay.submit(alice.id, signPrepared(prepared)), { status: 409 });
+    assert.equal(h.account.executions.length, 1);
+});
+
+test('a signature by another key or an expired outside execution is never sent', async () => {
+    const { h, relay } = await settledHarness();
+    const alice = h.db.rows('alarms')[0];
+    const prepared = await relay.prepare(alice.id);
+
+    await assert.rejects(relay.submit(alice.id, signPrepared(prepared, USER_KEYS[WALLETS.bob])),
+        { status: 409, message: 'Relayed claim would revert: SRC9: invalid signature' });
+    assert.equal(h.backend.metrics.sponsoredClaims.get({ product: 'alarm', status: 'rejected' }), 1);
+
+    const expired = signPrepared(prepared);
+    expired.outside_execution = { ...prepared.outside_execution, execute_before: Math.floor(Date.now() / 1000) - 1 };
+    await assert.rejects(relay.submit(alice.id, expired), { status: 400 });
+    const notRelayer = signPrepared(prepared);
+    notRelayer.outside_execution = { ...prepared.outside_execution, caller: WALLETS.carol };
+    await assert.rejects(relay.submit(alice.id, notRelayer), { status: 400, message: /must name the relayer/ });
+    await assert.rejects(relay.submit(alice.id, {}), { status: 400 });
+
+    assert.equal(h.account.executions.length, 0);
+    assert.equal(h.db.rows('sponsored_claims').length, 0);
+});
+
+test('per-user limits and the daily budget stop sponsoring, failed submissions and old days do not count', async () => {
+    const { h, relay } = await settledHarness({ maxClaimsPerUser: 1, dailyBudget: 15n * STRK / 1000n });
+    const [alice, bob] = h.db.rows('alarms');
+    // Yesterday's spending is outside today's budget
+    await h.db.from('sponsored_claims').insert({
+        product: 'alarm', user_address: WALLETS.bob, status: 'succeeded', fee: (10n * STRK).toString(),
+        created_at: new Date(Date.now() - 2 * 86400 * 1000).toISOString()
+    });
+
+    h.account.failNext();
+    await assert.rejects(relay.submit(alice.id, signPrepared(await relay.prepare(alice.id))), /transaction submission failed/);
+    assert.equal(h.db.rows('sponsored_claims').find(row => row.position_id === alice.id).status, 'failed');
+
+    await relay.submit(alice.id, signPrepared(await relay.prepare(alice.id)));
+    await h.db.from('alarms').update({ has_claimed: false }).eq('id', alice.id);
+    await assert.rejects(relay.prepare(alice.id), { status: 429 });
+
+    // The mock paymaster quotes 0.01 STRK; 0.015 STRK leaves no room for a second claim
+    await assert.rejects(relay.prepare(bob.id).then(prepared => relay.submit(bob.id, signPrepared(prepared))),
+        { status: 503, message: /Daily sponsorship budget spent/ });
+    assert.deepEqual(await relay.usage(WALLETS.bob), { user_claims: 0, spent_today: 10n ** 16n });
+    // The failed submission and Alice's claim; nothing for Bob
+    assert.equal(h.account.executions.length, 2);
+
+    assert.throws(() => new ClaimRelay(createSettlementHarness(AlarmContractBackend).backend), /need the AVNU paymaster/);
+});
+
+test('concurrent submissions cannot both pass the budget, and a relay without a receipt stays pending until reconciled', async () => {
+    let clock = Date.now();
+    const { h, relay } = await settledHarness({ dailyBudget: 15n * STRK / 1000n, now: () => clock });
+    const [alice, bob] = h.db.rows('alarms');
+    const signed = await Promise.all([alice, bob].map(async row => signPrepared(await relay.prepare(row.id))));
+
+    const results = await Promise.allSettled([relay.submit(alice.id, signed[0]), relay.submit(bob.id, signed[1])]);
+    assert.deepEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(r => r.status === 'rejected').reason.status, 503);
+    assert.equal(h.db.rows('sponsored_claims').length, 1);
+
+    // A wait that gives up has no receipt to judge by: the row keeps its hash and keeps counting
+    const { h: h2, relay: relay2 } = await settledHarness({ now: () => clock });
+    const position = h2.db.rows('alarms')[0];
+    const getTransactionStatus = h2.chain.getTransactionStatus.bind(h2.chain);
+    h2.chain.getTransactionStatus = async () => ({ finality_status: 'RECEIVED' });
+    h2.backend.sender.options.waitTimeoutSeconds = 0.01;
+    await assert.rejects(relay2.submit(position.id, signPrepared(await relay2.prepare(position.id))), /Timed out after/);
+    h2.chain.getTransactionStatus = getTransactionStatus;
+    await h2.db.from('sponsored_claims').insert({
+        product: 'alarm', user_address: WALLETS.bob, status: 'pending', fee: '1', created_at: new Date(clock).toISOString()
+    });
+    const [pending] = h2.db.rows('sponsored_claims');
+    assert.equal(pending.status, 'pending');
+    assert.ok(pending.transaction_hash);
+    assert.equal(h2.backend.metrics.sponsoredClaims.get({ product: 'alarm', status: 'unconfirmed' }), 1);
+
+    assert.deepEqual(await relay2.reconcile(), { settled: 0, expired: 0 });
+    clock += 3601 * 1000;
+    assert.deepEqual(await relay2.reconcile(), { settled: 1, expired: 1 });
+    assert.deepEqual(h2.db.rows('sponsored_claims').map(row => row.status), ['succeeded', 'expired']);
+});
+
+test('submissions through two API processes sharing the table never both pass the budget', async () => {
+    const { h, relay } = await settledHarness({ dailyBudget: 15n * STRK / 1000n });
+    const OtherProcessRelay = loadRelayOfAnotherProcess();
+    const other = new OtherProcessRelay(h.backend, { dailyBudget: 15n * STRK / 1000n });
+    assert.notEqual(OtherProcessRelay, ClaimRelay);
+    const [alice, bob] = h.db.rows('alarms');
+    const signed = await Promise.all([alice, bob].map(async row => signPrepared(await relay.prepare(row.id))));
+
+    const results = await Promise.allSettled([relay.submit(alice.id, signed[0]), other.submit(bob.id, signed[1])]);
+
+    // Each reservation sees the other's row: at most one goes through, and a refused one leaves no row
+    assert.ok(results.filter(r => r.status === 'fulfilled').length <= 1);
+    assert.ok(results.filter(r => r.status === 'rejected').every(r => r.reason.status === 503));
+    const rows = h.db.rows('sponsored_claims');
+    assert.equal(rows.length, results.filter(r => r.status === 'fulfilled').length);
+    assert.equal(h.account.executions.length, rows.length);
+
+    // Once the race is over a submission is admitted again
+    if (rows.length === 0) {
+        await relay.submit(alice.id, signPrepared(await relay.prepare(alice.id)));
+        assert.equal(h.db.rows('sponsored_claims').length, 1);
+    }
+});
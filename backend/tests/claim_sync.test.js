@@ -0,0 +1,93 @@
+// claim_sync.test.js - has_claimed synced from indexed WinningsClaimed events and contract reads (alarms and focus locks)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hash } = require('starknet');
+const { ClaimSync } = require('../claim_sync');
+const { EventIndexer } = require('../event_indexer');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { ClaimTransactionBuilder } = require('../claim_builder');
+const { createSettlementHarness, MockAccount } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const hex = value => '0x' + BigInt(value).toString(16);
+
+function winningsClaimed(h, wallet, wakeupTime, snoozeCount, amount, transactionHash) {
+    return {
+        from_address: h.contractAddress,
+        keys: [hash.getSelectorFromName('WinningsClaimed'), ...[wallet, wakeupTime, snoozeCount, amount, 0n].map(hex)],
+        transaction_hash: transactionHash
+    };
+}
+
+test('indexed WinningsClaimed events mark alarms claimed with their tx hash and block time', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+    const claimTime = PM + 50000;
+    h.chain.mineBlock([winningsClaimed(h, WALLETS.alice, PM + 600, 0, 181n * STRK / 10n, '0xc1a1')], { timestamp: claimTime });
+    await new EventIndexer(h.backend).run();
+
+    const sync = new ClaimSync(h.backend);
+    assert.deepEqual(await sync.run(), { source: 'events', checked: 3, claimed: 1 });
+
+    const alarms = h.db.rows('alarms');
+    const alice = alarms.find(alarm => alarm.wakeup_time === PM + 600);
+    assert.equal(alice.has_claimed, true);
+    assert.equal(alice.claim_tx_hash, '0xc1a1');
+    assert.equal(alice.claimed_at, new Date(claimTime * 1000).toISOString());
+    assert.equal(alarms.filter(alarm => alarm.has_claimed).length, 1);
+    const claimRow = h.db.rows('user_claim_data').find(row => row.alarm_id === alice.id);
+    assert.equal(claimRow.claimed_at, alice.claimed_at);
+
+    assert.deepEqual(await sync.run(), { source: 'events', checked: 2, claimed: 0 });
+    // Claimed payouts no longer count as owed
+    assert.equal((await h.backend.calculateOutstanding()).rewards, 0n);
+});
+
+test('contract reads mark claimed alarms and focus locks, skipping unreadable positions', async () => {
+    const alarmHarness = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(alarmHarness);
+    await alarmHarness.backend.processAlarmPool(DAY, 1);
+    alarmHarness.chain.setClaimed(alarmHarness.contractAddress, WALLETS.bob, DAY, 1);
+
+    const alarmSync = new ClaimSync(alarmHarness.backend, { source: 'view', batchSize: 2 });
+    assert.deepEqual(await alarmSync.run(), { source: 'view', checked: 3, claimed: 1 });
+    const bob = alarmHarness.db.rows('alarms').find(alarm => alarm.wakeup_time === PM + 1200);
+    assert.equal(bob.has_claimed, true);
+    assert.equal(bob.claim_tx_hash, undefined);
+
+    const h = createSettlementHarness(FocusLockContractBackend);
+    const start = DAY * 86400 + 21600 + 300;
+    const alice = h.seedFocusLock({ wallet: WALLETS.alice, start_time: start, duration_minutes: 30, stake_amount: (4n * STRK).toString(), lock_id: 7 });
+    h.seedFocusLock({ wallet: WALLETS.bob, start_time: start + 60, duration_minutes: 60, stake_amount: (2n * STRK).toString(), lock_id: 8 });
+    h.seedFocusLock({ wallet: WALLETS.carol, start_time: start + 120, duration_minutes: 60, stake_amount: STRK.toString(), completion_status: false });
+    await h.backend.processFocusLockPool(DAY, 1);
+
+    // Alice claims through the lock contract
+    const claim = await new ClaimTransactionBuilder(h.backend).build(alice.id);
+    const { transaction_hash } = await new MockAccount(h.chain, { address: WALLETS.alice }).execute([claim.call]);
+    await h.chain.waitForTransaction(transaction_hash);
+
+    const lockSync = new ClaimSync(h.backend);
+    assert.equal(ClaimSync.supports(h.backend.strategy), true);
+    assert.equal(lockSync.source, 'view');
+    assert.deepEqual(await lockSync.run(), { source: 'view', checked: 3, claimed: 1 });
+    assert.deepEqual(h.db.rows('focus_locks').map(lock => lock.has_claimed), [true, false, false]);
+    assert.throws(() => new ClaimSync(h.backend, { source: 'events' }), /focus lock claim events are not indexed/);
+});
+
+test('a failing contract read leaves the position unclaimed and counts an rpc error', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+    h.chain.onCall('get_has_claimed_winnings', () => {
+        throw new Error('RPC timeout');
+    });
+
+    const result = await new ClaimSync(h.backend, { source: 'view' }).run();
+
+    assert.equal(result.claimed, 0);
+    assert.equal(h.db.rows('alarms').some(alarm => alarm.has_claimed), false);
+    assert.equal(h.backend.metrics.errors.get({ product: 'alarm', source: 'rpc', operation: 'read_claim_status' }), 3);
+});
@@ -0,0 +1,129 @@
+// event_indexer.test.js - Alarm contract events indexed from getEvents, reorgs and chain-truth stakes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hash } = require('starknet');
+const { EventIndexer } = require('../event_indexer');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const hex = value => '0x' + BigInt(value).toString(16);
+const u256 = value => [hex(BigInt(value) & ((1n << 128n) - 1n)), hex(BigInt(value) >> 128n)];
+
+/**
+ * Emitted events as the alarm contract writes them: every field is a key.
+ */
+function emitted(h, name, fields, transactionHash) {
+    return {
+        from_address: h.contractAddress,
+        keys: [hash.getSelectorFromName(name), ...fields.map(hex)],
+        transaction_hash: transactionHash
+    };
+}
+
+const alarmSet = (h, wallet, wakeupTime, stake, tx) => emitted(h, 'AlarmSet', [wallet, wakeupTime, ...u256(stake)], tx);
+
+test('events are decoded into their tables, paged and never duplicated', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const indexer = new EventIndexer(h.backend, { chunkSize: 2 });
+    h.chain.mineBlock([
+        alarmSet(h, WALLETS.alice, PM + 600, 10n * STRK, '0xa1'),
+        alarmSet(h, WALLETS.bob, PM + 1200, 5n * STRK, '0xb1'),
+        // Another contract's event with the same selector is not ours
+        { ...alarmSet(h, WALLETS.carol, PM + 1800, STRK, '0xc1'), from_address: '0xa1e7' }
+    ]);
+    h.chain.mineBlock([
+        emitted(h, 'WinningsClaimed', [WALLETS.alice, PM + 600, 0, ...u256(181n * STRK / 10n)], '0xa2'),
+        emitted(h, 'MerkleRootSet', ['0x123abc', DAY, 1], '0xd1'),
+        emitted(h, 'VerifiedSignerSet', ['0x5157'], '0xd1')
+    ]);
+
+    const result = await indexer.run();
+
+    assert.deepEqual(result, {
+        from_block: 0,
+        to_block: 1,
+        events: 5,
+        rows: { chain_alarm_sets: 2, chain_winnings_claimed: 1, chain_merkle_roots: 1, chain_verified_signers: 1 }
+    });
+    const { id, created_at, ...alice } = h.db.rows('chain_alarm_sets')[0];
+    assert.deepEqual(alice, {
+        contract_address: h.contractAddress,
+        token: 'STRK',
+        user_address: WALLETS.alice,
+        wakeup_time: PM + 600,
+        stake_amount: (10n * STRK).toString(),
+        day: DAY,
+        period: 1,
+        block_number: 0,
+        block_hash: h.chain.blocks[0].block_hash,
+        block_timestamp: new Date(h.chain.blocks[0].timestamp * 1000).toISOString(),
+        transaction_hash: '0xa1',
+        event_index: 0
+    });
+    const [claimed] = h.db.rows('chain_winnings_claimed');
+    assert.equal(claimed.winnings_amount, (181n * STRK / 10n).toString());
+    assert.equal(claimed.snooze_count, 0);
+    assert.deepEqual(
+        h.db.rows('chain_merkle_roots').map(({ merkle_root, day, period }) => ({ merkle_root, day, period })),
+        [{ merkle_root: '0x123abc', day: DAY, period: 1 }]
+    );
+    assert.equal(h.db.rows('chain_verified_signers')[0].event_index, 1);
+
+    // Nothing new: the cursor stays at the tip
+    assert.equal((await indexer.run()).events, 0);
+    h.chain.mineBlock([alarmSet(h, WALLETS.carol, PM + 1800, 8n * STRK, '0xc2')]);
+    assert.deepEqual(await indexer.run(), { from_block: 2, to_block: 2, events: 1, rows: { chain_alarm_sets: 1, chain_winnings_claimed: 0, chain_merkle_roots: 0, chain_verified_signers: 0 } });
+    assert.equal(h.db.rows('chain_alarm_sets').length, 3);
+    assert.deepEqual(h.db.rows('chain_index_cursors').map(({ block_number, block_hash }) => ({ block_number, block_hash })), [
+        { block_number: 2, block_hash: h.chain.blocks[2].block_hash }
+    ]);
+});
+
+test('a reorganization removes the orphaned blocks\' rows and re-reads recent blocks', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const indexer = new EventIndexer(h.backend, { reorgDepth: 3 });
+    h.chain.mineBlock([alarmSet(h, WALLETS.alice, PM + 600, 10n * STRK, '0xa1')]);
+    h.chain.mineBlock();
+    h.chain.mineBlock([alarmSet(h, WALLETS.bob, PM + 1200, 5n * STRK, '0xb1')]);
+    h.chain.mineBlock([alarmSet(h, WALLETS.carol, PM + 1800, 8n * STRK, '0xc1')]);
+    await indexer.run();
+
+    // Blocks 2 and 3 are replaced: Bob's alarm lands in a new block, Carol's is gone
+    h.chain.reorg(2);
+    h.chain.mineBlock();
+    h.chain.mineBlock([alarmSet(h, WALLETS.bob, PM + 1200, 5n * STRK, '0xb1')]);
+    h.chain.mineBlock();
+
+    const result = await indexer.run();
+
+    assert.equal(result.from_block, 1);
+    assert.equal(result.to_block, 4);
+    const rows = h.db.rows('chain_alarm_sets');
+    assert.deepEqual(rows.map(row => [row.user_address, row.block_number]), [[WALLETS.alice, 0], [WALLETS.bob, 3]]);
+    assert.equal(rows[1].block_hash, h.chain.blocks[3].block_hash);
+    assert.equal(h.db.rows('chain_index_cursors')[0].block_hash, h.chain.blocks[4].block_hash);
+});
+
+test('chain-truth settlement uses the indexed stakes and refuses alarms the contract never saw', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { stakeSource: 'chain' } });
+    seedAlarmPool(h);
+    // The app recorded 10 STRK for Alice, the contract holds 4
+    h.chain.mineBlock([
+        alarmSet(h, WALLETS.alice, PM + 600, 4n * STRK, '0xa1'),
+        alarmSet(h, WALLETS.bob, PM + 1200, 5n * STRK, '0xb1')
+    ]);
+    await new EventIndexer(h.backend).run();
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /No indexed AlarmSet event for 1 alarm\(s\).*0x07bd8a63.*indexer behind/);
+    assert.equal(h.account.executions.length, 0);
+
+    h.chain.mineBlock([alarmSet(h, WALLETS.carol, PM + 1800, 8n * STRK, '0xc1')]);
+    await new EventIndexer(h.backend).run();
+    const { report } = await h.backend.processAlarmPool(DAY, 1, { dryRun: true });
+
+    const alice = report.users.find(user => user.address === WALLETS.alice);
+    assert.equal(alice.stake_amount, (4n * STRK).toString());
+    assert.equal(report.total_slashed_amount, (9n * STRK).toString());
+    assert.throws(() => new AlarmContractBackend({ stakeSource: 'indexer' }), /Unknown stake source indexer/);
+});
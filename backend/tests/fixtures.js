@@ -0,0 +1,29 @@
+// fixtures.js - Shared pool data for the settlement tests
+const STRK = 10n ** 18n;
+const DAY = 20343;
+const PM = DAY * 86400 + 43200;
+
+const WALLETS = {
+    alice: '0x068e5011bbef90f8227382ea517277b631339205af237d5e853573248fc726a4',
+    bob: '0x04b30350238863e574f135c84b48f860be87c90afc37843709b4613aab32f018',
+    carol: '0x07bd8a637e29d94961f31c9561b952069057a5a9cad3179303b9c37710eb2cdd',
+    dave: '0x05f1e3b7c2a9d48e6b0f7a1c3d5e7f9a1b3c5d7e9f1a3b5c7d9e1f3a5b7c9d1e'
+};
+
+/**
+ * Seeds the Day 20343 PM alarm pool: one winner, one 20% and one 100% slash.
+ */
+function seedAlarmPool(h) {
+    h.seedAlarm({ wallet: WALLETS.alice, wakeup_time: PM + 600, stake_amount: (10n * STRK).toString(), snooze_count: 0 });
+    h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: PM + 1200, stake_amount: (5n * STRK).toString(), snooze_count: 1 });
+    h.seedAlarm({ wallet: WALLETS.carol, wakeup_time: PM + 1800, stake_amount: (8n * STRK).toString(), snooze_count: 3 });
+}
+
+/**
+ * A send that failed before reaching the node, as fetch reports a refused connection.
+ */
+function unreachableNode(message = 'fetch failed') {
+    return Object.assign(new TypeError(message), { cause: Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:5050'), { code: 'ECONNREFUSED' }) });
+}
+
+module.exports = { STRK, DAY, PM, WALLETS, seedAlarmPool, unreachableNode };
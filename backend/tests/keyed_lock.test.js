@@ -0,0 +1,26 @@
+// keyed_lock.test.js - Tasks on one key run one at a time, in call order
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KeyedLock } = require('../keyed_lock');
+
+test('tasks on a key never overlap, other keys do not wait, and a failing task releases the key', async () => {
+    const lock = new KeyedLock();
+    const events = [];
+    const task = (name, ms) => async () => {
+        events.push(`${name}:start`);
+        await new Promise(resolve => setTimeout(resolve, ms));
+        events.push(`${name}:end`);
+        return name;
+    };
+
+    const results = await Promise.allSettled([
+        lock.run('pool', task('a', 20)),
+        lock.run('pool', async () => { throw new Error('boom'); }),
+        lock.run('pool', task('b', 1)),
+        lock.run('other', task('c', 1))
+    ]);
+
+    assert.deepEqual(results.map(r => r.value ?? r.reason.message), ['a', 'boom', 'b', 'c']);
+    assert.deepEqual(events, ['a:start', 'c:start', 'c:end', 'a:end', 'b:start', 'b:end']);
+    assert.equal(lock.isLocked('pool'), false);
+});
@@ -0,0 +1,97 @@
+// logger.test.js - Structured log lines and pool correlation fields
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger } = require('../logger');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness } = require('../harness');
+const { DAY, seedAlarmPool } = require('./fixtures');
+
+function capture(options = {}) {
+    const lines = [];
+    const logger = new Logger({ write: line => lines.push(line), ...options });
+    return { logger, lines, records: () => lines.map(line => JSON.parse(line)) };
+}
+
+test('writes one JSON line per call with level, message, run_id and fields', () => {
+    const { logger, records } = capture();
+
+    logger.info('Merkle root submitted', { transaction_hash: '0xabc', new_rewards: 5n });
+    logger.error('Failed', { error: new Error('boom') });
+
+    const [info, error] = records();
+    assert.equal(info.level, 'info');
+    assert.equal(info.msg, 'Merkle root submitted');
+    assert.equal(info.transaction_hash, '0xabc');
+    assert.equal(info.new_rewards, '5');
+    assert.match(info.run_id, /^[0-9a-f-]{36}$/);
+    assert.equal(error.run_id, info.run_id);
+    assert.equal(error.error.message, 'boom');
+});
+
+test('BigInts and errors are serialized at any depth, in JSON and pretty lines', () => {
+    const { logger, records } = capture();
+
+    logger.info('Pool amounts', { amounts: { alice: 30n, bob: [31n, { fee: 1n }] }, failures: [{ error: new Error('nested') }] });
+
+    const [line] = records();
+    assert.deepEqual(line.amounts, { alice: '30', bob: ['31', { fee: '1' }] });
+    assert.equal(line.failures[0].error.message, 'nested');
+
+    const pretty = capture({ format: 'pretty' });
+    pretty.logger.info('Pool amounts', { amounts: { alice: 30n } });
+    assert.match(pretty.lines[0], /amounts=\{"alice":"30"\}$/);
+});
+
+test('drops lines below the configured level', () => {
+    const { logger, records } = capture({ level: 'warn' });
+
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    assert.deepEqual(records().map(r => r.msg), ['warn', 'error']);
+    assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level/);
+});
+
+test('context fields follow async work and nest', async () => {
+    const { logger, records } = capture();
+
+    await logger.withContext({ day: DAY, period: 1 }, async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        logger.info('inside');
+        await logger.withContext({ alarm_id: 'a-1' }, async () => logger.info('nested'));
+    });
+    logger.info('outside');
+
+    const [inside, nested, outside] = records();
+    assert.equal(inside.day, DAY);
+    assert.equal(nested.period, 1);
+    assert.equal(nested.alarm_id, 'a-1');
+    assert.equal(outside.day, undefined);
+});
+
+test('pool runs tag every line with day and period, and per-position lines with alarm_id', async () => {
+    const { logger, records } = capture({ level: 'debug' });
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { logger } });
+    seedAlarmPool(h);
+
+    await h.backend.processAlarmPool(DAY, 1);
+
+    const lines = records();
+    assert.ok(lines.length > 0);
+    assert.ok(lines.every(r => r.day === DAY && r.period === 1 && r.product === 'alarm'));
+    assert.equal(new Set(lines.map(r => r.run_id)).size, 1);
+
+    const alarmIds = h.db.rows('alarms').map(a => a.id).sort();
+    const claimLines = lines.filter(r => r.msg === 'Claim data prepared');
+    assert.deepEqual(claimLines.map(r => r.alarm_id).sort(), alarmIds);
+});
+
+test('pretty format prints a short human-readable line', () => {
+    const { logger, lines } = capture({ format: 'pretty', fields: { run_id: '1234567890' } });
+
+    logger.warn('Pool skipped', { day: DAY, period: 1 });
+
+    assert.match(lines[0], /^\d{2}:\d{2}:\d{2} WARN  \[12345678\] Pool skipped day=20343 period=1$/);
+});
@@ -0,0 +1,122 @@
+// metrics.test.js - Prometheus exposition and settlement health metrics
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsRegistry, SettlementMetrics } = require('../metrics');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { SettlementScheduler } = require('../settlement_daemon');
+const { createSettlementHarness } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+test('renders counters, gauges and histograms in the text format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('jobs_total', 'Jobs run', ['product']);
+    const gauge = registry.gauge('queue_depth', 'Queued jobs');
+    const histogram = registry.histogram('job_seconds', 'Job latency', ['product'], [1, 5]);
+
+    counter.inc({ product: 'focus "lock"' });
+    counter.inc({ product: 'alarm' }, 2);
+    gauge.set({}, 3);
+    histogram.observe({ product: 'alarm' }, 0.5);
+    histogram.observe({ product: 'alarm' }, 3);
+
+    assert.equal(registry.render(), [
+        '# HELP jobs_total Jobs run',
+        '# TYPE jobs_total counter',
+        'jobs_total{product="focus \\"lock\\""} 1',
+        'jobs_total{product="alarm"} 2',
+        '# HELP queue_depth Queued jobs',
+        '# TYPE queue_depth gauge',
+        'queue_depth 3',
+        '# HELP job_seconds Job latency',
+        '# TYPE job_seconds histogram',
+        'job_seconds_bucket{product="alarm",le="1"} 1',
+        'job_seconds_bucket{product="alarm",le="5"} 2',
+        'job_seconds_bucket{product="alarm",le="+Inf"} 2',
+        'job_seconds_sum{product="alarm"} 3.5',
+        'job_seconds_count{product="alarm"} 2',
+        ''
+    ].join('\n'));
+    assert.throws(() => counter.inc({}, -1), /cannot decrease/);
+    assert.throws(() => registry.gauge('queue_depth', 'again'), /already registered/);
+});
+
+test('a finalized pool records its amounts, delay, fee mode and confirmation latency', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { sponsored: true });
+    seedAlarmPool(h);
+    const { metrics } = h.backend;
+
+    await h.backend.processAlarmPool(DAY, 1);
+    // A re-run of a done pool is not a second finalization
+    await h.backend.processAlarmPool(DAY, 1);
+
+    const product = { product: 'alarm' };
+    assert.equal(metrics.poolsFinalized.get(product), 1);
+    assert.equal(metrics.poolAmount.get({ product: 'alarm', token: 'STRK', kind: 'slashed' }), Number(9n * STRK));
+    assert.equal(metrics.poolAmount.get({ product: 'alarm', token: 'STRK', kind: 'rewards' }), Number(81n * STRK / 10n));
+    assert.equal(metrics.poolAmount.get({ product: 'alarm', token: 'STRK', kind: 'fees' }), Number(9n * STRK / 10n));
+    assert.equal(metrics.transactions.get({ product: 'alarm', mode: 'sponsored' }), 1);
+    assert.equal(metrics.transactions.get({ product: 'alarm', mode: 'regular' }), 0);
+    assert.equal(metrics.waitForTransaction.get(product).count, 1);
+
+    const delay = metrics.finalizationDelay.get(product);
+    assert.equal(delay.count, 1);
+    assert.ok(delay.sum >= Math.floor(Date.now() / 1000) - (PM + 43200) - 1);
+});
+
+test('failed submissions count as RPC errors and failed pools', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.account.failNext();
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1));
+
+    const { metrics } = h.backend;
+    assert.equal(metrics.poolsFailed.get({ product: 'alarm' }), 1);
+    assert.equal(metrics.errors.get({ product: 'alarm', source: 'rpc', operation: 'execute' }), 1);
+    assert.equal(metrics.poolsFinalized.get({ product: 'alarm' }), 0);
+});
+
+test('supabase query failures are counted per operation', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.db.failNext('alarms', 'select');
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1));
+
+    assert.equal(h.backend.metrics.errors.get({ product: 'alarm', source: 'supabase', operation: 'fetch_pool_users' }), 1);
+});
+
+test('unprocessed lookups publish the pending count and the oldest pool age', async () => {
+    const h = createSettlementHarness(FocusLockContractBackend);
+    const now = Math.floor(Date.now() / 1000);
+    // Ended three days ago: skipped for processing, but still pending for alerting
+    const oldStart = now - 3 * 86400 - 3600;
+    h.seedFocusLock({ wallet: WALLETS.alice, start_time: oldStart, duration_minutes: 30, stake_amount: STRK.toString() });
+    h.seedFocusLock({ wallet: WALLETS.alice, start_time: now - 600, duration_minutes: 5, stake_amount: STRK.toString() });
+
+    const pools = await h.backend.findAllUnprocessedPools();
+
+    const { metrics } = h.backend;
+    const oldPool = h.backend.getPoolInfo(oldStart);
+    const oldEnd = h.backend.strategy.getPeriodBounds(oldPool.day, oldPool.period).periodEnd;
+    assert.equal(pools.length, 1);
+    assert.equal(metrics.poolsPending.get({ product: 'focus lock', token: 'STRK' }), 2);
+    assert.ok(Math.abs(metrics.oldestPendingAge.get({ product: 'focus lock', token: 'STRK' }) - (now - oldEnd)) <= 2);
+});
+
+test('the daemon publishes its schedule by product and status', async () => {
+    const metrics = new SettlementMetrics();
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { metrics } });
+    seedAlarmPool(h);
+    const clock = { time: PM + 43200 + 1800 };
+    const scheduler = new SettlementScheduler([h.backend], { now: () => clock.time });
+
+    await scheduler.tick();
+
+    assert.equal(scheduler.metrics, metrics);
+    assert.equal(metrics.scheduledPools.get({ product: 'alarm', status: 'done' }), 1);
+    assert.equal(metrics.scheduledPools.get({ product: 'alarm', status: 'pending' }), 1); // the next, still open pool
+    assert.equal(metrics.scheduledPools.get({ product: 'alarm', status: 'failed' }), 0);
+    assert.match(metrics.registry.render(), /settlement_pools_finalized_total\{product="alarm"\} 1/);
+});
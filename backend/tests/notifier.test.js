@@ -0,0 +1,104 @@
+// notifier.test.js - Alert webhooks against a local HTTP sink
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebhookNotifier, formatAlertText, notifierFromEnv } = require('../notifier');
+const { Logger } = require('../logger');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createSettlementHarness, startWebhookSink } = require('../harness');
+const { STRK, DAY, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const silent = new Logger({ level: 'silent' });
+
+async function withSinks(t, ...statuses) {
+    const sinks = await Promise.all(statuses.map(status => startWebhookSink({ status })));
+    t.after(() => Promise.all(sinks.map(sink => sink.close())));
+    const notifier = new WebhookNotifier({ urls: sinks.map(sink => sink.url), logger: silent });
+    return { sinks, notifier };
+}
+
+function alertsOf(sink, event) {
+    return sink.requests.map(r => r.body).filter(body => body.event === event);
+}
+
+test('a reverted merkle root transaction alerts every webhook with the pool, error and tx hash', async (t) => {
+    const { sinks: [first, broken, second], notifier } = await withSinks(t, 200, 500, 200);
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { notifier } });
+    seedAlarmPool(h);
+    // Reverts on every attempt the run makes
+    h.account.revertNext('Mock: execution reverted', 3);
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /Blockchain finalization required/);
+
+    for (const sink of [first, second]) {
+        const [alert] = alertsOf(sink, 'finalization_failed');
+        assert.equal(alert.product, 'alarm');
+        assert.equal(alert.day, DAY);
+        assert.equal(alert.period, 1);
+        assert.match(alert.error, /REVERTED/);
+        assert.match(alert.transaction_hash, /^0x/);
+        assert.match(alert.text, /\[alarm STRK\] Day 20343, Period 1: finalization failed/);
+    }
+    // The failing webhook got the same post; its 500 did not change the pool error
+    assert.equal(broken.requests.length, 1);
+});
+
+test('an on-chain root mismatch sends one specific alert, not a second failure alert', async (t) => {
+    const { sinks: [sink], notifier } = await withSinks(t, 200);
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { notifier } });
+    seedAlarmPool(h);
+    h.chain.setPool(h.contractAddress, DAY, 1, { merkle_root: '0x1234', is_finalized: true });
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /already finalized on-chain/);
+
+    assert.equal(sink.requests.length, 1);
+    const [alert] = alertsOf(sink, 'merkle_root_mismatch');
+    assert.equal(alert.onchain_merkle_root, '0x1234');
+    assert.match(alert.merkle_root, /^0x/);
+});
+
+test('pools unprocessed past the threshold alert once per pool', async (t) => {
+    const { sinks: [sink], notifier } = await withSinks(t, 200);
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { notifier, stuckPoolHours: 12 } });
+    seedAlarmPool(h);
+    const now = Math.floor(Date.now() / 1000);
+    h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: now - 600, stake_amount: STRK.toString(), snooze_count: 0 });
+
+    await h.backend.findAllUnprocessedPools();
+    await h.backend.findAllUnprocessedPools();
+
+    const alerts = alertsOf(sink, 'pool_stuck');
+    assert.equal(alerts.length, 1); // the current pool is not stuck; the old one alerts once
+    assert.equal(alerts[0].day, DAY);
+    assert.ok(alerts[0].hours_since_period_end >= 12);
+});
+
+test('focus locks dropped by the 48h cutoff alert with their ids', async (t) => {
+    const { sinks: [sink], notifier } = await withSinks(t, 200);
+    const h = createSettlementHarness(FocusLockContractBackend, { backendOptions: { notifier, stuckPoolHours: 1000000 } });
+    const oldStart = Math.floor(Date.now() / 1000) - 3 * 86400;
+    const lock = h.seedFocusLock({ wallet: WALLETS.alice, start_time: oldStart, duration_minutes: 30, stake_amount: STRK.toString() });
+
+    const pools = await h.backend.findAllUnprocessedPools();
+    await h.backend.findAllUnprocessedPools();
+
+    assert.deepEqual(pools, []);
+    const alerts = alertsOf(sink, 'cutoff_skipped');
+    assert.equal(alerts.length, 1);
+    assert.equal(alerts[0].product, 'focus lock');
+    assert.deepEqual(alerts[0].focus_lock_ids, [lock.id]);
+});
+
+test('without webhooks nothing is sent; env URLs are comma-separated', async () => {
+    const calls = [];
+    const notifier = new WebhookNotifier({ fetch: async (...args) => calls.push(args) });
+    assert.equal(await notifier.notify({ event: 'finalization_failed', product: 'alarm' }), 0);
+    assert.equal(calls.length, 0);
+
+    assert.deepEqual(notifierFromEnv({ ALERT_WEBHOOK_URLS: 'https://a.test/x, https://b.test/y,' }, silent).urls, ['https://a.test/x', 'https://b.test/y']);
+    assert.deepEqual(notifierFromEnv({}, silent).urls, []);
+    assert.equal(
+        formatAlertText({ event: 'pool_stuck', product: 'focus lock', day: 1, period: 2 }),
+        ':rotating_light: [focus lock] Day 1, Period 2: pool still unprocessed'
+    );
+});
@@ -0,0 +1,84 @@
+// pool_audit.test.js - Database rows audited against the contract before finalization
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hash } = require('starknet');
+const { EventIndexer } = require('../event_indexer');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createSettlementHarness } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+test('a matching pool is clean', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+
+    const report = await h.backend.auditPool(DAY, 1);
+
+    assert.equal(report.clean, true);
+    assert.equal(report.positions, 3);
+    assert.deepEqual(report.on_chain, { user_count: 3, total_staked: (23n * STRK).toString() });
+});
+
+test('fake rows, changed stakes, duplicates and on-chain alarms without a row are reported', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const alice = h.seedAlarm({ wallet: WALLETS.alice, wakeup_time: PM + 600, stake_amount: (10n * STRK).toString() });
+    // Test data: a row the contract never saw, a second row for Alice's alarm and a decimal stake
+    const fake = h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: PM + 1200, stake_amount: '15', onChain: false });
+    const copy = h.seedAlarm({ wallet: WALLETS.alice, wakeup_time: PM + 600, stake_amount: (10n * STRK).toString(), onChain: false });
+    const carol = h.seedAlarm({ wallet: WALLETS.carol, wakeup_time: PM + 1800, stake_amount: (8n * STRK).toString() });
+    await h.db.from('alarms').update({ stake_amount: '8.0' }).eq('id', carol.id);
+    // Dave's alarm is on chain and indexed, but the app never wrote it
+    h.chain.setUserAlarm(h.contractAddress, WALLETS.dave, DAY, 1, { stake_amount: STRK, wakeup_time: PM + 2400, status: 'Active' });
+    h.chain.addPoolPosition(h.contractAddress, DAY, 1, STRK);
+    h.chain.mineBlock([{
+        from_address: h.contractAddress,
+        keys: [hash.getSelectorFromName('AlarmSet'), WALLETS.dave, '0x' + (PM + 2400).toString(16), '0x' + STRK.toString(16), '0x0'],
+        transaction_hash: '0xda1'
+    }]);
+    await new EventIndexer(h.backend).run();
+
+    const report = await h.backend.auditPool(DAY, 1);
+
+    assert.equal(report.clean, false);
+    assert.deepEqual(report.missing_on_chain, [{ alarm_id: fake.id, address: WALLETS.bob, stake_amount: '15', wake_up_time: String(PM + 1200) }]);
+    assert.deepEqual(report.duplicates, [{ alarm_id: copy.id, address: WALLETS.alice, duplicate_of: alice.id }]);
+    assert.deepEqual(report.mismatches, [{ alarm_id: carol.id, address: WALLETS.carol, field: 'stake_amount', database: '8.0', chain: (8n * STRK).toString() }]);
+    assert.deepEqual(report.missing_in_db.map(position => [position.address, position.stake_amount]), [[WALLETS.dave, STRK.toString()]]);
+    assert.equal(report.unaccounted_on_chain, 1);
+    assert.equal(report.discrepancies, 4);
+});
+
+test('finalization refuses an unclean pool unless the operator overrides it', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.seedAlarm({ wallet: WALLETS.dave, wakeup_time: PM + 2400, stake_amount: (20n * STRK).toString(), onChain: false });
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /Pool audit found 1 discrepancies/);
+    assert.equal(h.account.executions.length, 0);
+    assert.equal(h.db.rows('settlement_journal').length, 0);
+    // A dry run only previews, it is never blocked
+    assert.equal((await h.backend.processAlarmPool(DAY, 1, { dryRun: true })).success, true);
+
+    const result = await h.backend.processAlarmPool(DAY, 1, { allowDiscrepancies: true });
+    assert.equal(result.success, true);
+    assert.equal(result.pool_info.total_users, 4);
+});
+
+test('focus locks are checked by lock id; locks without one are unverifiable', async () => {
+    const h = createSettlementHarness(FocusLockContractBackend);
+    const start = DAY * 86400 + 21600 + 300;
+    const alice = h.seedFocusLock({ wallet: WALLETS.alice, start_time: start, duration_minutes: 30, stake_amount: (4n * STRK).toString(), lock_id: 7 });
+    const bob = h.seedFocusLock({ wallet: WALLETS.bob, start_time: start + 60, duration_minutes: 60, stake_amount: (2n * STRK).toString(), lock_id: 8 });
+    const carol = h.seedFocusLock({ wallet: WALLETS.carol, start_time: start + 120, duration_minutes: 60, stake_amount: STRK.toString() });
+    // The contract holds Alice's lock for 45 minutes and has no lock 8
+    h.chain.setUserLock(h.contractAddress, WALLETS.alice, 7, { stake_amount: 4n * STRK, start_time: start, duration: 2700 });
+    h.chain.setUserLock(h.contractAddress, WALLETS.bob, 8, { stake_amount: 0n, start_time: 0, duration: 0 });
+
+    const report = await h.backend.auditPool(DAY, 1);
+
+    assert.deepEqual(report.mismatches, [{ focus_lock_id: alice.id, address: WALLETS.alice, field: 'duration', database: '1800', chain: '2700' }]);
+    assert.deepEqual(report.missing_on_chain.map(position => position.focus_lock_id), [bob.id]);
+    assert.deepEqual(report.unverifiable, [{ focus_lock_id: carol.id, address: WALLETS.carol }]);
+    assert.equal(report.unaccounted_on_chain, 1);
+    assert.equal(report.discrepancies, 3);
+});
@@ -0,0 +1,95 @@
+// pricing.test.js - USD values from the PriceConverter contract (mock Pragma oracles)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatUnits, toUsd } = require('../pricing');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool, unreachableNode } = require('./fixtures');
+
+test('amounts are formatted with exact decimals', () => {
+    assert.equal(formatUnits(15n * STRK / 10n, 18), '1.5');
+    assert.equal(formatUnits(1n, 18), '0.000000000000000001');
+    assert.equal(formatUnits(0n, 18), '0');
+    assert.equal(formatUnits('123456789012345678901234567890', 18), '123456789012.34567890123456789');
+    assert.equal(formatUnits(-25n, 1), '-2.5');
+    assert.equal(toUsd(9n * STRK, { price: '20000000', price_decimals: 8 }), 18n * STRK / 10n);
+});
+
+test('a dry-run report values the pool, each payout and the protocol fee in tokens and USD', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.chain.setPrice('STRK/USD', 20000000n, PM + 43300);
+
+    const { report } = await h.backend.processAlarmPool(DAY, 1, { dryRun: true });
+
+    assert.deepEqual(report.pricing, {
+        pair: 'STRK/USD',
+        price: '20000000',
+        price_decimals: 8,
+        usd_price: '0.2',
+        oracle_timestamp: PM + 43300,
+        oracle_time: new Date((PM + 43300) * 1000).toISOString(),
+        source: h.backend.priceOracle.contractAddress
+    });
+    assert.equal(report.total_slashed_amount_decimal, '9');
+    assert.equal(report.total_slashed_amount_usd, '1.8');
+    assert.equal(report.protocol_fees_decimal, '0.9');
+    assert.equal(report.protocol_fees_usd, '0.18');
+    assert.equal(report.new_rewards_usd, '1.62');
+
+    const alice = report.users.find(u => u.address === WALLETS.alice);
+    assert.equal(alice.total_payout_decimal, '18.1');
+    assert.equal(alice.total_payout_usd, '3.62');
+    assert.equal(alice.stake_amount_usd, '2');
+});
+
+test('ETH pools are priced with ETH/USD and the on-chain conversion agrees', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { token: 'ETH' });
+    h.seedAlarm({ wallet: WALLETS.alice, wakeup_time: PM + 600, stake_amount: (2n * STRK).toString(), snooze_count: 0 });
+    h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: PM + 1200, stake_amount: STRK.toString(), snooze_count: 2 });
+
+    const report = await h.backend.previewPool(DAY, 1);
+
+    assert.equal(report.pricing.pair, 'ETH/USD');
+    assert.equal(report.total_slashed_amount_decimal, '0.5');
+    assert.equal(report.total_slashed_amount_usd, '2000');
+    assert.equal(report.protocol_fees_usd, '200');
+    const onChain = await h.backend.priceOracle.convertToUsd('ETH', report.protocol_fees);
+    assert.equal(onChain, toUsd(report.protocol_fees, report.pricing));
+});
+
+test('the price used at settlement is journaled and reused on resume and recompute', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.account.failNext(unreachableNode());
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1));
+    const [journaled] = h.db.rows('settlement_journal');
+    assert.equal(journaled.pricing.price, '20000000');
+
+    // The price moves before the retry; the pool keeps the price it was computed with
+    h.chain.setPrice('STRK/USD', 40000000n);
+    const { pool_info } = await h.backend.processAlarmPool(DAY, 1);
+    assert.equal(pool_info.pricing.oracle_timestamp, journaled.pricing.oracle_timestamp);
+    assert.equal(pool_info.protocol_fees_usd, '0.18');
+    assert.equal(pool_info.total_slashed_amount_decimal, '9');
+
+    const recomputed = await h.backend.recomputePool(DAY, 1);
+    assert.equal(recomputed.protocol_fees_usd, '0.18');
+    assert.equal((await h.backend.previewPool(DAY, 1)).protocol_fees_usd, '0.36');
+});
+
+test('a failing oracle does not block settlement; reports fall back to token amounts', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.chain.onCall('get_price_with_timestamp', () => {
+        throw new Error('Price data is stale');
+    });
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.success, true);
+    assert.equal(result.pool_info.pricing, null);
+    assert.equal(result.pool_info.protocol_fees_decimal, '0.9');
+    assert.equal(result.pool_info.protocol_fees_usd, null);
+    assert.equal(h.backend.metrics.errors.get({ product: 'alarm', source: 'rpc', operation: 'get_price' }), 1);
+});
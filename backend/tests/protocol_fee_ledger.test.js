@@ -0,0 +1,133 @@
+// protocol_fee_ledger.test.js - Protocol fee ledger and reconciliation against the contract balance
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createSettlementHarness } = require('../harness');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+test('finalization books the protocol fee once, with its token, tx hash and policy', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+
+    const { pool_info } = await h.backend.processAlarmPool(DAY, 1);
+    await h.backend.processAlarmPool(DAY, 1);
+
+    const rows = h.db.rows('protocol_fees');
+    assert.equal(rows.length, 1);
+    const { id, created_at, recorded_at, ...row } = rows[0];
+    assert.ok(recorded_at);
+    assert.deepEqual(
+        row,
+        {
+            product: 'alarm',
+            token: 'STRK',
+            contract_address: h.contractAddress,
+            day: DAY,
+            period: 1,
+            kind: 'fee',
+            amount: (9n * STRK / 10n).toString(),
+            transaction_hash: pool_info.transaction_hash,
+            policy_version: 'alarm-v2'
+        }
+    );
+});
+
+test('a failed ledger write keeps the pool open until the fee is booked', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.db.failNext('protocol_fees', 'upsert', 'connection reset');
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /Failed to record protocol fee.*connection reset/);
+    assert.equal(h.db.rows('settlement_journal')[0].state, 'db_written');
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+    assert.equal(result.pool_info.resumed_from, 'db_written');
+    assert.equal(h.account.executions.length, 1);
+    assert.equal(h.db.rows('protocol_fees').length, 1);
+});
+
+/**
+ * Finalizes the fixture pool with every stake deposited in the contract.
+ */
+async function settledPool() {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+    h.chain.setBalance(h.backend.tokenAddress, h.contractAddress, 23n * STRK);
+    const adjustBalance = delta => h.chain.setBalance(h.backend.tokenAddress, h.contractAddress, h.chain.getBalance(h.backend.tokenAddress, h.contractAddress) + delta);
+    return { h, adjustBalance };
+}
+
+test('the ledger reconciles with the balance minus unclaimed payouts and open stakes', async () => {
+    const { h, adjustBalance } = await settledPool();
+
+    let report = await h.backend.reconcileProtocolFees();
+    assert.equal(report.contract_balance, (23n * STRK).toString());
+    assert.equal(report.unclaimed_stake_returns, (14n * STRK).toString());
+    assert.equal(report.unclaimed_rewards, (81n * STRK / 10n).toString());
+    assert.equal(report.implied_protocol_fees_decimal, '0.9');
+    assert.equal(report.ledger_balance_usd, '0.18');
+    assert.equal(report.matches, true);
+
+    // Alice claims 10 + 8.1; a new alarm stakes 3 in a pool that is not finalized yet
+    const alice = h.db.rows('alarms').find(a => a.stake_amount === (10n * STRK).toString());
+    await h.db.from('alarms').update({ has_claimed: true }).eq('id', alice.id);
+    adjustBalance(-181n * STRK / 10n);
+    h.seedAlarm({ wallet: WALLETS.carol, wakeup_time: PM + 86400, stake_amount: (3n * STRK).toString() });
+    adjustBalance(3n * STRK);
+
+    report = await h.backend.reconcileProtocolFees();
+    assert.equal(report.unsettled_stakes, (3n * STRK).toString());
+    assert.equal(report.unclaimed_rewards, '0');
+    assert.equal(report.matches, true);
+
+    // Treasury withdraws 0.5; booked withdrawals keep the books balanced
+    adjustBalance(-5n * STRK / 10n);
+    assert.equal((await h.backend.reconcileProtocolFees()).matches, false);
+    await h.backend.feeLedger.recordWithdrawal({
+        product: 'alarm',
+        token: 'STRK',
+        contract_address: h.contractAddress,
+        amount: (5n * STRK / 10n).toString(),
+        transaction_hash: '0xfee'
+    });
+    report = await h.backend.reconcileProtocolFees();
+    assert.equal(report.ledger_withdrawals_decimal, '0.5');
+    assert.equal(report.matches, true);
+});
+
+test('an unexplained balance shows up as the difference', async () => {
+    const { h, adjustBalance } = await settledPool();
+    adjustBalance(7n);
+
+    const report = await h.backend.reconcileProtocolFees();
+
+    assert.equal(report.matches, false);
+    assert.equal(report.difference, '7');
+    await assert.rejects(
+        h.backend.feeLedger.recordWithdrawal({ contract_address: h.contractAddress, amount: '0', transaction_hash: '0x1' }),
+        /must be positive/
+    );
+});
+
+test('pools finalized before the ledger are back-filled from the journal', async () => {
+    const h = createSettlementHarness(FocusLockContractBackend);
+    const start = DAY * 86400 + 21600 + 300;
+    h.seedFocusLock({ wallet: WALLETS.alice, start_time: start, duration_minutes: 30, stake_amount: (4n * STRK).toString(), completion_status: true });
+    h.seedFocusLock({ wallet: WALLETS.bob, start_time: start + 60, duration_minutes: 60, stake_amount: (2n * STRK).toString(), completion_status: false });
+    await h.backend.processFocusLockPool(DAY, 1);
+    await h.db.from('protocol_fees').delete().eq('kind', 'fee');
+
+    assert.equal(await h.backend.backfillFeeLedger(), 1);
+    assert.equal(await h.backend.backfillFeeLedger(), 1);
+
+    const [row] = h.db.rows('protocol_fees');
+    assert.equal(h.db.rows('protocol_fees').length, 1);
+    assert.equal(row.product, 'focus lock');
+    assert.equal(row.amount, (2n * STRK / 10n).toString());
+
+    // Alice's 4 back plus her 1.8 reward, 0.2 kept as fee
+    h.chain.setBalance(h.backend.tokenAddress, h.contractAddress, 6n * STRK);
+    assert.equal((await h.backend.reconcileProtocolFees()).matches, true);
+});
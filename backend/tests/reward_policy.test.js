@@ -0,0 +1,171 @@
+// reward_policy.test.js - Versioned reward policies and recomputation of past pools
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RewardPolicy, getRewardPolicy, resolveRewardPolicy } = require('../reward_policy');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createSettlementHarness } = require('../harness');
+const { Logger } = require('../logger');
+const { verifyRewardsReconcile } = require('../settlement_core');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const alarmV1 = getRewardPolicy('alarm-v1');
+const alarmV2 = getRewardPolicy('alarm-v2');
+
+test('alarm-v1 follows the contract snooze ladder and a 10% fee', () => {
+    const stake = 10n * STRK;
+    assert.deepEqual(
+        [0, 1, 2, 3, '2'].map(snooze_count => alarmV1.stakeReturn({ stake_amount: stake, snooze_count })),
+        [stake, 8n * STRK, 5n * STRK, 0n, 5n * STRK]
+    );
+    assert.equal(alarmV1.isWinner({ snooze_count: '0' }), true);
+    assert.equal(alarmV1.isWinner({ snooze_count: 1 }), false);
+    assert.deepEqual(alarmV1.splitFees(9n * STRK), { protocolFees: 9n * STRK / 10n, newRewards: 81n * STRK / 10n });
+    assert.deepEqual(alarmV1.allocate([1n, 2n], 10n), [3n, 6n]); // floor; the dust stays unallocated
+});
+
+test('largest remainder hands out the dust deterministically', () => {
+    // 1.4 / 2.1 / 3.5: one unit of dust goes to the largest remainder
+    assert.deepEqual(alarmV2.allocate([2n, 3n, 5n], 7n), [1n, 2n, 4n]);
+    // Equal remainders: the smallest tie key wins, whatever the input order
+    assert.deepEqual(alarmV2.allocate([1n, 1n, 1n], 100n, ['0xc', '0xa', '0xb']), [33n, 34n, 33n]);
+    assert.deepEqual(alarmV2.allocate([1n, 1n, 1n], 100n, ['0xa', '0xb', '0xc']), [34n, 33n, 33n]);
+    // 1.2 / 0.4 / 0.4: the remainder beats the weight
+    assert.deepEqual(alarmV2.allocate([3n, 1n, 1n], 2n, ['0xa', '0xb', '0xc']), [1n, 1n, 0n]);
+});
+
+test('focus-lock-v1 fully slashes failed locks and weights by stake × duration', () => {
+    const focusV1 = getRewardPolicy('focus-lock-v1');
+    const lock = { stake_amount: '3', duration: '1800', completion_status: true };
+
+    assert.equal(focusV1.stakeReturn(lock), 3n);
+    assert.equal(focusV1.stakeReturn({ ...lock, completion_status: false }), 0n);
+    assert.equal(focusV1.weight(lock), 5400n);
+    assert.equal(focusV1.isWinner({ ...lock, completion_status: false }), false);
+});
+
+test('definitions are validated and versions must be known', () => {
+    assert.throws(() => getRewardPolicy('alarm-v0'), /Unknown reward policy version: alarm-v0/);
+    assert.throws(() => new RewardPolicy({ ...alarmV1.definition, feeBps: 10001 }), /basis points/);
+    assert.throws(() => new RewardPolicy({ ...alarmV1.definition, rounding: { rewards: 'ceil' } }), /rewards rounding/);
+    assert.throws(() => new RewardPolicy({ ...alarmV1.definition, rounding: { rewards: 'floor', fee: 'ceil' } }), /fee rounding is not configurable/);
+    assert.equal(resolveRewardPolicy('alarm-v1'), alarmV1);
+    assert.throws(() => createSettlementHarness(AlarmContractBackend, { backendOptions: { rewardPolicy: 'alarm-v1' } }), /only recomputes past pools/);
+    assert.throws(() => createSettlementHarness(FocusLockContractBackend, { backendOptions: { rewardPolicy: 'alarm-v1' } }), /is for alarm, not focus lock/);
+    assert.throws(() => createSettlementHarness(AlarmContractBackend, { backendOptions: { fees: { protocolFeePercent: 10 } } }), /feeBps/);
+});
+
+test('a released policy cannot be edited through its definition or one derived from it', () => {
+    const tiers = [{ equals: 0, keepBps: 10000 }];
+    const custom = new RewardPolicy({ ...alarmV1.definition, version: 'alarm-test', stakeReturn: { ...alarmV1.definition.stakeReturn, tiers } });
+    tiers[0].keepBps = 0;
+    assert.equal(custom.definition.stakeReturn.tiers[0].keepBps, 10000);
+
+    assert.notEqual(alarmV2.definition.stakeReturn, alarmV1.definition.stakeReturn);
+    for (const policy of [alarmV1, alarmV2, custom]) {
+        const { stakeReturn, winner, weightFields, rounding } = policy.definition;
+        assert.ok([stakeReturn, stakeReturn.tiers, ...stakeReturn.tiers, winner, weightFields, rounding].every(Object.isFrozen));
+    }
+    alarmV2.definition.stakeReturn.tiers[1].keepBps = 0;
+    assert.equal(alarmV1.definition.stakeReturn.tiers[1].keepBps, 8000);
+    assert.equal(alarmV2.definition.stakeReturn.tiers[1].keepBps, 8000);
+});
+
+test('a finalized pool records its policy version and recomputes exactly after the policy changes', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const result = await h.backend.processAlarmPool(DAY, 1);
+    assert.equal(result.pool_info.policy_version, 'alarm-v2');
+    assert.equal(h.db.rows('settlement_journal')[0].policy_version, 'alarm-v2');
+
+    // A later release raises the fee; the current preview changes, the past pool does not
+    h.backend.strategy.rewardPolicy = resolveRewardPolicy({ ...alarmV2.definition, version: 'alarm-test-fee20', feeBps: 2000 });
+    const preview = await h.backend.previewPool(DAY, 1);
+    assert.equal(preview.policy_version, 'alarm-test-fee20');
+    assert.notEqual(preview.merkle_root, result.pool_info.merkle_root);
+
+    const recomputed = await h.backend.recomputePool(DAY, 1);
+    assert.equal(recomputed.policy_version, 'alarm-v2');
+    assert.equal(recomputed.merkle_root, result.pool_info.merkle_root);
+    assert.equal(recomputed.protocol_fees, (9n * STRK / 10n).toString());
+    assert.equal(recomputed.matches, true);
+});
+
+/**
+ * Three 1 STRK winners share 91 wei: 30 each plus one unit of dust.
+ */
+function seedDustPool(h) {
+    for (const [i, wallet] of [WALLETS.alice, WALLETS.bob, WALLETS.carol].entries()) {
+        h.seedAlarm({ wallet, wakeup_time: PM + 600 * (i + 1), stake_amount: STRK.toString(), snooze_count: 0 });
+    }
+    // The contract holds one alarm per user and pool, so the slashed alarm needs a fourth wallet
+    h.seedAlarm({ wallet: WALLETS.dave, wakeup_time: PM + 3000, stake_amount: '101', snooze_count: 3 });
+}
+
+test('the leaves commit exactly the new_rewards sent on-chain', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedDustPool(h);
+
+    await h.backend.processAlarmPool(DAY, 1);
+
+    const [, , , rewardsLow, , feesLow] = h.account.executions[0].calls[0].calldata;
+    assert.equal(rewardsLow, '91');
+    assert.equal(feesLow, '10');
+    const amounts = Object.fromEntries(h.db.rows('settlement_journal')[0].leaf_amounts);
+    assert.deepEqual(amounts, { [WALLETS.alice]: '30', [WALLETS.bob]: '31', [WALLETS.carol]: '30', [WALLETS.dave]: '0' });
+});
+
+test('a pool without winners books its reward pool as protocol fee, logged and flagged', async () => {
+    const lines = [];
+    const logger = new Logger({ write: line => lines.push(JSON.parse(line)) });
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { logger } });
+    h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: PM + 600, stake_amount: (5n * STRK).toString(), snooze_count: 1 });
+
+    const { report } = await h.backend.processAlarmPool(DAY, 1, { dryRun: true });
+
+    assert.equal(report.new_rewards, '0');
+    assert.equal(report.protocol_fees, STRK.toString());
+    assert.equal(report.total_rewards, '0');
+    assert.equal(report.rewards_to_fees, true);
+    const moved = lines.find(line => line.msg === 'No winners: the reward pool is booked as protocol fees');
+    assert.equal(moved.level, 'warn');
+    assert.equal(moved.rewards_to_fees, (STRK * 9n / 10n).toString());
+
+    await h.backend.processAlarmPool(DAY, 1);
+    assert.equal(h.db.rows('settlement_journal')[0].rewards_to_fees, true);
+
+    // A pool with a winner keeps its reward pool
+    const won = createSettlementHarness(AlarmContractBackend);
+    seedDustPool(won);
+    await won.backend.processAlarmPool(DAY, 1);
+    assert.equal(won.db.rows('settlement_journal')[0].rewards_to_fees, false);
+});
+
+test('a pool computed under v1 and never sent is settled again under the current policy', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedDustPool(h);
+    // The previous release journaled the pool under v1, then stopped before sending it
+    const v1 = h.backend.computeSettlement(await h.backend.fetchPoolUsers(DAY, 1), alarmV1);
+    await h.backend.journal.recordComputed({
+        product: 'alarm',
+        contract_address: h.contractAddress,
+        day: DAY,
+        period: 1,
+        policy_version: v1.policyVersion,
+        merkle_root: v1.merkleTree.root,
+        leaf_amounts: Object.entries(v1.amounts).map(([address, amount]) => [address, amount.toString()]),
+        total_slashed: v1.totalSlashed.toString(),
+        new_rewards: v1.newRewards.toString(),
+        protocol_fees: v1.protocolFees.toString(),
+        winners: v1.winners
+    });
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.pool_info.policy_version, 'alarm-v2');
+    assert.equal(h.account.executions.length, 1);
+    const entry = h.db.rows('settlement_journal')[0];
+    assert.equal(entry.policy_version, 'alarm-v2');
+    assert.equal(entry.leaf_amounts.reduce((sum, [, amount]) => sum + BigInt(amount), 0n), 91n);
+    assert.throws(() => verifyRewardsReconcile({ a: 30n, b: 30n, c: 30n }, 91n), /commit 90 but new_rewards is 91 \(difference 1\)/);
+});
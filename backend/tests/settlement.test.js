@@ -0,0 +1,216 @@
+// settlement.test.js - End-to-end pool runs against the in-memory harness
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { createSettlementHarness } = require('../harness');
+const { parseRunFlags, UsageError } = require('../settlement_core');
+const { createMerkleLeaf, verifyProof } = require('../merkle_tree');
+const { getRewardPolicy } = require('../reward_policy');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+test('alarm pool run finalizes on-chain and stores verifiable claim data', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.success, true);
+    assert.equal(h.account.executions.length, 1);
+    const [call] = h.account.executions[0].calls;
+    assert.equal(call.entrypoint, 'set_merkle_root_for_pool');
+    assert.equal(h.chain.getPool(h.contractAddress, DAY, 1).merkle_root, result.pool_info.merkle_root);
+
+    assert.ok(h.db.rows('alarms').every(a => a.claim_ready === true));
+    const claims = h.db.rows('user_claim_data');
+    assert.equal(claims.length, 3);
+    for (const claim of claims) {
+        const alarm = h.db.rows('alarms').find(a => a.id === claim.alarm_id);
+        const wallet = h.db.rows('profiles').find(p => p.id === alarm.user_id).wallet_address;
+        const leaf = createMerkleLeaf(wallet, claim.reward_amount);
+        assert.ok(verifyProof(result.pool_info.merkle_root, leaf, JSON.parse(claim.merkle_proof)));
+    }
+});
+
+test('sponsored mode submits through the paymaster', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { sponsored: true });
+    seedAlarmPool(h);
+
+    await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(h.account.executions[0].method, 'executePaymasterTransaction');
+    assert.deepEqual(h.account.executions[0].details, { feeMode: { mode: 'sponsored' } });
+});
+
+test('the reward policy drives the protocol fee and regular transactions are V3 within the estimate plus margin', async () => {
+    const rewardPolicy = { ...getRewardPolicy('alarm-v2').definition, version: 'alarm-test-fee20', feeBps: 2000 };
+    const h = createSettlementHarness(AlarmContractBackend, {
+        backendOptions: { rewardPolicy, sender: { feeMarginPercent: 20 } }
+    });
+    seedAlarmPool(h);
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(h.account.executions[0].details, {
+        version: 3,
+        nonce: 0n,
+        tip: 0,
+        resourceBounds: {
+            l1_gas: { max_amount: '0x0', max_price_per_unit: '0x' + (12n * 10n ** 12n).toString(16) },
+            l2_gas: { max_amount: '0x' + (12n * 10n ** 5n).toString(16), max_price_per_unit: '0x' + (12n * 10n ** 8n).toString(16) },
+            l1_data_gas: { max_amount: '0x9a', max_price_per_unit: '0x' + (12n * 10n ** 8n).toString(16) }
+        }
+    });
+    assert.throws(() => h.createBackend({ fees: { maxFee: '42', version: 3 } }), /replaced by V3 resource bounds/);
+    const [, , , , , feeLow] = h.account.executions[0].calls[0].calldata;
+    assert.equal(BigInt(feeLow) * 5n, BigInt(result.pool_info.total_slashed_amount));
+    assert.equal(result.pool_info.policy_version, 'alarm-test-fee20');
+});
+
+test('ETH and STRK alarms settle as separate pools against their own contracts', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const eth = h.createBackend({ token: 'ETH' });
+    seedAlarmPool(h);
+    h.seedAlarm({ wallet: WALLETS.alice, wakeup_time: PM + 900, stake_amount: (2n * STRK).toString(), snooze_count: 0, token: 'ETH' });
+    h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: PM + 1500, stake_amount: (1n * STRK).toString(), snooze_count: 2, token: 'ETH' });
+
+    assert.deepEqual(await eth.findAllUnprocessedPools(), [{ day: DAY, period: 1 }]);
+    const strkResult = await h.backend.processAlarmPool(DAY, 1);
+    const ethResult = await eth.processAlarmPool(DAY, 1);
+
+    assert.equal(h.account.executions.length, 2);
+    assert.equal(h.account.executions[0].calls[0].contractAddress, h.contractAddress);
+    assert.equal(h.account.executions[1].calls[0].contractAddress, eth.contractAddress);
+    assert.notEqual(eth.contractAddress, h.contractAddress);
+    assert.equal(strkResult.pool_info.token, 'STRK');
+    assert.equal(ethResult.pool_info.token, 'ETH');
+    assert.equal(strkResult.pool_info.total_slashed_amount, (9n * STRK).toString());
+    assert.equal(ethResult.pool_info.total_slashed_amount, (STRK / 2n).toString());
+    assert.equal(h.chain.getPool(eth.contractAddress, DAY, 1).merkle_root, ethResult.pool_info.merkle_root);
+    assert.notEqual(ethResult.pool_info.merkle_root, strkResult.pool_info.merkle_root);
+
+    const journal = h.db.rows('settlement_journal');
+    assert.deepEqual(journal.map(entry => [entry.token, entry.contract_address]).sort(), [['ETH', eth.contractAddress], ['STRK', h.contractAddress]]);
+    assert.equal(h.db.rows('user_claim_data').length, 5);
+});
+
+test('alarms written before the token column settle with the STRK pool only', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const eth = h.createBackend({ token: 'ETH' });
+    seedAlarmPool(h);
+    await h.db.from('alarms').update({ token: null }).eq('token', 'STRK');
+
+    assert.deepEqual(await eth.findAllUnprocessedPools(), []);
+    assert.deepEqual(await h.backend.findAllUnprocessedPools(), [{ day: DAY, period: 1 }]);
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.pool_info.total_slashed_amount, (9n * STRK).toString());
+    assert.ok(h.db.rows('alarms').every(alarm => alarm.claim_ready));
+    assert.equal(h.account.executions.length, 1);
+});
+
+test('reverted merkle root transaction leaves the database untouched', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.account.revertNext('Mock: execution reverted', 3);
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /Blockchain finalization required/);
+
+    assert.equal(h.account.executions.length, 3);
+    assert.ok(h.db.rows('alarms').every(a => a.claim_ready === false));
+    assert.equal(h.db.rows('user_claim_data').length, 0);
+});
+
+test('claim data insert failure surfaces after the pool is finalized on-chain', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.db.failNext('user_claim_data', 'insert', 'connection reset');
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /connection reset/);
+
+    assert.equal(h.chain.getPool(h.contractAddress, DAY, 1).is_finalized, true);
+    assert.equal(h.db.rows('user_claim_data').length, 0);
+});
+
+test('focus lock pool signs the on-chain lock parameters', async () => {
+    const h = createSettlementHarness(FocusLockContractBackend);
+    const start = DAY * 86400 + 21600 + 300;
+    h.seedFocusLock({ wallet: WALLETS.alice, start_time: start, duration_minutes: 30, stake_amount: (4n * STRK).toString(), completion_status: true, lock_id: 7 });
+    h.seedFocusLock({ wallet: WALLETS.bob, start_time: start + 60, duration_minutes: 60, stake_amount: (2n * STRK).toString(), completion_status: false });
+    // The contract stored a slightly different start time than the app row
+    h.chain.setUserLock(h.contractAddress, WALLETS.alice, 7, { stake_amount: 4n * STRK, start_time: start - 5, duration: 1800 });
+
+    // The audit stops the pool on the difference until the operator overrides it
+    await assert.rejects(h.backend.processFocusLockPool(DAY, 1), /Pool audit found 1 discrepancies/);
+    const result = await h.backend.processFocusLockPool(DAY, 1, { allowDiscrepancies: true });
+
+    assert.equal(result.success, true);
+    assert.equal(h.account.executions[0].calls[0].entrypoint, 'set_reward_merkle_root');
+    const aliceClaim = h.db.rows('user_claim_data_locks').find(c => c.lock_id === 7);
+    const expected = await h.backend.createOutcomeSignature(WALLETS.alice, start - 5, 1800, true, h.verifierPrivateKey);
+    assert.equal(aliceClaim.message_hash, expected.message_hash);
+});
+
+test('empty pool is skipped without a transaction', async () => {
+    const h = createSettlementHarness(FocusLockContractBackend);
+
+    const result = await h.backend.processFocusLockPool(DAY, 2);
+
+    assert.equal(result.success, false);
+    assert.equal(h.account.executions.length, 0);
+});
+
+test('dry run reports payouts and signatures without sending or storing anything', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+
+    const result = await h.backend.processAlarmPool(DAY, 1, { dryRun: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.dry_run, true);
+    assert.equal(h.account.executions.length, 0);
+    assert.equal(h.db.rows('user_claim_data').length, 0);
+    assert.equal(h.db.rows('settlement_journal').length, 0);
+    assert.ok(h.db.rows('alarms').every(a => a.claim_ready === false));
+
+    const { report } = result;
+    // 10 returned to alice, 4 of bob's 5, nothing of carol's 8; 10% of the 9 slashed is the fee
+    assert.equal(report.total_stake_returned, (14n * STRK).toString());
+    assert.equal(report.protocol_fees, (9n * STRK / 10n).toString());
+    assert.equal(BigInt(report.total_payout) + BigInt(report.protocol_fees), 23n * STRK);
+
+    const alice = report.users.find(u => u.address === WALLETS.alice);
+    assert.equal(BigInt(alice.total_payout), BigInt(alice.stake_return) + BigInt(alice.reward_amount));
+    assert.ok(verifyProof(report.merkle_root, createMerkleLeaf(alice.address, alice.reward_amount), alice.merkle_proof));
+    const expected = await h.backend.createOutcomeSignature(WALLETS.alice, PM + 600, 0, h.verifierPrivateKey);
+    assert.equal(alice.positions[0].signature.message_hash, expected.message_hash);
+
+    // The real run afterwards commits the same root
+    const real = await h.backend.processAlarmPool(DAY, 1);
+    assert.equal(real.pool_info.merkle_root, report.merkle_root);
+});
+
+test('dry-run, output, pretty and token flags are removed from the positional arguments', () => {
+    assert.deepEqual(parseRunFlags(['20343', '1', '--dry-run', '--output', 'report.json']), {
+        dryRun: true,
+        outputFile: 'report.json',
+        pretty: false,
+        token: null,
+        args: ['20343', '1']
+    });
+    assert.deepEqual(parseRunFlags(['--dry-run', 'all', '--pretty', '--token', 'eth']), { dryRun: true, outputFile: null, pretty: true, token: 'ETH', args: ['all'] });
+    assert.deepEqual(parseRunFlags(['20343', '1', '--force']), { dryRun: false, outputFile: null, pretty: false, token: null, args: ['20343', '1', '--force'] });
+});
+
+test('a flag without its value or a token without a deployment is a usage error', () => {
+    assert.throws(() => parseRunFlags(['all', '--token']), { name: 'UsageError', message: '--token needs a value' });
+    assert.throws(() => parseRunFlags(['20343', '1', '--output']), { name: 'UsageError', message: '--output needs a value' });
+    assert.throws(() => parseRunFlags(['--output', '--dry-run', 'all']), UsageError);
+
+    const configured = AlarmContractBackend.configuredTokens({ ALARM_CONTRACT_ADDRESS_STRK: '0x1' });
+    assert.deepEqual(configured, ['STRK']);
+    assert.throws(() => parseRunFlags(['all', '--token', 'eth'], { tokens: configured }), /--token ETH has no configured deployment \(configured: STRK\)/);
+    assert.throws(() => parseRunFlags(['all', '--token', 'DOGE'], { tokens: [] }), /configured: none/);
+    assert.equal(parseRunFlags(['all', '--token', 'strk'], { tokens: configured }).token, 'STRK');
+});
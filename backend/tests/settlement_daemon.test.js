@@ -0,0 +1,165 @@
+// settlement_daemon.test.js - Scheduler timing and retries with a fake clock
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { FocusLockContractBackend } = require('../focus_lock_backend');
+const { SettlementScheduler, createScheduleServer } = require('../settlement_daemon');
+const { createSettlementHarness } = require('../harness');
+const { DAY, PM, seedAlarmPool, unreachableNode } = require('./fixtures');
+
+const PM_ELIGIBLE = PM + 43200 + 1800;
+
+function createScheduler(backends, startAt, options = {}) {
+    const clock = { time: startAt };
+    const scheduler = new SettlementScheduler(backends, { now: () => clock.time, ...options });
+    return { scheduler, clock };
+}
+
+test('waits until period end + 30 minutes before finalizing', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const { scheduler, clock } = createScheduler([h.backend], PM + 3600);
+
+    const wakeAt = await scheduler.tick();
+
+    assert.equal(wakeAt, PM + 3600 + 600); // refresh interval comes before eligibility
+    assert.equal(h.account.executions.length, 0);
+    const entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.eligible_at, new Date(PM_ELIGIBLE * 1000).toISOString());
+
+    clock.time = PM_ELIGIBLE - 300;
+    assert.equal(await scheduler.tick(), PM_ELIGIBLE);
+
+    clock.time = PM_ELIGIBLE;
+    await scheduler.tick();
+
+    assert.equal(h.account.executions.length, 1);
+    const done = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(done.status, 'done');
+    assert.match(done.transaction_hash, /^0x/);
+});
+
+test('failed pools are retried with exponential backoff', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const { scheduler, clock } = createScheduler([h.backend], PM_ELIGIBLE, { retry: { initialDelaySeconds: 60 } });
+    h.account.failNext(unreachableNode());
+    h.account.failNext(unreachableNode());
+
+    await scheduler.tick();
+    let entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.next_attempt_at, new Date((PM_ELIGIBLE + 60) * 1000).toISOString());
+
+    clock.time = PM_ELIGIBLE + 60;
+    await scheduler.tick();
+    entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.next_attempt_at, new Date((PM_ELIGIBLE + 180) * 1000).toISOString());
+
+    clock.time = PM_ELIGIBLE + 180;
+    await scheduler.tick();
+    entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.status, 'done');
+    assert.equal(h.db.rows('user_claim_data').length, 3);
+});
+
+test('pools that keep failing are parked after maxAttempts, re-armed after a cool-down and then forgotten', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const { scheduler, clock } = createScheduler([h.backend], PM_ELIGIBLE, { retry: { maxAttempts: 2 } });
+    h.account.failNext(unreachableNode('RPC down'));
+    h.account.failNext(unreachableNode('RPC down'));
+
+    await scheduler.tick();
+    clock.time += 3600;
+    await scheduler.tick();
+
+    let entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.next_attempt_at, null);
+    assert.match(entry.last_error, /RPC down/);
+
+    // Still unprocessed after the cool-down: another round of attempts, which succeeds
+    const parkedAt = clock.time;
+    clock.time = parkedAt + 21600;
+    await scheduler.tick();
+    entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.status, 'done');
+    assert.equal(entry.attempts, 1);
+
+    // Finished pools are forgotten a day after their last attempt
+    clock.time += 86400;
+    await scheduler.tick();
+    assert.equal(scheduler.getSchedule().some(e => e.day === DAY && e.period === 1), false);
+    assert.equal(h.account.executions.length, 3);
+});
+
+test('a run that finalizes nothing or finds the pool held by another run is skipped, not retried', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const { scheduler, clock } = createScheduler([h.backend], PM_ELIGIBLE);
+    scheduler.schedulePool(h.backend, DAY, 0);
+
+    await scheduler.tick();
+    const empty = scheduler.getSchedule().find(e => e.day === DAY && e.period === 0);
+    assert.equal(empty.status, 'skipped');
+    assert.equal(empty.skip_reason, 'No users in pool');
+    assert.equal(empty.next_attempt_at, null);
+    assert.equal(h.backend.metrics.scheduledPools.get({ product: 'alarm', status: 'skipped' }), 1);
+    assert.equal(h.backend.metrics.scheduledPools.get({ product: 'alarm', status: 'done' }), 0);
+
+    // A send that may have left keeps the pool claimed: the retry finds it held and stands back
+    seedAlarmPool(h);
+    h.account.failNext(new Error('socket hang up'));
+    scheduler.schedulePool(h.backend, DAY, 1);
+    await scheduler.tick();
+    clock.time += 60;
+    await scheduler.tick();
+
+    let entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.status, 'skipped');
+    assert.equal(entry.attempts, 2);
+    assert.match(entry.skip_reason, /another run is finalizing this pool/);
+    assert.equal(h.backend.metrics.poolsFailed.get({ product: 'alarm' }), 1);
+    assert.equal(h.account.executions.length, 1);
+
+    // Still unprocessed after the cool-down, with the lease run out: resumed and finalized
+    h.backend.journal.submitLeaseSeconds = 0;
+    clock.time += 21600;
+    await scheduler.tick();
+    entry = scheduler.getSchedule().find(e => e.day === DAY && e.period === 1);
+    assert.equal(entry.status, 'done');
+    assert.equal(entry.skip_reason, null);
+    assert.equal(h.account.executions.length, 2);
+});
+
+test('each product uses its own slot length', async () => {
+    const alarm = createSettlementHarness(AlarmContractBackend);
+    const focus = createSettlementHarness(FocusLockContractBackend);
+    const { scheduler } = createScheduler([alarm.backend, focus.backend], DAY * 86400 + 3600);
+
+    await scheduler.tick();
+
+    const schedule = scheduler.getSchedule();
+    const alarmSlot = schedule.find(e => e.product === 'alarm');
+    const focusSlot = schedule.find(e => e.product === 'focus lock');
+    assert.equal(alarmSlot.eligible_at, new Date((DAY * 86400 + 43200 + 1800) * 1000).toISOString());
+    assert.equal(focusSlot.eligible_at, new Date((DAY * 86400 + 21600 + 1800) * 1000).toISOString());
+});
+
+test('schedule server returns the tracked pools', async (t) => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const { scheduler } = createScheduler([h.backend], PM + 3600);
+    await scheduler.tick();
+    const server = createScheduleServer(scheduler, 0);
+    t.after(() => server.close());
+    await new Promise(resolve => server.once('listening', resolve));
+
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/schedule`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.pools, scheduler.getSchedule());
+});
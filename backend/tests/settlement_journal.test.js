@@ -0,0 +1,216 @@
+// settlement_journal.test.js - Crash recovery through the finalization journal
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness } = require('../harness');
+const { NonceTracker } = require('../tx_sender');
+const { JournalConflictError } = require('../settlement_journal');
+const { DAY, seedAlarmPool } = require('./fixtures');
+
+function journalEntry(h) {
+    return h.db.rows('settlement_journal').find(e => e.day === DAY && e.period === 1);
+}
+
+test('a completed run walks the journal to done', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    const entry = journalEntry(h);
+    assert.equal(entry.state, 'done');
+    assert.equal(entry.merkle_root, result.pool_info.merkle_root);
+    assert.equal(entry.transaction_hash, result.pool_info.transaction_hash);
+    assert.equal(result.pool_info.resumed_from, null);
+});
+
+test('crash after on-chain confirmation resumes with the DB write only', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.db.failNext('user_claim_data', 'insert', 'connection reset');
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /connection reset/);
+
+    const crashed = journalEntry(h);
+    assert.equal(crashed.state, 'tx_confirmed');
+    assert.match(crashed.last_error, /connection reset/);
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(h.account.executions.length, 1);
+    assert.equal(result.pool_info.resumed_from, 'tx_confirmed');
+    assert.equal(result.pool_info.transaction_hash, crashed.transaction_hash);
+    assert.equal(result.pool_info.merkle_root, crashed.merkle_root);
+    assert.equal(h.db.rows('user_claim_data').length, 3);
+    assert.ok(h.db.rows('alarms').every(a => a.claim_ready === true));
+    assert.equal(journalEntry(h).state, 'done');
+});
+
+test('crash while waiting for the receipt resumes by waiting on the same tx hash', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const getTransactionStatus = h.chain.getTransactionStatus.bind(h.chain);
+    h.chain.getTransactionStatus = async () => { throw new Error('RPC timeout'); };
+    h.backend.sender.options.waitTimeoutSeconds = 0.01;
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /Timed out after/);
+
+    const crashed = journalEntry(h);
+    assert.equal(crashed.state, 'tx_submitted');
+
+    h.chain.getTransactionStatus = getTransactionStatus;
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(h.account.executions.length, 1);
+    assert.equal(result.pool_info.resumed_from, 'tx_submitted');
+    assert.equal(result.pool_info.transaction_hash, crashed.transaction_hash);
+});
+
+test('reverted transaction rewinds to computed and the retry resends the journaled root', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { sender: { maxAttempts: 1 } } });
+    seedAlarmPool(h);
+    h.account.revertNext();
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /REVERTED/);
+
+    const reverted = journalEntry(h);
+    assert.equal(reverted.state, 'computed');
+    assert.equal(reverted.transaction_hash, null);
+
+    // Positions changing after the first run must not change the committed root
+    h.db.tables.alarms[0].stake_amount = '1';
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(h.account.executions.length, 2);
+    assert.deepEqual(h.account.executions[1].calls, h.account.executions[0].calls);
+    assert.equal(result.pool_info.merkle_root, reverted.merkle_root);
+    assert.equal(journalEntry(h).state, 'done');
+});
+
+test('a done pool is not submitted or written again', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.pool_info.resumed_from, 'done');
+    assert.equal(h.account.executions.length, 1);
+    assert.equal(h.db.rows('user_claim_data').length, 3);
+});
+
+test('a transition from a state another run already left is refused', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.db.failNext('user_claim_data', 'insert', 'connection reset');
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /connection reset/);
+    const { journal } = h.backend;
+    const stale = await journal.load(h.contractAddress, DAY, 1);
+    assert.equal(stale.state, 'tx_confirmed');
+
+    await journal.advance(stale, 'db_written');
+
+    await assert.rejects(journal.advance(stale, 'db_written'), JournalConflictError);
+    await assert.rejects(journal.recordComputed({ day: DAY, period: 1 }, stale), /another run is finalizing this pool/);
+    assert.equal(journalEntry(h).state, 'db_written');
+});
+
+test('pool already final with the same root back-fills claim rows without a transaction', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    const users = await h.backend.fetchPoolUsers(DAY, 1);
+    const { merkleTree } = h.backend.computeSettlement(users);
+    h.chain.setPool(h.contractAddress, DAY, 1, { merkle_root: merkleTree.root, is_finalized: true });
+    // One position was stored and claimed before the crash
+    const claimedAlarm = h.db.rows('alarms')[0];
+    h.db.tables.alarms[0].has_claimed = true;
+    h.db.seed('user_claim_data', { alarm_id: claimedAlarm.id, reward_amount: '0', merkle_proof: '[]' });
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(h.account.executions.length, 0);
+    assert.equal(result.pool_info.blockchain_status, 'already_finalized');
+    assert.equal(result.pool_info.transaction_hash, null);
+    assert.equal(h.db.rows('user_claim_data').length, 3);
+    assert.equal(h.db.rows('alarms').find(a => a.id === claimedAlarm.id).has_claimed, true);
+    assert.equal(journalEntry(h).state, 'done');
+});
+
+test('pool already final with a different root reports the mismatch and writes nothing', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.chain.setPool(h.contractAddress, DAY, 1, { merkle_root: '0x1234', is_finalized: true });
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /already finalized on-chain with merkle root 0x1234/);
+
+    assert.equal(h.account.executions.length, 0);
+    assert.equal(h.db.rows('user_claim_data').length, 0);
+    assert.ok(h.db.rows('alarms').every(a => a.claim_ready === false));
+    assert.equal(h.chain.getPool(h.contractAddress, DAY, 1).merkle_root, '0x1234');
+});
+
+// Two settlement processes (the daemon and the admin API) on one database, chain and deployer account
+function secondProcess(h, alerts) {
+    return h.createBackend({ sender: { nonceTracker: new NonceTracker() }, notifier: { notify: async alert => { alerts.push(alert); } } });
+}
+
+function rootInvokes(h) {
+    return h.account.executions.filter(e => e.calls.some(call => call.entrypoint === 'set_merkle_root_for_pool'));
+}
+
+test('two processes racing on one pool send exactly one merkle root, and the loser records nothing', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { sender: { maxAttempts: 1 } } });
+    seedAlarmPool(h);
+    const alerts = [];
+    const [daemon, admin] = [secondProcess(h, alerts), secondProcess(h, alerts)];
+
+    // Both start from nothing: one inserts the entry, the other hits the unique key
+    const fresh = await Promise.allSettled([daemon.processAlarmPool(DAY, 1), admin.processAlarmPool(DAY, 1)]);
+    assert.deepEqual(fresh.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(fresh.find(r => r.status === 'rejected').reason instanceof JournalConflictError);
+    assert.equal(rootInvokes(h).length, 1);
+    assert.equal(journalEntry(h).state, 'done');
+    assert.equal(journalEntry(h).last_error, null);
+    assert.deepEqual(alerts, []);
+
+    // Both load the same computed entry left by a reverted send: only the claim winner sends
+    const h2 = createSettlementHarness(AlarmContractBackend, { backendOptions: { sender: { maxAttempts: 1 } } });
+    seedAlarmPool(h2);
+    h2.account.revertNext();
+    await assert.rejects(h2.backend.processAlarmPool(DAY, 1), /REVERTED/);
+    assert.equal(journalEntry(h2).state, 'computed');
+    h2.account.executions.length = 0;
+
+    const resumed = await Promise.allSettled([secondProcess(h2, alerts).processAlarmPool(DAY, 1), secondProcess(h2, alerts).processAlarmPool(DAY, 1)]);
+    assert.deepEqual(resumed.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.ok(resumed.find(r => r.status === 'rejected').reason instanceof JournalConflictError);
+    assert.equal(rootInvokes(h2).length, 1);
+    assert.equal(journalEntry(h2).state, 'done');
+    assert.equal(journalEntry(h2).last_error, null);
+    assert.deepEqual(alerts, []);
+});
+
+test('a send that may have left keeps the pool claimed until the lease runs out', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.account.failNext(new Error('socket hang up'));
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /socket hang up/);
+    assert.equal(journalEntry(h).state, 'submitting');
+    assert.match(journalEntry(h).last_error, /socket hang up/);
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), JournalConflictError);
+    assert.equal(rootInvokes(h).length, 1);
+
+    h.backend.journal.submitLeaseSeconds = 0;
+    const result = await h.backend.processAlarmPool(DAY, 1);
+    assert.equal(result.pool_info.resumed_from, 'submitting');
+    assert.equal(rootInvokes(h).length, 2);
+    assert.equal(journalEntry(h).state, 'done');
+
+    // A send the node refused never left: the claim is released at once
+    const h2 = createSettlementHarness(AlarmContractBackend, { backendOptions: { sender: { maxAttempts: 1 } } });
+    seedAlarmPool(h2);
+    h2.account.failNext(Object.assign(new Error('Account validation failed'), { code: 55 }));
+    await assert.rejects(h2.backend.processAlarmPool(DAY, 1), /validation failed/);
+    assert.equal(journalEntry(h2).state, 'computed');
+    await h2.backend.processAlarmPool(DAY, 1);
+    assert.equal(journalEntry(h2).state, 'done');
+});
@@ -0,0 +1,121 @@
+// signers.test.js - Keystore, remote and env signers behind the verifier and deployer keys
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const { ec } = require('starknet');
+const { PrivateKeySigner, KeystoreSigner, RemoteSigner, AccountSigner, decryptKeystore, encryptKeystore, signerFromEnv } = require('../signers');
+const { createRemoteSignerServer } = require('../remote_signer');
+const { verifyOutcomeSignature } = require('../settlement_core');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness, HARNESS_VERIFIER_PRIVATE_KEY } = require('../harness');
+const { Logger } = require('../logger');
+const { DAY, seedAlarmPool } = require('./fixtures');
+
+const PUBLIC_KEY = '0x' + BigInt(ec.starkCurve.getStarkKey(HARNESS_VERIFIER_PRIVATE_KEY)).toString(16);
+const silent = new Logger({ level: 'silent' });
+
+test('keystores decrypt the Web3 Secret Storage vector, round-trip a stark key and refuse a wrong passphrase', async () => {
+    // Test vector from the Web3 Secret Storage definition (pbkdf2)
+    const vector = {
+        version: 3,
+        id: '3198bc9c-6672-5ab3-d995-4942343ae5b6',
+        crypto: {
+            cipher: 'aes-128-ctr',
+            cipherparams: { iv: '6087dab2f9fdbbfaddc31a909735c1e6' },
+            ciphertext: '5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46',
+            kdf: 'pbkdf2',
+            kdfparams: { c: 262144, dklen: 32, prf: 'hmac-sha256', salt: 'ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd' },
+            mac: '517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2'
+        }
+    };
+    assert.equal(await decryptKeystore(vector, 'testpassword'), '0x7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d');
+
+    const keystore = await encryptKeystore(HARNESS_VERIFIER_PRIVATE_KEY, 'correct horse', { n: 1024 });
+    assert.equal(keystore.crypto.kdf, 'scrypt');
+    const signer = new KeystoreSigner({ keystore, password: 'correct horse' });
+    assert.equal(await signer.getPublicKey(), PUBLIC_KEY);
+    assert.deepEqual(await signer.signMessageHash('0x1234'), await new PrivateKeySigner(HARNESS_VERIFIER_PRIVATE_KEY).signMessageHash('0x1234'));
+    // Neither the key nor the passphrase can end up in a log line
+    for (const dump of [JSON.stringify(signer), util.inspect(signer, { depth: 5 }), JSON.stringify(new PrivateKeySigner(HARNESS_VERIFIER_PRIVATE_KEY))]) {
+        assert.equal(dump.includes(HARNESS_VERIFIER_PRIVATE_KEY.slice(2)), false);
+        assert.equal(dump.includes('correct horse'), false);
+    }
+
+    await assert.rejects(new KeystoreSigner({ keystore, password: 'wrong' }).getPublicKey(), /Keystore passphrase is incorrect/);
+});
+
+test('settlement signs claims through the local remote signer, which needs its token', async () => {
+    const keystore = await encryptKeystore(HARNESS_VERIFIER_PRIVATE_KEY, 'pw', { n: 1024 });
+    const server = createRemoteSignerServer({
+        signers: { verifier: new KeystoreSigner({ keystore, password: 'pw' }) },
+        token: 'signer-token',
+        logger: silent
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+        const signer = new RemoteSigner({ url, keyId: 'verifier', token: 'signer-token' });
+        const h = createSettlementHarness(AlarmContractBackend, { backendOptions: { verifierSigner: signer } });
+        seedAlarmPool(h);
+        assert.equal((await h.backend.processAlarmPool(DAY, 1)).success, true);
+        const claims = h.db.rows('user_claim_data');
+        assert.equal(claims.length, 3);
+        assert.ok(claims.every(row => row.signer_public_key === PUBLIC_KEY && verifyOutcomeSignature(row, PUBLIC_KEY)));
+
+        await assert.rejects(new RemoteSigner({ url, keyId: 'verifier', token: 'guess' }).getPublicKey(), /HTTP 401 Unauthorized/);
+        await assert.rejects(new RemoteSigner({ url, keyId: 'deployer', token: 'signer-token' }).getPublicKey(), /HTTP 404 Unknown key 'deployer'/);
+
+        // A signature that does not verify against the key is never used
+        const tampering = new RemoteSigner({
+            url,
+            keyId: 'verifier',
+            token: 'signer-token',
+            fetch: async (requestUrl, init) => (requestUrl.endsWith('/sign')
+                ? { ok: true, json: async () => ({ signature_r: '0x1', signature_s: '0x2' }) }
+                : fetch(requestUrl, init))
+        });
+        await assert.rejects(tampering.signMessageHash('0x1234'), /does not verify against key verifier/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('signerFromEnv builds the configured signer and refuses plaintext keys unless asked for outside production', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'signers-'));
+    try {
+        const keystorePath = path.join(dir, 'deployer.json');
+        const passwordPath = path.join(dir, 'password');
+        fs.writeFileSync(keystorePath, JSON.stringify(await encryptKeystore(HARNESS_VERIFIER_PRIVATE_KEY, 'pw', { n: 1024 })));
+        fs.writeFileSync(passwordPath, 'pw\n');
+
+        const keystoreSigner = signerFromEnv({ DEPLOYER_KEYSTORE_PATH: keystorePath, DEPLOYER_KEYSTORE_PASSWORD_FILE: passwordPath }, 'DEPLOYER', { logger: silent });
+        assert.equal(keystoreSigner.mode, 'keystore');
+        // The deployer Account signs transaction hashes through it
+        const accountSigner = new AccountSigner(keystoreSigner);
+        assert.equal(await accountSigner.getPubKey(), PUBLIC_KEY);
+        const signature = await accountSigner.signRaw('0xabc');
+        assert.equal(ec.starkCurve.verify(signature, '0xabc', ec.starkCurve.getPublicKey(HARNESS_VERIFIER_PRIVATE_KEY)), true);
+
+        const remote = signerFromEnv({ VERIFIER_REMOTE_SIGNER_URL: 'http://127.0.0.1:8547/', REMOTE_SIGNER_TOKEN: 't' }, 'VERIFIER', { logger: silent });
+        assert.deepEqual([remote.mode, remote.url, remote.keyId], ['remote', 'http://127.0.0.1:8547', 'verifier']);
+
+        // A plaintext key is only used when asked for, and never next to a keystore or remote signer
+        const dev = { VERIFIER_SIGNER: 'env', VERIFIER_PRIVATE_KEY: HARNESS_VERIFIER_PRIVATE_KEY };
+        assert.equal(signerFromEnv(dev, 'VERIFIER', { logger: silent }).mode, 'env');
+        assert.throws(() => signerFromEnv({ ...dev, NODE_ENV: 'production' }, 'VERIFIER', { logger: silent }),
+            /VERIFIER_PRIVATE_KEY is not accepted in production/);
+        assert.throws(() => signerFromEnv({ VERIFIER_PRIVATE_KEY: HARNESS_VERIFIER_PRIVATE_KEY }, 'VERIFIER', { logger: silent }),
+            /VERIFIER_SIGNER is not; configure a keystore or remote signer/);
+        assert.throws(() => signerFromEnv({ VERIFIER_REMOTE_SIGNER_URL: 'http://127.0.0.1:8547/', VERIFIER_PRIVATE_KEY: HARNESS_VERIFIER_PRIVATE_KEY }, 'VERIFIER', { logger: silent }),
+            /VERIFIER_PRIVATE_KEY must not be set with the remote signer/);
+        assert.throws(() => signerFromEnv({ DEPLOYER_SIGNER: 'keystore' }, 'DEPLOYER', { logger: silent }), /Missing DEPLOYER_KEYSTORE_PATH/);
+        assert.throws(() => signerFromEnv({ VERIFIER_SIGNER: 'hsm' }, 'VERIFIER', { logger: silent }), /Unknown VERIFIER_SIGNER hsm/);
+        assert.equal(signerFromEnv({}, 'VERIFIER_NEW', { logger: silent }), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
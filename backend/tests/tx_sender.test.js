@@ -0,0 +1,122 @@
+// tx_sender.test.js - V3 sends with tracked nonces, paymaster fallback and bounded retries against the mock chain
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness } = require('../harness');
+const { senderOptionsFromEnv } = require('../tx_sender');
+const { STRK, DAY, PM, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const TRANSFER = { contractAddress: '0x1234', entrypoint: 'transfer', calldata: [] };
+
+test('pools settled back to back on one account get consecutive nonces, and a stale nonce is read again', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    const eth = h.createBackend({ token: 'ETH' });
+    seedAlarmPool(h);
+    h.seedAlarm({ wallet: WALLETS.alice, wakeup_time: PM + 900, stake_amount: (2n * STRK).toString(), token: 'ETH' });
+    h.seedAlarm({ wallet: WALLETS.bob, wakeup_time: PM + 1500, stake_amount: STRK.toString(), snooze_count: 2, token: 'ETH' });
+
+    await Promise.all([h.backend.processAlarmPool(DAY, 1), eth.processAlarmPool(DAY, 1)]);
+
+    assert.deepEqual(h.account.executions.map(e => e.details.nonce), [0n, 1n]);
+    assert.equal(h.backend.sender.nonceTracker.peek(h.account.address), 2n);
+
+    // Another tool sends from the deployer account: the node refuses the tracked nonce once
+    h.chain._incrementNonce(h.account.address);
+    await h.backend.executeCalls([TRANSFER]);
+
+    assert.equal(h.account.executions[2].details.nonce, 3n);
+    assert.equal(await h.chain.getNonceForAddress(h.account.address), '0x4');
+    assert.equal(h.backend.metrics.errors.get({ product: 'alarm', source: 'rpc', operation: 'execute' }), 1);
+});
+
+test('a rejected or reverted root is sent again up to maxAttempts, a duplicate and timeouts wait on the same hash', async () => {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    h.account.rejectNext();
+    h.account.revertNext();
+
+    const { pool_info } = await h.backend.processAlarmPool(DAY, 1);
+
+    // The rejected send left its nonce unused; the reverted one used it
+    assert.deepEqual(h.account.executions.map(e => e.details.nonce), [0n, 0n, 1n]);
+    assert.deepEqual(h.account.executions[2].calls, h.account.executions[0].calls);
+    assert.equal(pool_info.transaction_hash, h.db.rows('settlement_journal')[0].transaction_hash);
+    assert.equal(h.chain.getPool(h.contractAddress, DAY, 1).merkle_root, pool_info.merkle_root);
+
+    // A resend the node already has is not sent again: its hash is followed instead
+    h.account.duplicateNext();
+    const duplicate = await h.backend.executeCalls([TRANSFER]);
+    assert.equal(h.account.executions.length, 4);
+    assert.equal((await h.backend.waitForReceipt(duplicate)).execution_status, 'SUCCEEDED');
+    assert.equal(h.backend.sender.nonceTracker.peek(h.account.address), 3n);
+
+    const hash = await h.backend.executeCalls([TRANSFER]);
+    const waitErrors = { product: 'alarm', source: 'rpc', operation: 'wait_for_transaction' };
+    const rejectedWaits = h.backend.metrics.errors.get(waitErrors);
+    const getTransactionStatus = h.chain.getTransactionStatus.bind(h.chain);
+    Object.assign(h.backend.sender.options, { waitTimeoutSeconds: 0.02, waitPollSeconds: 0.005 });
+    // Still pending until two waits have given up
+    h.chain.getTransactionStatus = async txHash => h.backend.metrics.errors.get(waitErrors) < rejectedWaits + 2
+        ? { finality_status: 'RECEIVED' }
+        : getTransactionStatus(txHash);
+    assert.equal((await h.backend.waitForReceipt(hash)).execution_status, 'SUCCEEDED');
+    assert.equal(h.backend.metrics.errors.get(waitErrors), rejectedWaits + 2);
+
+    // A transaction that stays pending: the last wait throws and nothing polls the node afterwards
+    let reads = 0;
+    h.chain.getTransactionStatus = async () => { reads++; return { finality_status: 'RECEIVED' }; };
+    await assert.rejects(h.backend.waitForReceipt(hash), /Timed out after 0.02s/);
+    const readsAtTimeout = reads;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(reads, readsAtTimeout);
+
+    // A node that never answers: each wait gives up after waitTimeoutSeconds all the same
+    h.backend.sender.options.waitTimeoutSeconds = 0.01;
+    h.chain.getTransactionStatus = () => new Promise(() => {});
+    await assert.rejects(h.backend.waitForReceipt(hash), /Timed out after 0.01s/);
+});
+
+// As the paymaster answers paymaster_executeTransaction with a SNIP-29 error
+function paymasterError(code, message) {
+    return Object.assign(new Error(`RPC: paymaster_executeTransaction with params {} ${code}: ${message}`), { code });
+}
+
+test('a transaction the paymaster refuses is sent self-paid unless the fallback is off', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { sponsored: true });
+    seedAlarmPool(h);
+    h.account.failNext(paymasterError(154, 'Max amount too low'));
+
+    const result = await h.backend.processAlarmPool(DAY, 1);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(h.account.executions.map(e => e.method), ['executePaymasterTransaction', 'execute']);
+    assert.equal(h.account.executions[1].details.version, 3);
+    const { metrics } = h.backend;
+    assert.equal(metrics.transactions.get({ product: 'alarm', mode: 'regular' }), 1);
+    assert.equal(metrics.transactions.get({ product: 'alarm', mode: 'sponsored' }), 0);
+    assert.equal(metrics.errors.get({ product: 'alarm', source: 'paymaster', operation: 'execute' }), 1);
+
+    const strict = h.createBackend({ sender: { fallbackToSelfPaid: false } });
+    h.account.failNext(paymasterError(156, 'Transaction execution error'));
+    await assert.rejects(strict.executeCalls([TRANSFER]), /Transaction execution error/);
+    assert.equal(h.account.executions.length, 3);
+
+    assert.deepEqual(senderOptionsFromEnv({ TX_FEE_MARGIN_PERCENT: '25', TX_MAX_ATTEMPTS: '5', TX_WAIT_POLL_SECONDS: '2', PAYMASTER_FALLBACK: 'false' }),
+        { feeMarginPercent: 25, maxAttempts: 5, waitPollSeconds: 2, fallbackToSelfPaid: false });
+});
+
+test('a paymaster failure that may have relayed the transaction is thrown, not sent self-paid', async () => {
+    const h = createSettlementHarness(AlarmContractBackend, { sponsored: true });
+    seedAlarmPool(h);
+    h.account.failNext(new Error('RPC: paymaster_executeTransaction with params {} 503: Service Unavailable'));
+
+    await assert.rejects(h.backend.processAlarmPool(DAY, 1), /Service Unavailable/);
+
+    assert.deepEqual(h.account.executions.map(e => e.method), ['executePaymasterTransaction']);
+    // Left claimed, so a later run resumes once the submission lease runs out instead of sending again now
+    assert.equal(h.db.rows('settlement_journal')[0].state, 'submitting');
+
+    h.account.failNext(paymasterError(163, 'Unknown error'));
+    await assert.rejects(h.backend.executeCalls([TRANSFER]), /Unknown error/);
+    assert.equal(h.account.executions.length, 2);
+});
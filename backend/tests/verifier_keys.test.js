@@ -0,0 +1,94 @@
+// verifier_keys.test.js - Signer versions, key rotation with re-signing and stored signature checks
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ec } = require('starknet');
+const { VerifierKeyManager } = require('../verifier_keys');
+const { PrivateKeySigner } = require('../signers');
+const { verifyOutcomeSignature } = require('../settlement_core');
+const { AlarmContractBackend } = require('../alarm_backend');
+const { createSettlementHarness } = require('../harness');
+const { DAY, WALLETS, seedAlarmPool } = require('./fixtures');
+
+const NEW_KEY = '0x3c1e9550e66958296d11b60f8e8e7a7ad990d07fa65d5f7652c4a6c87d4e3b2';
+const publicKeyOf = privateKey => '0x' + BigInt(ec.starkCurve.getStarkKey(privateKey)).toString(16);
+
+async function settledPool() {
+    const h = createSettlementHarness(AlarmContractBackend);
+    seedAlarmPool(h);
+    await h.backend.processAlarmPool(DAY, 1);
+    return h;
+}
+
+test('a rotation sets the new signer, records its version and re-signs unclaimed claims only', async () => {
+    const h = await settledPool();
+    const oldKey = publicKeyOf(h.verifierPrivateKey);
+    assert.ok(h.db.rows('user_claim_data').every(row => row.signer_public_key === oldKey));
+    const bob = h.db.rows('alarms').find(alarm => alarm.snooze_count === 1);
+    await h.db.from('alarms').update({ has_claimed: true }).eq('id', bob.id);
+    const keys = new VerifierKeyManager(h.backend);
+
+    const newSigner = new PrivateKeySigner(NEW_KEY);
+    const result = await keys.rotate(newSigner);
+
+    assert.equal(result.previous_public_key, oldKey);
+    assert.equal(result.public_key, publicKeyOf(NEW_KEY));
+    assert.equal(result.version, 2);
+    assert.equal(result.resigned, 2);
+    assert.deepEqual(h.account.executions.at(-1).calls, [{ contractAddress: h.contractAddress, entrypoint: 'set_verified_signer', calldata: [publicKeyOf(NEW_KEY)] }]);
+    assert.equal(h.chain.getVerifiedSigner(h.contractAddress), publicKeyOf(NEW_KEY));
+    assert.deepEqual(h.db.rows('verifier_signers').map(({ version, public_key, retired_at }) => [version, public_key, retired_at === null]), [
+        [1, oldKey, false],
+        [2, publicKeyOf(NEW_KEY), true]
+    ]);
+    const claims = h.db.rows('user_claim_data');
+    for (const row of claims) {
+        const signer = row.alarm_id === bob.id ? oldKey : publicKeyOf(NEW_KEY);
+        assert.equal(row.signer_public_key, signer);
+        assert.equal(verifyOutcomeSignature(row, signer), true);
+    }
+    assert.equal(h.backend.verifierSigner, newSigner);
+    assert.deepEqual(await keys.verifyStoredSignatures().then(({ checked, valid, clean }) => ({ checked, valid, clean })), { checked: 2, valid: 2, clean: true });
+
+    // Running it again resumes: no second transaction, nothing left to re-sign
+    const executions = h.account.executions.length;
+    assert.deepEqual(await keys.rotate(NEW_KEY).then(({ version, transaction_hash, resigned }) => ({ version, transaction_hash, resigned })), { version: 2, transaction_hash: null, resigned: 0 });
+    assert.equal(h.account.executions.length, executions);
+});
+
+test('signatures from a replaced signer and tampered signatures are reported', async () => {
+    const h = await settledPool();
+    const keys = new VerifierKeyManager(h.backend);
+    await keys.registerSigner(publicKeyOf(h.verifierPrivateKey));
+    const [alice, bob] = h.db.rows('alarms');
+    await h.db.from('user_claim_data').update({ signature_s: '0x1234' }).eq('alarm_id', bob.id);
+    // The signer was changed on chain without re-signing
+    h.chain.setVerifiedSigner(h.contractAddress, publicKeyOf(NEW_KEY));
+
+    const report = await keys.verifyStoredSignatures();
+
+    assert.equal(report.on_chain_signer, publicKeyOf(NEW_KEY));
+    assert.equal(report.version, null);
+    assert.equal(report.clean, false);
+    assert.equal(report.valid, 0);
+    assert.deepEqual(report.invalid.slice(0, 2), [
+        { alarm_id: alice.id, address: WALLETS.alice, reason: 'stale_signer', signer_public_key: publicKeyOf(h.verifierPrivateKey), signer_version: 1 },
+        { alarm_id: bob.id, address: WALLETS.bob, reason: 'invalid_signature', signer_public_key: publicKeyOf(h.verifierPrivateKey), signer_version: null }
+    ]);
+
+    // Re-signing fixes the stale rows; the tampered one keeps its message hash and verifies again
+    await keys.resignOutstanding(NEW_KEY);
+    assert.equal((await keys.verifyStoredSignatures()).clean, true);
+});
+
+test('a reverted set_verified_signer leaves the claims and the active key untouched', async () => {
+    const h = await settledPool();
+    const before = h.db.rows('user_claim_data');
+    h.account.revertNext('Caller is not the owner');
+
+    await assert.rejects(new VerifierKeyManager(h.backend).rotate(NEW_KEY), /Transaction failed with status: REVERTED/);
+
+    assert.deepEqual(h.db.rows('user_claim_data'), before);
+    assert.deepEqual(h.db.rows('verifier_signers').map(signer => signer.version), [1]);
+    assert.equal(await h.backend.verifierSigner.getPublicKey(), publicKeyOf(h.verifierPrivateKey));
+    assert.equal((await new VerifierKeyManager(h.backend).verifyStoredSignatures()).clean, true);
+});
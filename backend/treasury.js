@@ -0,0 +1,80 @@
+// treasury.js - Protocol fee reconciliation, ledger back-fill and withdrawal bookkeeping
+require('dotenv').config({ path: '../.env' });
+const fs = require('fs');
+const { loggerFromEnv } = require('./logger');
+const { parseRunFlagsOrExit } = require('./settlement_core');
+const { backendsFromEnv } = require('./admin_api');
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node treasury.js reconcile [--output <file>] [--pretty]');
+    console.log('node treasury.js backfill');
+    console.log('node treasury.js record-withdrawal <alarm|alarm-eth|focus-lock> <amount_wei> <tx_hash>');
+    console.log('');
+    console.log('Commands:');
+    console.log('  reconcile          Compare the protocol_fees ledger with each contract\'s token balance minus');
+    console.log('                     the stakes and rewards it still owes; exits 1 if any contract differs');
+    console.log('  backfill           Write ledger rows for pools finalized before the ledger existed');
+    console.log('  record-withdrawal  Book fees withdrawn from a contract to the treasury');
+    console.log('=============================');
+}
+
+async function main() {
+    const { outputFile, pretty, args } = parseRunFlagsOrExit(process.argv.slice(2));
+    const [command, ...rest] = args;
+    if (!command || command === '--help' || command === '-h') {
+        printUsage();
+        return;
+    }
+
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
+    try {
+        const backends = backendsFromEnv(process.env, { logger });
+
+        if (command === 'reconcile') {
+            const reports = [];
+            for (const backend of Object.values(backends)) {
+                reports.push(await logger.withContext({ product: backend.strategy.name, token: backend.token }, () => backend.reconcileProtocolFees()));
+            }
+            const json = JSON.stringify(reports, null, 2);
+            if (outputFile) {
+                fs.writeFileSync(outputFile, json);
+                logger.info('Reconciliation report written', { output_file: outputFile });
+            } else {
+                console.log(json);
+            }
+            if (reports.some(report => !report.matches)) {
+                process.exit(1);
+            }
+        } else if (command === 'backfill') {
+            for (const backend of Object.values(backends)) {
+                const pools = await backend.backfillFeeLedger();
+                logger.info('Protocol fee ledger back-filled', { product: backend.strategy.name, token: backend.token, pools });
+            }
+        } else if (command === 'record-withdrawal') {
+            const [slug, amount, transactionHash] = rest;
+            const backend = backends[slug];
+            if (!backend || !amount || !transactionHash) {
+                printUsage();
+                process.exit(1);
+            }
+            await backend.feeLedger.recordWithdrawal({
+                product: backend.strategy.name,
+                token: backend.token,
+                contract_address: backend.getContractAddress(),
+                amount: BigInt(amount).toString(),
+                transaction_hash: transactionHash
+            });
+        } else {
+            printUsage();
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('Treasury command failed', { error });
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
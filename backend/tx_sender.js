@@ -0,0 +1,397 @@
+// tx_sender.js - Deployer transactions: V3 fees from an estimate, tracked nonces, paymaster fallback and retries
+const { num, hash, stark, transaction, RPC, ETransactionVersion3 } = require('starknet');
+const { KeyedLock } = require('./keyed_lock');
+
+const DEFAULT_SENDER_OPTIONS = {
+    feeMarginPercent: 50,       // added to every estimated gas amount and price
+    tip: 0,
+    maxAttempts: 3,             // sends of one transaction, counting resends after a rejection or revert
+    waitAttempts: 3,            // waits on one hash before giving up on it (the transaction may still land)
+    waitTimeoutSeconds: 300,
+    waitPollSeconds: 5,         // between two status reads while waiting
+    retryDelaySeconds: 5,       // doubled after every failed attempt
+    fallbackToSelfPaid: true    // send self-paid when the paymaster refuses a sponsored transaction
+};
+
+const INVALID_TRANSACTION_NONCE = 52;
+// Node errors for a transaction that never made it into a block; sending it again is safe
+const REJECTION_CODES = [
+    INVALID_TRANSACTION_NONCE,
+    53, // INSUFFICIENT_RESOURCES_FOR_VALIDATE
+    55  // VALIDATION_FAILURE
+];
+// The node already has this very transaction: an earlier send of it went through unanswered
+const DUPLICATE_TX = 59;
+// SNIP-29 paymaster errors refusing a transaction it then never relays (163, UNKNOWN_ERROR, is not one)
+const PAYMASTER_REFUSAL_CODES = [
+    150, // INVALID_ADDRESS
+    151, // TOKEN_NOT_SUPPORTED
+    153, // INVALID_SIGNATURE
+    154, // MAX_AMOUNT_TOO_LOW
+    155, // CLASS_HASH_NOT_SUPPORTED
+    156, // TRANSACTION_EXECUTION_ERROR
+    157, // INVALID_TIME_BOUNDS
+    158, // INVALID_DEPLOYMENT_DATA
+    159, // INVALID_CLASS_HASH
+    160  // INVALID_ID
+];
+// Finality statuses of a transaction that made it into a block; its receipt is final
+const ACCEPTED_STATUSES = ['ACCEPTED_ON_L2', 'ACCEPTED_ON_L1'];
+
+/**
+ * Reads TX_FEE_MARGIN_PERCENT, TX_TIP, TX_MAX_ATTEMPTS, TX_WAIT_ATTEMPTS, TX_WAIT_TIMEOUT_SECONDS,
+ * TX_WAIT_POLL_SECONDS, TX_RETRY_DELAY_SECONDS and PAYMASTER_FALLBACK (`false` keeps sponsored transactions sponsored).
+ * @param {Object} env - Environment map
+ * @returns {Object} TransactionSender options
+ */
+function senderOptionsFromEnv(env) {
+    const options = {};
+    const numbers = {
+        TX_FEE_MARGIN_PERCENT: 'feeMarginPercent',
+        TX_TIP: 'tip',
+        TX_MAX_ATTEMPTS: 'maxAttempts',
+        TX_WAIT_ATTEMPTS: 'waitAttempts',
+        TX_WAIT_TIMEOUT_SECONDS: 'waitTimeoutSeconds',
+        TX_WAIT_POLL_SECONDS: 'waitPollSeconds',
+        TX_RETRY_DELAY_SECONDS: 'retryDelaySeconds'
+    };
+    for (const [name, option] of Object.entries(numbers)) {
+        if (env[name]) options[option] = Number(env[name]);
+    }
+    if (env.PAYMASTER_FALLBACK) options.fallbackToSelfPaid = env.PAYMASTER_FALLBACK !== 'false';
+    return options;
+}
+
+function rpcCode(error) {
+    return error.code ?? error.baseError?.code;
+}
+
+function isRejection(error) {
+    return REJECTION_CODES.includes(rpcCode(error)) || /invalid transaction nonce/i.test(error.message);
+}
+
+// The connection to the node was never made, so the transaction cannot have reached it
+const UNREACHED_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function isUnreached(error) {
+    return UNREACHED_CODES.includes(error.code) || UNREACHED_CODES.includes(error.cause?.code);
+}
+
+/**
+ * A paymaster error that certainly relayed nothing: a SNIP-29 refusal, or any error answering
+ * paymaster_buildTransaction (nothing is executed before the transaction is built and signed).
+ */
+function isPaymasterRefusal(error) {
+    return PAYMASTER_REFUSAL_CODES.includes(rpcCode(error)) || error.request?.method === 'paymaster_buildTransaction';
+}
+
+function isTimeout(error) {
+    return error.name === 'TimeoutError' || /timed[- ]?out|timeout/i.test(error.message);
+}
+
+function isRejectedStatus(error) {
+    const status = error.response || {};
+    return status.finality_status === 'REJECTED' || status.execution_status === 'REJECTED' || /^REJECTED\b|: REJECTED$/.test(error.message);
+}
+
+function sleep(seconds) {
+    return seconds > 0 ? new Promise(resolve => setTimeout(resolve, seconds * 1000)) : Promise.resolve();
+}
+
+/**
+ * Nonces of the accounts sending transactions, so back-to-back transactions (many pools in a row,
+ * several products on one deployer account) get consecutive nonces without waiting for the
+ * node's pending state. Sends from one address are serialized. After a failed send the nonce is
+ * read from the chain again, since it is unknown whether the node took it.
+ */
+class NonceTracker {
+    constructor() {
+        this.nonces = new Map(); // address → next nonce
+        this.sends = new KeyedLock(); // one send at a time per address
+    }
+
+    /**
+     * Runs `send` with the address's next nonce, after every earlier send from the address.
+     * @param {string} address - Sending account
+     * @param {Function} fetchNonce - Reads the account's nonce from the chain
+     * @param {Function} send - Called with the nonce (bigint); must use it or throw
+     * @returns {Promise<*>} What `send` returns
+     */
+    async use(address, fetchNonce, send) {
+        const key = num.toHex(address);
+        return this.sends.run(key, async () => {
+            try {
+                if (!this.nonces.has(key)) {
+                    this.nonces.set(key, BigInt(await fetchNonce()));
+                }
+                const nonce = this.nonces.get(key);
+                const result = await send(nonce);
+                this.nonces.set(key, nonce + 1n);
+                return result;
+            } catch (error) {
+                this.nonces.delete(key);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Forgets the address's nonce; the next send reads it from the chain.
+     */
+    reset(address) {
+        this.nonces.delete(num.toHex(address));
+    }
+
+    /**
+     * @returns {bigint|null} The nonce the address's next send will use, if known
+     */
+    peek(address) {
+        return this.nonces.get(num.toHex(address)) ?? null;
+    }
+}
+
+/**
+ * Sends and waits for a backend's deployer transactions.
+ *
+ * Sponsored transactions go through the paymaster; when it refuses one and fallbackToSelfPaid is
+ * set, the transaction is sent self-paid instead. Any other paymaster failure (a timeout, a 5xx)
+ * may have come after the transaction was relayed, so it is thrown rather than sent twice.
+ * Self-paid transactions are V3: the fee is paid in STRK within resource bounds taken from a fee
+ * estimate plus feeMarginPercent, at the nonce the NonceTracker hands out. A transaction the node rejects (nonce, validation, resources) is sent
+ * again with a fresh nonce and estimate, up to maxAttempts; one it reports as a duplicate is already
+ * submitted, and its hash is returned. Any other send error is thrown as is. Errors of sends that
+ * certainly never reached the chain (a failed estimate, a rejection, a refused connection) carry `unsent: true`.
+ * Waiting retries timeouts up to waitAttempts times on the same hash.
+ */
+class TransactionSender {
+    /**
+     * @param {SettlementBackend} backend - Backend whose account, provider and paymaster are used
+     * @param {Object} [options] - Overrides of DEFAULT_SENDER_OPTIONS
+     * @param {NonceTracker} [options.nonceTracker] - Share one between backends using the same account
+     */
+    constructor(backend, { nonceTracker = new NonceTracker(), ...options } = {}) {
+        this.backend = backend;
+        this.logger = backend.logger;
+        this.nonceTracker = nonceTracker;
+        this.options = { ...DEFAULT_SENDER_OPTIONS, ...options };
+    }
+
+    /**
+     * V3 resource bounds for the calls: the estimate's gas amounts and prices plus feeMarginPercent.
+     * @param {Array<Object>} calls - {contractAddress, entrypoint, calldata}
+     * @param {bigint} nonce - Nonce the transaction will use
+     * @returns {Promise<Object>} {resourceBounds, maxFee}
+     */
+    async estimate(calls, nonce) {
+        let estimate;
+        try {
+            estimate = await this.backend.account.estimateInvokeFee(calls, { nonce, version: 3 });
+        } catch (error) {
+            this.backend.recordError('rpc', 'estimate_fee');
+            error.unsent = true;
+            throw error;
+        }
+
+        const margin = BigInt(100 + Math.round(this.options.feeMarginPercent));
+        const bound = value => (BigInt(value ?? 0) * margin + 99n) / 100n;
+        const resources = {
+            l1_gas: [estimate.l1_gas_consumed, estimate.l1_gas_price],
+            l2_gas: [estimate.l2_gas_consumed, estimate.l2_gas_price],
+            l1_data_gas: [estimate.l1_data_gas_consumed, estimate.l1_data_gas_price]
+        };
+        const resourceBounds = {};
+        let maxFee = 0n;
+        for (const [resource, [amount, price]] of Object.entries(resources)) {
+            resourceBounds[resource] = { max_amount: num.toHex(bound(amount)), max_price_per_unit: num.toHex(bound(price)) };
+            maxFee += bound(amount) * bound(price);
+        }
+        return { resourceBounds, maxFee };
+    }
+
+    /**
+     * Sends the calls self-paid as a V3 transaction at the account's next nonce.
+     * @returns {Promise<string>} Transaction hash
+     */
+    async sendSelfPaid(calls) {
+        const { account, provider } = this.backend;
+        return this.nonceTracker.use(account.address, () => provider.getNonceForAddress(account.address), async nonce => {
+            const { resourceBounds, maxFee } = await this.estimate(calls, nonce);
+            this.logger.debug('Sending V3 transaction', { nonce: nonce.toString(), max_fee: maxFee.toString() });
+            const details = { version: 3, nonce, resourceBounds, tip: this.options.tip };
+            try {
+                const result = await account.execute(calls, details);
+                return result.transaction_hash;
+            } catch (error) {
+                if (rpcCode(error) !== DUPLICATE_TX) {
+                    throw error;
+                }
+                // Same calls, nonce and bounds give the same hash: follow the copy the node has
+                const transactionHash = await this.transactionHash(calls, details);
+                this.logger.warn('Transaction already submitted, waiting on it', { transaction_hash: transactionHash, nonce: nonce.toString() });
+                return transactionHash;
+            }
+        });
+    }
+
+    /**
+     * Hash of the V3 invoke account.execute sends for the calls with these details.
+     * @param {Array<Object>} calls - {contractAddress, entrypoint, calldata}
+     * @param {Object} details - {nonce, resourceBounds, tip} as passed to account.execute
+     * @returns {Promise<string>} Transaction hash
+     */
+    async transactionHash(calls, { nonce, resourceBounds, tip }) {
+        const { account, provider } = this.backend;
+        const l1 = stark.intDAM(RPC.EDataAvailabilityMode.L1);
+        return hash.calculateInvokeTransactionHash({
+            senderAddress: account.address,
+            version: ETransactionVersion3.V3,
+            compiledCalldata: transaction.getExecuteCalldata(calls, await account.getCairoVersion()),
+            chainId: await provider.getChainId(),
+            nonce,
+            accountDeploymentData: [],
+            nonceDataAvailabilityMode: l1,
+            feeDataAvailabilityMode: l1,
+            resourceBounds,
+            tip,
+            paymasterData: []
+        });
+    }
+
+    /**
+     * Sends the calls: sponsored when the backend has a paymaster, self-paid otherwise or as the fallback.
+     * @param {Array<Object>} calls - {contractAddress, entrypoint, calldata}
+     * @param {Object} [options]
+     * @param {boolean} [options.fallbackToSelfPaid] - Overrides the sender's setting for this transaction
+     * @returns {Promise<Object>} {transaction_hash, mode: 'sponsored' | 'regular'}
+     */
+    async submit(calls, { fallbackToSelfPaid = this.options.fallbackToSelfPaid } = {}) {
+        if (this.backend.paymasterRpc) {
+            try {
+                const result = await this.backend.account.executePaymasterTransaction(calls, { feeMode: { mode: 'sponsored' } });
+                return { transaction_hash: result.transaction_hash, mode: 'sponsored' };
+            } catch (error) {
+                this.backend.recordError('paymaster', 'execute');
+                if (!isPaymasterRefusal(error)) {
+                    throw error;
+                }
+                error.unsent = true;
+                if (!fallbackToSelfPaid) {
+                    throw error;
+                }
+                this.logger.warn('Paymaster refused the transaction, sending it self-paid', { error: error.message });
+            }
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return { transaction_hash: await this.sendSelfPaid(calls), mode: 'regular' };
+            } catch (error) {
+                this.backend.recordError('rpc', 'execute');
+                if (isRejection(error) || isUnreached(error)) {
+                    error.unsent = true;
+                }
+                if (!isRejection(error) || attempt >= this.options.maxAttempts) {
+                    throw error;
+                }
+                if (rpcCode(error) === INVALID_TRANSACTION_NONCE) {
+                    this.nonceTracker.reset(this.backend.account.address);
+                }
+                this.logger.warn('Transaction rejected, sending it again', { attempt, error: error.message });
+                await this.backoff(attempt);
+            }
+        }
+    }
+
+    /**
+     * Waits for a transaction, retrying timeouts on the same hash. A transaction that did not
+     * succeed throws an error carrying `receipt`: the REVERTED receipt, or for a transaction the
+     * sequencer REJECTED its status (its nonce is then read from the chain again).
+     * @param {string} transactionHash - Hash returned by submit
+     * @returns {Promise<Object>} The transaction receipt
+     */
+    async waitForReceipt(transactionHash) {
+        let receipt;
+        for (let attempt = 1; !receipt; attempt++) {
+            try {
+                receipt = await this.waitOnce(transactionHash);
+            } catch (error) {
+                this.backend.recordError('rpc', 'wait_for_transaction');
+                if (isRejectedStatus(error)) {
+                    this.nonceTracker.reset(this.backend.account.address);
+                    throw Object.assign(new Error('Transaction failed with status: REJECTED'), {
+                        receipt: { transaction_hash: transactionHash, execution_status: 'REJECTED', finality_status: 'REJECTED', ...error.response }
+                    });
+                }
+                if (!isTimeout(error) || attempt >= this.options.waitAttempts) {
+                    throw error;
+                }
+                this.logger.warn('Still waiting for transaction', { transaction_hash: transactionHash, attempt, error: error.message });
+            }
+        }
+
+        if (receipt.execution_status !== 'SUCCEEDED') {
+            const error = new Error(`Transaction failed with status: ${receipt.execution_status}`);
+            error.receipt = receipt;
+            throw error;
+        }
+        return receipt;
+    }
+
+    /**
+     * Reads the transaction's status every waitPollSeconds until it is accepted or rejected, for at
+     * most waitTimeoutSeconds. Nothing keeps polling once this returns or throws. A status read that
+     * fails (the hash not known yet, the node not answering) is tried again at the next poll.
+     * @returns {Promise<Object>} The receipt of an accepted transaction
+     */
+    async waitOnce(transactionHash) {
+        const { provider } = this.backend;
+        const deadline = Date.now() + this.options.waitTimeoutSeconds * 1000;
+        let lastError = null;
+        for (;;) {
+            let status = null;
+            try {
+                status = await this.beforeDeadline(provider.getTransactionStatus(transactionHash), deadline);
+            } catch (error) {
+                lastError = error;
+            }
+            if (status && (status.finality_status === 'REJECTED' || status.execution_status === 'REJECTED')) {
+                // As starknet.js reports a transaction in an error state
+                throw Object.assign(new Error(`${status.execution_status}: ${status.finality_status}`), { response: status });
+            }
+            if (status && ACCEPTED_STATUSES.includes(status.finality_status)) {
+                return provider.getTransactionReceipt(transactionHash);
+            }
+
+            const left = deadline - Date.now();
+            if (left <= 0) {
+                const reason = lastError && !isTimeout(lastError) ? `: ${lastError.message}` : '';
+                throw new Error(`Timed out after ${this.options.waitTimeoutSeconds}s waiting for ${transactionHash}${reason}`);
+            }
+            await sleep(Math.min(this.options.waitPollSeconds, left / 1000));
+        }
+    }
+
+    /**
+     * Settles like `promise`, or rejects once the deadline (ms) has passed.
+     */
+    async beforeDeadline(promise, deadline) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(Object.assign(new Error('Status read timed out'), { name: 'TimeoutError' })), Math.max(0, deadline - Date.now()));
+        });
+        try {
+            return await Promise.race([promise, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Waits retryDelaySeconds, doubled for every earlier failed attempt.
+     */
+    backoff(attempt) {
+        return sleep(this.options.retryDelaySeconds * 2 ** (attempt - 1));
+    }
+}
+
+module.exports = { TransactionSender, NonceTracker, senderOptionsFromEnv, DEFAULT_SENDER_OPTIONS };
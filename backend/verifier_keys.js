@@ -0,0 +1,365 @@
+// verifier_keys.js - Verifier signer versions, key rotation and stored signature checks
+require('dotenv').config({ path: '../.env' });
+const fs = require('fs');
+const { toHexString, toBigInt, verifyOutcomeSignature } = require('./settlement_core');
+const { toKeySigner, signerFromEnv } = require('./signers');
+const { loggerFromEnv } = require('./logger');
+
+const sameKey = (a, b) => a != null && b != null && toBigInt(a) === toBigInt(b);
+
+/**
+ * Tracks which public keys a contract has trusted as verified_signer, one `verifier_signers`
+ * row per version (the active one has no retired_at), and rotates the key.
+ *
+ * The contract checks claims against a single signer, so a rotation re-signs every claim row
+ * that is still unclaimed: claim rows keep their message hash and get a new signature and
+ * signer_public_key. Claims submitted between set_verified_signer and the re-signing fail
+ * and can be retried; stop the settlement daemon during a rotation and restart it with the new key.
+ */
+class VerifierKeyManager {
+    /**
+     * @param {SettlementBackend} backend - Backend whose contract and claim rows are managed
+     * @param {Object} [options]
+     * @param {string} [options.table='verifier_signers'] - Signer version table
+     */
+    constructor(backend, { table = 'verifier_signers' } = {}) {
+        this.backend = backend;
+        this.strategy = backend.strategy;
+        this.supabase = backend.supabase;
+        this.logger = backend.logger;
+        this.table = table;
+    }
+
+    /**
+     * @returns {Promise<string>} The contract's verified_signer
+     */
+    async readOnChainSigner() {
+        try {
+            const result = await this.backend.provider.callContract({
+                contractAddress: this.backend.getContractAddress(),
+                entrypoint: 'get_verified_signer',
+                calldata: []
+            });
+            return toHexString((result.result || result)[0]);
+        } catch (error) {
+            this.backend.recordError('rpc', 'read_verified_signer');
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<Array>} The contract's signer versions, oldest first
+     */
+    async listSigners() {
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .select('*')
+            .eq('contract_address', this.backend.getContractAddress())
+            .order('version', { ascending: true });
+
+        if (error) {
+            this.backend.recordError('supabase', 'fetch_signers');
+            throw new Error(`Failed to read ${this.table}: ${error.message}`);
+        }
+        return data || [];
+    }
+
+    /**
+     * Records a public key as the contract's active signer, retiring the previous one.
+     * Idempotent: registering the active key again returns its row.
+     * @param {string} publicKey - Stark key now stored as verified_signer
+     * @param {Object} [options] - {transactionHash} of the set_verified_signer call
+     * @returns {Promise<Object>} The signer version row
+     */
+    async registerSigner(publicKey, { transactionHash = null } = {}) {
+        const signers = await this.listSigners();
+        const active = signers.find(signer => !signer.retired_at);
+        if (active && sameKey(active.public_key, publicKey)) {
+            return active;
+        }
+
+        const now = new Date().toISOString();
+        if (active) {
+            const { error } = await this.supabase
+                .from(this.table)
+                .update({ retired_at: now })
+                .eq('id', active.id);
+
+            if (error) {
+                this.backend.recordError('supabase', 'retire_signer');
+                throw new Error(`Failed to retire signer version ${active.version}: ${error.message}`);
+            }
+        }
+
+        const { data, error } = await this.supabase
+            .from(this.table)
+            .insert({
+                contract_address: this.backend.getContractAddress(),
+                product: this.strategy.name,
+                token: this.backend.token,
+                version: signers.length > 0 ? Math.max(...signers.map(signer => signer.version)) + 1 : 1,
+                public_key: toHexString(publicKey),
+                transaction_hash: transactionHash,
+                activated_at: now,
+                retired_at: null
+            })
+            .select()
+            .single();
+
+        if (error) {
+            this.backend.recordError('supabase', 'insert_signer');
+            throw new Error(`Failed to record signer ${publicKey}: ${error.message}`);
+        }
+        this.logger.info('Verifier signer registered', { version: data.version, public_key: data.public_key });
+        return data;
+    }
+
+    /**
+     * Claim rows of settled positions whose payout is still unclaimed, with the position's address.
+     * @returns {Promise<Array>}
+     */
+    async outstandingClaims() {
+        const { claimsTable, positionIdField } = this.strategy;
+        const positions = (await this.backend.fetchUnclaimedPositions()).filter(position => position.claim_ready);
+        if (positions.length === 0) {
+            return [];
+        }
+
+        const { data, error } = await this.supabase
+            .from(claimsTable)
+            .select('*')
+            .in(positionIdField, positions.map(position => position[positionIdField]));
+
+        if (error) {
+            this.backend.recordError('supabase', 'fetch_claims');
+            throw new Error(`Failed to read ${claimsTable}: ${error.message}`);
+        }
+        const addresses = new Map(positions.map(position => [position[positionIdField], position.address]));
+        return (data || []).map(row => ({ ...row, address: addresses.get(row[positionIdField]) }));
+    }
+
+    /**
+     * Signs the stored message hash of every outstanding claim row again with the given signer.
+     * Rows already signed by its key are left alone, so an interrupted run can be repeated.
+     * @param {KeySigner|string} signer - The new verifier signer (or plaintext key)
+     * @returns {Promise<number>} Rows re-signed
+     */
+    async resignOutstanding(signer) {
+        const { claimsTable, positionIdField } = this.strategy;
+        const keySigner = toKeySigner(signer);
+        const publicKey = await keySigner.getPublicKey();
+        let resigned = 0;
+
+        for (const row of await this.outstandingClaims()) {
+            if (sameKey(row.signer_public_key, publicKey)) {
+                continue;
+            }
+            const signature = await keySigner.signMessageHash(row.message_hash);
+            const { error } = await this.supabase
+                .from(claimsTable)
+                .update({
+                    signature_r: signature.signature_r,
+                    signature_s: signature.signature_s,
+                    signer_public_key: signature.public_key
+                })
+                .eq(positionIdField, row[positionIdField]);
+
+            if (error) {
+                this.backend.recordError('supabase', 'resign_claims');
+                throw new Error(`Failed to re-sign ${claimsTable} row for ${row[positionIdField]}: ${error.message}`);
+            }
+            resigned++;
+        }
+        this.logger.info('Outstanding claims re-signed', { table: claimsTable, count: resigned, public_key: publicKey });
+        return resigned;
+    }
+
+    /**
+     * Makes a new key the contract's verified signer and re-signs the outstanding claims with it.
+     * A contract that already trusts the key (an interrupted rotation) is not called again.
+     * The signer in use before the first rotation is recorded as version 1.
+     * @param {KeySigner|string} newSigner - The new verifier signer (or plaintext key)
+     * @returns {Promise<Object>} {contract_address, previous_public_key, public_key, version, transaction_hash, resigned}
+     */
+    async rotate(newSigner) {
+        if (!newSigner) {
+            throw new Error('No new verifier signer given');
+        }
+        const signer = toKeySigner(newSigner);
+        const publicKey = await signer.getPublicKey();
+        const contractAddress = this.backend.getContractAddress();
+        const previousPublicKey = await this.readOnChainSigner();
+
+        if ((await this.listSigners()).length === 0 && toBigInt(previousPublicKey) !== 0n) {
+            await this.registerSigner(previousPublicKey);
+        }
+
+        let transactionHash = null;
+        if (sameKey(previousPublicKey, publicKey)) {
+            this.logger.warn('Contract already trusts the new signer, resuming the rotation', { public_key: publicKey });
+        } else {
+            this.logger.info('Setting verified signer', { contract_address: contractAddress, previous_public_key: previousPublicKey, public_key: publicKey });
+            transactionHash = await this.backend.executeCalls([{
+                contractAddress,
+                entrypoint: 'set_verified_signer',
+                calldata: [publicKey]
+            }]);
+            await this.backend.waitForReceipt(transactionHash);
+
+            const onChain = await this.readOnChainSigner();
+            if (!sameKey(onChain, publicKey)) {
+                throw new Error(`set_verified_signer ${transactionHash} succeeded but the contract reports signer ${onChain}, expected ${publicKey}`);
+            }
+        }
+
+        const version = await this.registerSigner(publicKey, { transactionHash });
+        this.backend.verifierSigner = signer;
+        const resigned = await this.resignOutstanding(signer);
+
+        const result = {
+            contract_address: contractAddress,
+            previous_public_key: previousPublicKey,
+            public_key: publicKey,
+            version: version.version,
+            transaction_hash: transactionHash,
+            resigned
+        };
+        this.logger.info('Verifier key rotated', result);
+        return result;
+    }
+
+    /**
+     * Checks every outstanding claim row's signature against the contract's current signer.
+     * Failing rows are reported with the key they were signed with, if it is a known version
+     * (`stale_signer`, fixed by resignOutstanding), or as `invalid_signature`.
+     * @returns {Promise<Object>} {contract_address, on_chain_signer, version, checked, valid, invalid, clean}
+     */
+    async verifyStoredSignatures() {
+        const { positionIdField } = this.strategy;
+        const onChainSigner = await this.readOnChainSigner();
+        const signers = await this.listSigners();
+        const claims = await this.outstandingClaims();
+
+        const invalid = [];
+        for (const row of claims) {
+            if (verifyOutcomeSignature(row, onChainSigner)) {
+                continue;
+            }
+            const candidates = [row.signer_public_key, ...signers.map(signer => signer.public_key)].filter(Boolean);
+            const signedBy = candidates.find(key => verifyOutcomeSignature(row, key));
+            const version = signedBy ? signers.find(signer => sameKey(signer.public_key, signedBy)) : null;
+            invalid.push({
+                [positionIdField]: row[positionIdField],
+                address: row.address,
+                reason: signedBy ? 'stale_signer' : 'invalid_signature',
+                signer_public_key: signedBy ? toHexString(signedBy) : row.signer_public_key || null,
+                signer_version: version ? version.version : null
+            });
+        }
+
+        const current = signers.find(signer => sameKey(signer.public_key, onChainSigner));
+        const report = {
+            contract_address: this.backend.getContractAddress(),
+            product: this.strategy.name,
+            token: this.backend.token,
+            on_chain_signer: onChainSigner,
+            version: current ? current.version : null,
+            checked: claims.length,
+            valid: claims.length - invalid.length,
+            invalid,
+            clean: invalid.length === 0
+        };
+        if (!report.clean) {
+            this.logger.warn('Stored signatures do not match the verified signer', { invalid: invalid.length, on_chain_signer: onChainSigner });
+        }
+        return report;
+    }
+}
+
+function printUsage() {
+    console.log('📖 ========== USAGE ==========');
+    console.log('node verifier_keys.js status');
+    console.log('node verifier_keys.js verify [--output <file>] [--pretty]');
+    console.log('node verifier_keys.js rotate <alarm|alarm-eth|focus-lock>');
+    console.log('');
+    console.log('Commands:');
+    console.log('  status   Each contract\'s verified_signer and its recorded signer versions');
+    console.log('  verify   Check every unclaimed claim signature against the contract\'s verified_signer;');
+    console.log('           exits 1 if any does not verify');
+    console.log('  rotate   Call set_verified_signer with the key configured as VERIFIER_NEW_* (VERIFIER_NEW_KEYSTORE_PATH,');
+    console.log('           VERIFIER_NEW_REMOTE_SIGNER_URL or, in development, VERIFIER_NEW_SIGNER=env with');
+    console.log('           VERIFIER_NEW_PRIVATE_KEY), record the new version and re-sign the unclaimed claim rows.');
+    console.log('           Stop the daemon first, then configure the');
+    console.log('           new key as the VERIFIER_* signer. Rerun to resume an interrupted rotation.');
+    console.log('=============================');
+}
+
+async function main() {
+    const { parseRunFlagsOrExit } = require('./settlement_core');
+    const { backendsFromEnv } = require('./admin_api');
+
+    const { outputFile, pretty, args } = parseRunFlagsOrExit(process.argv.slice(2));
+    const [command, slug] = args;
+    if (!command || command === '--help' || command === '-h') {
+        printUsage();
+        return;
+    }
+
+    const logger = loggerFromEnv(process.env, pretty ? { format: 'pretty' } : {});
+    try {
+        const backends = backendsFromEnv(process.env, { logger });
+        const inContext = (backend, fn) => logger.withContext({ product: backend.strategy.name, token: backend.token }, fn);
+
+        if (command === 'status') {
+            const status = [];
+            for (const backend of Object.values(backends)) {
+                const keys = new VerifierKeyManager(backend);
+                status.push({
+                    contract_address: backend.getContractAddress(),
+                    product: backend.strategy.name,
+                    token: backend.token,
+                    on_chain_signer: await keys.readOnChainSigner(),
+                    versions: await keys.listSigners()
+                });
+            }
+            console.log(JSON.stringify(status, null, 2));
+        } else if (command === 'verify') {
+            const reports = [];
+            for (const backend of Object.values(backends)) {
+                reports.push(await inContext(backend, () => new VerifierKeyManager(backend).verifyStoredSignatures()));
+            }
+            const json = JSON.stringify(reports, null, 2);
+            if (outputFile) {
+                fs.writeFileSync(outputFile, json);
+                logger.info('Signature report written', { output_file: outputFile });
+            } else {
+                console.log(json);
+            }
+            if (reports.some(report => !report.clean)) {
+                process.exit(1);
+            }
+        } else if (command === 'rotate') {
+            const backend = backends[slug];
+            const newSigner = signerFromEnv(process.env, 'VERIFIER_NEW', { logger });
+            if (!backend || !newSigner) {
+                printUsage();
+                process.exit(1);
+            }
+            await inContext(backend, () => new VerifierKeyManager(backend).rotate(newSigner));
+        } else {
+            printUsage();
+            process.exit(1);
+        }
+    } catch (error) {
+        logger.error('Verifier key command failed', { error });
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    VerifierKeyManager
+};
+
+if (require.main === module) {
+    main();
+}
@@ -494,6 +494,7 @@ pub mod AlarmContract {
             assert(is_valid, AlarmContractErrors::INVALID_SIGNATURE);
         }
 
+        // Must match the stakeReturn tiers of the backend reward policy (backend/reward_policy.js)
         fn _calculate_stake_return(stake_amount: u256, snooze_count: u8) -> u256 {
             const PERCENT_BASE: u256 = 100;
             const SLASH_20_PERCENT: u256 = 80; // 20% slash -> keep 80%